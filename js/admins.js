@@ -0,0 +1,231 @@
+/**
+ * Inas Cafe - Admin Users Module
+ * Owner-only management of admin accounts and their roles
+ */
+
+const Admins = {
+  // Current edit ID (null = add mode)
+  editId: null,
+
+  // Cached admins
+  data: [],
+
+  // Role labels
+  roles: {
+    owner: '👑 Owner',
+    manager: '🧑‍💼 Manager',
+    'data-entry': '⌨️ Data Entry'
+  },
+
+  // =====================================================
+  // Render
+  // =====================================================
+
+  async render() {
+    const pageContent = document.getElementById('pageContent');
+    this.data = await DB.getAdmins();
+
+    pageContent.innerHTML = `
+      <div class="card-header" style="background: none; padding: 0; border: none; margin-bottom: var(--space-6);">
+        <h1>🛡️ Admin Users</h1>
+        <button class="btn btn-primary" onclick="Admins.openForm()">
+          ➕ Add Admin
+        </button>
+      </div>
+
+      <div class="card">
+        ${this.renderList(this.data)}
+      </div>
+
+      <!-- Role Permissions -->
+      <div class="card" style="background: var(--primary-light); border: 1px solid var(--primary);">
+        <h4 style="color: var(--primary); margin-bottom: var(--space-4);">💡 Role Permissions</h4>
+        <ul style="color: var(--neutral-700); padding-left: var(--space-5);">
+          <li><strong>Owner</strong> - Full access, including admin users</li>
+          <li><strong>Manager</strong> - Customers, menu prices, advances and invoice payments</li>
+          <li><strong>Data Entry</strong> - Daily extras entry and read-only access to everything else</li>
+        </ul>
+      </div>
+
+      <!-- Add/Edit Modal -->
+      <div class="modal-overlay" id="adminModal">
+        <div class="modal">
+          <div class="modal-header">
+            <h3 class="modal-title" id="adminModalTitle">Add Admin</h3>
+            <button class="modal-close" onclick="Admins.closeForm()">×</button>
+          </div>
+          <div class="modal-body">
+            <form id="adminForm" onsubmit="Admins.save(event)">
+              <div class="form-group">
+                <label class="form-label required">Name</label>
+                <input type="text" class="form-control" id="adminName"
+                       placeholder="Enter full name" required>
+              </div>
+
+              <div class="form-group">
+                <label class="form-label required">Email</label>
+                <input type="email" class="form-control" id="adminEmailInput"
+                       placeholder="name@example.com" required>
+              </div>
+
+              <div class="form-row">
+                <div class="form-group">
+                  <label class="form-label required">Role</label>
+                  <select class="form-control form-select" id="adminRole" required>
+                    <option value="data-entry">Data Entry</option>
+                    <option value="manager">Manager</option>
+                    <option value="owner">Owner</option>
+                  </select>
+                </div>
+
+                <div class="form-group">
+                  <label class="form-label" id="adminPasswordLabel">Password</label>
+                  <input type="password" class="form-control" id="adminPassword"
+                         placeholder="At least 8 characters" minlength="8">
+                  <span class="form-text" id="adminPasswordHint"></span>
+                </div>
+              </div>
+
+              <div class="modal-footer" style="padding: var(--space-4) 0 0; margin-top: var(--space-4); border-top: 1px solid var(--neutral-200);">
+                <button type="button" class="btn btn-outline" onclick="Admins.closeForm()">Cancel</button>
+                <button type="submit" class="btn btn-primary btn-lg">💾 Save Admin</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      </div>
+    `;
+  },
+
+  renderList(admins) {
+    if (admins.length === 0) {
+      return `
+        <div class="empty-state">
+          <div class="empty-state-icon">🛡️</div>
+          <p class="empty-state-title">No admin users</p>
+        </div>
+      `;
+    }
+
+    const currentEmail = Auth.getAdminEmail();
+    let html = '<ul class="list">';
+
+    admins.forEach(a => {
+      const isSelf = a.email === currentEmail;
+
+      html += `
+        <li class="list-item">
+          <div class="list-item-content">
+            <div class="list-item-title">${a.name} ${isSelf ? '<span class="text-muted">(you)</span>' : ''}</div>
+            <div class="list-item-subtitle">📧 ${a.email}${a.twoFactorEnabled ? ' • 📱 2FA on' : ''}</div>
+          </div>
+          <span class="badge badge-${a.role === 'owner' ? 'primary' : 'success'}">${this.roles[a.role] || a.role}</span>
+          <div class="list-item-actions">
+            <button class="btn btn-sm btn-outline" onclick="Admins.openForm('${a.id}')" title="Edit">✏️</button>
+            ${isSelf ? '' : `<button class="btn btn-sm btn-danger" onclick="Admins.delete('${a.id}')" title="Delete">🗑️</button>`}
+          </div>
+        </li>
+      `;
+    });
+
+    html += '</ul>';
+    return html;
+  },
+
+  // =====================================================
+  // Form Operations
+  // =====================================================
+
+  openForm(adminId = null) {
+    this.editId = adminId;
+    const form = document.getElementById('adminForm');
+    const passwordInput = document.getElementById('adminPassword');
+
+    form.reset();
+    App.clearFieldErrors(form);
+
+    if (adminId) {
+      const admin = this.data.find(a => a.id === adminId);
+      if (!admin) {
+        App.showToast('Admin not found', 'error');
+        return;
+      }
+
+      document.getElementById('adminModalTitle').textContent = 'Edit Admin';
+      document.getElementById('adminName').value = admin.name;
+      document.getElementById('adminEmailInput').value = admin.email;
+      document.getElementById('adminRole').value = admin.role;
+      document.getElementById('adminPasswordHint').textContent = 'Leave blank to keep the current password';
+      passwordInput.required = false;
+    } else {
+      document.getElementById('adminModalTitle').textContent = 'Add Admin';
+      document.getElementById('adminPasswordHint').textContent = '';
+      passwordInput.required = true;
+    }
+
+    App.openModal('adminModal');
+  },
+
+  closeForm() {
+    this.editId = null;
+    App.closeModal('adminModal');
+  },
+
+  async save(event) {
+    event.preventDefault();
+    App.clearFieldErrors(event.target);
+
+    const data = {
+      name: document.getElementById('adminName').value.trim(),
+      email: document.getElementById('adminEmailInput').value.trim(),
+      role: document.getElementById('adminRole').value
+    };
+
+    const password = document.getElementById('adminPassword').value;
+    if (password) data.password = password;
+
+    try {
+      if (this.editId) {
+        await DB.updateAdmin(this.editId, data);
+        App.showToast('Admin updated successfully!', 'success');
+      } else {
+        await DB.addAdmin(data);
+        App.showToast('Admin added successfully!', 'success');
+      }
+
+      this.closeForm();
+      await this.render();
+    } catch (error) {
+      console.error('Save error:', error);
+      App.showFieldErrors(error.fields, {
+        name: 'adminName',
+        email: 'adminEmailInput',
+        role: 'adminRole',
+        password: 'adminPassword'
+      });
+      App.showToast(error.message || 'Error saving admin', 'error');
+    }
+  },
+
+  async delete(id) {
+    const admin = this.data.find(a => a.id === id);
+    if (!admin) return;
+
+    App.confirm(
+      `Are you sure you want to remove "${admin.name}"? They will no longer be able to login.`,
+      async () => {
+        try {
+          await DB.deleteAdmin(id);
+          App.showToast('Admin deleted', 'success');
+          await this.render();
+        } catch (error) {
+          console.error('Delete error:', error);
+          App.showToast(error.message || 'Error deleting admin', 'error');
+        }
+      }
+    );
+  }
+};
+
+// Make available globally
+window.Admins = Admins;
@@ -164,6 +164,7 @@ const Advance = {
 
   async save(event) {
     event.preventDefault();
+    App.clearFieldErrors(event.target);
     
     const customerId = CustomerSearch.getValue('advanceCustomerSearch');
     const period = document.getElementById('advancePeriod').value; // YYYY-MM
@@ -196,7 +197,7 @@ const Advance = {
         notes
       });
       
-      App.showToast('Advance payment saved!', 'success');
+      App.showToast('Advance payment saved and credited to the customer\'s account', 'success');
       
       // Reset form (keep date)
       document.getElementById('advanceAmount').value = '';
@@ -207,7 +208,15 @@ const Advance = {
       
     } catch (error) {
       console.error('Save error:', error);
-      App.showToast('Error saving payment', 'error');
+      App.showFieldErrors(error.fields, {
+        customerId: 'advanceCustomerSearchInput',
+        month: 'advancePeriod',
+        year: 'advancePeriod',
+        amount: 'advanceAmount',
+        date: 'advanceDate',
+        notes: 'advanceNotes'
+      });
+      App.showToast(error.message || 'Error saving payment', 'error');
     }
   },
 
@@ -221,7 +230,7 @@ const Advance = {
           await this.loadPayments();
         } catch (error) {
           console.error('Delete error:', error);
-          App.showToast('Error deleting payment', 'error');
+          App.showToast(error.message || 'Error deleting payment', 'error');
         }
       }
     );
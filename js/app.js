@@ -120,6 +120,12 @@ const App = {
         case 'customers':
           if (typeof Customers !== 'undefined') await Customers.render();
           break;
+        case 'plans':
+          if (typeof Plans !== 'undefined') await Plans.render();
+          break;
+        case 'discounts':
+          if (typeof Discounts !== 'undefined') await Discounts.render();
+          break;
         case 'menu':
           if (typeof Menu !== 'undefined') await Menu.render();
           break;
@@ -138,6 +144,15 @@ const App = {
         case 'security':
           if (typeof Security !== 'undefined') await Security.render();
           break;
+        case 'audit':
+          if (typeof Audit !== 'undefined') await Audit.render();
+          break;
+        case 'admins':
+          if (typeof Admins !== 'undefined') await Admins.render();
+          break;
+        case 'tax':
+          if (typeof TaxSettings !== 'undefined') await TaxSettings.render();
+          break;
         default:
           pageContent.innerHTML = '<div class="card"><p>Page not found</p></div>';
       }
@@ -363,6 +378,50 @@ const App = {
     }, duration);
   },
 
+  // =====================================================
+  // Form Field Errors
+  // =====================================================
+
+  /**
+   * Show field-level validation errors from the API next to their inputs
+   * @param {Object} fields - { apiField: message } (error.fields from DB.fetchAPI)
+   * @param {Object} inputs - { apiField: elementId }
+   * @returns {boolean} whether any message was placed
+   */
+  showFieldErrors(fields, inputs) {
+    if (!fields) return false;
+
+    let shown = false;
+    Object.entries(fields).forEach(([field, message]) => {
+      const input = document.getElementById(inputs[field]);
+      if (!input) return;
+
+      const group = input.closest('.form-group') || input.parentElement;
+      let errorEl = group.querySelector('.form-error[data-field-error]');
+      if (!errorEl) {
+        errorEl = document.createElement('span');
+        errorEl.className = 'form-error';
+        errorEl.dataset.fieldError = field;
+        group.appendChild(errorEl);
+      }
+
+      input.classList.add('is-invalid');
+      errorEl.textContent = message;
+      shown = true;
+    });
+
+    return shown;
+  },
+
+  /**
+   * Remove messages added by showFieldErrors
+   */
+  clearFieldErrors(form) {
+    if (!form) return;
+    form.querySelectorAll('.is-invalid').forEach(el => el.classList.remove('is-invalid'));
+    form.querySelectorAll('.form-error[data-field-error]').forEach(el => el.remove());
+  },
+
   // =====================================================
   // Confirmation Dialog
   // =====================================================
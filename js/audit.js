@@ -0,0 +1,235 @@
+/**
+ * Inas Cafe - Activity Log Module
+ * Shows the server-side audit log of every data change
+ */
+
+const Audit = {
+  // Page size for "Load more"
+  PAGE_SIZE: 50,
+
+  // Loaded entries and active filters
+  data: [],
+  filters: {},
+
+  entities: {
+    customer: '👥 Customer',
+    customer_leave: '🏖️ Customer Leave',
+    plan: '📦 Subscription Plan',
+    menu_item: '📋 Menu Item',
+    extra: '🍽️ Daily Extra',
+    advance_payment: '💰 Advance Payment',
+    invoice: '🧾 Invoice',
+    payment: '💸 Payment',
+    admin: '🛡️ Admin',
+    session: '💻 Session',
+    settings: '⚙️ Settings',
+    discount: '🏷️ Discount'
+  },
+
+  actions: {
+    create: { label: 'Created', icon: '➕', badge: 'success' },
+    update: { label: 'Updated', icon: '✏️', badge: 'warning' },
+    delete: { label: 'Deleted', icon: '🗑️', badge: 'danger' }
+  },
+
+  // =====================================================
+  // Render
+  // =====================================================
+
+  async render() {
+    const pageContent = document.getElementById('pageContent');
+
+    pageContent.innerHTML = `
+      <h1 class="mb-6">📜 Activity Log</h1>
+
+      <!-- Filters -->
+      <div class="card">
+        <form id="auditFilterForm" onsubmit="Audit.applyFilters(event)">
+          <div class="form-row">
+            <div class="form-group">
+              <label class="form-label">Record Type</label>
+              <select class="form-control form-select" id="auditEntity">
+                <option value="">All records</option>
+                ${Object.entries(this.entities).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+              </select>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label">Action</label>
+              <select class="form-control form-select" id="auditAction">
+                <option value="">All actions</option>
+                ${Object.entries(this.actions).map(([value, a]) => `<option value="${value}">${a.icon} ${a.label}</option>`).join('')}
+              </select>
+            </div>
+          </div>
+
+          <div class="form-row">
+            <div class="form-group">
+              <label class="form-label">Changed By</label>
+              <input type="text" class="form-control" id="auditActor" placeholder="Admin email">
+            </div>
+
+            <div class="form-group">
+              <label class="form-label">Record ID</label>
+              <input type="text" class="form-control" id="auditEntityId" placeholder="e.g. inv_1737712345678">
+            </div>
+          </div>
+
+          <div class="form-row">
+            <div class="form-group">
+              <label class="form-label">From</label>
+              <input type="date" class="form-control" id="auditFrom">
+            </div>
+
+            <div class="form-group">
+              <label class="form-label">To</label>
+              <input type="date" class="form-control" id="auditTo">
+            </div>
+          </div>
+
+          <div style="display: flex; gap: var(--space-3);">
+            <button type="submit" class="btn btn-primary">🔍 Apply Filters</button>
+            <button type="button" class="btn btn-outline" onclick="Audit.resetFilters()">Reset</button>
+          </div>
+        </form>
+      </div>
+
+      <!-- Entries -->
+      <div class="card">
+        <div id="auditList">
+          <div class="loading"><div class="spinner"></div></div>
+        </div>
+        <div id="auditMore" style="text-align: center; padding: var(--space-4); display: none;">
+          <button class="btn btn-outline" onclick="Audit.loadMore()">⬇️ Load More</button>
+        </div>
+      </div>
+    `;
+
+    this.filters = {};
+    await this.load();
+  },
+
+  // =====================================================
+  // Loading & Filtering
+  // =====================================================
+
+  async load(append = false) {
+    const listDiv = document.getElementById('auditList');
+    if (!listDiv) return;
+
+    try {
+      const offset = append ? this.data.length : 0;
+      const entries = await DB.getAuditLog({ ...this.filters, limit: this.PAGE_SIZE, offset });
+
+      this.data = append ? this.data.concat(entries) : entries;
+      listDiv.innerHTML = this.renderList(this.data);
+      document.getElementById('auditMore').style.display = entries.length === this.PAGE_SIZE ? 'block' : 'none';
+    } catch (error) {
+      console.error('Error loading activity log:', error);
+      listDiv.innerHTML = `<p class="text-danger">${error.message || 'Error loading activity log.'}</p>`;
+    }
+  },
+
+  loadMore() {
+    this.load(true);
+  },
+
+  applyFilters(event) {
+    event.preventDefault();
+
+    this.filters = {
+      entity: document.getElementById('auditEntity').value,
+      action: document.getElementById('auditAction').value,
+      actor: document.getElementById('auditActor').value.trim(),
+      entityId: document.getElementById('auditEntityId').value.trim(),
+      from: document.getElementById('auditFrom').value,
+      to: document.getElementById('auditTo').value
+    };
+
+    this.load();
+  },
+
+  resetFilters() {
+    document.getElementById('auditFilterForm').reset();
+    this.filters = {};
+    this.load();
+  },
+
+  // =====================================================
+  // Rendering Helpers
+  // =====================================================
+
+  renderList(entries) {
+    if (entries.length === 0) {
+      return `
+        <div class="empty-state">
+          <div class="empty-state-icon">📜</div>
+          <p class="empty-state-title">No activity found</p>
+        </div>
+      `;
+    }
+
+    return `<ul class="list">${entries.map(e => this.renderEntry(e)).join('')}</ul>`;
+  },
+
+  renderEntry(entry) {
+    const action = this.actions[entry.action] || { label: entry.action, icon: '•', badge: 'primary' };
+    const snapshot = entry.after || entry.before || {};
+    const recordName = snapshot.name || snapshot.email || entry.entityId || '';
+
+    return `
+      <li class="list-item" style="flex-wrap: wrap;">
+        <div class="list-item-content">
+          <div class="list-item-title">
+            ${action.icon} ${action.label} ${this.entities[entry.entity] || entry.entity}
+            ${recordName ? `<span class="text-muted">· ${this.escape(recordName)}</span>` : ''}
+          </div>
+          <div class="list-item-subtitle">
+            👤 ${entry.adminEmail || 'System'} • 🕒 ${new Date(entry.createdAt).toLocaleString('en-IN')}
+            ${entry.ipAddress ? `• 🌐 ${entry.ipAddress}` : ''}
+          </div>
+          ${entry.action === 'update' ? this.renderChanges(entry.before, entry.after) : ''}
+          <details style="margin-top: var(--space-2); font-size: var(--font-size-sm);">
+            <summary style="cursor: pointer; color: var(--primary);">Show details</summary>
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(240px, 1fr)); gap: var(--space-3); margin-top: var(--space-2);">
+              ${entry.before ? `<div><strong>Before</strong><pre style="white-space: pre-wrap; background: var(--cream); padding: var(--space-2); border-radius: var(--radius-md);">${this.escape(JSON.stringify(entry.before, null, 2))}</pre></div>` : ''}
+              ${entry.after ? `<div><strong>After</strong><pre style="white-space: pre-wrap; background: var(--cream); padding: var(--space-2); border-radius: var(--radius-md);">${this.escape(JSON.stringify(entry.after, null, 2))}</pre></div>` : ''}
+            </div>
+          </details>
+        </div>
+        <span class="badge badge-${action.badge}">${entry.entityId || ''}</span>
+      </li>
+    `;
+  },
+
+  // List only the fields that actually changed in an update
+  renderChanges(before, after) {
+    if (!before || !after) return '';
+
+    const changed = Object.keys(after).filter(key =>
+      key !== 'updated_at' && JSON.stringify(before[key]) !== JSON.stringify(after[key])
+    );
+    if (changed.length === 0) return '';
+
+    return `
+      <div class="list-item-notes">
+        ${changed.map(key => `<div><strong>${key}</strong>: ${this.escape(this.formatValue(before[key]))} → ${this.escape(this.formatValue(after[key]))}</div>`).join('')}
+      </div>
+    `;
+  },
+
+  formatValue(value) {
+    if (value === undefined || value === null || value === '') return '—';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  },
+
+  escape(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+};
+
+// Make available globally
+window.Audit = Audit;
@@ -7,14 +7,12 @@ const Auth = {
   // Storage keys
   KEYS: {
     ADMIN: 'bc_admin_credentials',
-    SESSION: 'bc_admin_session',
-    CREDENTIAL_LOG: 'bc_credential_log'
+    SESSION: 'bc_admin_session'
   },
 
   // Configuration
   CONFIG: {
-    SESSION_TIMEOUT: 15 * 60 * 1000, // 15 minutes in ms
-    SALT_ROUNDS: 10
+    SESSION_TIMEOUT: 15 * 60 * 1000 // 15 minutes in ms
   },
 
   // Activity timer
@@ -25,15 +23,9 @@ const Auth = {
   // =====================================================
 
   /**
-   * Initialize auth - create default admin if not exists
+   * Initialize auth - resume activity tracking for an existing session
    */
   async init() {
-    // Create default admin if first time
-    // Default admin creation handled by database now
-    // if (!this.getAdminCredentials()) {
-    //   await this.createDefaultAdmin();
-    // }
-
     // Start activity tracking if logged in
     if (this.isLoggedIn()) {
       this.startActivityTimer();
@@ -41,68 +33,6 @@ const Auth = {
     }
   },
 
-  /**
-   * Create default admin credentials
-   */
-  async createDefaultAdmin() {
-    const defaultEmail = 'admin@inascafe.com';
-    const defaultPassword = 'Admin@123';
-    
-    // Hash the password
-    const hashedPassword = await this.hashPassword(defaultPassword);
-    
-    const admin = {
-      email: defaultEmail,
-      password: hashedPassword,
-      createdAt: new Date().toISOString(),
-      lastUpdated: new Date().toISOString()
-    };
-
-    localStorage.setItem(this.KEYS.ADMIN, JSON.stringify(admin));
-    console.log('Default admin created.');
-  },
-
-  // =====================================================
-  // Password Hashing (using simple hash for localStorage)
-  // In production, use bcryptjs with proper backend
-  // =====================================================
-
-  /**
-   * Hash password using SHA-256 + salt
-   * Note: For production, use bcryptjs on a server
-   */
-  async hashPassword(password) {
-    const salt = this.generateSalt();
-    const encoder = new TextEncoder();
-    const data = encoder.encode(salt + password);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-    return salt + ':' + hashHex;
-  },
-
-  /**
-   * Verify password against hash
-   */
-  async verifyPassword(password, storedHash) {
-    const [salt, hash] = storedHash.split(':');
-    const encoder = new TextEncoder();
-    const data = encoder.encode(salt + password);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-    return hash === hashHex;
-  },
-
-  /**
-   * Generate random salt
-   */
-  generateSalt() {
-    const array = new Uint8Array(16);
-    crypto.getRandomValues(array);
-    return Array.from(array, b => b.toString(16).padStart(2, '0')).join('');
-  },
-
   // =====================================================
   // Login / Logout
   // =====================================================
@@ -128,18 +58,16 @@ const Auth = {
       const data = await response.json();
 
       if (!response.ok) {
-        return { success: false, message: data.message || 'Login failed' };
+        // Lockout details (429) and remaining attempts come from the server
+        return this.errorResult(data, 'Login failed');
       }
 
-      // Success - create session
-      this.createSession(email);
-      this.startActivityTimer();
-      
-      // Store basic admin info for display
-      if (data.admin) {
-        localStorage.setItem(this.KEYS.ADMIN, JSON.stringify(data.admin));
+      // Password accepted, authenticator code still needed
+      if (data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: data.challengeToken, message: data.message };
       }
-      
+
+      this.completeLogin(email, data);
       return { success: true, message: data.message };
     } catch (error) {
       console.error('Login error:', error);
@@ -147,19 +75,89 @@ const Auth = {
     }
   },
 
+  /**
+   * Second login step for admins with 2FA: authenticator or recovery code
+   * @returns {Object} { success: boolean, message: string, code?: string }
+   */
+  async verifyTwoFactor(challengeToken, code) {
+    try {
+      const baseUrl = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1' || !window.location.hostname
+        ? 'http://localhost:5000'
+        : ''; // Use relative path for production
+
+      const response = await fetch(`${baseUrl}/api/auth/login/2fa`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ challengeToken, code })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        return this.errorResult(data, 'Verification failed');
+      }
+
+      this.completeLogin(data.admin.email, data);
+      return { success: true, message: data.message };
+    } catch (error) {
+      console.error('2FA error:', error);
+      return { success: false, message: 'Connection error. Is the server running?' };
+    }
+  },
+
+  /**
+   * Flatten the server's { error: { code, message, ... } } envelope into a failed result
+   */
+  errorResult(data, fallback) {
+    const { message, code, requestId, fields, ...details } = (data && data.error) || {};
+    return { success: false, message: message || fallback, code, ...details };
+  },
+
+  /**
+   * Store the session token and admin info after a successful login
+   */
+  completeLogin(email, data) {
+    this.createSession(email, data.token);
+    this.startActivityTimer();
+
+    // Store basic admin info for display
+    if (data.admin) {
+      localStorage.setItem(this.KEYS.ADMIN, JSON.stringify(data.admin));
+    }
+  },
+
   /**
    * Logout current session
    */
   logout() {
+    this.endServerSession();
     this.clearSession();
     this.stopActivityTimer();
     window.location.href = 'login.html';
   },
 
+  /**
+   * Revoke the current session on the server (best effort, survives the redirect)
+   */
+  endServerSession() {
+    if (!this.getToken()) return;
+
+    const baseUrl = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1' || !window.location.hostname
+      ? 'http://localhost:5000'
+      : ''; // Use relative path for production
+
+    fetch(`${baseUrl}/api/auth/logout`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.getAuthHeaders() },
+      keepalive: true
+    }).catch(() => {});
+  },
+
   /**
    * Force logout (after credential change)
    */
   forceLogout(message = 'Your session has expired. Please login again.') {
+    this.endServerSession();
     this.clearSession();
     this.stopActivityTimer();
     sessionStorage.setItem('bc_logout_message', message);
@@ -172,11 +170,13 @@ const Auth = {
 
   /**
    * Create new session
+   * @param {string} email
+   * @param {string} token - Signed token returned by /api/auth/login
    */
-  createSession(email) {
+  createSession(email, token) {
     const session = {
       email: email,
-      token: this.generateSessionToken(),
+      token: token,
       createdAt: new Date().toISOString(),
       lastActivity: Date.now()
     };
@@ -233,12 +233,19 @@ const Auth = {
   },
 
   /**
-   * Generate session token
+   * Get the API token for the current session
+   */
+  getToken() {
+    const session = this.getSession();
+    return session ? session.token : null;
+  },
+
+  /**
+   * Headers for authenticated API requests
    */
-  generateSessionToken() {
-    const array = new Uint8Array(32);
-    crypto.getRandomValues(array);
-    return Array.from(array, b => b.toString(16).padStart(2, '0')).join('');
+  getAuthHeaders() {
+    const token = this.getToken();
+    return token ? { 'Authorization': `Bearer ${token}` } : {};
   },
 
   // =====================================================
@@ -300,6 +307,21 @@ const Auth = {
     return admin ? admin.email : '';
   },
 
+  /**
+   * Get the logged-in admin's role (owner, manager or data-entry)
+   */
+  getRole() {
+    const admin = this.getAdminCredentials();
+    return admin ? admin.role : null;
+  },
+
+  /**
+   * Check whether the logged-in admin has one of the given roles
+   */
+  hasRole(...roles) {
+    return roles.includes(this.getRole());
+  },
+
   /**
    * Get masked email for display
    */
@@ -330,21 +352,24 @@ const Auth = {
 
       const response = await fetch(`${baseUrl}/api/auth/profile`, {
         method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...this.getAuthHeaders() },
         body: JSON.stringify({
-          id: admin.id,
           currentPassword,
           newEmail
         })
       });
 
+      if (response.status === 401) {
+        this.forceLogout();
+        return { success: false, message: 'Your session has expired. Please login again.' };
+      }
+
       const data = await response.json();
       
       if (response.ok) {
-        this.logCredentialChange('email');
         return { success: true, message: data.message };
       } else {
-        return { success: false, message: data.message || 'Update failed' };
+        return this.errorResult(data, 'Update failed');
       }
     } catch (error) {
       console.error('Update email error:', error);
@@ -370,21 +395,24 @@ const Auth = {
 
       const response = await fetch(`${baseUrl}/api/auth/profile`, {
         method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...this.getAuthHeaders() },
         body: JSON.stringify({
-          id: admin.id,
           currentPassword,
           newPassword
         })
       });
 
+      if (response.status === 401) {
+        this.forceLogout();
+        return { success: false, message: 'Your session has expired. Please login again.' };
+      }
+
       const data = await response.json();
       
       if (response.ok) {
-        this.logCredentialChange('password');
         return { success: true, message: data.message };
       } else {
-        return { success: false, message: data.message || 'Update failed' };
+        return this.errorResult(data, 'Update failed');
       }
     } catch (error) {
       console.error('Update password error:', error);
@@ -392,6 +420,56 @@ const Auth = {
     }
   },
 
+  /**
+   * Ask the server to email a password reset code
+   */
+  async requestPasswordReset(email) {
+    try {
+      const baseUrl = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1' || !window.location.hostname
+        ? 'http://localhost:5000'
+        : ''; // Use relative path for production
+
+      const response = await fetch(`${baseUrl}/api/auth/forgot`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email })
+      });
+
+      const data = await response.json();
+      return response.ok
+        ? { success: true, message: data.message || 'Reset code sent' }
+        : this.errorResult(data, 'Request failed');
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      return { success: false, message: 'Connection error. Is the server running?' };
+    }
+  },
+
+  /**
+   * Set a new password with an emailed reset code
+   */
+  async resetPassword(email, code, newPassword) {
+    try {
+      const baseUrl = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1' || !window.location.hostname
+        ? 'http://localhost:5000'
+        : ''; // Use relative path for production
+
+      const response = await fetch(`${baseUrl}/api/auth/reset`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email, code, newPassword })
+      });
+
+      const data = await response.json();
+      return response.ok
+        ? { success: true, message: data.message || 'Password reset' }
+        : this.errorResult(data, 'Reset failed');
+    } catch (error) {
+      console.error('Reset password error:', error);
+      return { success: false, message: 'Connection error. Is the server running?' };
+    }
+  },
+
   /**
    * Validate password strength
    */
@@ -428,34 +506,6 @@ const Auth = {
     return Math.min(score, 4);
   },
 
-  /**
-   * Log credential changes
-   */
-  logCredentialChange(type) {
-    const logs = this.getCredentialLogs();
-    logs.push({
-      type: type,
-      timestamp: new Date().toISOString(),
-      session: this.getSession()?.token?.substring(0, 8) || 'unknown'
-    });
-    
-    // Keep only last 10 logs
-    const recentLogs = logs.slice(-10);
-    localStorage.setItem(this.KEYS.CREDENTIAL_LOG, JSON.stringify(recentLogs));
-  },
-
-  /**
-   * Get credential change logs
-   */
-  getCredentialLogs() {
-    try {
-      const data = localStorage.getItem(this.KEYS.CREDENTIAL_LOG);
-      return data ? JSON.parse(data) : [];
-    } catch {
-      return [];
-    }
-  },
-
   // =====================================================
   // Route Protection
   // =====================================================
@@ -10,6 +10,9 @@ const Customers = {
   // Cached customers for filtering
   data: [],
 
+  // Cached subscription plans for the form and cards
+  plans: [],
+
   // =====================================================
   // Render
   // =====================================================
@@ -17,6 +20,7 @@ const Customers = {
   async render() {
     const pageContent = document.getElementById('pageContent');
     this.data = await DB.getCustomers(); // Cache data
+    this.plans = await DB.getPlans();
     
     pageContent.innerHTML = `
       <div class="card-header" style="background: none; padding: 0; border: none; margin-bottom: var(--space-6);">
@@ -81,6 +85,21 @@ const Customers = {
                           placeholder="Full address" rows="2"></textarea>
               </div>
               
+              <div class="form-row">
+                <div class="form-group">
+                  <label class="form-label">Plan</label>
+                  <select class="form-control form-select" id="custPlan">
+                    <option value="">Custom terms</option>
+                    ${this.plans.map(p => `<option value="${p.id}">${p.name}</option>`).join('')}
+                  </select>
+                </div>
+
+                <div class="form-group" id="custEffectiveGroup">
+                  <label class="form-label">Changes Effective From</label>
+                  <input type="date" class="form-control" id="custEffectiveDate" title="Plan changes without a date correct the current terms; a pause or resume without one starts today">
+                </div>
+              </div>
+
               <div class="form-row">
                 <div class="form-group">
                   <label class="form-label required">Subscription Type</label>
@@ -91,15 +110,38 @@ const Customers = {
                 </div>
                 
                 <div class="form-group">
-                  <label class="form-label required">Daily Amount (₹)</label>
-                  <input type="number" class="form-control" id="custAmount" 
-                         value="300" min="0" step="10" required>
+                  <label class="form-label required">Pricing</label>
+                  <select class="form-control form-select" id="custPricing" required>
+                    <option value="combination">Single price</option>
+                    <option value="per_meal">Price per meal</option>
+                  </select>
+                </div>
+              </div>
+
+              <div class="form-group" id="custAmountGroup">
+                <label class="form-label required">Daily Amount (₹)</label>
+                <input type="number" class="form-control" id="custAmount" 
+                       value="300" min="0" step="10" required>
+              </div>
+
+              <div class="form-row" id="custMealPrices" style="display: none;">
+                <div class="form-group">
+                  <label class="form-label">🌅 Breakfast (₹)</label>
+                  <input type="number" class="form-control" id="custBreakfastPrice" min="0" step="5">
+                </div>
+                <div class="form-group">
+                  <label class="form-label">☀️ Lunch (₹)</label>
+                  <input type="number" class="form-control" id="custLunchPrice" min="0" step="5">
+                </div>
+                <div class="form-group">
+                  <label class="form-label">🌙 Dinner (₹)</label>
+                  <input type="number" class="form-control" id="custDinnerPrice" min="0" step="5">
                 </div>
               </div>
               
               <div class="form-group">
                 <label class="form-label required">Food Times</label>
-                <div class="form-check-group" style="margin-bottom: var(--space-4);">
+                <div class="form-check-group" id="custMealTimes" style="margin-bottom: var(--space-4);">
                   <label class="form-check">
                     <input type="checkbox" class="form-check-input" name="custMealType" value="breakfast" checked>
                     <span class="form-check-label">🌅 Breakfast</span>
@@ -113,12 +155,28 @@ const Customers = {
                     <span class="form-check-label">🌙 Dinner</span>
                   </label>
                 </div>
+                <p id="custEstimate" style="color: var(--neutral-600);"></p>
               </div>
 
               <div class="form-row">
                 <div class="form-group" style="width: 100%;">
                   <label class="form-label">Referral (Optional)</label>
                   ${CustomerSearch.create('custReferralSearch', null, 'Search existing or type name...', false, false)}
+                  <span class="form-text">Pick an existing customer to give them the referral reward</span>
+                </div>
+              </div>
+
+              <div class="form-row">
+                <div class="form-group">
+                  <label class="form-label">GSTIN (Business customers)</label>
+                  <input type="text" class="form-control" id="custGstin" maxlength="15"
+                         placeholder="e.g., 27ABCDE1234F1Z5" style="text-transform: uppercase;">
+                </div>
+
+                <div class="form-group">
+                  <label class="form-label">GST State Code</label>
+                  <input type="text" class="form-control" id="custStateCode" maxlength="2" inputmode="numeric"
+                         placeholder="From GSTIN, else ours">
                 </div>
               </div>
               
@@ -127,7 +185,14 @@ const Customers = {
                   <label class="form-label required">Start Date</label>
                   <input type="date" class="form-control" id="custStartDate" required>
                 </div>
-                
+
+                <div class="form-group">
+                  <label class="form-label">End Date (Optional)</label>
+                  <input type="date" class="form-control" id="custEndDate">
+                </div>
+              </div>
+
+              <div class="form-row">
                 <div class="form-group">
                   <label class="form-label required">Status</label>
                   <select class="form-control form-select" id="custStatus" required>
@@ -145,6 +210,57 @@ const Customers = {
           </div>
         </div>
       </div>
+
+      <!-- Leave Calendar Modal -->
+      <div class="modal-overlay" id="leaveModal">
+        <div class="modal">
+          <div class="modal-header">
+            <h3 class="modal-title" id="leaveModalTitle">Leave Calendar</h3>
+            <button class="modal-close" onclick="App.closeModal('leaveModal')">×</button>
+          </div>
+          <div class="modal-body">
+            <form id="leaveForm" onsubmit="Customers.saveLeave(event)">
+              <div class="form-row">
+                <div class="form-group">
+                  <label class="form-label required">From</label>
+                  <input type="date" class="form-control" id="leaveStart" required>
+                </div>
+                <div class="form-group">
+                  <label class="form-label required">To</label>
+                  <input type="date" class="form-control" id="leaveEnd" required>
+                </div>
+              </div>
+
+              <div class="form-group">
+                <label class="form-label">Meals Skipped</label>
+                <div class="form-check-group" id="leaveMeals">
+                  <label class="form-check">
+                    <input type="checkbox" class="form-check-input" name="leaveMealType" value="breakfast" checked>
+                    <span class="form-check-label">🌅 Breakfast</span>
+                  </label>
+                  <label class="form-check">
+                    <input type="checkbox" class="form-check-input" name="leaveMealType" value="lunch" checked>
+                    <span class="form-check-label">☀️ Lunch</span>
+                  </label>
+                  <label class="form-check">
+                    <input type="checkbox" class="form-check-input" name="leaveMealType" value="dinner" checked>
+                    <span class="form-check-label">🌙 Dinner</span>
+                  </label>
+                </div>
+              </div>
+
+              <div class="form-group">
+                <label class="form-label">Reason (optional)</label>
+                <input type="text" class="form-control" id="leaveReason" placeholder="e.g. Out of town">
+              </div>
+
+              <button type="submit" class="btn btn-primary btn-block">➕ Add Leave</button>
+            </form>
+
+            <div id="leaveList" style="margin-top: var(--space-4);"></div>
+          </div>
+        </div>
+      </div>
     `;
 
     // Set default start date
@@ -191,18 +307,24 @@ const Customers = {
             </div>
             <div class="list-item-subtitle">
               <span class="customer-meta">📱 ${c.mobile}</span>
+              ${this.planBadge(c.planId)}
               <span class="customer-meta">💰 ₹${c.dailyAmount}/${c.subscriptionType === 'monthly' ? 'month' : 'day'}</span>
+              ${c.pricing === 'per_meal' ? `<span class="customer-meta">🍽️ Per meal</span>` : ''}
               <span class="customer-meta">📝 ${c.subscriptionType}</span>
+              ${this.balanceBadge(c.balance)}
               ${c.referral ? `<span class="customer-meta">👤 Ref: ${c.referral}</span>` : ''}
             </div>
             <div class="list-item-subtitle" style="margin-top: 4px;">
               ${c.address ? `<span class="customer-meta" title="${c.address}">🏠 ${c.address}</span>` : ''}
               <span class="customer-meta">📅 Start: ${App.formatDate(c.startDate)}</span>
+              ${c.endDate ? `<span class="customer-meta">🏁 Ends: ${App.formatDate(c.endDate)}</span>` : ''}
             </div>
           </div>
           <div class="customer-status-actions">
             <span class="badge badge-${statusClass}">${statusLabel}</span>
             <div class="list-item-actions">
+              <button class="btn btn-sm btn-outline" onclick="Customers.toggleStatus('${c.id}')" title="${c.status === 'active' ? 'Pause from today' : 'Resume from today'}">${c.status === 'active' ? '⏸️' : '▶️'}</button>
+              <button class="btn btn-sm btn-outline" onclick="Customers.openLeaves('${c.id}')" title="Leave Calendar">🏖️</button>
               <button class="btn btn-sm btn-outline" onclick="Customers.edit('${c.id}')" title="Edit">✏️</button>
               <button class="btn btn-sm btn-danger" onclick="Customers.delete('${c.id}')" title="Delete">🗑️</button>
             </div>
@@ -216,6 +338,115 @@ const Customers = {
     return html;
   },
 
+  // Account balance: credit carried forward to the next invoice, or what is due
+  balanceBadge(balance) {
+    if (!balance) return '';
+    const amount = Math.abs(balance).toLocaleString('en-IN');
+    return balance > 0
+      ? `<span class="customer-meta" style="color: var(--success);" title="Applied to the next invoice">💳 Credit: ₹${amount}</span>`
+      : `<span class="customer-meta" style="color: var(--danger);">💳 Due: ₹${amount}</span>`;
+  },
+
+  // =====================================================
+  // Leave Calendar
+  // =====================================================
+
+  async openLeaves(customerId) {
+    const customer = this.data.find(c => c.id === customerId);
+    this.leaveCustomerId = customerId;
+
+    document.getElementById('leaveModalTitle').textContent = `Leave Calendar - ${customer ? customer.name : ''}`;
+    document.getElementById('leaveForm').reset();
+    const today = new Date().toISOString().split('T')[0];
+    document.getElementById('leaveStart').value = today;
+    document.getElementById('leaveEnd').value = today;
+
+    App.openModal('leaveModal');
+    await this.loadLeaves();
+  },
+
+  async loadLeaves() {
+    const list = document.getElementById('leaveList');
+    list.innerHTML = '<div class="loading"><div class="spinner"></div></div>';
+
+    try {
+      const leaves = await DB.getCustomerLeaves(this.leaveCustomerId);
+      if (leaves.length === 0) {
+        list.innerHTML = '<p class="text-muted text-center">No leaves recorded</p>';
+        return;
+      }
+
+      list.innerHTML = `
+        <ul class="list">
+          ${leaves.map(l => `
+            <li class="list-item">
+              <div class="list-item-content">
+                <div class="list-item-title">
+                  ${App.formatDate(l.startDate)}${l.endDate !== l.startDate ? ` → ${App.formatDate(l.endDate)}` : ''}
+                </div>
+                <div class="list-item-subtitle">
+                  ${l.meals ? l.meals.join(', ') : 'Whole day'}
+                  ${l.reason ? `• <span class="text-muted">${l.reason}</span>` : ''}
+                </div>
+              </div>
+              <div class="list-item-actions">
+                <button class="btn btn-sm btn-danger" onclick="Customers.deleteLeave('${l.id}')" title="Delete">🗑️</button>
+              </div>
+            </li>
+          `).join('')}
+        </ul>
+      `;
+    } catch (error) {
+      console.error('Error loading leaves:', error);
+      list.innerHTML = '<p class="text-danger">Error loading leaves.</p>';
+    }
+  },
+
+  async saveLeave(event) {
+    event.preventDefault();
+    App.clearFieldErrors(event.target);
+
+    const meals = Array.from(document.querySelectorAll('input[name="leaveMealType"]:checked')).map(cb => cb.value);
+    if (meals.length === 0) {
+      App.showToast('Select at least one meal', 'error');
+      return;
+    }
+
+    try {
+      await DB.addCustomerLeave(this.leaveCustomerId, {
+        startDate: document.getElementById('leaveStart').value,
+        endDate: document.getElementById('leaveEnd').value,
+        // All three ticked means the whole day
+        meals: meals.length === 3 ? undefined : meals,
+        reason: document.getElementById('leaveReason').value.trim()
+      });
+      App.showToast('Leave added', 'success');
+      document.getElementById('leaveReason').value = '';
+      await this.loadLeaves();
+    } catch (error) {
+      console.error('Save leave error:', error);
+      App.showFieldErrors(error.fields, {
+        startDate: 'leaveStart',
+        endDate: 'leaveEnd',
+        reason: 'leaveReason'
+      });
+      App.showToast(error.message || 'Error saving leave', 'error');
+    }
+  },
+
+  async deleteLeave(leaveId) {
+    App.confirm('Delete this leave? It will be billed again.', async () => {
+      try {
+        await DB.deleteCustomerLeave(this.leaveCustomerId, leaveId);
+        App.showToast('Leave deleted', 'success');
+        await this.loadLeaves();
+      } catch (error) {
+        console.error('Delete leave error:', error);
+        App.showToast(error.message || 'Error deleting leave', 'error');
+      }
+    });
+  },
+
   filterList() {
     const query = document.getElementById('customerListSearch').value.toLowerCase().trim();
     const container = document.getElementById('customerListContainer');
@@ -254,6 +485,7 @@ const Customers = {
     const form = document.getElementById('customerForm');
     
     form.reset();
+    App.clearFieldErrors(form);
     
     if (customerId) {
       // Edit mode
@@ -270,6 +502,13 @@ const Customers = {
       document.getElementById('custSubType').value = customer.subscriptionType;
       this.updateAmountLabel(customer.subscriptionType);
       document.getElementById('custAmount').value = customer.dailyAmount;
+      document.getElementById('custPlan').value = customer.planId || '';
+      document.getElementById('custPricing').value = customer.pricing || 'combination';
+      document.getElementById('custBreakfastPrice').value = customer.breakfastPrice ?? '';
+      document.getElementById('custLunchPrice').value = customer.lunchPrice ?? '';
+      document.getElementById('custDinnerPrice').value = customer.dinnerPrice ?? '';
+      document.getElementById('custGstin').value = customer.gstin || '';
+      document.getElementById('custStateCode').value = customer.stateCode || '';
       
       // Populate meal times
       const mealTimes = customer.mealTimes || ['breakfast', 'lunch', 'dinner'];
@@ -277,15 +516,13 @@ const Customers = {
         cb.checked = mealTimes.includes(cb.value);
       });
       
-      document.querySelectorAll('input[name="custMealType"]').forEach(cb => {
-        cb.checked = mealTimes.includes(cb.value);
-      });
-      
       // Removed Advance Amount field population
       
       // Update referral search
       CustomerSearch.clear('custReferralSearch');
-      if (customer.referral) {
+      if (customer.referredBy) {
+        CustomerSearch.select('custReferralSearch', customer.referredBy);
+      } else if (customer.referral) {
         const referralInput = document.getElementById('custReferralSearchInput');
         if (referralInput) referralInput.value = customer.referral;
       }
@@ -299,6 +536,7 @@ const Customers = {
       } else {
         document.getElementById('custStartDate').value = '';
       }
+      document.getElementById('custEndDate').value = customer.endDate || '';
       document.getElementById('custStatus').value = customer.status;
     } else {
       // Add mode
@@ -314,11 +552,81 @@ const Customers = {
     
     // Add listener for sub type
     const subTypeSelect = document.getElementById('custSubType');
-    subTypeSelect.onchange = (e) => this.updateAmountLabel(e.target.value);
+    subTypeSelect.onchange = (e) => {
+      this.updateAmountLabel(e.target.value);
+      this.updateEstimate();
+    };
+
+    // Terms only change from a date when editing; new customers start on their start date
+    document.getElementById('custEffectiveGroup').style.display = customerId ? '' : 'none';
+    document.getElementById('custPlan').onchange = () => this.applyPlan();
+    this.applyPlan(false);
+
+    // Pricing and meal changes move the estimate
+    document.getElementById('custPricing').onchange = () => this.updatePricing();
+    form.querySelectorAll('#custAmount, #custMealPrices input, input[name="custMealType"]')
+      .forEach(el => el.oninput = () => this.updateEstimate());
+    this.updatePricing();
     
     App.openModal('customerModal');
   },
 
+  planBadge(planId) {
+    const plan = this.plans.find(p => p.id === planId);
+    return plan ? `<span class="customer-meta">📦 ${plan.name}</span>` : '';
+  },
+
+  // Copy the chosen plan's terms into the form and lock them; custom terms stay editable
+  applyPlan(fill = true) {
+    const plan = this.plans.find(p => p.id === document.getElementById('custPlan').value);
+    const inputs = ['custSubType', 'custPricing', 'custAmount', 'custBreakfastPrice', 'custLunchPrice', 'custDinnerPrice']
+      .map(id => document.getElementById(id))
+      .concat(Array.from(document.querySelectorAll('input[name="custMealType"]')));
+    inputs.forEach(el => el.disabled = !!plan);
+
+    if (plan && fill) {
+      document.getElementById('custSubType').value = plan.subscriptionType;
+      document.getElementById('custPricing').value = plan.pricing;
+      document.getElementById('custAmount').value = plan.dailyAmount;
+      document.getElementById('custBreakfastPrice').value = plan.breakfastPrice ?? '';
+      document.getElementById('custLunchPrice').value = plan.lunchPrice ?? '';
+      document.getElementById('custDinnerPrice').value = plan.dinnerPrice ?? '';
+      document.querySelectorAll('input[name="custMealType"]').forEach(cb => {
+        cb.checked = plan.mealTimes.includes(cb.value);
+      });
+      this.updateAmountLabel(plan.subscriptionType);
+    }
+    this.updatePricing();
+  },
+
+  // Show either the single amount or the per-meal prices
+  updatePricing() {
+    const perMeal = document.getElementById('custPricing').value === 'per_meal';
+    document.getElementById('custAmountGroup').style.display = perMeal ? 'none' : '';
+    document.getElementById('custAmount').required = !perMeal;
+    document.getElementById('custMealPrices').style.display = perMeal ? '' : 'none';
+    this.updateEstimate();
+  },
+
+  // Rough monthly bill for the form's current values: a daily plan over 30 days
+  updateEstimate() {
+    const type = document.getElementById('custSubType').value;
+    const meals = Array.from(document.querySelectorAll('input[name="custMealType"]:checked')).map(cb => cb.value);
+    let rate = parseFloat(document.getElementById('custAmount').value) || 0;
+
+    if (document.getElementById('custPricing').value === 'per_meal') {
+      rate = meals.reduce((total, meal) => {
+        const input = document.getElementById(`cust${meal[0].toUpperCase()}${meal.slice(1)}Price`);
+        return total + (parseFloat(input.value) || 0);
+      }, 0);
+    }
+
+    const monthly = type === 'monthly' ? rate : rate * 30;
+    document.getElementById('custEstimate').textContent = type === 'monthly'
+      ? `Estimated monthly bill: ${App.formatCurrency(monthly)}`
+      : `Estimated monthly bill: ${App.formatCurrency(monthly)} (${App.formatCurrency(rate)}/day × 30 days)`;
+  },
+
   updateAmountLabel(type) {
     const label = document.querySelector('label[for="custAmount"]') || 
                   document.getElementById('custAmount').previousElementSibling;
@@ -334,6 +642,7 @@ const Customers = {
 
   async save(event) {
     event.preventDefault();
+    App.clearFieldErrors(event.target);
     
     const data = {
       name: document.getElementById('custName').value.trim(),
@@ -345,11 +654,20 @@ const Customers = {
       advanceAmount: 0, // Removed field, set to 0
       referral: '', // Placeholder, set below
       startDate: document.getElementById('custStartDate').value,
+      endDate: document.getElementById('custEndDate').value || null,
+      pricing: document.getElementById('custPricing').value,
+      breakfastPrice: document.getElementById('custBreakfastPrice').value || null,
+      lunchPrice: document.getElementById('custLunchPrice').value || null,
+      dinnerPrice: document.getElementById('custDinnerPrice').value || null,
+      planId: document.getElementById('custPlan').value || null,
+      gstin: document.getElementById('custGstin').value.trim().toUpperCase() || null,
+      stateCode: document.getElementById('custStateCode').value.trim() || null,
       status: document.getElementById('custStatus').value
     };
     
-    // Get referral - from search selection or manual text
+    // Get referral - from search selection (which earns them the referral reward) or manual text
     const referralId = CustomerSearch.getValue('custReferralSearch');
+    data.referredBy = referralId || null;
     if (referralId) {
       const refCustomer = await DB.getCustomer(referralId);
       data.referral = refCustomer ? `${refCustomer.name} (${refCustomer.mobile})` : '';
@@ -371,6 +689,8 @@ const Customers = {
     try {
       if (this.editId) {
         // Update existing
+        const effectiveDate = document.getElementById('custEffectiveDate').value;
+        if (effectiveDate) data.effectiveDate = effectiveDate;
         await DB.updateCustomer(this.editId, data);
         App.showToast('Customer updated successfully!', 'success');
       } else {
@@ -383,7 +703,28 @@ const Customers = {
       await this.render();
     } catch (error) {
       console.error('Save error:', error);
-      App.showToast('Error saving customer', 'error');
+      App.showFieldErrors(error.fields, {
+        name: 'custName',
+        mobile: 'custMobile',
+        address: 'custAddress',
+        subscriptionType: 'custSubType',
+        dailyAmount: 'custAmount',
+        mealTimes: 'custMealTimes',
+        referral: 'custReferralSearchInput',
+        referredBy: 'custReferralSearchInput',
+        startDate: 'custStartDate',
+        endDate: 'custEndDate',
+        pricing: 'custPricing',
+        planId: 'custPlan',
+        effectiveDate: 'custEffectiveDate',
+        breakfastPrice: 'custBreakfastPrice',
+        lunchPrice: 'custLunchPrice',
+        dinnerPrice: 'custDinnerPrice',
+        gstin: 'custGstin',
+        stateCode: 'custStateCode',
+        status: 'custStatus'
+      });
+      App.showToast(error.message || 'Error saving customer', 'error');
     }
   },
 
@@ -402,9 +743,14 @@ const Customers = {
     App.confirm(
       `Are you sure you want to delete "${customer.name}"? This cannot be undone.`,
       async () => {
-        await DB.deleteCustomer(id);
-        App.showToast('Customer deleted', 'success');
-        await this.render();
+        try {
+          await DB.deleteCustomer(id);
+          App.showToast('Customer deleted', 'success');
+          await this.render();
+        } catch (error) {
+          console.error('Delete error:', error);
+          App.showToast(error.message || 'Error deleting customer', 'error');
+        }
       }
     );
   },
@@ -16,12 +16,19 @@ const DB = {
   async fetchAPI(endpoint, options = {}) {
     try {
       const response = await fetch(`${this.API_URL}${endpoint}`, {
+        ...options,
         headers: {
           'Content-Type': 'application/json',
+          ...Auth.getAuthHeaders(),
           ...options.headers
-        },
-        ...options
+        }
       });
+
+      // Token missing, expired or rejected by the server
+      if (response.status === 401) {
+        Auth.forceLogout();
+        throw new Error('Your session has expired. Please login again.');
+      }
       
       const contentType = response.headers.get('content-type');
       if (contentType && contentType.indexOf('application/json') === -1) {
@@ -31,8 +38,18 @@ const DB = {
       }
 
       if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.message || 'API request failed');
+        const errorData = await response.json().catch(() => ({}));
+        const { code, message, requestId, fields } = errorData.error || {};
+        // Quote the request id on server faults so it can be matched to the logs
+        const apiError = new Error(
+          code === 'INTERNAL_ERROR' && requestId ? `${message} (ref: ${requestId})` : (message || 'API request failed')
+        );
+        apiError.code = code;
+        apiError.status = response.status;
+        apiError.requestId = requestId;
+        // Field-level validation messages: { field: message }
+        apiError.fields = fields || null;
+        throw apiError;
       }
       
       return await response.json();
@@ -73,6 +90,15 @@ const DB = {
         advanceAmount: parseFloat(customer.advanceAmount) || 0,
         referral: customer.referral || '',
         startDate: customer.startDate || new Date().toISOString().split('T')[0],
+        endDate: customer.endDate || null,
+        pricing: customer.pricing || 'combination',
+        breakfastPrice: customer.breakfastPrice ?? null,
+        lunchPrice: customer.lunchPrice ?? null,
+        dinnerPrice: customer.dinnerPrice ?? null,
+        planId: customer.planId || null,
+        gstin: customer.gstin || null,
+        stateCode: customer.stateCode || null,
+        referredBy: customer.referredBy || null,
         status: customer.status || 'active'
       })
     });
@@ -91,6 +117,110 @@ const DB = {
     });
   },
 
+  // Leave calendar: days (or meals) taken off the subscription
+  async getCustomerLeaves(customerId) {
+    return this.fetchAPI(`/customers/${customerId}/leaves`);
+  },
+
+  async addCustomerLeave(customerId, leave) {
+    return this.fetchAPI(`/customers/${customerId}/leaves`, {
+      method: 'POST',
+      body: JSON.stringify(leave)
+    });
+  },
+
+  async deleteCustomerLeave(customerId, leaveId) {
+    return this.fetchAPI(`/customers/${customerId}/leaves/${leaveId}`, {
+      method: 'DELETE'
+    });
+  },
+
+  // Plan history: the terms a customer was billed on, latest first
+  async getCustomerPlans(customerId) {
+    return this.fetchAPI(`/customers/${customerId}/plans`);
+  },
+
+  // Referral rewards the customer earned, with what is left of each
+  async getCustomerReferrals(customerId) {
+    return this.fetchAPI(`/customers/${customerId}/referrals`);
+  },
+
+  // =====================================================
+  // Subscription Plan Operations
+  // =====================================================
+
+  async getPlans() {
+    return this.fetchAPI('/plans');
+  },
+
+  async getPlan(id) {
+    return this.fetchAPI(`/plans/${id}`);
+  },
+
+  async addPlan(plan) {
+    return this.fetchAPI('/plans', {
+      method: 'POST',
+      body: JSON.stringify(plan)
+    });
+  },
+
+  // Name, description and validity only; prices go through changePlanPrice
+  async updatePlan(id, updates) {
+    return this.fetchAPI(`/plans/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates)
+    });
+  },
+
+  // New prices for the plan and all its customers from change.effectiveDate
+  async changePlanPrice(id, change) {
+    return this.fetchAPI(`/plans/${id}/price-changes`, {
+      method: 'POST',
+      body: JSON.stringify(change)
+    });
+  },
+
+  async deletePlan(id) {
+    return this.fetchAPI(`/plans/${id}`, {
+      method: 'DELETE'
+    });
+  },
+
+  // =====================================================
+  // Discount Operations
+  // =====================================================
+
+  // filters: { customerId, planId, coupons }
+  async getDiscounts(filters = {}) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') params.append(key, value);
+    });
+
+    const query = params.toString();
+    return this.fetchAPI(`/discounts${query ? '?' + query : ''}`);
+  },
+
+  async addDiscount(discount) {
+    return this.fetchAPI('/discounts', {
+      method: 'POST',
+      body: JSON.stringify(discount)
+    });
+  },
+
+  async updateDiscount(id, updates) {
+    return this.fetchAPI(`/discounts/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates)
+    });
+  },
+
+  async deleteDiscount(id) {
+    return this.fetchAPI(`/discounts/${id}`, {
+      method: 'DELETE'
+    });
+  },
+
   // =====================================================
   // Menu Item Operations
   // =====================================================
@@ -122,7 +252,9 @@ const DB = {
         category: menuItem.category,
         price: parseFloat(menuItem.price) || 0,
         description: menuItem.description || '',
-        available: menuItem.available !== false
+        available: menuItem.available !== false,
+        taxRate: menuItem.taxRate,
+        hsnCode: menuItem.hsnCode
       })
     });
   },
@@ -157,14 +289,6 @@ const DB = {
     return this.fetchAPI(`/extras/date/${date}`);
   },
 
-  async getExtrasByCustomerAndMonth(customerId, year, month) {
-    const extras = await this.getExtrasByCustomer(customerId);
-    return extras.filter(e => {
-      const d = new Date(e.date);
-      return d.getFullYear() === year && d.getMonth() === month;
-    });
-  },
-
   async getExtras(customerId, date, mealType) {
     const extras = await this.getExtrasByDate(date);
     return extras.filter(e => e.customerId === customerId && e.mealType === mealType);
@@ -221,8 +345,9 @@ const DB = {
   // Invoice / Pending Amount Operations
   // =====================================================
 
+  // Unpaid and partially paid invoices; balance is what is still due
   async getPendingInvoices() {
-    return this.fetchAPI('/invoices?status=pending');
+    return this.fetchAPI('/invoices?status=outstanding');
   },
 
   async getPaidInvoices() {
@@ -250,141 +375,240 @@ const DB = {
   },
 
   // =====================================================
-  // Invoice Generation Helpers
+  // Payments
   // =====================================================
 
-  async generateInvoiceData(customerId, year, month) {
-    const customer = await this.getCustomer(customerId);
-    if (!customer) return null;
+  async getPayments(filters = {}) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.append(key, value);
+    });
 
-    const extras = await this.getExtrasByCustomerAndMonth(customerId, year, month);
-    const daysInMonth = new Date(year, month + 1, 0).getDate();
-    
-    const dateWiseData = [];
-    let breakfastTotal = 0;
-    let lunchTotal = 0;
-    let dinnerTotal = 0;
-    
-    const menuItems = await this.getMenuItems();
-    const findMenuItem = (id) => menuItems.find(m => m.id === id);
+    const query = params.toString();
+    return this.fetchAPI(`/payments${query ? '?' + query : ''}`);
+  },
 
-    for (let day = 1; day <= daysInMonth; day++) {
-      const dateStr = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
-      
-      // Helper to match dates ignoring time
-      const matchDate = (extraDate) => {
-        const d = new Date(extraDate);
-        const dStr = d.toISOString().split('T')[0];
-        return dStr === dateStr;
-      };
-
-      const dayBreakfasts = extras.filter(e => matchDate(e.date) && e.mealType === 'breakfast');
-      const dayLunches = extras.filter(e => matchDate(e.date) && e.mealType === 'lunch');
-      const dayDinners = extras.filter(e => matchDate(e.date) && e.mealType === 'dinner');
-      
-      dayBreakfasts.forEach(e => breakfastTotal += parseFloat(e.price));
-      dayLunches.forEach(e => lunchTotal += parseFloat(e.price));
-      dayDinners.forEach(e => dinnerTotal += parseFloat(e.price));
-      
-      dateWiseData.push({
-        date: dateStr,
-        day,
-        breakfast: dayBreakfasts.length > 0 ? dayBreakfasts.map(e => this.formatExtraDisplay(e, findMenuItem(e.menuItemId))).join('<br>') : '-',
-        lunch: dayLunches.length > 0 ? dayLunches.map(e => this.formatExtraDisplay(e, findMenuItem(e.menuItemId))).join('<br>') : '-',
-        dinner: dayDinners.length > 0 ? dayDinners.map(e => this.formatExtraDisplay(e, findMenuItem(e.menuItemId))).join('<br>') : '-'
-      });
-    }
+  // payment: { customerId, amount, mode, reference, date, notes, allocations?: [{ invoiceId, amount }] }
+  // Without allocations the server settles the customer's oldest invoices first
+  async recordPayment(payment) {
+    return this.fetchAPI('/payments', {
+      method: 'POST',
+      body: JSON.stringify(payment)
+    });
+  },
 
-    let subscriptionTotal = customer.subscriptionType === 'monthly' ? parseFloat(customer.dailyAmount) : parseFloat(customer.dailyAmount) * daysInMonth;
-    const extrasTotal = breakfastTotal + lunchTotal + dinnerTotal;
-    
-    // Fetch advance payments for this month/year
-    const advancePayments = await this.getAdvancePayments(customerId, year);
-    // Filter for specific month if needed, but the API might return all for year. 
-    // Let's filter in JS to be safe if API returns more.
-    const relevantAdvances = advancePayments.filter(p => p.month === month + 1); // API expects 1-12
-    
-    let totalAdvance = 0;
-    relevantAdvances.forEach(p => totalAdvance += parseFloat(p.amount));
-    
-    const grandTotal = subscriptionTotal + extrasTotal - totalAdvance;
+  async deletePayment(id) {
+    return this.fetchAPI(`/payments/${id}`, {
+      method: 'DELETE'
+    });
+  },
+
+  // =====================================================
+  // Admin User Operations (owner only)
+  // =====================================================
+
+  async getAdmins() {
+    return this.fetchAPI('/admins');
+  },
+
+  async addAdmin(admin) {
+    return this.fetchAPI('/admins', {
+      method: 'POST',
+      body: JSON.stringify(admin)
+    });
+  },
+
+  async updateAdmin(id, updates) {
+    return this.fetchAPI(`/admins/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates)
+    });
+  },
+
+  async deleteAdmin(id) {
+    return this.fetchAPI(`/admins/${id}`, {
+      method: 'DELETE'
+    });
+  },
+
+  // =====================================================
+  // Two-Factor Authentication
+  // =====================================================
+
+  async getTwoFactorStatus() {
+    return this.fetchAPI('/auth/2fa');
+  },
+
+  async setupTwoFactor() {
+    return this.fetchAPI('/auth/2fa/setup', {
+      method: 'POST'
+    });
+  },
+
+  async enableTwoFactor(code) {
+    return this.fetchAPI('/auth/2fa/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code })
+    });
+  },
+
+  async disableTwoFactor(currentPassword) {
+    return this.fetchAPI('/auth/2fa/disable', {
+      method: 'POST',
+      body: JSON.stringify({ currentPassword })
+    });
+  },
+
+  async regenerateRecoveryCodes(currentPassword) {
+    return this.fetchAPI('/auth/2fa/recovery-codes', {
+      method: 'POST',
+      body: JSON.stringify({ currentPassword })
+    });
+  },
+
+  // =====================================================
+  // Sessions
+  // =====================================================
+
+  async getSessions() {
+    return this.fetchAPI('/sessions');
+  },
+
+  async revokeSession(id) {
+    return this.fetchAPI(`/sessions/${id}`, {
+      method: 'DELETE'
+    });
+  },
+
+  async revokeAllSessions(adminId = null) {
+    return this.fetchAPI(`/sessions${adminId ? '?adminId=' + encodeURIComponent(adminId) : ''}`, {
+      method: 'DELETE'
+    });
+  },
+
+  // =====================================================
+  // Tax and Referral Settings
+  // =====================================================
+
+  async getTaxSettings() {
+    return this.fetchAPI('/settings/tax');
+  },
+
+  // Owner only; applies to bills computed from now on
+  async updateTaxSettings(settings) {
+    return this.fetchAPI('/settings/tax', {
+      method: 'PUT',
+      body: JSON.stringify(settings)
+    });
+  },
+
+  async getReferralSettings() {
+    return this.fetchAPI('/settings/referral');
+  },
+
+  // Owner only; applies to rewards earned from now on
+  async updateReferralSettings(settings) {
+    return this.fetchAPI('/settings/referral', {
+      method: 'PUT',
+      body: JSON.stringify(settings)
+    });
+  },
+
+  // =====================================================
+  // Audit Log
+  // =====================================================
+
+  async getAuditLog(filters = {}) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') params.append(key, value);
+    });
+
+    const query = params.toString();
+    return this.fetchAPI(`/audit${query ? '?' + query : ''}`);
+  },
+
+  // =====================================================
+  // Invoice Generation Helpers
+  // =====================================================
+
+  // Bills are computed by the server (GET /invoices/preview); these only format them.
+  // month is 0-11 here, the API takes 1-12.
+  async generateInvoiceData(customerId, year, month, couponCode = '') {
+    const params = new URLSearchParams({ customerId, year, month: month + 1 });
+    if (couponCode) params.append('couponCode', couponCode);
+    return this.formatMonthlyInvoice(await this.fetchAPI(`/invoices/preview?${params}`));
+  },
+
+  // A saved invoice exactly as it was issued
+  async getInvoice(id) {
+    return this.formatMonthlyInvoice(await this.fetchAPI(`/invoices/${id}`));
+  },
+
+  formatMonthlyInvoice(invoice) {
+    const { year } = invoice.period;
+    const month = invoice.period.month - 1;
+    const formatMeal = (lines) => lines.map(l => this.formatExtraDisplay(l)).join('<br>') || '-';
 
     return {
-      customer,
+      id: invoice.id,
+      invoiceNumber: invoice.invoiceNumber,
+      status: invoice.status,
+      amount: invoice.amount,
+      amountPaid: invoice.amountPaid,
+      balance: invoice.balance,
+      payments: invoice.payments || [],
+      snapshot: invoice.snapshot,
+      customer: invoice.customer,
       month,
       year,
       periodType: 'monthly',
       monthName: new Date(year, month).toLocaleString('default', { month: 'long' }),
-      dateWiseData,
-      summary: {
-        daysInMonth,
-        dailyAmount: customer.dailyAmount,
-        subscriptionTotal,
-        breakfastTotal,
-        lunchTotal,
-        dinnerTotal,
-        extrasTotal,
-        totalAdvance,
-        grandTotal
-      }
+      lines: invoice.lines,
+      dateWiseData: invoice.days.map(d => ({
+        date: d.date,
+        day: d.day,
+        breakfast: formatMeal(d.breakfast),
+        lunch: formatMeal(d.lunch),
+        dinner: formatMeal(d.dinner)
+      })),
+      tax: invoice.tax,
+      summary: invoice.summary
     };
   },
 
   async generateDailyInvoiceData(customerId, date) {
-    const customer = await this.getCustomer(customerId);
-    if (!customer) return null;
-
-    const extras = await this.getExtrasByDate(date);
-    const customerExtras = extras.filter(e => e.customerId === customerId);
-    
-    const menuItems = await this.getMenuItems();
-    const findMenuItem = (id) => menuItems.find(m => m.id === id);
+    const params = new URLSearchParams({ customerId, date });
+    const invoice = await this.fetchAPI(`/invoices/preview/daily?${params}`);
+    const formatMeal = (lines) => lines.map(l => this.formatExtraDisplay(l)).join('<br>') || '-';
 
-    let breakfastTotal = 0, lunchTotal = 0, dinnerTotal = 0;
-    customerExtras.forEach(e => {
-      if (e.mealType === 'breakfast') breakfastTotal += parseFloat(e.price);
-      if (e.mealType === 'lunch') lunchTotal += parseFloat(e.price);
-      if (e.mealType === 'dinner') dinnerTotal += parseFloat(e.price);
-    });
-
-    const subscriptionTotal = customer.subscriptionType === 'monthly' ? 0 : parseFloat(customer.dailyAmount);
-    const extrasTotal = breakfastTotal + lunchTotal + dinnerTotal;
-    const grandTotal = subscriptionTotal + extrasTotal;
-
-    const dateObj = new Date(date);
+    const [year, month, day] = date.split('-').map(Number);
 
     return {
-      customer,
+      customer: invoice.customer,
       date,
       periodType: 'daily',
-      monthName: dateObj.toLocaleString('default', { month: 'long' }),
-      year: dateObj.getFullYear(),
-      day: dateObj.getDate(),
+      monthName: new Date(year, month - 1).toLocaleString('default', { month: 'long' }),
+      year,
+      day,
+      lines: invoice.lines,
       dateWiseData: [{
         date,
-        day: dateObj.getDate(),
-        breakfast: customerExtras.filter(e => e.mealType === 'breakfast').map(e => this.formatExtraDisplay(e, findMenuItem(e.menuItemId))).join('<br>') || '-',
-        lunch: customerExtras.filter(e => e.mealType === 'lunch').map(e => this.formatExtraDisplay(e, findMenuItem(e.menuItemId))).join('<br>') || '-',
-        dinner: customerExtras.filter(e => e.mealType === 'dinner').map(e => this.formatExtraDisplay(e, findMenuItem(e.menuItemId))).join('<br>') || '-'
+        day,
+        breakfast: formatMeal(invoice.meals.breakfast),
+        lunch: formatMeal(invoice.meals.lunch),
+        dinner: formatMeal(invoice.meals.dinner)
       }],
-      summary: {
-        daysInMonth: 1,
-        dailyAmount: customer.dailyAmount,
-        subscriptionTotal,
-        breakfastTotal,
-        lunchTotal,
-        dinnerTotal,
-        extrasTotal,
-        grandTotal
-      }
+      tax: invoice.tax,
+      summary: invoice.summary
     };
   },
 
-  formatExtraDisplay(extra, menuItem) {
-    const name = menuItem ? menuItem.name : 'Item';
-    let display = `${name} – ₹${extra.price}`;
-    if (extra.notes && extra.notes.trim()) {
-      display += ` (${extra.notes})`;
+  // One extra line from an invoice preview
+  formatExtraDisplay(line) {
+    let display = `${line.description} – ₹${line.amount}`;
+    if (line.notes && line.notes.trim()) {
+      display += ` (${line.notes})`;
     }
     return display;
   },
@@ -402,7 +626,7 @@ const DB = {
     const pendingInvoices = await this.getPendingInvoices();
     
     let pendingAmount = 0;
-    pendingInvoices.forEach(inv => pendingAmount += parseFloat(inv.amount));
+    pendingInvoices.forEach(inv => pendingAmount += parseFloat(inv.balance));
 
     return {
       totalCustomers: customers.length,
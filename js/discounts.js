@@ -0,0 +1,282 @@
+/**
+ * Inas Cafe - Discounts Module
+ * Discounts for customers and plans, coupon codes, and the referral reward
+ */
+
+const Discounts = {
+  // Current edit ID (null = add mode)
+  editId: null,
+
+  // Cached discounts and plans
+  data: [],
+  plans: [],
+
+  // =====================================================
+  // Render
+  // =====================================================
+
+  async render() {
+    const pageContent = document.getElementById('pageContent');
+    const isOwner = Auth.hasRole('owner');
+    [this.data, this.plans] = await Promise.all([DB.getDiscounts(), DB.getPlans()]);
+    const referral = await DB.getReferralSettings();
+
+    pageContent.innerHTML = `
+      <div class="card-header" style="background: none; padding: 0; border: none; margin-bottom: var(--space-6);">
+        <h1>🏷️ Discounts & Coupons</h1>
+        <button class="btn btn-primary" onclick="Discounts.openForm()">
+          ➕ Add Discount
+        </button>
+      </div>
+
+      <div class="card">
+        <div id="discountsList">
+          ${this.renderList(this.data)}
+        </div>
+      </div>
+
+      <div class="card">
+        <div class="card-header">
+          <h3 class="card-title">🤝 Referral Reward</h3>
+        </div>
+
+        <form id="referralForm" onsubmit="Discounts.saveReferral(event)">
+          <div class="form-group">
+            <label class="form-label required">Reward (₹)</label>
+            <input type="number" class="form-control" id="referralReward" min="0" step="10" value="${referral.reward}" ${isOwner ? '' : 'disabled'}>
+            <span class="form-text">Credit a customer earns once someone they referred pays their first invoice. 0 turns rewards off</span>
+          </div>
+
+          ${isOwner ? '<button type="submit" class="btn btn-primary">💾 Save Reward</button>' : ''}
+        </form>
+      </div>
+
+      <!-- Add/Edit Modal -->
+      <div class="modal-overlay" id="discountModal">
+        <div class="modal">
+          <div class="modal-header">
+            <h3 class="modal-title" id="discountModalTitle">Add Discount</h3>
+            <button class="modal-close" onclick="Discounts.closeForm()">×</button>
+          </div>
+          <div class="modal-body">
+            <form id="discountForm" onsubmit="Discounts.save(event)">
+              <div class="form-group">
+                <label class="form-label required">Name</label>
+                <input type="text" class="form-control" id="discountName" placeholder="e.g., Festive offer" required>
+              </div>
+
+              <div class="form-row">
+                <div class="form-group">
+                  <label class="form-label required">Type</label>
+                  <select class="form-control form-select" id="discountKind">
+                    <option value="percent">Percentage (%)</option>
+                    <option value="flat">Flat amount (₹)</option>
+                  </select>
+                </div>
+
+                <div class="form-group">
+                  <label class="form-label required">Discount</label>
+                  <input type="number" class="form-control" id="discountValue" min="0" step="any" required>
+                </div>
+              </div>
+
+              <div class="form-group">
+                <label class="form-label">Coupon Code</label>
+                <input type="text" class="form-control" id="discountCode" maxlength="30" placeholder="e.g., WELCOME10" style="text-transform: uppercase;">
+                <span class="form-text">With a code it applies only when the code is entered; without one it applies by itself</span>
+              </div>
+
+              <div class="form-group">
+                <label class="form-label">Customer</label>
+                ${CustomerSearch.create('discountCustomerSearch', null, 'Type name or mobile...', false)}
+              </div>
+
+              <div class="form-group">
+                <label class="form-label">Plan</label>
+                <select class="form-control form-select" id="discountPlan">
+                  <option value="">Any plan</option>
+                  ${this.plans.map(p => `<option value="${p.id}">${p.name}</option>`).join('')}
+                </select>
+              </div>
+
+              <div class="form-row">
+                <div class="form-group">
+                  <label class="form-label">Valid From</label>
+                  <input type="date" class="form-control" id="discountValidFrom">
+                </div>
+                <div class="form-group">
+                  <label class="form-label">Valid Until</label>
+                  <input type="date" class="form-control" id="discountValidTo">
+                </div>
+              </div>
+
+              <div class="form-group">
+                <label class="form-label">Maximum Uses</label>
+                <input type="number" class="form-control" id="discountMaxUses" min="1" step="1" placeholder="Unlimited">
+                <span class="form-text">How many invoices a coupon can be used on</span>
+              </div>
+
+              <div class="modal-footer" style="padding: var(--space-4) 0 0; margin-top: var(--space-4); border-top: 1px solid var(--neutral-200);">
+                <button type="button" class="btn btn-outline" onclick="Discounts.closeForm()">Cancel</button>
+                <button type="submit" class="btn btn-primary btn-lg">💾 Save Discount</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      </div>
+    `;
+  },
+
+  valueText(d) {
+    return d.kind === 'percent' ? `${d.value}% off` : `₹${d.value} off`;
+  },
+
+  renderList(discounts) {
+    if (discounts.length === 0) {
+      return `
+        <div class="empty-state">
+          <div class="empty-state-icon">🏷️</div>
+          <p class="empty-state-title">No discounts yet</p>
+          <p class="empty-state-text">Add discounts for customers or plans, or coupon codes</p>
+        </div>
+      `;
+    }
+
+    return `
+      <ul class="list">
+        ${discounts.map(d => `
+          <li class="list-item">
+            <div class="list-item-content">
+              <div class="list-item-title">${d.name}${d.code ? ` <span class="badge badge-primary">${d.code}</span>` : ''}</div>
+              <div class="list-item-subtitle">
+                <span class="customer-meta">💰 ${this.valueText(d)}</span>
+                <span class="customer-meta">${d.customerName ? `👤 ${d.customerName}` : d.planName ? `📦 ${d.planName}` : '🌐 Anyone'}</span>
+                ${d.customerName && d.planName ? `<span class="customer-meta">📦 ${d.planName}</span>` : ''}
+                ${d.validFrom || d.validTo ? `<span class="customer-meta">📅 ${d.validFrom ? App.formatDate(d.validFrom) : '…'} → ${d.validTo ? App.formatDate(d.validTo) : '…'}</span>` : ''}
+                <span class="customer-meta">🧾 Used ${d.uses}${d.maxUses ? ` of ${d.maxUses}` : ''} time${(d.maxUses || d.uses) === 1 ? '' : 's'}</span>
+              </div>
+            </div>
+            <div class="list-item-actions">
+              <button class="btn btn-sm btn-outline" onclick="Discounts.openForm('${d.id}')" title="Edit">✏️</button>
+              <button class="btn btn-sm btn-danger" onclick="Discounts.delete('${d.id}')" title="Delete">🗑️</button>
+            </div>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  },
+
+  // =====================================================
+  // Form Operations
+  // =====================================================
+
+  openForm(discountId = null) {
+    this.editId = discountId;
+    const form = document.getElementById('discountForm');
+    form.reset();
+    App.clearFieldErrors(form);
+    CustomerSearch.clear('discountCustomerSearch');
+
+    const discount = discountId ? this.data.find(d => d.id === discountId) : null;
+    document.getElementById('discountModalTitle').textContent = discount ? 'Edit Discount' : 'Add Discount';
+
+    if (discount) {
+      document.getElementById('discountName').value = discount.name;
+      document.getElementById('discountKind').value = discount.kind;
+      document.getElementById('discountValue').value = discount.value;
+      document.getElementById('discountCode').value = discount.code || '';
+      document.getElementById('discountPlan').value = discount.planId || '';
+      document.getElementById('discountValidFrom').value = discount.validFrom || '';
+      document.getElementById('discountValidTo').value = discount.validTo || '';
+      document.getElementById('discountMaxUses').value = discount.maxUses || '';
+      if (discount.customerId) CustomerSearch.select('discountCustomerSearch', discount.customerId);
+    }
+
+    App.openModal('discountModal');
+  },
+
+  closeForm() {
+    this.editId = null;
+    App.closeModal('discountModal');
+  },
+
+  async save(event) {
+    event.preventDefault();
+    App.clearFieldErrors(event.target);
+
+    const data = {
+      name: document.getElementById('discountName').value.trim(),
+      kind: document.getElementById('discountKind').value,
+      value: document.getElementById('discountValue').value,
+      code: document.getElementById('discountCode').value.trim().toUpperCase() || null,
+      customerId: CustomerSearch.getValue('discountCustomerSearch') || null,
+      planId: document.getElementById('discountPlan').value || null,
+      validFrom: document.getElementById('discountValidFrom').value || null,
+      validTo: document.getElementById('discountValidTo').value || null,
+      maxUses: document.getElementById('discountMaxUses').value || null
+    };
+
+    try {
+      if (this.editId) {
+        await DB.updateDiscount(this.editId, data);
+        App.showToast('Discount updated!', 'success');
+      } else {
+        await DB.addDiscount(data);
+        App.showToast('Discount added!', 'success');
+      }
+
+      this.closeForm();
+      await this.render();
+    } catch (error) {
+      console.error('Save error:', error);
+      App.showFieldErrors(error.fields, {
+        name: 'discountName',
+        kind: 'discountKind',
+        value: 'discountValue',
+        code: 'discountCode',
+        customerId: 'discountCustomerSearchInput',
+        planId: 'discountPlan',
+        validFrom: 'discountValidFrom',
+        validTo: 'discountValidTo',
+        maxUses: 'discountMaxUses'
+      });
+      App.showToast(error.message || 'Error saving discount', 'error');
+    }
+  },
+
+  async saveReferral(event) {
+    event.preventDefault();
+    App.clearFieldErrors(event.target);
+
+    try {
+      await DB.updateReferralSettings({ reward: document.getElementById('referralReward').value });
+      App.showToast('Referral reward saved!', 'success');
+    } catch (error) {
+      console.error('Save error:', error);
+      App.showFieldErrors(error.fields, { reward: 'referralReward' });
+      App.showToast(error.message || 'Error saving referral reward', 'error');
+    }
+  },
+
+  async delete(id) {
+    const discount = this.data.find(d => d.id === id);
+    if (!discount) return;
+
+    App.confirm(
+      `Are you sure you want to delete "${discount.name}"? Invoices already issued keep it.`,
+      async () => {
+        try {
+          await DB.deleteDiscount(id);
+          App.showToast('Discount deleted', 'success');
+          await this.render();
+        } catch (error) {
+          console.error('Delete error:', error);
+          App.showToast(error.message || 'Error deleting discount', 'error');
+        }
+      }
+    );
+  }
+};
+
+// Make available globally
+window.Discounts = Discounts;
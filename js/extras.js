@@ -381,6 +381,7 @@ const Extras = {
 
   async save(event) {
     event.preventDefault();
+    App.clearFieldErrors(event.target);
     
     const customerId = CustomerSearch.getValue('extraCustomerSearch');
     const date = document.getElementById('extraDate').value;
@@ -425,7 +426,15 @@ const Extras = {
       
     } catch (error) {
       console.error('Save error:', error);
-      App.showToast('Error saving entry', 'error');
+      App.showFieldErrors(error.fields, {
+        customerId: 'extraCustomerSearchInput',
+        date: 'extraDate',
+        mealType: 'mealTypeGroup',
+        menuItemId: 'extraItem',
+        price: 'extraPrice',
+        notes: 'extraNotes'
+      });
+      App.showToast(error.message || 'Error saving entry', 'error');
     }
   },
 
@@ -61,6 +61,11 @@ const Invoice = {
               <input type="date" class="form-control" id="invoiceDate" value="${new Date().toISOString().split('T')[0]}">
             </div>
           </div>
+
+          <div id="couponGroup" class="form-group">
+            <label class="form-label">Coupon Code (Optional)</label>
+            <input type="text" class="form-control" id="invoiceCouponCode" maxlength="30" placeholder="e.g., WELCOME10" style="text-transform: uppercase;">
+          </div>
           
           <button type="submit" class="btn btn-primary btn-lg">
             📊 Generate Invoice
@@ -110,6 +115,8 @@ const Invoice = {
   async togglePeriod(type) {
     document.getElementById('monthlySelectors').style.display = type === 'monthly' ? 'grid' : 'none';
     document.getElementById('dailySelector').style.display = type === 'daily' ? 'block' : 'none';
+    // Coupons are entered on monthly invoices only
+    document.getElementById('couponGroup').style.display = type === 'monthly' ? '' : 'none';
     
     // Update filter
     const filterFn = type === 'monthly' 
@@ -139,6 +146,7 @@ const Invoice = {
 
   async generate(event) {
     event.preventDefault();
+    App.clearFieldErrors(event.target);
     
     const customerId = CustomerSearch.getValue('invoiceCustomerSearch');
     const periodType = document.querySelector('input[name="periodType"]:checked').value;
@@ -160,7 +168,9 @@ const Invoice = {
         const year = parseInt(yearStr);
         const month = parseInt(monthStr) - 1; // Convert 01-12 to 0-11
         
-        data = await DB.generateInvoiceData(customerId, year, month);
+        const couponCode = document.getElementById('invoiceCouponCode').value.trim().toUpperCase();
+        data = await DB.generateInvoiceData(customerId, year, month, couponCode);
+        data.couponCode = couponCode;
       } else {
         const date = document.getElementById('invoiceDate').value;
         if (!date) {
@@ -181,10 +191,86 @@ const Invoice = {
       App.showToast('Invoice generated!', 'success');
     } catch (error) {
       console.error('Invoice generation error:', error);
-      App.showToast('Error generating invoice', 'error');
+      App.showFieldErrors(error.fields, { couponCode: 'invoiceCouponCode' });
+      App.showToast(error.message || 'Error generating invoice', 'error');
     }
   },
 
+  // One row per subscription line: each part of the month billed on its own terms or dates
+  subscriptionRows(data) {
+    const lines = data.lines.filter(l => l.type === 'subscription');
+    if (lines.length === 0) {
+      return `
+        <div class="invoice-summary-row">
+          <span>${data.periodType === 'monthly' ? 'Monthly' : 'Daily'} Subscription:</span>
+          <span><strong>₹0</strong></span>
+        </div>
+      `;
+    }
+
+    const unit = data.customer.subscriptionType === 'monthly' ? '' : ' days';
+    return lines.map(l => `
+      <div class="invoice-summary-row">
+        <span>${l.description}:</span>
+        <span>
+          ${l.quantity !== 1 ? `₹${l.unitPrice} × ${l.quantity}${unit} = ` : ''}<strong>₹${l.amount.toLocaleString('en-IN')}</strong>
+        </span>
+      </div>
+    `).join('');
+  },
+
+  // Discount and referral credit lines, each taken off the bill
+  deductionRows(data, type, icon) {
+    return data.lines.filter(l => l.type === type).map(l => `
+      <div class="invoice-summary-row" style="color: var(--success);">
+        <span>${icon} ${l.description}:</span>
+        <span>-₹${(-l.amount).toLocaleString('en-IN')}</span>
+      </div>
+    `).join('');
+  },
+
+  // GST: a tax summary per HSN/SAC code and rate, then the CGST/SGST (or IGST) totals
+  taxRows(data) {
+    const { tax, summary } = data;
+    if (!tax) return '';
+
+    const rupees = (value) => `₹${value.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    const split = tax.interstate
+      ? [['IGST', summary.igstTotal, 1]]
+      : [['CGST', summary.cgstTotal, 2], ['SGST', summary.sgstTotal, 2]];
+
+    return `
+      <table class="invoice-table" style="margin: var(--space-4) 0; font-size: var(--font-size-sm);">
+        <thead>
+          <tr>
+            <th>HSN/SAC</th>
+            <th>Taxable Value</th>
+            ${split.map(([name]) => `<th>${name}</th>`).join('')}
+            <th>Total Tax</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${summary.taxes.map(t => `
+            <tr>
+              <td>${t.hsnCode}</td>
+              <td>${rupees(t.taxableValue)}</td>
+              ${tax.interstate
+                ? `<td>${t.rate}%: ${rupees(t.igst)}</td>`
+                : `<td>${t.rate / 2}%: ${rupees(t.cgst)}</td><td>${t.rate / 2}%: ${rupees(t.sgst)}</td>`}
+              <td>${rupees(t.taxAmount)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+      ${split.map(([name, amount]) => `
+        <div class="invoice-summary-row">
+          <span>${name}${tax.pricesIncludeTax ? ' (included in prices)' : ''}:</span>
+          <span>${rupees(amount)}</span>
+        </div>
+      `).join('')}
+    `;
+  },
+
   renderPreview(data) {
     const preview = document.getElementById('invoicePreview');
     preview.style.display = 'block';
@@ -199,6 +285,11 @@ const Invoice = {
           <button class="btn btn-success btn-lg" onclick="Invoice.downloadPDF()">
             📥 Download PDF
           </button>
+          ${data.periodType === 'monthly' && !data.invoiceNumber ? `
+            <button class="btn btn-outline btn-lg" onclick="Invoice.saveAsPending()">
+              💾 Save as Pending
+            </button>
+          ` : ''}
           <button class="btn btn-outline" onclick="Invoice.render()">
             🔄 New Invoice
           </button>
@@ -209,11 +300,13 @@ const Invoice = {
       <div class="invoice-container card" id="invoiceDocument">
         <!-- Header -->
         <div class="invoice-header">
-          <div class="invoice-logo">🍛 INAS CAFE SERVICES</div>
+          <div class="invoice-logo">🍛 ${data.tax && data.tax.sellerName ? data.tax.sellerName : 'INAS CAFE SERVICES'}</div>
+          ${data.tax ? `<div>GSTIN: <strong>${data.tax.sellerGstin}</strong></div>` : ''}
           <div class="invoice-title">
-            ${data.periodType === 'daily' ? 'Daily Invoice' : 'Monthly Invoice'} - 
+            ${data.tax ? 'Tax Invoice - ' : ''}${data.periodType === 'daily' ? 'Daily Invoice' : 'Monthly Invoice'} - 
             ${data.periodType === 'daily' ? data.date : `${data.monthName} ${data.year}`}
           </div>
+          ${data.invoiceNumber ? `<div class="invoice-number">Invoice No: <strong>${data.invoiceNumber}</strong></div>` : ''}
         </div>
         
         <!-- Customer Details -->
@@ -229,6 +322,8 @@ const Invoice = {
               <strong>Subscription:</strong> ${data.customer.subscriptionType === 'monthly' ? 'Monthly' : 'Daily'} - ₹${data.customer.dailyAmount}/${data.customer.subscriptionType === 'monthly' ? 'month' : 'day'}
             </div>
             ${data.customer.address ? `<div><strong>Address:</strong> ${data.customer.address}</div>` : ''}
+            ${data.tax && data.tax.buyerGstin ? `<div><strong>GSTIN:</strong> ${data.tax.buyerGstin}</div>` : ''}
+            ${data.tax ? `<div><strong>Place of Supply:</strong> State ${data.tax.placeOfSupply}</div>` : ''}
           </div>
         </div>
         
@@ -260,15 +355,14 @@ const Invoice = {
         <div class="invoice-summary">
           <h3 style="margin-bottom: var(--space-4); text-align: center;">📊 INVOICE SUMMARY</h3>
           
-          <div class="invoice-summary-row">
-            <span>${data.periodType === 'monthly' ? 'Monthly' : 'Daily'} Subscription:</span>
-            <span>
-              ${data.periodType === 'monthly'
-                ? `<strong>₹${data.summary.subscriptionTotal.toLocaleString('en-IN')}</strong>` 
-                : `₹${data.summary.dailyAmount} × ${data.summary.daysInMonth} days = <strong>₹${data.summary.subscriptionTotal.toLocaleString('en-IN')}</strong>`
-              }
-            </span>
-          </div>
+          ${this.subscriptionRows(data)}
+
+          ${data.lines.filter(l => l.type === 'leave').map(l => `
+            <div class="invoice-summary-row" style="color: var(--success);">
+              <span>🏖️ ${l.description}${l.notes ? ` - ${l.notes}` : ''}:</span>
+              <span>-₹${(-l.amount).toLocaleString('en-IN')}</span>
+            </div>
+          `).join('')}
           
           <hr style="margin: var(--space-4) 0; border: none; border-top: 1px dashed var(--neutral-300);">
           
@@ -289,16 +383,22 @@ const Invoice = {
             <span><strong>EXTRAS GRAND TOTAL:</strong></span>
             <span><strong>₹${data.summary.extrasTotal.toLocaleString('en-IN')}</strong></span>
           </div>
+
+          ${this.deductionRows(data, 'discount', '🏷️')}
+
+          ${this.taxRows(data)}
+
+          ${this.deductionRows(data, 'referral', '🤝')}
           
           <div class="invoice-summary-row" style="margin-top: var(--space-4); border-top: 2px solid var(--neutral-200); padding-top: var(--space-3);">
             <span style="font-size: var(--font-size-lg);"><strong>Total Amount:</strong></span>
-            <span style="font-size: var(--font-size-lg);"><strong>₹${(data.summary.subscriptionTotal + data.summary.extrasTotal).toLocaleString('en-IN')}</strong></span>
+            <span style="font-size: var(--font-size-lg);"><strong>₹${data.summary.totalCharges.toLocaleString('en-IN')}</strong></span>
           </div>
 
-          ${data.summary.totalAdvance > 0 ? `
+          ${data.summary.creditApplied > 0 ? `
             <div class="invoice-summary-row" style="color: var(--success); margin-top: var(--space-2);">
-              <span>Advance Payment (${data.monthName}):</span>
-              <span>-₹${data.summary.totalAdvance.toLocaleString('en-IN')}</span>
+              <span>Credit from Account Balance:</span>
+              <span>-₹${data.summary.creditApplied.toLocaleString('en-IN')}</span>
             </div>
           ` : ''}
           
@@ -341,17 +441,20 @@ const Invoice = {
       `Save pending amount of ₹${this.currentData.summary.grandTotal} for ${this.currentData.customer.name}?`,
       async () => {
         try {
-          await DB.saveInvoiceAsPending({
+          const saved = await DB.saveInvoiceAsPending({
             customerId: this.currentData.customer.id,
             month: this.currentData.month + 1, // DB expects 1-12
             year: this.currentData.year,
-            amount: this.currentData.summary.grandTotal
+            couponCode: this.currentData.couponCode || undefined
           });
           
-          App.showToast('Invoice saved to Pending list!', 'success');
+          // Show the saved invoice, with the number it was issued under
+          this.currentData = await DB.getInvoice(saved.id);
+          this.renderPreview(this.currentData);
+          App.showToast(`Invoice ${saved.invoiceNumber} saved to Pending list!`, 'success');
         } catch (error) {
           console.error('Error saving invoice:', error);
-          App.showToast('Error saving invoice', 'error');
+          App.showToast(error.message || 'Error saving invoice', 'error');
         }
       }
     );
@@ -411,7 +514,9 @@ const Invoice = {
       }
       
       // Generate filename
-      const filename = `Invoice_${this.currentData.customer.name.replace(/\s+/g, '_')}_${this.currentData.monthName}_${this.currentData.year}.pdf`;
+      const filename = this.currentData.invoiceNumber
+        ? `Invoice_${this.currentData.invoiceNumber.replace(/\//g, '-')}.pdf`
+        : `Invoice_${this.currentData.customer.name.replace(/\s+/g, '_')}_${this.currentData.monthName}_${this.currentData.year}.pdf`;
       
       pdf.save(filename);
       App.showToast('PDF downloaded!', 'success');
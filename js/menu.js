@@ -81,6 +81,26 @@ const Menu = {
                 </div>
               </div>
               
+              <div class="form-row">
+                <div class="form-group">
+                  <label class="form-label">GST Rate</label>
+                  <select class="form-control form-select" id="menuTaxRate">
+                    <option value="">Business default</option>
+                    <option value="0">0%</option>
+                    <option value="5">5%</option>
+                    <option value="12">12%</option>
+                    <option value="18">18%</option>
+                    <option value="28">28%</option>
+                  </select>
+                </div>
+
+                <div class="form-group">
+                  <label class="form-label">HSN Code</label>
+                  <input type="text" class="form-control" id="menuHsnCode"
+                         placeholder="Business SAC code" inputmode="numeric" maxlength="8">
+                </div>
+              </div>
+
               <div class="form-group">
                 <label class="form-label">Description</label>
                 <textarea class="form-control" id="menuDesc" 
@@ -153,7 +173,7 @@ const Menu = {
             <div class="list-item-content">
               <div class="list-item-title">${item.name}</div>
               <div class="list-item-subtitle">
-                ₹${item.price} ${item.description ? '• ' + item.description : ''}
+                ₹${item.price}${item.taxRate !== null && item.taxRate !== undefined ? ` • GST ${item.taxRate}%` : ''} ${item.description ? '• ' + item.description : ''}
               </div>
             </div>
             <span class="badge badge-${statusClass}">${statusLabel}</span>
@@ -214,6 +234,7 @@ const Menu = {
     const form = document.getElementById('menuForm');
     
     form.reset();
+    App.clearFieldErrors(form);
     document.getElementById('menuAvailable').checked = true;
     
     if (itemId) {
@@ -229,6 +250,8 @@ const Menu = {
       document.getElementById('menuCategory').value = item.category;
       document.getElementById('menuPrice').value = item.price;
       document.getElementById('menuDesc').value = item.description || '';
+      document.getElementById('menuTaxRate').value = item.taxRate === null || item.taxRate === undefined ? '' : String(item.taxRate);
+      document.getElementById('menuHsnCode').value = item.hsnCode || '';
       document.getElementById('menuAvailable').checked = (item.isAvailable === 1 || item.isAvailable === true || item.available === true);
     } else {
       // Add mode
@@ -245,12 +268,16 @@ const Menu = {
 
   async save(event) {
     event.preventDefault();
+    App.clearFieldErrors(event.target);
     
     const data = {
       name: document.getElementById('menuName').value.trim(),
       category: document.getElementById('menuCategory').value,
       price: parseFloat(document.getElementById('menuPrice').value),
       description: document.getElementById('menuDesc').value.trim(),
+      // Empty: the business's default rate and SAC code
+      taxRate: document.getElementById('menuTaxRate').value === '' ? null : parseFloat(document.getElementById('menuTaxRate').value),
+      hsnCode: document.getElementById('menuHsnCode').value.trim() || null,
       isAvailable: document.getElementById('menuAvailable').checked ? 1 : 0
     };
     
@@ -285,7 +312,15 @@ const Menu = {
       if (query) this.filter();
     } catch (error) {
       console.error('Save error:', error);
-      App.showToast('Error saving item', 'error');
+      App.showFieldErrors(error.fields, {
+        name: 'menuName',
+        category: 'menuCategory',
+        price: 'menuPrice',
+        taxRate: 'menuTaxRate',
+        hsnCode: 'menuHsnCode',
+        description: 'menuDesc'
+      });
+      App.showToast(error.message || 'Error saving item', 'error');
     }
   },
 
@@ -304,9 +339,14 @@ const Menu = {
     App.confirm(
       `Are you sure you want to delete "${item.name}"?`,
       async () => {
-        await DB.deleteMenuItem(id);
-        App.showToast('Item deleted', 'success');
-        await this.render();
+        try {
+          await DB.deleteMenuItem(id);
+          App.showToast('Item deleted', 'success');
+          await this.render();
+        } catch (error) {
+          console.error('Delete error:', error);
+          App.showToast(error.message || 'Error deleting item', 'error');
+        }
       }
     );
   },
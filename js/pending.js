@@ -50,6 +50,7 @@ const Pending = {
           <div class="modal-body">
             <form id="paymentForm" onsubmit="Pending.confirmPayment(event)">
               <input type="hidden" id="payInvoiceId">
+              <input type="hidden" id="payCustomerId">
               
               <div class="form-group">
                 <label class="form-label">Customer</label>
@@ -62,15 +63,41 @@ const Pending = {
                     <input type="text" class="form-control" id="payPeriod" readonly>
                  </div>
                  <div class="form-group">
-                    <label class="form-label">Amount</label>
-                    <input type="text" class="form-control" id="payAmount" readonly style="font-weight: bold;">
+                    <label class="form-label">Balance Due</label>
+                    <input type="text" class="form-control" id="payBalance" readonly style="font-weight: bold;">
                  </div>
               </div>
 
+              <div class="form-row">
+                <div class="form-group">
+                  <label class="form-label required">Amount Received (₹)</label>
+                  <input type="number" class="form-control" id="payAmount" min="0.01" step="0.01" required>
+                </div>
+                <div class="form-group">
+                  <label class="form-label required">Mode</label>
+                  <select class="form-control" id="payMode" required>
+                    <option value="cash">Cash</option>
+                    <option value="upi">UPI</option>
+                    <option value="card">Card</option>
+                    <option value="bank">Bank Transfer</option>
+                  </select>
+                </div>
+              </div>
+
+              <div class="form-row">
+                <div class="form-group">
+                  <label class="form-label required">Date</label>
+                  <input type="date" class="form-control" id="payDate" required>
+                </div>
+                <div class="form-group">
+                  <label class="form-label">Reference</label>
+                  <input type="text" class="form-control" id="payReference" placeholder="UPI / card / bank ref.">
+                </div>
+              </div>
+
               <div class="form-group">
-                <label class="form-label required">Payment Notes</label>
-                <input type="text" class="form-control" id="payNotes" 
-                       placeholder="e.g. Paid via UPI / Cash" required>
+                <label class="form-label">Payment Notes</label>
+                <input type="text" class="form-control" id="payNotes" placeholder="Optional">
               </div>
               
               <div class="form-actions">
@@ -142,7 +169,7 @@ const Pending = {
     for (const customerId of Object.keys(byCustomer)) {
       const customer = byCustomer[customerId];
       let totalDue = 0;
-      customer.items.forEach(i => totalDue += parseFloat(i.amount));
+      customer.items.forEach(i => totalDue += parseFloat(i.balance));
       
       const singleInvoice = customer.items.length === 1;
       
@@ -159,9 +186,14 @@ const Pending = {
               ${singleInvoice ? `
                 <button class="btn btn-sm btn-success" 
                         onclick="Pending.openPaymentModal('${encodeURIComponent(JSON.stringify(customer.items[0]))}')">
-                  Mark Paid ₹${totalDue.toLocaleString('en-IN')}
+                  Receive ₹${totalDue.toLocaleString('en-IN')}
                 </button>
-              ` : ''}
+              ` : `
+                <button class="btn btn-sm btn-success" 
+                        onclick="Pending.openCustomerPaymentModal('${customerId}')">
+                  Receive Payment
+                </button>
+              `}
             </div>
           </div>
           
@@ -169,7 +201,7 @@ const Pending = {
             <thead>
               <tr style="background: var(--neutral-50);">
                 <th style="font-size: 12px;">Month</th>
-                <th style="font-size: 12px;">Amount</th>
+                <th style="font-size: 12px;">Balance</th>
                 ${!singleInvoice ? '<th style="font-size: 12px; text-align: right;">Action</th>' : ''}
               </tr>
             </thead>
@@ -181,18 +213,26 @@ const Pending = {
         
         html += `
           <tr>
-            <td>${monthName} ${inv.year}</td>
             <td>
-              <a href="#" onclick="Pending.showInvoice('${inv.customer_id}', ${inv.month}, ${inv.year}, event)" 
+              ${monthName} ${inv.year}
+              ${inv.invoice_number ? `<div style="font-size: 0.8em; color: var(--neutral-500);">${inv.invoice_number}</div>` : ''}
+            </td>
+            <td>
+              <a href="#" onclick="Pending.showInvoice('${inv.id}', event)" 
                  style="color: var(--primary); font-weight: 700; text-decoration: underline;">
-                ₹${parseFloat(inv.amount).toLocaleString('en-IN')}
+                ₹${parseFloat(inv.balance).toLocaleString('en-IN')}
               </a>
+              ${inv.status === 'partially_paid' ? `
+                <div style="font-size: 0.8em; color: var(--neutral-500);">
+                  Part paid · of ₹${parseFloat(inv.amount).toLocaleString('en-IN')}
+                </div>
+              ` : ''}
             </td>
             ${!singleInvoice ? `
             <td style="text-align: right;">
               <button class="btn btn-sm btn-success" style="padding: 2px 8px; font-size: 12px;" 
                       onclick="Pending.openPaymentModal('${encodeURIComponent(JSON.stringify(inv))}')">
-                Mark Paid
+                Receive
               </button>
             </td>
             ` : ''}
@@ -230,7 +270,7 @@ const Pending = {
     listDiv.innerHTML = html;
   },
 
-  async showInvoice(customerId, month, year, event) {
+  async showInvoice(invoiceId, event) {
     if (event) event.preventDefault();
     
     const body = document.getElementById('invoiceRefBody');
@@ -239,33 +279,22 @@ const Pending = {
     App.openModal('invoiceRefModal');
     
     try {
-      // Month stored as 1-12, but generator needs 0-11 if using Date logic?
-      // No, generateInvoiceData(customerId, year, month) usually expects 1-12 or 0-11?
-      // Let's check js/database.js or js/invoice.js usage.
-      // In invoice.js: DB.generateInvoiceData(customerId, year, month) where month is from input value (1-12 usually)
-      
-      // Let's try passing unmodified month first.
-      // Wait, DB.generateInvoiceData takes (customerId, year, month)
-      // And in DB.js: fetchAPI(`/invoice-data?customerId=...&month=${month}`)
-      // So checking backend... usually backend handles it.
-      // Revisit scanForDues logic: passed targetMonth - 1. 
-      // If scanForDues passed `targetMonth - 1` (0-11 index?)
-      
-      // Let's assume generateInvoiceData expects 0-indexed month?
-      // In `js/invoice.js`: `const month = parseInt(document.getElementById('invoiceMonth').value);` (1-12)
-      // `data = await DB.generateInvoiceData(customerId, year, month);`
-      // So likely it expects 1-12.
-      
-      // inv.month is 1-indexed (stored in DB), but generateInvoiceData expects 0-indexed
-      const data = await DB.generateInvoiceData(customerId, year, month - 1);
+      // Saved invoices show the lines they were issued with
+      const data = await DB.getInvoice(invoiceId);
       
       if (!data) {
         body.innerHTML = '<p class="text-danger">Could not load invoice details.</p>';
         return;
       }
       
-      const { customer, summary, items } = data;
-      const extras = data.extras || [];
+      const { customer, summary } = data;
+      const extras = data.lines.filter(l => l.type === 'extra');
+      const subscriptions = data.lines.filter(l => l.type === 'subscription');
+      const lessRows = (type) => data.lines.filter(l => l.type === type).map(l => `
+            <tr style="color: var(--success);">
+              <td>Less: ${l.description}</td>
+              <td class="text-right">-₹${-l.amount}</td>
+            </tr>`).join('');
       
       const monthNames = ["January", "February", "March", "April", "May", "June",
         "July", "August", "September", "October", "November", "December"
@@ -274,21 +303,36 @@ const Pending = {
       let html = `
         <div class="invoice-container" style="padding: 20px; background: white;">
           <div style="text-align: center; margin-bottom: 20px;">
-             <h2>INVOICE</h2>
+             <h2>${data.tax ? 'TAX INVOICE' : 'INVOICE'}</h2>
+             ${data.tax ? `<p>GSTIN: ${data.tax.sellerGstin}</p>` : ''}
+             ${data.invoiceNumber ? `<p><strong>${data.invoiceNumber}</strong></p>` : ''}
              <p>${monthNames[data.month]} ${data.year}</p>
+             ${data.snapshot === false ? '<p class="text-muted" style="font-size: 0.85em;">Saved before line items were recorded; recomputed from current data.</p>' : ''}
           </div>
           
           <div style="margin-bottom: 20px;">
             <strong>Bill To:</strong><br>
             ${customer.name}<br>
             ${customer.mobile}
+            ${data.tax && data.tax.buyerGstin ? `<br>GSTIN: ${data.tax.buyerGstin}` : ''}
+            ${data.tax ? `<br>Place of Supply: State ${data.tax.placeOfSupply}` : ''}
           </div>
           
           <table class="table table-bordered">
+            ${subscriptions.length === 0 ? `
             <tr>
               <td>Subscription (${customer.subscriptionType})</td>
               <td class="text-right">₹${summary.subscriptionTotal}</td>
-            </tr>
+            </tr>` : subscriptions.map(l => `
+            <tr>
+              <td>${l.description}${l.quantity !== 1 ? ` (${l.quantity} × ₹${l.unitPrice})` : ''}</td>
+              <td class="text-right">₹${l.amount}</td>
+            </tr>`).join('')}
+            ${data.lines.filter(l => l.type === 'leave').map(l => `
+            <tr style="color: var(--success);">
+              <td>Less: ${l.description}${l.notes ? ` (${l.notes})` : ''}</td>
+              <td class="text-right">-₹${-l.amount}</td>
+            </tr>`).join('')}
             <tr>
             <tr>
                <td>Extras (Breakfast)</td>
@@ -302,20 +346,54 @@ const Pending = {
                <td>Extras (Dinner)</td>
                <td class="text-right">₹${summary.dinnerTotal || 0}</td>
             </tr>
+            ${lessRows('discount')}
+            ${data.tax ? summary.taxes.map(t => (data.tax.interstate ? [['IGST', t.rate, t.igst]] : [['CGST', t.rate / 2, t.cgst], ['SGST', t.rate / 2, t.sgst]])
+              .map(([name, rate, amount]) => `
+            <tr>
+               <td>${name} @ ${rate}% on ₹${t.taxableValue} (HSN/SAC ${t.hsnCode})${data.tax.pricesIncludeTax ? ' - included' : ''}</td>
+               <td class="text-right">₹${amount}</td>
+            </tr>`).join('')).join('') : ''}
+            ${lessRows('referral')}
             <tr style="background: #f9fafb; font-weight: bold;">
                <td>Total Amount</td>
-               <td class="text-right">₹${summary.subscriptionTotal + summary.extrasTotal}</td>
+               <td class="text-right">₹${summary.totalCharges}</td>
             </tr>
+            ${summary.creditApplied > 0 ? `
             <tr style="color: var(--danger);">
-               <td>Less: Advance Payment</td>
-               <td class="text-right">-₹${summary.totalAdvance}</td>
-            </tr>
+               <td>Less: Credit from Account Balance</td>
+               <td class="text-right">-₹${summary.creditApplied}</td>
+            </tr>` : ''}
              <tr style="background: var(--primary); color: white; font-size: 1.2em;">
                <td><strong>GRAND TOTAL</strong></td>
                <td class="text-right"><strong>₹${summary.grandTotal}</strong></td>
             </tr>
           </table>
           
+          ${data.payments.length > 0 ? `
+            <div style="margin-top: 20px;">
+              <h5>Payments Received</h5>
+              <table class="table table-sm" style="font-size: 0.9em;">
+                <thead>
+                  <tr><th>Date</th><th>Mode</th><th>Reference</th><th class="text-right">Amount</th></tr>
+                </thead>
+                <tbody>
+                  ${data.payments.map(p => `
+                    <tr>
+                      <td>${p.date}</td>
+                      <td>${p.mode.toUpperCase()}</td>
+                      <td>${p.reference || '-'}</td>
+                      <td class="text-right">₹${p.amount.toLocaleString('en-IN')}</td>
+                    </tr>
+                  `).join('')}
+                  <tr style="font-weight: bold;">
+                    <td colspan="3">Balance Due</td>
+                    <td class="text-right">₹${data.balance.toLocaleString('en-IN')}</td>
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          ` : ''}
+          
           ${extras.length > 0 ? `
             <div style="margin-top: 20px;">
               <h5>Extras Breakdown</h5>
@@ -326,9 +404,9 @@ const Pending = {
                 <tbody>
                   ${extras.map(e => `
                     <tr>
-                      <td>${new Date(e.date).toLocaleDateString()}</td>
-                      <td>${e.items}</td>
-                      <td>₹${e.total}</td>
+                      <td>${e.date}</td>
+                      <td>${e.description}${e.notes ? ` (${e.notes})` : ''}</td>
+                      <td>₹${e.amount}</td>
                     </tr>
                   `).join('')}
                 </tbody>
@@ -352,12 +430,14 @@ const Pending = {
     
     const filtered = this.data.filter(inv => 
       inv.customer_name.toLowerCase().includes(query) ||
-      inv.customer_mobile.includes(query)
+      inv.customer_mobile.includes(query) ||
+      (inv.invoice_number || '').toLowerCase().includes(query)
     );
     
     this.renderTable(filtered);
   },
 
+  // Payment against one invoice
   openPaymentModal(invoiceJson) {
     const invoice = JSON.parse(decodeURIComponent(invoiceJson));
     const monthNames = [
@@ -365,32 +445,73 @@ const Pending = {
       'July', 'August', 'September', 'October', 'November', 'December'
     ];
     
-    document.getElementById('payInvoiceId').value = invoice.id;
-    document.getElementById('payCustomerName').value = invoice.customer_name;
-    document.getElementById('payPeriod').value = `${monthNames[invoice.month - 1]} ${invoice.year}`;
-    document.getElementById('payAmount').value = `₹${parseFloat(invoice.amount).toLocaleString('en-IN')}`;
+    this.fillPaymentForm({
+      invoiceId: invoice.id,
+      customerId: invoice.customer_id,
+      customerName: invoice.customer_name,
+      period: `${monthNames[invoice.month - 1]} ${invoice.year}`,
+      balance: parseFloat(invoice.balance)
+    });
+  },
+
+  // Payment from a customer with several invoices: the server settles the oldest first
+  openCustomerPaymentModal(customerId) {
+    const invoices = this.data.filter(inv => inv.customer_id === customerId);
+    let balance = 0;
+    invoices.forEach(inv => balance += parseFloat(inv.balance));
+    
+    this.fillPaymentForm({
+      invoiceId: '',
+      customerId,
+      customerName: invoices[0].customer_name,
+      period: `${invoices.length} invoices, oldest first`,
+      balance
+    });
+  },
+
+  fillPaymentForm({ invoiceId, customerId, customerName, period, balance }) {
+    document.getElementById('payInvoiceId').value = invoiceId;
+    document.getElementById('payCustomerId').value = customerId;
+    document.getElementById('payCustomerName').value = customerName;
+    document.getElementById('payPeriod').value = period;
+    document.getElementById('payBalance').value = `₹${balance.toLocaleString('en-IN')}`;
+    document.getElementById('payAmount').value = balance;
+    document.getElementById('payAmount').max = balance;
+    document.getElementById('payMode').value = 'cash';
+    document.getElementById('payDate').value = new Date().toISOString().split('T')[0];
+    document.getElementById('payReference').value = '';
     document.getElementById('payNotes').value = '';
     
     App.openModal('paymentModal');
-    // Focus notes after a slight delay to allow modal transition
-    setTimeout(() => document.getElementById('payNotes').focus(), 100);
+    // Focus the amount after a slight delay to allow modal transition
+    setTimeout(() => document.getElementById('payAmount').select(), 100);
   },
 
   async confirmPayment(event) {
     event.preventDefault();
-    const id = document.getElementById('payInvoiceId').value;
-    const notes = document.getElementById('payNotes').value;
+    const invoiceId = document.getElementById('payInvoiceId').value;
+    const amount = parseFloat(document.getElementById('payAmount').value);
     
-    if (!notes) return;
+    const payment = {
+      customerId: document.getElementById('payCustomerId').value,
+      amount,
+      mode: document.getElementById('payMode').value,
+      date: document.getElementById('payDate').value,
+      reference: document.getElementById('payReference').value,
+      notes: document.getElementById('payNotes').value
+    };
+    if (invoiceId) {
+      payment.allocations = [{ invoiceId, amount }];
+    }
     
     try {
-      await DB.markInvoiceAsPaid(id, notes);
+      await DB.recordPayment(payment);
       App.closeModal('paymentModal');
-      App.showToast('Payment confirmed successfully!', 'success');
+      App.showToast('Payment recorded successfully!', 'success');
       await this.loadPendingInvoices();
     } catch (error) {
-      console.error('Error updating invoice:', error);
-      App.showToast('Error updating status', 'error');
+      console.error('Error recording payment:', error);
+      App.showToast(error.message || 'Error recording payment', 'error');
     }
   },
 
@@ -457,13 +578,13 @@ const Pending = {
           // DB.generateInvoiceData expects month index 0-11
           const invoiceData = await DB.generateInvoiceData(customer.id, targetYear, targetMonth - 1);
           
-          if (invoiceData && invoiceData.summary.grandTotal > 0) {
+          // Bills fully covered by account credit are still issued (as paid) to use the credit up
+          if (invoiceData && invoiceData.summary.totalCharges > 0) {
             // Save as Pending
             await DB.saveInvoiceAsPending({
               customerId: customer.id,
               month: targetMonth,
-              year: targetYear,
-              amount: invoiceData.summary.grandTotal
+              year: targetYear
             });
             newCount++;
           }
@@ -561,7 +682,10 @@ const Pending = {
              <div style="font-weight: 500;">${inv.customer_name}</div>
              <div style="font-size: 0.8em; color: var(--neutral-500);">${inv.customer_mobile}</div>
            </td>
-           <td>${monthName} ${inv.year}</td>
+           <td>
+             ${monthName} ${inv.year}
+             ${inv.invoice_number ? `<div style="font-size: 0.8em; color: var(--neutral-500);">${inv.invoice_number}</div>` : ''}
+           </td>
            <td class="text-right" style="font-weight: 700; color: var(--success);">₹${parseFloat(inv.amount).toLocaleString('en-IN')}</td>
            <td style="font-size: 0.9em; color: var(--neutral-600);">${inv.payment_notes || '-'}</td>
          </tr>
@@ -573,7 +697,8 @@ const Pending = {
     const query = document.getElementById('paidHistorySearch').value.toLowerCase();
     const filtered = this.paidData.filter(inv => 
       inv.customer_name.toLowerCase().includes(query) || 
-      inv.customer_mobile.includes(query)
+      inv.customer_mobile.includes(query) ||
+      (inv.invoice_number || '').toLowerCase().includes(query)
     );
     document.getElementById('paidHistoryBody').innerHTML = this.renderPaidRows(filtered);
   }
@@ -0,0 +1,372 @@
+/**
+ * Inas Cafe - Subscription Plans Module
+ * Named packages customers subscribe to, and price changes for everyone on a plan
+ */
+
+const Plans = {
+  // Current edit ID (null = add mode)
+  editId: null,
+
+  // Plan whose price is being changed
+  priceId: null,
+
+  // Cached plans
+  data: [],
+
+  mealLabels: {
+    breakfast: '🌅 Breakfast',
+    lunch: '☀️ Lunch',
+    dinner: '🌙 Dinner'
+  },
+
+  // =====================================================
+  // Render
+  // =====================================================
+
+  async render() {
+    const pageContent = document.getElementById('pageContent');
+    this.data = await DB.getPlans();
+
+    pageContent.innerHTML = `
+      <div class="card-header" style="background: none; padding: 0; border: none; margin-bottom: var(--space-6);">
+        <h1>📦 Subscription Plans</h1>
+        <button class="btn btn-primary" onclick="Plans.openForm()">
+          ➕ Add Plan
+        </button>
+      </div>
+
+      <div class="card">
+        <div id="plansList">
+          ${this.renderList(this.data)}
+        </div>
+      </div>
+
+      <!-- Add/Edit Modal -->
+      <div class="modal-overlay" id="planModal">
+        <div class="modal">
+          <div class="modal-header">
+            <h3 class="modal-title" id="planModalTitle">Add Plan</h3>
+            <button class="modal-close" onclick="Plans.closeForm()">×</button>
+          </div>
+          <div class="modal-body">
+            <form id="planForm" onsubmit="Plans.save(event)">
+              <div class="form-group">
+                <label class="form-label required">Plan Name</label>
+                <input type="text" class="form-control" id="planName" placeholder="e.g., Veg Lunch Monthly" required>
+              </div>
+
+              <div class="form-group">
+                <label class="form-label">Description</label>
+                <textarea class="form-control" id="planDesc" rows="2"></textarea>
+              </div>
+
+              <div id="planTerms">
+                <div class="form-row">
+                  <div class="form-group">
+                    <label class="form-label required">Billing Cycle</label>
+                    <select class="form-control form-select" id="planCycle">
+                      <option value="daily">Daily</option>
+                      <option value="monthly">Monthly</option>
+                    </select>
+                  </div>
+
+                  <div class="form-group">
+                    <label class="form-label required">Pricing</label>
+                    <select class="form-control form-select" id="planPricing" onchange="Plans.updatePricing()">
+                      <option value="combination">Single price</option>
+                      <option value="per_meal">Price per meal</option>
+                    </select>
+                  </div>
+                </div>
+
+                <div class="form-group">
+                  <label class="form-label required">Meals</label>
+                  <div class="form-check-group" id="planMealTimes">
+                    ${Object.entries(this.mealLabels).map(([meal, label]) => `
+                      <label class="form-check">
+                        <input type="checkbox" class="form-check-input" name="planMealType" value="${meal}" checked>
+                        <span class="form-check-label">${label}</span>
+                      </label>
+                    `).join('')}
+                  </div>
+                </div>
+
+                <div class="form-group" id="planAmountGroup">
+                  <label class="form-label required">Price (₹)</label>
+                  <input type="number" class="form-control" id="planAmount" min="0" step="10">
+                </div>
+
+                <div class="form-row" id="planMealPrices" style="display: none;">
+                  ${Object.entries(this.mealLabels).map(([meal, label]) => `
+                    <div class="form-group">
+                      <label class="form-label">${label} (₹)</label>
+                      <input type="number" class="form-control" id="plan${meal[0].toUpperCase()}${meal.slice(1)}Price" min="0" step="5">
+                    </div>
+                  `).join('')}
+                </div>
+              </div>
+
+              <div class="form-row">
+                <div class="form-group">
+                  <label class="form-label">Available From</label>
+                  <input type="date" class="form-control" id="planValidFrom">
+                </div>
+                <div class="form-group">
+                  <label class="form-label">Available Until</label>
+                  <input type="date" class="form-control" id="planValidTo">
+                </div>
+              </div>
+
+              <div class="modal-footer" style="padding: var(--space-4) 0 0; margin-top: var(--space-4); border-top: 1px solid var(--neutral-200);">
+                <button type="button" class="btn btn-outline" onclick="Plans.closeForm()">Cancel</button>
+                <button type="submit" class="btn btn-primary btn-lg">💾 Save Plan</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      </div>
+
+      <!-- Price Change Modal -->
+      <div class="modal-overlay" id="planPriceModal">
+        <div class="modal">
+          <div class="modal-header">
+            <h3 class="modal-title" id="planPriceModalTitle">Change Price</h3>
+            <button class="modal-close" onclick="App.closeModal('planPriceModal')">×</button>
+          </div>
+          <div class="modal-body">
+            <form id="planPriceForm" onsubmit="Plans.savePrice(event)">
+              <p id="planPriceNote" style="color: var(--neutral-600); margin-bottom: var(--space-4);"></p>
+
+              <div class="form-group">
+                <label class="form-label required">Effective From</label>
+                <input type="date" class="form-control" id="priceEffectiveDate" required>
+              </div>
+
+              <div id="priceFields"></div>
+
+              <div class="modal-footer" style="padding: var(--space-4) 0 0; margin-top: var(--space-4); border-top: 1px solid var(--neutral-200);">
+                <button type="button" class="btn btn-outline" onclick="App.closeModal('planPriceModal')">Cancel</button>
+                <button type="submit" class="btn btn-primary btn-lg">💾 Apply Price</button>
+              </div>
+            </form>
+          </div>
+        </div>
+      </div>
+    `;
+  },
+
+  // Price per day or month, per meal when priced that way
+  priceText(p) {
+    const cycle = p.subscriptionType === 'monthly' ? 'month' : 'day';
+    if (p.pricing !== 'per_meal') return `₹${p.dailyAmount}/${cycle}`;
+    return p.mealTimes.map(meal => `${this.mealLabels[meal].split(' ')[0]} ₹${p[`${meal}Price`]}`).join(' + ') + ` /${cycle}`;
+  },
+
+  renderList(plans) {
+    if (plans.length === 0) {
+      return `
+        <div class="empty-state">
+          <div class="empty-state-icon">📦</div>
+          <p class="empty-state-title">No plans yet</p>
+          <p class="empty-state-text">Add the packages customers subscribe to</p>
+        </div>
+      `;
+    }
+
+    return `
+      <ul class="list">
+        ${plans.map(p => `
+          <li class="list-item">
+            <div class="list-item-content">
+              <div class="list-item-title">${p.name}</div>
+              <div class="list-item-subtitle">
+                <span class="customer-meta">💰 ${this.priceText(p)}</span>
+                <span class="customer-meta">👥 ${p.subscribers} customer${p.subscribers === 1 ? '' : 's'}</span>
+                ${p.validFrom || p.validTo ? `<span class="customer-meta">📅 ${p.validFrom ? App.formatDate(p.validFrom) : '…'} → ${p.validTo ? App.formatDate(p.validTo) : '…'}</span>` : ''}
+                ${p.description ? `<span class="customer-meta">${p.description}</span>` : ''}
+              </div>
+            </div>
+            <div class="list-item-actions">
+              <button class="btn btn-sm btn-outline" onclick="Plans.openPrice('${p.id}')" title="Change Price">💱</button>
+              <button class="btn btn-sm btn-outline" onclick="Plans.openForm('${p.id}')" title="Edit">✏️</button>
+              <button class="btn btn-sm btn-danger" onclick="Plans.delete('${p.id}')" title="Delete">🗑️</button>
+            </div>
+          </li>
+        `).join('')}
+      </ul>
+    `;
+  },
+
+  // =====================================================
+  // Form Operations
+  // =====================================================
+
+  openForm(planId = null) {
+    this.editId = planId;
+    const form = document.getElementById('planForm');
+    form.reset();
+    App.clearFieldErrors(form);
+
+    const plan = planId ? this.data.find(p => p.id === planId) : null;
+    document.getElementById('planModalTitle').textContent = plan ? 'Edit Plan' : 'Add Plan';
+    // Prices, meals and cycle are fixed once a plan exists; prices change through a price change
+    document.getElementById('planTerms').style.display = plan ? 'none' : '';
+
+    if (plan) {
+      document.getElementById('planName').value = plan.name;
+      document.getElementById('planDesc').value = plan.description;
+      document.getElementById('planValidFrom').value = plan.validFrom || '';
+      document.getElementById('planValidTo').value = plan.validTo || '';
+    }
+
+    this.updatePricing();
+    App.openModal('planModal');
+  },
+
+  updatePricing() {
+    const perMeal = document.getElementById('planPricing').value === 'per_meal';
+    document.getElementById('planAmountGroup').style.display = perMeal ? 'none' : '';
+    document.getElementById('planMealPrices').style.display = perMeal ? '' : 'none';
+  },
+
+  closeForm() {
+    this.editId = null;
+    App.closeModal('planModal');
+  },
+
+  async save(event) {
+    event.preventDefault();
+    App.clearFieldErrors(event.target);
+
+    const data = {
+      name: document.getElementById('planName').value.trim(),
+      description: document.getElementById('planDesc').value.trim(),
+      validFrom: document.getElementById('planValidFrom').value || null,
+      validTo: document.getElementById('planValidTo').value || null
+    };
+
+    if (!this.editId) {
+      Object.assign(data, {
+        subscriptionType: document.getElementById('planCycle').value,
+        pricing: document.getElementById('planPricing').value,
+        mealTimes: Array.from(document.querySelectorAll('input[name="planMealType"]:checked')).map(cb => cb.value),
+        dailyAmount: document.getElementById('planAmount').value || null,
+        breakfastPrice: document.getElementById('planBreakfastPrice').value || null,
+        lunchPrice: document.getElementById('planLunchPrice').value || null,
+        dinnerPrice: document.getElementById('planDinnerPrice').value || null
+      });
+    }
+
+    try {
+      if (this.editId) {
+        await DB.updatePlan(this.editId, data);
+        App.showToast('Plan updated!', 'success');
+      } else {
+        await DB.addPlan(data);
+        App.showToast('Plan added!', 'success');
+      }
+
+      this.closeForm();
+      await this.render();
+    } catch (error) {
+      console.error('Save error:', error);
+      App.showFieldErrors(error.fields, {
+        name: 'planName',
+        description: 'planDesc',
+        subscriptionType: 'planCycle',
+        pricing: 'planPricing',
+        mealTimes: 'planMealTimes',
+        dailyAmount: 'planAmount',
+        breakfastPrice: 'planBreakfastPrice',
+        lunchPrice: 'planLunchPrice',
+        dinnerPrice: 'planDinnerPrice',
+        validFrom: 'planValidFrom',
+        validTo: 'planValidTo'
+      });
+      App.showToast(error.message || 'Error saving plan', 'error');
+    }
+  },
+
+  // =====================================================
+  // Price Changes
+  // =====================================================
+
+  openPrice(planId) {
+    const plan = this.data.find(p => p.id === planId);
+    if (!plan) return;
+    this.priceId = planId;
+
+    const form = document.getElementById('planPriceForm');
+    form.reset();
+    App.clearFieldErrors(form);
+
+    document.getElementById('planPriceModalTitle').textContent = `Change Price – ${plan.name}`;
+    document.getElementById('planPriceNote').textContent =
+      `Now ${this.priceText(plan)}. The new price applies to all ${plan.subscribers} customer(s) on this plan from the date below; earlier days keep the old price.`;
+    document.getElementById('priceEffectiveDate').value = new Date().toISOString().split('T')[0];
+
+    const fields = plan.pricing === 'per_meal'
+      ? plan.mealTimes.map(meal => ({ id: `price${meal[0].toUpperCase()}${meal.slice(1)}`, label: this.mealLabels[meal], value: plan[`${meal}Price`] }))
+      : [{ id: 'priceAmount', label: 'Price', value: plan.dailyAmount }];
+    document.getElementById('priceFields').innerHTML = fields.map(f => `
+      <div class="form-group">
+        <label class="form-label required">${f.label} (₹)</label>
+        <input type="number" class="form-control" id="${f.id}" value="${f.value}" min="0" step="5" required>
+      </div>
+    `).join('');
+
+    App.openModal('planPriceModal');
+  },
+
+  async savePrice(event) {
+    event.preventDefault();
+    App.clearFieldErrors(event.target);
+
+    const change = { effectiveDate: document.getElementById('priceEffectiveDate').value };
+    const value = (id) => document.getElementById(id)?.value;
+    if (value('priceAmount') !== undefined) change.dailyAmount = value('priceAmount');
+    ['breakfast', 'lunch', 'dinner'].forEach(meal => {
+      const price = value(`price${meal[0].toUpperCase()}${meal.slice(1)}`);
+      if (price !== undefined) change[`${meal}Price`] = price;
+    });
+
+    try {
+      const result = await DB.changePlanPrice(this.priceId, change);
+      App.showToast(`Price updated for ${result.customersUpdated} customer(s)`, 'success');
+      App.closeModal('planPriceModal');
+      await this.render();
+    } catch (error) {
+      console.error('Price change error:', error);
+      App.showFieldErrors(error.fields, {
+        effectiveDate: 'priceEffectiveDate',
+        dailyAmount: 'priceAmount',
+        breakfastPrice: 'priceBreakfast',
+        lunchPrice: 'priceLunch',
+        dinnerPrice: 'priceDinner'
+      });
+      App.showToast(error.message || 'Error changing price', 'error');
+    }
+  },
+
+  async delete(id) {
+    const plan = this.data.find(p => p.id === id);
+    if (!plan) return;
+
+    App.confirm(
+      `Are you sure you want to delete "${plan.name}"?`,
+      async () => {
+        try {
+          await DB.deletePlan(id);
+          App.showToast('Plan deleted', 'success');
+          await this.render();
+        } catch (error) {
+          console.error('Delete error:', error);
+          App.showToast(error.message || 'Error deleting plan', 'error');
+        }
+      }
+    );
+  }
+};
+
+// Make available globally
+window.Plans = Plans;
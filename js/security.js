@@ -8,10 +8,34 @@ const Security = {
   // Render Security Settings Page
   // =====================================================
 
-  render() {
+  async render() {
     const pageContent = document.getElementById('pageContent');
     const adminEmail = Auth.getMaskedEmail();
-    const logs = Auth.getCredentialLogs();
+    const admin = Auth.getAdminCredentials();
+    
+    // Credential changes for this admin, from the server audit log
+    let logs = [];
+    try {
+      logs = admin ? await DB.getAuditLog({ entity: 'admin', entityId: admin.id, limit: 10 }) : [];
+    } catch (error) {
+      console.error('Error loading security activity:', error);
+    }
+    
+    // Two-factor status
+    let twoFactor = { enabled: false, recoveryCodesRemaining: 0 };
+    try {
+      twoFactor = await DB.getTwoFactorStatus();
+    } catch (error) {
+      console.error('Error loading 2FA status:', error);
+    }
+    
+    // Active logins (owners see every admin's sessions)
+    let sessions = [];
+    try {
+      sessions = await DB.getSessions();
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+    }
     
     pageContent.innerHTML = `
       <div class="page-header">
@@ -123,6 +147,55 @@ const Security = {
         </form>
       </div>
       
+      <!-- Two-Factor Authentication -->
+      <div class="card">
+        <div class="card-header">
+          <h3 class="card-title">📱 Two-Factor Authentication</h3>
+          <span class="badge badge-${twoFactor.enabled ? 'success' : 'warning'}">${twoFactor.enabled ? 'Enabled' : 'Off'}</span>
+        </div>
+        <div id="twoFactorSection">
+          ${this.renderTwoFactor(twoFactor)}
+        </div>
+      </div>
+      
+      <!-- Active Sessions -->
+      <div class="card">
+        <div class="card-header">
+          <h3 class="card-title">💻 Active Sessions</h3>
+          <button class="btn btn-sm btn-danger" onclick="Security.revokeAllSessions()">
+            🚪 Log Out All Devices
+          </button>
+        </div>
+        
+        ${sessions.length === 0 ? `
+          <div class="empty-state" style="padding: var(--space-6);">
+            <p class="text-muted">No active sessions</p>
+          </div>
+        ` : `
+          <ul class="list">
+            ${sessions.map(session => `
+              <li class="list-item">
+                <div class="list-item-content">
+                  <div class="list-item-title">
+                    ${this.describeDevice(session.userAgent)}
+                    ${session.current ? '<span class="badge badge-success">This device</span>' : ''}
+                  </div>
+                  <div class="list-item-subtitle">
+                    ${Auth.hasRole('owner') ? `👤 ${session.adminEmail} • ` : ''}🌐 ${session.ipAddress || 'Unknown IP'} •
+                    🕒 Last seen ${new Date(session.lastSeenAt).toLocaleString('en-IN')}
+                  </div>
+                </div>
+                ${session.current ? '' : `
+                  <div class="list-item-actions">
+                    <button class="btn btn-sm btn-outline" onclick="Security.revokeSession('${session.id}')" title="Log out this session">🚫 Revoke</button>
+                  </div>
+                `}
+              </li>
+            `).join('')}
+          </ul>
+        `}
+      </div>
+      
       <!-- Recent Activity Log -->
       <div class="card">
         <div class="card-header">
@@ -135,14 +208,14 @@ const Security = {
           </div>
         ` : `
           <ul class="list">
-            ${logs.reverse().map(log => `
+            ${logs.map(log => `
               <li class="list-item">
                 <div class="list-item-content">
                   <div class="list-item-title">
-                    ${log.type === 'email' ? '📧 Email Changed' : '🔑 Password Changed'}
+                    ${this.describeChange(log)}
                   </div>
                   <div class="list-item-subtitle">
-                    ${new Date(log.timestamp).toLocaleString('en-IN')}
+                    ${new Date(log.createdAt).toLocaleString('en-IN')}${log.adminEmail ? ` • by ${log.adminEmail}` : ''}
                   </div>
                 </div>
               </li>
@@ -159,6 +232,8 @@ const Security = {
           <li>Never share your login credentials</li>
           <li>Use a strong, unique password</li>
           <li>Log out when using shared devices</li>
+          <li>Revoke any session you don't recognise</li>
+          <li>Turn on two-factor authentication</li>
         </ul>
       </div>
     `;
@@ -167,6 +242,198 @@ const Security = {
     this.addStyles();
   },
 
+  // =====================================================
+  // Two-Factor Authentication
+  // =====================================================
+
+  renderTwoFactor(status) {
+    if (!status.enabled) {
+      return `
+        <p class="text-muted mb-4">
+          Require a 6-digit code from an authenticator app (Google Authenticator, Authy, 1Password, ...) in addition to your password.
+        </p>
+        <button class="btn btn-primary" onclick="Security.startTwoFactorSetup()">🔒 Enable Two-Factor</button>
+      `;
+    }
+
+    return `
+      <p class="text-muted mb-4">
+        Login requires a code from your authenticator app.
+        You have <strong>${status.recoveryCodesRemaining}</strong> unused recovery code${status.recoveryCodesRemaining === 1 ? '' : 's'}.
+      </p>
+      <div class="form-group">
+        <label class="form-label required">Current Password</label>
+        <input type="password" class="form-control" id="twoFactorPassword"
+               placeholder="Required to change two-factor settings">
+      </div>
+      <div id="twoFactorMessage" class="mb-4"></div>
+      <div style="display: flex; gap: var(--space-3); flex-wrap: wrap;">
+        <button class="btn btn-outline" onclick="Security.regenerateRecoveryCodes()">🔁 New Recovery Codes</button>
+        <button class="btn btn-danger" onclick="Security.disableTwoFactor()">Disable Two-Factor</button>
+      </div>
+    `;
+  },
+
+  async startTwoFactorSetup() {
+    const section = document.getElementById('twoFactorSection');
+
+    try {
+      const setup = await DB.setupTwoFactor();
+      section.innerHTML = `
+        <ol style="padding-left: var(--space-5); color: var(--neutral-700);" class="mb-4">
+          <li>Scan this QR code with your authenticator app</li>
+          <li>Enter the 6-digit code it shows to finish</li>
+        </ol>
+        <div style="text-align: center;" class="mb-4">
+          <img src="${setup.qrCode}" alt="2FA QR code" width="200" height="200">
+          <p class="form-text">Can't scan? Enter this key manually:<br><code>${setup.secret}</code></p>
+        </div>
+        <form onsubmit="Security.confirmTwoFactor(event)">
+          <div class="form-group">
+            <label class="form-label required">Verification Code</label>
+            <input type="text" class="form-control" id="twoFactorCode" placeholder="123456"
+                   inputmode="numeric" pattern="[0-9]{6}" maxlength="6" autocomplete="one-time-code" required>
+          </div>
+          <div id="twoFactorMessage" class="mb-4"></div>
+          <div style="display: flex; gap: var(--space-3);">
+            <button type="submit" class="btn btn-primary">✅ Verify & Enable</button>
+            <button type="button" class="btn btn-outline" onclick="Security.render()">Cancel</button>
+          </div>
+        </form>
+      `;
+    } catch (error) {
+      console.error('2FA setup error:', error);
+      App.showToast(error.message || 'Error starting two-factor setup', 'error');
+    }
+  },
+
+  async confirmTwoFactor(e) {
+    e.preventDefault();
+    const code = document.getElementById('twoFactorCode').value.trim();
+
+    try {
+      const result = await DB.enableTwoFactor(code);
+      App.showToast(result.message, 'success');
+      this.showRecoveryCodes(result.recoveryCodes);
+    } catch (error) {
+      this.showMessage(document.getElementById('twoFactorMessage'), error.message || 'Invalid verification code', 'error');
+    }
+  },
+
+  async regenerateRecoveryCodes() {
+    const password = document.getElementById('twoFactorPassword').value;
+
+    try {
+      const result = await DB.regenerateRecoveryCodes(password);
+      App.showToast(result.message, 'success');
+      this.showRecoveryCodes(result.recoveryCodes);
+    } catch (error) {
+      this.showMessage(document.getElementById('twoFactorMessage'), error.message || 'Error generating recovery codes', 'error');
+    }
+  },
+
+  async disableTwoFactor() {
+    const password = document.getElementById('twoFactorPassword').value;
+
+    if (!await App.confirm('Disable two-factor authentication? Your account will be protected by your password only.')) {
+      return;
+    }
+
+    try {
+      const result = await DB.disableTwoFactor(password);
+      App.showToast(result.message, 'success');
+      await this.render();
+    } catch (error) {
+      this.showMessage(document.getElementById('twoFactorMessage'), error.message || 'Error disabling two-factor', 'error');
+    }
+  },
+
+  // Recovery codes are only ever shown once
+  showRecoveryCodes(codes) {
+    this.recoveryCodes = codes;
+    document.getElementById('twoFactorSection').innerHTML = `
+      <div class="message-box success mb-4">
+        ✓ Save these recovery codes somewhere safe. Each one can be used once to login if you lose your phone. They will not be shown again.
+      </div>
+      <div style="display: grid; grid-template-columns: repeat(2, 1fr); gap: var(--space-2); font-family: monospace; font-size: var(--font-size-lg); background: var(--cream); padding: var(--space-4); border-radius: var(--radius-lg);" class="mb-4">
+        ${codes.map(code => `<span>${code}</span>`).join('')}
+      </div>
+      <div style="display: flex; gap: var(--space-3);">
+        <button class="btn btn-outline" onclick="Security.downloadRecoveryCodes()">⬇️ Download</button>
+        <button class="btn btn-primary" onclick="Security.render()">Done</button>
+      </div>
+    `;
+  },
+
+  downloadRecoveryCodes() {
+    const text = `Inas Cafe recovery codes for ${Auth.getAdminEmail()}\n\n${this.recoveryCodes.join('\n')}\n`;
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    link.download = 'inas-cafe-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(link.href);
+  },
+
+  // Short "Browser on OS" label from a user-agent string
+  describeDevice(userAgent) {
+    if (!userAgent) return '❓ Unknown device';
+
+    const browser = /Edg\//.test(userAgent) ? 'Edge'
+      : /OPR\//.test(userAgent) ? 'Opera'
+      : /Chrome\//.test(userAgent) ? 'Chrome'
+      : /Firefox\//.test(userAgent) ? 'Firefox'
+      : /Safari\//.test(userAgent) ? 'Safari'
+      : 'Browser';
+    const os = /Android/.test(userAgent) ? 'Android'
+      : /iPhone|iPad/.test(userAgent) ? 'iOS'
+      : /Windows/.test(userAgent) ? 'Windows'
+      : /Mac OS X/.test(userAgent) ? 'macOS'
+      : /Linux/.test(userAgent) ? 'Linux'
+      : 'Unknown OS';
+    const icon = /Android|iPhone|iPad|Mobile/.test(userAgent) ? '📱' : '💻';
+
+    return `${icon} ${browser} on ${os}`;
+  },
+
+  async revokeSession(id) {
+    if (!await App.confirm('Log out this session? That device will have to login again.')) {
+      return;
+    }
+
+    try {
+      await DB.revokeSession(id);
+      App.showToast('Session revoked', 'success');
+      await this.render();
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      App.showToast(error.message || 'Error revoking session', 'error');
+    }
+  },
+
+  async revokeAllSessions() {
+    if (!await App.confirm('Log out all of your devices, including this one?')) {
+      return;
+    }
+
+    try {
+      await DB.revokeAllSessions();
+      Auth.forceLogout('You have been logged out of all devices.');
+    } catch (error) {
+      console.error('Revoke sessions error:', error);
+      App.showToast(error.message || 'Error revoking sessions', 'error');
+    }
+  },
+
+  describeChange(log) {
+    const after = log.after || {};
+    if (after.twoFactor) return after.twoFactor === 'enabled' ? '📱 Two-Factor Enabled' : '📱 Two-Factor Disabled';
+    if (after.recoveryCodes) return '🔁 Recovery Codes Regenerated';
+    if (after.password) return '🔑 Password Changed';
+    if (after.email && log.before && log.before.email !== after.email) return '📧 Email Changed';
+    if (after.role && log.before && log.before.role !== after.role) return '🛡️ Role Changed';
+    return log.action === 'create' ? '➕ Account Created' : '✏️ Account Updated';
+  },
+
   // =====================================================
   // Add custom styles for this page
   // =====================================================
@@ -0,0 +1,103 @@
+/**
+ * Inas Cafe - Tax Settings Module
+ * The business's GST registration, default rate and pricing, used on every invoice
+ */
+
+const TaxSettings = {
+  rates: [0, 5, 12, 18, 28],
+
+  // =====================================================
+  // Render
+  // =====================================================
+
+  async render() {
+    const pageContent = document.getElementById('pageContent');
+    const settings = await DB.getTaxSettings();
+
+    pageContent.innerHTML = `
+      <div class="page-header">
+        <h1 class="page-title">🧾 Tax Settings</h1>
+      </div>
+
+      <div class="card">
+        <div class="card-header">
+          <h3 class="card-title">GST Registration</h3>
+        </div>
+
+        <form id="taxForm" onsubmit="TaxSettings.save(event)">
+          <div class="form-row">
+            <div class="form-group">
+              <label class="form-label">GSTIN</label>
+              <input type="text" class="form-control" id="taxGstin" maxlength="15" value="${settings.gstin || ''}"
+                     placeholder="e.g., 27ABCDE1234F1Z5" style="text-transform: uppercase;">
+              <span class="form-text">Leave empty if not registered: invoices then carry no GST</span>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label">Legal Name</label>
+              <input type="text" class="form-control" id="taxLegalName" value="${settings.legalName || ''}"
+                     placeholder="Name on the GST registration">
+            </div>
+          </div>
+
+          <div class="form-row">
+            <div class="form-group">
+              <label class="form-label required">Default GST Rate</label>
+              <select class="form-control form-select" id="taxDefaultRate">
+                ${this.rates.map(rate => `<option value="${rate}" ${Number(settings.defaultRate) === rate ? 'selected' : ''}>${rate}%</option>`).join('')}
+              </select>
+              <span class="form-text">Subscriptions, and menu items without a rate of their own</span>
+            </div>
+
+            <div class="form-group">
+              <label class="form-label required">SAC Code</label>
+              <input type="text" class="form-control" id="taxSacCode" maxlength="8" inputmode="numeric" value="${settings.sacCode || ''}">
+              <span class="form-text">996331: restaurant and catering services</span>
+            </div>
+          </div>
+
+          <div class="form-group">
+            <label class="form-label">
+              <input type="checkbox" id="taxInclusive" ${settings.pricesIncludeTax ? 'checked' : ''}>
+              <span class="form-check-label">Prices include GST (otherwise GST is added on top)</span>
+            </label>
+          </div>
+
+          <p class="form-text mb-4">Changes apply to invoices generated from now on. Saved invoices keep the tax they were issued with.</p>
+
+          <button type="submit" class="btn btn-primary btn-lg">💾 Save Tax Settings</button>
+        </form>
+      </div>
+    `;
+  },
+
+  async save(event) {
+    event.preventDefault();
+    App.clearFieldErrors(event.target);
+
+    const data = {
+      gstin: document.getElementById('taxGstin').value.trim().toUpperCase() || null,
+      legalName: document.getElementById('taxLegalName').value.trim(),
+      defaultRate: parseFloat(document.getElementById('taxDefaultRate').value),
+      sacCode: document.getElementById('taxSacCode').value.trim(),
+      pricesIncludeTax: document.getElementById('taxInclusive').checked
+    };
+
+    try {
+      await DB.updateTaxSettings(data);
+      App.showToast('Tax settings saved!', 'success');
+    } catch (error) {
+      console.error('Save error:', error);
+      App.showFieldErrors(error.fields, {
+        gstin: 'taxGstin',
+        legalName: 'taxLegalName',
+        defaultRate: 'taxDefaultRate',
+        sacCode: 'taxSacCode',
+        pricesIncludeTax: 'taxInclusive'
+      });
+      App.showToast(error.message || 'Error saving tax settings', 'error');
+    }
+  }
+};
+
+window.TaxSettings = TaxSettings;
@@ -0,0 +1,73 @@
+const express = require('express');
+const cors = require('cors');
+const dotenv = require('dotenv');
+
+// Load environment variables (ignored on Netlify, where they come from the site settings)
+dotenv.config();
+
+const { protect } = require('./middleware/auth');
+const requestId = require('./middleware/requestId');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+
+// The one definition of the API. The local server (index.js) and the Netlify
+// functions only wrap it, so every deployment mounts the same routes.
+
+/**
+ * Build the Express app.
+ * @param {Object} [options]
+ * @param {boolean|number|string} [options.trustProxy] - Express "trust proxy" setting,
+ *   e.g. 1 behind Netlify's proxy so the client IP comes from X-Forwarded-For
+ * @returns {import('express').Express}
+ */
+function createApp({ trustProxy } = {}) {
+  const app = express();
+
+  if (trustProxy !== undefined) {
+    app.set('trust proxy', trustProxy);
+  }
+
+  // Middleware
+  app.use(requestId);
+  app.use(cors());
+  app.use(express.json());
+
+  // Root Route
+  app.get(['/', '/api'], (req, res) => {
+    res.send('Inas Cafe API is running...');
+  });
+
+  // Routes
+  app.use('/api/customers', protect, require('./routes/customers'));
+  app.use('/api/plans', protect, require('./routes/plans'));
+  app.use('/api/discounts', protect, require('./routes/discounts'));
+  app.use('/api/menu', protect, require('./routes/menu'));
+  app.use('/api/extras', protect, require('./routes/extras'));
+  app.use('/api/advance', protect, require('./routes/advance'));
+  app.use('/api/invoices', protect, require('./routes/invoices'));
+  app.use('/api/payments', protect, require('./routes/payments'));
+  app.use('/api/auth', require('./routes/auth'));
+  app.use('/api/admins', protect, require('./routes/admins'));
+  app.use('/api/audit', protect, require('./routes/audit'));
+  app.use('/api/sessions', protect, require('./routes/sessions'));
+  app.use('/api/settings', protect, require('./routes/settings'));
+
+  // Health Check (/api/health is the path reachable through the Netlify redirect)
+  app.get(['/health', '/api/health'], async (req, res) => {
+    try {
+      const db = require('./db');
+      await db.query('SELECT 1');
+      res.json({ status: 'OK', database: 'Connected' });
+    } catch (error) {
+      console.error('Health Check Failure:', error);
+      res.status(500).json({ status: 'Error', database: 'Disconnected', error: error.message });
+    }
+  });
+
+  // Unknown API routes and all errors share one JSON envelope
+  app.use('/api', notFound);
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = { createApp };
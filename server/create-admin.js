@@ -0,0 +1,30 @@
+const db = require('./db');
+const admins = require('./repositories/admins');
+const { hashPassword } = require('./utils/password');
+const { createId } = require('./utils/ids');
+
+// Create an owner account, e.g. for a fresh local database:
+//   node create-admin.js admin@example.com 'Password@123' "Inas Admin"
+
+async function createAdmin() {
+  const [email, password, name = 'Admin'] = process.argv.slice(2);
+
+  try {
+    if (!email || !password) {
+      throw new Error('Usage: node create-admin.js <email> <password> [name]');
+    }
+    if (await admins.findByEmail(email)) {
+      throw new Error(`An admin with email ${email} already exists`);
+    }
+
+    await admins.create({ id: createId('adm'), name, email, password: await hashPassword(password), role: 'owner' });
+    console.log(`✅ Owner ${email} created`);
+    await db.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('Error creating admin:', error.message);
+    process.exit(1);
+  }
+}
+
+createAdmin();
@@ -0,0 +1,24 @@
+const dotenv = require('dotenv');
+const path = require('path');
+
+// Only load .env if NOT running on Netlify
+if (!process.env.NETLIFY) {
+  dotenv.config({ path: path.join(__dirname, '../.env') });
+}
+
+// Storage driver, picked by DB_DRIVER: "mysql" (default) or "sqlite".
+// Both expose the same interface:
+//   query(sql, params) -> [rows] for SELECT, [{ affectedRows, insertId }] otherwise
+//   transaction(work) -> runs work({ query }) in one transaction, commits on success, rolls back on error
+//   close()
+//   dialect            -> 'mysql' | 'sqlite'
+const driver = (process.env.DB_DRIVER || 'mysql').toLowerCase();
+
+// Literal requires so the Netlify function bundler can find both drivers
+if (driver === 'mysql') {
+  module.exports = require('./mysql');
+} else if (driver === 'sqlite') {
+  module.exports = require('./sqlite');
+} else {
+  throw new Error(`Unknown DB_DRIVER "${process.env.DB_DRIVER}". Use "mysql" or "sqlite".`);
+}
@@ -1,11 +1,4 @@
 const mysql = require('mysql2');
-const dotenv = require('dotenv');
-const path = require('path');
-
-// Only load .env if NOT running on Netlify
-if (!process.env.NETLIFY) {
-  dotenv.config({ path: path.join(__dirname, '../.env') });
-}
 
 // For debugging in Netlify Function Logs
 console.log('DB Connection Config:');
@@ -29,4 +22,25 @@ const pool = mysql.createPool({
 // Use promise-based pool
 const promisePool = pool.promise();
 
-module.exports = promisePool;
+// Run work({ query }) on one pooled connection inside a transaction
+async function transaction(work) {
+  const connection = await promisePool.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await work({ dialect: 'mysql', query: (sql, params) => connection.query(sql, params) });
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+module.exports = {
+  dialect: 'mysql',
+  query: (sql, params) => promisePool.query(sql, params),
+  transaction,
+  close: () => promisePool.end()
+};
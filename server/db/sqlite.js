@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+
+// SQLite backend for local development and tests. Queries and migrations are
+// written for MySQL; the few dialect differences are bridged here so the
+// repositories never need to know which database they are talking to.
+
+let Database;
+try {
+  Database = require('better-sqlite3');
+} catch (error) {
+  throw new Error('DB_DRIVER=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+}
+
+// A file path, or ":memory:" for a throwaway database
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(__dirname, '../data/inas-cafe.sqlite');
+
+if (SQLITE_FILE !== ':memory:') {
+  fs.mkdirSync(path.dirname(SQLITE_FILE), { recursive: true });
+}
+
+const sqlite = new Database(SQLITE_FILE);
+sqlite.pragma('journal_mode = WAL');
+sqlite.pragma('foreign_keys = ON');
+
+// MySQL column types and clauses SQLite doesn't understand
+function translateColumns(sql) {
+  return sql
+    .replace(/--[^\n]*/g, '')
+    .replace(/\bENUM\s*\([^)]*\)/gi, 'TEXT')
+    .replace(/\bJSON\b/g, 'TEXT')
+    .replace(/\s+ON UPDATE CURRENT_TIMESTAMP/gi, '');
+}
+
+// One MySQL statement -> one or more SQLite statements.
+// Inline INDEX clauses in CREATE TABLE become separate CREATE INDEX statements.
+function translate(sql) {
+  const createTable = sql.match(/^\s*CREATE TABLE (?:IF NOT EXISTS )?(\w+)/i);
+  if (createTable) {
+    const indexes = [];
+    const table = translateColumns(sql).replace(/,\s*INDEX\s+(\w+)\s*\(([^)]*)\)/gi, (match, name, columns) => {
+      indexes.push(`CREATE INDEX IF NOT EXISTS ${name} ON ${createTable[1]} (${columns})`);
+      return '';
+    });
+    return [table, ...indexes];
+  }
+
+  if (/^\s*ALTER TABLE \w+ ADD COLUMN/i.test(sql)) {
+    return [translateColumns(sql)];
+  }
+
+  return [sql];
+}
+
+// better-sqlite3 only binds numbers, strings, bigints, buffers and null
+const toParam = (value) => {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+};
+
+// Report constraint errors with the MySQL codes the rest of the server checks for
+function toMysqlError(error, sql) {
+  if (error.code === 'SQLITE_CONSTRAINT_UNIQUE' || error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+    error.code = 'ER_DUP_ENTRY';
+  } else if (error.code === 'SQLITE_CONSTRAINT_FOREIGNKEY') {
+    error.code = /^\s*DELETE/i.test(sql) ? 'ER_ROW_IS_REFERENCED_2' : 'ER_NO_REFERENCED_ROW_2';
+  } else if (/duplicate column name/i.test(error.message)) {
+    error.code = 'ER_DUP_FIELDNAME';
+  } else if (/no such column/i.test(error.message) && /DROP COLUMN/i.test(sql)) {
+    error.code = 'ER_CANT_DROP_FIELD_OR_KEY';
+  }
+  return error;
+}
+
+function run(sql, params) {
+  const statement = sqlite.prepare(sql);
+  if (statement.reader) {
+    return [statement.all(params)];
+  }
+
+  const info = statement.run(params);
+  return [{ affectedRows: info.changes, insertId: Number(info.lastInsertRowid) }];
+}
+
+function execute(sql, params = []) {
+  const values = params.map(toParam);
+  let result;
+
+  // Only the original statement takes parameters; extra CREATE INDEX statements never do
+  for (const [i, statement] of translate(sql).entries()) {
+    try {
+      result = run(statement, i === 0 ? values : []);
+    } catch (error) {
+      throw toMysqlError(error, statement);
+    }
+  }
+  return result;
+}
+
+// There is a single connection, so transactions are queued one after another
+// and queries from other requests wait until the open one has finished, or
+// they would run inside it and be rolled back with it.
+let pending = Promise.resolve();
+
+async function query(sql, params) {
+  while (sqlite.inTransaction) {
+    await pending;
+  }
+  return execute(sql, params);
+}
+
+function transaction(work) {
+  const run = async () => {
+    sqlite.exec('BEGIN');
+    try {
+      const result = await work({ dialect: 'sqlite', query: async (sql, params) => execute(sql, params) });
+      sqlite.exec('COMMIT');
+      return result;
+    } catch (error) {
+      sqlite.exec('ROLLBACK');
+      throw error;
+    }
+  };
+
+  const result = pending.then(run);
+  pending = result.catch(() => {});
+  return result;
+}
+
+module.exports = {
+  dialect: 'sqlite',
+  query,
+  transaction,
+  close: async () => sqlite.close()
+};
@@ -1,4 +1,4 @@
-const db = require('./config/db');
+const db = require('./db');
 const http = require('http');
 
 async function check() {
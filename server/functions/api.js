@@ -1,60 +1,5 @@
 const serverless = require('serverless-http');
-const express = require('express');
-const cors = require('cors');
-const dotenv = require('dotenv');
+const { createApp } = require('../app');
 
-// Load environment variables (relevant for local netlify dev, ignored in prod)
-dotenv.config();
-
-const app = express();
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// Routes (Relative to server/functions/)
-app.use('/api/customers', require('../routes/customers'));
-app.use('/api/menu', require('../routes/menu'));
-app.use('/api/extras', require('../routes/extras'));
-app.use('/api/auth', require('../routes/auth'));
-
-// Health Check
-app.get('/api/health', async (req, res) => {
-  console.log('Health check requested...');
-  try {
-    const db = require('../config/db');
-    console.log('DB Config loaded, querying...');
-    await db.query('SELECT 1');
-    console.log('DB Query successful');
-    res.json({ 
-      status: 'OK', 
-      database: 'Connected',
-      env_check: {
-        host: !!process.env.DB_HOST,
-        user: !!process.env.DB_USER,
-        pass_new: !!process.env.BC_DB_PASSWORD,
-        pass_legacy: !!process.env.DB_PASS
-      }
-    });
-  } catch (error) {
-    console.error('Health Check Failure:', error);
-    res.status(500).json({ 
-      status: 'Error', 
-      database: 'Disconnected', 
-      error: error.message,
-      env_check: {
-        host: !!process.env.DB_HOST,
-        user: !!process.env.DB_USER,
-        pass_new: !!process.env.BC_DB_PASSWORD,
-        pass_legacy: !!process.env.DB_PASS
-      }
-    });
-  }
-});
-
-// Root Route
-app.get('/api', (req, res) => {
-  res.send('Inas Cafe API (Netlify Functions) is running...');
-});
-
-module.exports.handler = serverless(app);
+// Behind Netlify's proxy: take the client IP from X-Forwarded-For
+module.exports.handler = serverless(createApp({ trustProxy: 1 }));
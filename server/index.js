@@ -1,42 +1,13 @@
-const express = require('express');
-const cors = require('cors');
-const dotenv = require('dotenv');
+const { createApp } = require('./app');
 
-// Load environment variables
-dotenv.config();
-
-const app = express();
+const app = createApp();
 const PORT = process.env.PORT || 5000;
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// Basic Route
-app.get('/', (req, res) => {
-  res.send('Inas Cafe API is running...');
-});
-
-// Routes
-app.use('/api/customers', require('./routes/customers'));
-app.use('/api/menu', require('./routes/menu'));
-app.use('/api/extras', require('./routes/extras'));
-app.use('/api/advance', require('./routes/advance'));
-app.use('/api/invoices', require('./routes/invoices'));
-app.use('/api/auth', require('./routes/auth'));
-
-// Health Check
-app.get('/health', async (req, res) => {
-  try {
-    const db = require('./config/db');
-    await db.query('SELECT 1');
-    res.json({ status: 'OK', database: 'Connected' });
-  } catch (error) {
-    res.status(500).json({ status: 'Error', database: 'Disconnected', error: error.message });
-  }
-});
+// Start Server (only when run directly; the test suite imports the app)
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
+  });
+}
 
-// Start Server
-app.listen(PORT, () => {
-  console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
-});
+module.exports = app;
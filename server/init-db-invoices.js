@@ -1,29 +0,0 @@
-const db = require('./config/db');
-
-async function initDB() {
-  try {
-    console.log('Creating invoices table...');
-    
-    await db.query(`
-      CREATE TABLE IF NOT EXISTS invoices (
-        id VARCHAR(50) PRIMARY KEY,
-        customer_id VARCHAR(50),
-        month INT NOT NULL,
-        year INT NOT NULL,
-        amount DECIMAL(10, 2) NOT NULL,
-        status ENUM('pending', 'paid') DEFAULT 'pending',
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        paid_at DATETIME,
-        FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE
-      )
-    `);
-    
-    console.log('Table invoices created successfully');
-    process.exit(0);
-  } catch (error) {
-    console.error('Error creating table:', error);
-    process.exit(1);
-  }
-}
-
-initDB();
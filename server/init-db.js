@@ -1,29 +0,0 @@
-const fs = require('fs');
-const path = require('path');
-const db = require('./config/db');
-
-async function initDB() {
-  try {
-    const schemaPath = path.join(__dirname, 'schema.sql');
-    const sql = fs.readFileSync(schemaPath, 'utf8');
-    
-    // Split by semicolon to get individual statements
-    const statements = sql
-      .split(';')
-      .map(s => s.trim())
-      .filter(s => s.length > 0);
-
-    for (const statement of statements) {
-      await db.query(statement);
-      console.log('Executed statement');
-    }
-    
-    console.log('Database initialized successfully');
-    process.exit(0);
-  } catch (error) {
-    console.error('Error initializing database:', error);
-    process.exit(1);
-  }
-}
-
-initDB();
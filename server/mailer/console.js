@@ -0,0 +1,6 @@
+// Print messages to the server log instead of sending them
+async function send({ from, to, subject, text }) {
+  console.log(`\n📧 ---- Mail ----\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n---------------\n`);
+}
+
+module.exports = { send };
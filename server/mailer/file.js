@@ -0,0 +1,17 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+const MAIL_DIR = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'mail-outbox');
+
+// Write each message as a plain-text file, newest sorts last
+async function send({ from, to, subject, text }) {
+  await fs.mkdir(MAIL_DIR, { recursive: true });
+
+  const file = path.join(MAIL_DIR, `${Date.now()}-${String(to).replace(/[^a-z0-9@._-]/gi, '_')}.txt`);
+  const body = `From: ${from}\nTo: ${to}\nSubject: ${subject}\nDate: ${new Date().toISOString()}\n\n${text}\n`;
+
+  await fs.writeFile(file, body);
+  console.log(`📧 Mail for ${to} written to ${file}`);
+}
+
+module.exports = { send };
@@ -0,0 +1,40 @@
+/**
+ * Pluggable mailer. Pick the transport with MAIL_DRIVER:
+ *   smtp    - deliver through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+ *   file    - write each message to MAIL_FILE_DIR (default server/mail-outbox)
+ *   console - print each message to the server log (local default)
+ *
+ * A deployed instance only sends through SMTP: the messages carry password
+ * reset codes, which must not end up in function logs or on disk.
+ *
+ * Every adapter exposes send({ to, subject, text }).
+ */
+const adapters = {
+  smtp: () => require('./smtp'),
+  file: () => require('./file'),
+  console: () => require('./console')
+};
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Inas Cafe <no-reply@inas.coffee>';
+
+const isDeployed = !!process.env.NETLIFY || process.env.NODE_ENV === 'production';
+
+function getDriverName() {
+  return process.env.MAIL_DRIVER || (process.env.SMTP_HOST || isDeployed ? 'smtp' : 'console');
+}
+
+// Fail at startup rather than with the first reset code
+if (isDeployed && (getDriverName() !== 'smtp' || !process.env.SMTP_HOST)) {
+  throw new Error('A deployed instance sends mail through SMTP: set SMTP_HOST (and MAIL_DRIVER=smtp if MAIL_DRIVER is set)');
+}
+
+async function sendMail({ to, subject, text }) {
+  const driver = getDriverName();
+  if (!adapters[driver]) {
+    throw new Error(`Unknown MAIL_DRIVER "${driver}". Use one of: ${Object.keys(adapters).join(', ')}`);
+  }
+
+  return adapters[driver]().send({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = { sendMail };
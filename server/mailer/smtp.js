@@ -0,0 +1,25 @@
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+function getTransporter() {
+  if (!transporter) {
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transporter;
+}
+
+async function send(message) {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is not set');
+  }
+  await getTransporter().sendMail(message);
+}
+
+module.exports = { send };
@@ -0,0 +1,81 @@
+const jwt = require('jsonwebtoken');
+const { getActiveSession } = require('../utils/sessions');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+
+// Admin roles, most to least privileged
+const ROLES = {
+  OWNER: 'owner',
+  MANAGER: 'manager',
+  DATA_ENTRY: 'data-entry'
+};
+
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+
+// Never fall back to a known secret on a deployed instance
+const isDeployed = !!process.env.NETLIFY || process.env.NODE_ENV === 'production';
+const JWT_SECRET = process.env.JWT_SECRET || (isDeployed ? null : 'inas-cafe-local-dev-secret');
+
+if (!JWT_SECRET) {
+  throw new Error('JWT_SECRET environment variable is not set');
+}
+
+// Sign a token for a logged-in admin, bound to a server-side session
+function generateToken(admin, sessionId) {
+  return jwt.sign(
+    { id: admin.id, email: admin.email, role: admin.role, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: JWT_EXPIRES_IN }
+  );
+}
+
+// Short-lived token proving the password step passed, exchanged at /login/2fa
+function generateChallengeToken(admin) {
+  return jwt.sign({ id: admin.id, purpose: '2fa' }, JWT_SECRET, { expiresIn: '5m' });
+}
+
+// Admin id from a challenge token, or null if it is invalid or expired
+function verifyChallengeToken(token) {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    return decoded.purpose === '2fa' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Require a valid "Authorization: Bearer <token>" header for a live session
+async function protect(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    throw new UnauthorizedError('Not authorized, no token', { code: 'NO_TOKEN' });
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    throw new UnauthorizedError('Not authorized, token invalid or expired', { code: 'INVALID_TOKEN' });
+  }
+
+  // Revoked, idle or expired sessions are rejected even with a valid signature
+  const session = decoded.sid ? await getActiveSession(decoded.sid) : null;
+  if (!session || session.admin_id !== decoded.id) {
+    throw new UnauthorizedError('Not authorized, session expired or revoked', { code: 'SESSION_EXPIRED' });
+  }
+
+  // Email and role come from the database so changes apply immediately
+  req.admin = { id: session.admin_id, email: session.email, role: session.role, sessionId: session.id };
+  next();
+}
+
+// Restrict a route to the given roles (use after protect)
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.admin || !roles.includes(req.admin.role)) {
+    throw new ForbiddenError();
+  }
+  next();
+};
+
+module.exports = { ROLES, protect, authorize, generateToken, generateChallengeToken, verifyChallengeToken };
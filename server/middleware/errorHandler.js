@@ -0,0 +1,46 @@
+const { AppError, NotFoundError } = require('../utils/errors');
+
+// Database errors the user can act on; everything else is an internal error
+const DB_ERRORS = {
+  ER_DUP_ENTRY: { status: 409, code: 'CONFLICT', message: 'A record with these details already exists' },
+  ER_NO_REFERENCED_ROW_2: { status: 400, code: 'INVALID_REFERENCE', message: 'A referenced record does not exist' },
+  ER_ROW_IS_REFERENCED_2: { status: 409, code: 'IN_USE', message: 'This record is still used by other records' }
+};
+
+// Unknown /api routes
+function notFound(req, res, next) {
+  next(new NotFoundError(`Route not found: ${req.method} ${req.originalUrl}`, { code: 'ROUTE_NOT_FOUND' }));
+}
+
+// Central error handler: one envelope for every failure, no raw errors leaked
+function errorHandler(err, req, res, next) {
+  let status = 500;
+  let body = { code: 'INTERNAL_ERROR', message: 'Something went wrong. Please try again.' };
+
+  if (err instanceof AppError) {
+    status = err.status;
+    body = { code: err.code, message: err.message, ...(err.fields && { fields: err.fields }), ...err.details };
+  } else if (err.type === 'entity.parse.failed') {
+    status = 400;
+    body = { code: 'INVALID_JSON', message: 'Request body is not valid JSON' };
+  } else if (DB_ERRORS[err.code]) {
+    ({ status, ...body } = DB_ERRORS[err.code]);
+  }
+
+  if (status >= 500) {
+    console.error(`[${req.id}] ${req.method} ${req.originalUrl}:`, err);
+  }
+
+  // Lockouts tell the client when to retry
+  if (body.retryAfter) {
+    res.set('Retry-After', String(body.retryAfter));
+  }
+
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  res.status(status).json({ error: { ...body, requestId: req.id } });
+}
+
+module.exports = { notFound, errorHandler };
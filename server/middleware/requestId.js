@@ -0,0 +1,14 @@
+const crypto = require('crypto');
+
+// Accept a well-formed id from a proxy, otherwise make one
+const VALID_ID = /^[A-Za-z0-9._-]{8,100}$/;
+
+// Tag every request with an id, echoed in the X-Request-Id header and error responses
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+module.exports = requestId;
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned schema migrations.
+//
+//   npm run migrate            apply every pending migration
+//   npm run migrate:down       roll back the latest migration (or: node migrate.js down 3)
+//   npm run migrate:status     list applied and pending migrations
+//
+// Each file in migrations/ is named NNN_description.js and exports
+// async up(db) and down(db). Applied versions are recorded in schema_migrations.
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.js$/;
+
+// All migration files, oldest first
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(FILE_PATTERN))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version, name, file, ...require(path.join(MIGRATIONS_DIR, file)) }))
+    .sort((a, b) => a.version.localeCompare(b.version));
+}
+
+async function ensureMigrationsTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function appliedVersions(db) {
+  await ensureMigrationsTable(db);
+  const [rows] = await db.query('SELECT version FROM schema_migrations ORDER BY version ASC');
+  return rows.map(r => r.version);
+}
+
+/**
+ * Apply every pending migration in order.
+ * @returns {string[]} files that were applied
+ */
+async function migrateUp(db, { log = () => {} } = {}) {
+  const applied = new Set(await appliedVersions(db));
+  const done = [];
+
+  for (const migration of loadMigrations()) {
+    if (applied.has(migration.version)) continue;
+
+    log(`⬆️  ${migration.file}`);
+    await migration.up(db);
+    await db.query('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    done.push(migration.file);
+  }
+
+  return done;
+}
+
+/**
+ * Roll back the latest applied migrations.
+ * @returns {string[]} files that were rolled back
+ */
+async function migrateDown(db, { steps = 1, log = () => {} } = {}) {
+  const applied = await appliedVersions(db);
+  const byVersion = new Map(loadMigrations().map(m => [m.version, m]));
+  const done = [];
+
+  for (const version of applied.reverse().slice(0, steps)) {
+    const migration = byVersion.get(version);
+    if (!migration) {
+      throw new Error(`Migration ${version} is recorded as applied but its file is missing`);
+    }
+
+    log(`⬇️  ${migration.file}`);
+    await migration.down(db);
+    await db.query('DELETE FROM schema_migrations WHERE version = ?', [version]);
+    done.push(migration.file);
+  }
+
+  return done;
+}
+
+/**
+ * Applied state of every known migration.
+ * @returns {{ version, name, file, applied: boolean }[]}
+ */
+async function migrationStatus(db) {
+  const applied = new Set(await appliedVersions(db));
+  return loadMigrations().map(({ version, name, file }) => ({ version, name, file, applied: applied.has(version) }));
+}
+
+module.exports = { migrateUp, migrateDown, migrationStatus };
+
+// CLI: node migrate.js up|down [steps]|status
+if (require.main === module) {
+  const db = require('./db');
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  const run = async () => {
+    if (command === 'up') {
+      const done = await migrateUp(db, { log: console.log });
+      console.log(done.length ? `✅ Applied ${done.length} migration(s)` : '✅ Database is up to date');
+    } else if (command === 'down') {
+      const steps = parseInt(arg) || 1;
+      const done = await migrateDown(db, { steps, log: console.log });
+      console.log(done.length ? `✅ Rolled back ${done.length} migration(s)` : 'Nothing to roll back');
+    } else if (command === 'status') {
+      for (const m of await migrationStatus(db)) {
+        console.log(`${m.applied ? '✅' : '⏳'} ${m.file}`);
+      }
+    } else {
+      throw new Error(`Unknown command "${command}". Use up, down [steps] or status.`);
+    }
+  };
+
+  run()
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('Migration failed:', error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,12 @@
+// Free-text notes recorded when an invoice is marked as paid
+const { addColumn, dropColumn } = require('./helpers');
+
+module.exports = {
+  async up(db) {
+    await addColumn(db, 'invoices', 'payment_notes TEXT');
+  },
+
+  async down(db) {
+    await dropColumn(db, 'invoices', 'payment_notes');
+  }
+};
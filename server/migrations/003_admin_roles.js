@@ -0,0 +1,20 @@
+// Owner / manager / data-entry roles. Accounts created before roles existed
+// were all full administrators, so they become owners.
+
+module.exports = {
+  async up(db) {
+    // SQLite can't change a column default; new admins always get an explicit role
+    if (db.dialect === 'mysql') {
+      await db.query("ALTER TABLE admins ALTER COLUMN role SET DEFAULT 'owner'");
+    }
+    await db.query(
+      "UPDATE admins SET role = 'owner' WHERE role IS NULL OR role NOT IN ('owner', 'manager', 'data-entry')"
+    );
+  },
+
+  async down(db) {
+    if (db.dialect === 'mysql') {
+      await db.query("ALTER TABLE admins ALTER COLUMN role SET DEFAULT 'admin'");
+    }
+  }
+};
@@ -0,0 +1,26 @@
+// Audit log of every POST/PUT/DELETE through the API
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id VARCHAR(50) PRIMARY KEY,
+        admin_id VARCHAR(50),
+        admin_email VARCHAR(255),
+        action VARCHAR(20) NOT NULL, -- create | update | delete
+        entity VARCHAR(50) NOT NULL, -- customer, menu_item, extra, advance_payment, invoice, admin, session
+        entity_id VARCHAR(50),
+        before_data JSON,
+        after_data JSON,
+        ip_address VARCHAR(45),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_audit_entity (entity, entity_id),
+        INDEX idx_audit_created (created_at)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS audit_log');
+  }
+};
@@ -0,0 +1,21 @@
+// Server-side login rate limiting and lockout (attempted_at in UTC)
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        id VARCHAR(50) PRIMARY KEY,
+        email VARCHAR(255),
+        ip_address VARCHAR(45),
+        success BOOLEAN NOT NULL DEFAULT FALSE,
+        attempted_at DATETIME NOT NULL,
+        INDEX idx_login_email (email, attempted_at),
+        INDEX idx_login_ip (ip_address, attempted_at)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS login_attempts');
+  }
+};
@@ -0,0 +1,22 @@
+// Single-use password reset codes; only the SHA-256 hash is stored (times in UTC)
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS password_resets (
+        id VARCHAR(50) PRIMARY KEY,
+        admin_id VARCHAR(50) NOT NULL,
+        code_hash VARCHAR(64) NOT NULL,
+        attempts INT NOT NULL DEFAULT 0,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME NOT NULL,
+        FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS password_resets');
+  }
+};
@@ -0,0 +1,24 @@
+// One row per login; idle and absolute timeouts are enforced by the API (times in UTC)
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id VARCHAR(50) PRIMARY KEY,
+        admin_id VARCHAR(50) NOT NULL,
+        user_agent VARCHAR(255),
+        ip_address VARCHAR(45),
+        created_at DATETIME NOT NULL,
+        last_seen_at DATETIME NOT NULL,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME,
+        FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE,
+        INDEX idx_sessions_admin (admin_id)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS sessions');
+  }
+};
@@ -0,0 +1,29 @@
+// TOTP two-factor authentication and single-use recovery codes
+const { addColumn, dropColumn } = require('./helpers');
+
+module.exports = {
+  async up(db) {
+    await addColumn(db, 'admins', 'totp_secret VARCHAR(64)'); // base32, set during 2FA enrolment
+    await addColumn(db, 'admins', 'totp_enabled BOOLEAN NOT NULL DEFAULT FALSE');
+    await addColumn(db, 'admins', 'totp_last_step BIGINT'); // last accepted TOTP time step (blocks code reuse)
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS recovery_codes (
+        id VARCHAR(50) PRIMARY KEY,
+        admin_id VARCHAR(50) NOT NULL,
+        code_hash VARCHAR(64) NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME NOT NULL,
+        FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE,
+        INDEX idx_recovery_admin (admin_id)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS recovery_codes');
+    for (const column of ['totp_last_step', 'totp_enabled', 'totp_secret']) {
+      await dropColumn(db, 'admins', column);
+    }
+  }
+};
@@ -0,0 +1,29 @@
+// Line items snapshotted when an invoice is saved, so it always shows what was billed
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS invoice_lines (
+        id VARCHAR(50) PRIMARY KEY,
+        invoice_id VARCHAR(50) NOT NULL,
+        position INT NOT NULL,
+        type ENUM('subscription', 'extra', 'advance') NOT NULL,
+        date DATE,
+        meal_type VARCHAR(20),
+        menu_item_id VARCHAR(50), -- no foreign key: the line keeps its name and price if the item is deleted
+        description VARCHAR(255) NOT NULL,
+        notes TEXT,
+        quantity DECIMAL(10, 2) NOT NULL DEFAULT 1,
+        unit_price DECIMAL(10, 2) NOT NULL,
+        amount DECIMAL(10, 2) NOT NULL, -- negative for advances
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+        INDEX idx_invoice_lines_invoice (invoice_id, position)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS invoice_lines');
+  }
+};
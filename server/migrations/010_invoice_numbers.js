@@ -0,0 +1,40 @@
+// Sequential invoice numbers per financial year (see utils/invoiceNumbers.js).
+// Existing invoices are numbered in the order they were created.
+const { addColumn, dropColumn } = require('./helpers');
+const { fromDbDateTime } = require('../utils/time');
+const { financialYear, formatInvoiceNumber } = require('../utils/invoiceNumbers');
+
+module.exports = {
+  async up(db) {
+    await addColumn(db, 'invoices', 'invoice_number VARCHAR(50)');
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS invoice_sequences (
+        financial_year VARCHAR(9) PRIMARY KEY,
+        last_number INT NOT NULL
+      )
+    `);
+
+    const [invoices] = await db.query('SELECT id, created_at FROM invoices WHERE invoice_number IS NULL ORDER BY created_at ASC, id ASC');
+    const last = {};
+
+    for (const invoice of invoices) {
+      const fy = financialYear(fromDbDateTime(invoice.created_at) || new Date());
+      last[fy] = (last[fy] || 0) + 1;
+      await db.query('UPDATE invoices SET invoice_number = ? WHERE id = ?', [formatInvoiceNumber(fy, last[fy]), invoice.id]);
+    }
+
+    for (const [fy, lastNumber] of Object.entries(last)) {
+      await db.query('INSERT INTO invoice_sequences (financial_year, last_number) VALUES (?, ?)', [fy, lastNumber]);
+    }
+
+    await db.query('CREATE UNIQUE INDEX idx_invoices_number ON invoices (invoice_number)');
+  },
+
+  async down(db) {
+    await db.query(db.dialect === 'mysql'
+      ? 'DROP INDEX idx_invoices_number ON invoices'
+      : 'DROP INDEX IF EXISTS idx_invoices_number');
+    await db.query('DROP TABLE IF EXISTS invoice_sequences');
+    await dropColumn(db, 'invoices', 'invoice_number');
+  }
+};
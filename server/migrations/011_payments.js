@@ -0,0 +1,57 @@
+// Payments received from customers, allocated to one or more invoices.
+// invoices.amount_paid is the running total of allocations, and invoices move
+// pending -> partially_paid -> paid. Invoices already marked paid count as fully paid.
+const { addColumn, dropColumn } = require('./helpers');
+
+module.exports = {
+  async up(db) {
+    await addColumn(db, 'invoices', 'amount_paid DECIMAL(10, 2) NOT NULL DEFAULT 0');
+    await db.query("UPDATE invoices SET amount_paid = amount WHERE status = 'paid'");
+
+    // SQLite stores the status as plain text
+    if (db.dialect === 'mysql') {
+      await db.query("ALTER TABLE invoices MODIFY status ENUM('pending', 'partially_paid', 'paid') DEFAULT 'pending'");
+    }
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS payments (
+        id VARCHAR(50) PRIMARY KEY,
+        customer_id VARCHAR(50) NOT NULL,
+        amount DECIMAL(10, 2) NOT NULL,
+        mode ENUM('cash', 'upi', 'card', 'bank') NOT NULL,
+        reference VARCHAR(255),
+        date DATE NOT NULL,
+        notes TEXT,
+        recorded_by VARCHAR(50),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+        INDEX idx_payments_customer (customer_id, date)
+      )
+    `);
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS payment_allocations (
+        id VARCHAR(50) PRIMARY KEY,
+        payment_id VARCHAR(50) NOT NULL,
+        invoice_id VARCHAR(50) NOT NULL,
+        amount DECIMAL(10, 2) NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE CASCADE,
+        FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+        INDEX idx_allocations_payment (payment_id),
+        INDEX idx_allocations_invoice (invoice_id)
+      )
+    `);
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS payment_allocations');
+    await db.query('DROP TABLE IF EXISTS payments');
+
+    await db.query("UPDATE invoices SET status = 'pending' WHERE status = 'partially_paid'");
+    if (db.dialect === 'mysql') {
+      await db.query("ALTER TABLE invoices MODIFY status ENUM('pending', 'paid') DEFAULT 'pending'");
+    }
+    await dropColumn(db, 'invoices', 'amount_paid');
+  }
+};
@@ -0,0 +1,88 @@
+// A running account per customer (see repositories/customerLedger.js).
+// Payments and advances are credits, invoices are debits for everything they
+// charged. Advances used to be subtracted from their own month's invoice only,
+// so an existing invoice is debited its amount plus that month's advances.
+// Invoices marked paid before payments were recorded are credited what they
+// had paid beyond their payment allocations.
+// customers.advance_amount becomes the cached balance of the account.
+const { createId } = require('../utils/ids');
+const { toDateKey } = require('../utils/time');
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS customer_ledger (
+        id VARCHAR(50) PRIMARY KEY,
+        customer_id VARCHAR(50) NOT NULL,
+        date DATE NOT NULL,
+        type ENUM('payment', 'advance', 'invoice') NOT NULL,
+        amount DECIMAL(10, 2) NOT NULL,
+        description VARCHAR(255),
+        payment_id VARCHAR(50),
+        advance_id VARCHAR(50),
+        invoice_id VARCHAR(50),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+        FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE CASCADE,
+        FOREIGN KEY (advance_id) REFERENCES advance_payments(id) ON DELETE CASCADE,
+        FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+        INDEX idx_ledger_customer (customer_id, date)
+      )
+    `);
+
+    // Credit applied from the account when an invoice is issued
+    if (db.dialect === 'mysql') {
+      await db.query("ALTER TABLE invoice_lines MODIFY type ENUM('subscription', 'extra', 'advance', 'credit') NOT NULL");
+    }
+
+    const insert = (entry) => db.query(
+      'INSERT INTO customer_ledger (id, customer_id, date, type, amount, description, payment_id, advance_id, invoice_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+      [createId('led'), entry.customerId, entry.date, entry.type, entry.amount, entry.description, entry.paymentId || null, entry.advanceId || null, entry.invoiceId || null]
+    );
+
+    const [advances] = await db.query('SELECT * FROM advance_payments');
+    for (const a of advances) {
+      await insert({ customerId: a.customer_id, date: toDateKey(a.date), type: 'advance', amount: a.amount, description: 'Advance payment', advanceId: a.id });
+    }
+
+    const [payments] = await db.query('SELECT * FROM payments');
+    for (const p of payments) {
+      await insert({ customerId: p.customer_id, date: toDateKey(p.date), type: 'payment', amount: p.amount, description: `Payment (${p.mode})`, paymentId: p.id });
+    }
+
+    const [invoices] = await db.query(`
+      SELECT i.id, i.customer_id, i.invoice_number, i.created_at, i.paid_at,
+        i.amount + COALESCE((
+          SELECT SUM(ap.amount) FROM advance_payments ap
+          WHERE ap.customer_id = i.customer_id AND ap.year = i.year AND ap.month = i.month
+        ), 0) AS charges,
+        i.amount_paid - COALESCE((SELECT SUM(pa.amount) FROM payment_allocations pa WHERE pa.invoice_id = i.id), 0) AS paid_before
+      FROM invoices i
+    `);
+    for (const i of invoices) {
+      await insert({ customerId: i.customer_id, date: toDateKey(i.created_at), type: 'invoice', amount: -i.charges, description: `Invoice ${i.invoice_number}`, invoiceId: i.id });
+      if (Number(i.paid_before) > 0) {
+        await insert({
+          customerId: i.customer_id,
+          date: toDateKey(i.paid_at || i.created_at),
+          type: 'payment',
+          amount: i.paid_before,
+          description: `Paid invoice ${i.invoice_number}`,
+          invoiceId: i.id
+        });
+      }
+    }
+
+    await db.query('UPDATE customers SET advance_amount = (SELECT COALESCE(SUM(amount), 0) FROM customer_ledger WHERE customer_id = customers.id)');
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS customer_ledger');
+    await db.query('UPDATE customers SET advance_amount = 0');
+
+    await db.query("UPDATE invoice_lines SET type = 'advance' WHERE type = 'credit'");
+    if (db.dialect === 'mysql') {
+      await db.query("ALTER TABLE invoice_lines MODIFY type ENUM('subscription', 'extra', 'advance') NOT NULL");
+    }
+  }
+};
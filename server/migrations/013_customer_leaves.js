@@ -0,0 +1,33 @@
+// Days (or single meals) a customer is away. Monthly bills take them off the
+// subscription and list them as 'leave' lines.
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS customer_leaves (
+        id VARCHAR(50) PRIMARY KEY,
+        customer_id VARCHAR(50) NOT NULL,
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        meals JSON, -- null: every meal of the day
+        reason VARCHAR(255),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+        INDEX idx_leaves_customer (customer_id, start_date)
+      )
+    `);
+
+    if (db.dialect === 'mysql') {
+      await db.query("ALTER TABLE invoice_lines MODIFY type ENUM('subscription', 'extra', 'advance', 'credit', 'leave') NOT NULL");
+    }
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS customer_leaves');
+
+    await db.query("DELETE FROM invoice_lines WHERE type = 'leave'");
+    if (db.dialect === 'mysql') {
+      await db.query("ALTER TABLE invoice_lines MODIFY type ENUM('subscription', 'extra', 'advance', 'credit') NOT NULL");
+    }
+  }
+};
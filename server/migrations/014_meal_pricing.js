@@ -0,0 +1,23 @@
+// Subscription pricing per meal and plan end dates.
+// 'combination' keeps daily_amount as the price of all the customer's meals
+// together; 'per_meal' prices each meal on its own (daily_amount then holds
+// their sum). Prices are per day, or per month for monthly plans.
+const { addColumn, dropColumn } = require('./helpers');
+
+module.exports = {
+  async up(db) {
+    await addColumn(db, 'customers', "pricing ENUM('combination', 'per_meal') NOT NULL DEFAULT 'combination'");
+    await addColumn(db, 'customers', 'breakfast_price DECIMAL(10, 2)');
+    await addColumn(db, 'customers', 'lunch_price DECIMAL(10, 2)');
+    await addColumn(db, 'customers', 'dinner_price DECIMAL(10, 2)');
+    await addColumn(db, 'customers', 'end_date DATE');
+  },
+
+  async down(db) {
+    await dropColumn(db, 'customers', 'end_date');
+    await dropColumn(db, 'customers', 'dinner_price');
+    await dropColumn(db, 'customers', 'lunch_price');
+    await dropColumn(db, 'customers', 'breakfast_price');
+    await dropColumn(db, 'customers', 'pricing');
+  }
+};
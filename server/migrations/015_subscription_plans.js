@@ -0,0 +1,74 @@
+// A catalogue of subscription plans and each customer's plan history.
+// A customer on a plan gets the plan's terms copied onto their row
+// (customers.plan_id points back at it); customers without one keep their own
+// terms. customer_plans holds the terms a customer was on from each date: an
+// entry lasts until the next one starts, and the earliest also covers the
+// days before it. Existing customers start with one entry for their terms.
+const { addColumn, dropColumn } = require('./helpers');
+const { createId } = require('../utils/ids');
+const { toDateKey } = require('../utils/time');
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS plans (
+        id VARCHAR(50) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL UNIQUE,
+        description TEXT,
+        subscription_type ENUM('daily', 'monthly') NOT NULL DEFAULT 'daily',
+        meal_times JSON,
+        pricing ENUM('combination', 'per_meal') NOT NULL DEFAULT 'combination',
+        daily_amount DECIMAL(10, 2) NOT NULL,
+        breakfast_price DECIMAL(10, 2),
+        lunch_price DECIMAL(10, 2),
+        dinner_price DECIMAL(10, 2),
+        valid_from DATE,
+        valid_to DATE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await addColumn(db, 'customers', 'plan_id VARCHAR(50)');
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS customer_plans (
+        id VARCHAR(50) PRIMARY KEY,
+        customer_id VARCHAR(50) NOT NULL,
+        effective_from DATE NOT NULL,
+        plan_id VARCHAR(50),
+        plan_name VARCHAR(255),
+        subscription_type ENUM('daily', 'monthly') NOT NULL DEFAULT 'daily',
+        meal_times JSON,
+        pricing ENUM('combination', 'per_meal') NOT NULL DEFAULT 'combination',
+        daily_amount DECIMAL(10, 2) NOT NULL,
+        breakfast_price DECIMAL(10, 2),
+        lunch_price DECIMAL(10, 2),
+        dinner_price DECIMAL(10, 2),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+        FOREIGN KEY (plan_id) REFERENCES plans(id) ON DELETE SET NULL,
+        INDEX idx_customer_plans_customer (customer_id, effective_from)
+      )
+    `);
+
+    const [customers] = await db.query('SELECT * FROM customers');
+    for (const c of customers) {
+      await db.query(
+        `INSERT INTO customer_plans (id, customer_id, effective_from, subscription_type, meal_times, pricing, daily_amount, breakfast_price, lunch_price, dinner_price)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          createId('cplan'), c.id, toDateKey(c.start_date || c.created_at || new Date()),
+          c.subscription_type || 'daily', typeof c.meal_times === 'string' ? c.meal_times : JSON.stringify(c.meal_times || []),
+          c.pricing || 'combination', c.daily_amount || 0, c.breakfast_price, c.lunch_price, c.dinner_price
+        ]
+      );
+    }
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS customer_plans');
+    await dropColumn(db, 'customers', 'plan_id');
+    await db.query('DROP TABLE IF EXISTS plans');
+  }
+};
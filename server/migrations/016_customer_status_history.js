@@ -0,0 +1,34 @@
+// When customers were paused and resumed, so bills charge only the days they
+// were active. A customer is active until their first entry and each entry
+// lasts until the next one. Customers already paused are recorded as paused
+// from their last update, the closest date on record.
+const { createId } = require('../utils/ids');
+const { toDateKey } = require('../utils/time');
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS customer_status_changes (
+        id VARCHAR(50) PRIMARY KEY,
+        customer_id VARCHAR(50) NOT NULL,
+        status ENUM('active', 'paused') NOT NULL,
+        effective_from DATE NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+        INDEX idx_status_changes_customer (customer_id, effective_from)
+      )
+    `);
+
+    const [paused] = await db.query("SELECT id, updated_at FROM customers WHERE status = 'paused'");
+    for (const c of paused) {
+      await db.query(
+        'INSERT INTO customer_status_changes (id, customer_id, status, effective_from) VALUES (?, ?, ?, ?)',
+        [createId('cstat'), c.id, 'paused', toDateKey(c.updated_at || new Date())]
+      );
+    }
+  },
+
+  async down(db) {
+    await db.query('DROP TABLE IF EXISTS customer_status_changes');
+  }
+};
@@ -0,0 +1,57 @@
+// GST on invoices. The business's tax settings (GSTIN, default rate, whether
+// prices include tax, SAC code) live in the settings table; menu items can
+// have their own rate and HSN code. Saved invoices keep each line's tax and
+// who was billed where, so they show the tax they were issued with.
+const { addColumn, dropColumn } = require('./helpers');
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS settings (
+        name VARCHAR(100) PRIMARY KEY,
+        value JSON NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // null: the default rate and SAC code
+    await addColumn(db, 'menu_items', 'tax_rate DECIMAL(5, 2)');
+    await addColumn(db, 'menu_items', 'hsn_code VARCHAR(8)');
+
+    // Registered business customers; the state (GST state code) is the place of supply
+    await addColumn(db, 'customers', 'gstin VARCHAR(15)');
+    await addColumn(db, 'customers', 'state_code CHAR(2)');
+
+    await addColumn(db, 'invoice_lines', 'hsn_code VARCHAR(8)');
+    await addColumn(db, 'invoice_lines', 'tax_rate DECIMAL(5, 2)');
+    await addColumn(db, 'invoice_lines', 'taxable_value DECIMAL(10, 2)');
+    await addColumn(db, 'invoice_lines', 'tax_amount DECIMAL(10, 2) NOT NULL DEFAULT 0');
+
+    await addColumn(db, 'invoices', 'seller_gstin VARCHAR(15)');
+    await addColumn(db, 'invoices', 'seller_name VARCHAR(255)');
+    await addColumn(db, 'invoices', 'buyer_gstin VARCHAR(15)');
+    await addColumn(db, 'invoices', 'place_of_supply CHAR(2)');
+    await addColumn(db, 'invoices', 'interstate BOOLEAN NOT NULL DEFAULT FALSE');
+    await addColumn(db, 'invoices', 'prices_include_tax BOOLEAN NOT NULL DEFAULT FALSE');
+    await addColumn(db, 'invoices', 'tax_total DECIMAL(10, 2) NOT NULL DEFAULT 0');
+  },
+
+  async down(db) {
+    await dropColumn(db, 'invoices', 'tax_total');
+    await dropColumn(db, 'invoices', 'prices_include_tax');
+    await dropColumn(db, 'invoices', 'interstate');
+    await dropColumn(db, 'invoices', 'place_of_supply');
+    await dropColumn(db, 'invoices', 'buyer_gstin');
+    await dropColumn(db, 'invoices', 'seller_name');
+    await dropColumn(db, 'invoices', 'seller_gstin');
+    await dropColumn(db, 'invoice_lines', 'tax_amount');
+    await dropColumn(db, 'invoice_lines', 'taxable_value');
+    await dropColumn(db, 'invoice_lines', 'tax_rate');
+    await dropColumn(db, 'invoice_lines', 'hsn_code');
+    await dropColumn(db, 'customers', 'state_code');
+    await dropColumn(db, 'customers', 'gstin');
+    await dropColumn(db, 'menu_items', 'hsn_code');
+    await dropColumn(db, 'menu_items', 'tax_rate');
+    await db.query('DROP TABLE IF EXISTS settings');
+  }
+};
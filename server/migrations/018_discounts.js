@@ -0,0 +1,83 @@
+// Discounts, coupons and referral credits.
+// A discount takes a flat amount or a percentage off a bill's charges while
+// it is valid. Without a code it applies by itself to its customer, or to
+// everyone on its plan; with a code it is a coupon entered at invoice time.
+// A customer who referred someone earns a referral reward once that customer
+// pays their first invoice, used up as credit on the referrer's next invoices.
+// Invoice lines remember the discount or reward they came from, which counts
+// coupon uses and what is left of each reward.
+const { addColumn, dropColumn } = require('./helpers');
+
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS discounts (
+        id VARCHAR(50) PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        kind ENUM('flat', 'percent') NOT NULL,
+        value DECIMAL(10, 2) NOT NULL,
+        customer_id VARCHAR(50),
+        plan_id VARCHAR(50),
+        code VARCHAR(30) UNIQUE,
+        max_uses INT,
+        valid_from DATE,
+        valid_to DATE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (customer_id) REFERENCES customers(id) ON DELETE CASCADE,
+        FOREIGN KEY (plan_id) REFERENCES plans(id) ON DELETE CASCADE,
+        INDEX idx_discounts_customer (customer_id),
+        INDEX idx_discounts_plan (plan_id)
+      )
+    `);
+
+    // The customer who referred them (customers.referral stays as the free-text name)
+    await addColumn(db, 'customers', 'referred_by VARCHAR(50)');
+
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS referral_rewards (
+        id VARCHAR(50) PRIMARY KEY,
+        referrer_id VARCHAR(50) NOT NULL,
+        referred_id VARCHAR(50) NOT NULL UNIQUE,
+        amount DECIMAL(10, 2) NOT NULL,
+        earned_on DATE NOT NULL,
+        invoice_id VARCHAR(50), -- the referred customer's first invoice, whose payment earned it
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (referrer_id) REFERENCES customers(id) ON DELETE CASCADE,
+        FOREIGN KEY (referred_id) REFERENCES customers(id) ON DELETE CASCADE,
+        FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE SET NULL,
+        INDEX idx_referral_rewards_referrer (referrer_id)
+      )
+    `);
+
+    // No foreign keys: the lines keep their description if the source is deleted
+    await addColumn(db, 'invoice_lines', 'discount_id VARCHAR(50)');
+    await addColumn(db, 'invoice_lines', 'referral_reward_id VARCHAR(50)');
+    if (db.dialect === 'mysql') {
+      await db.query("ALTER TABLE invoice_lines MODIFY type ENUM('subscription', 'extra', 'advance', 'credit', 'leave', 'discount', 'referral') NOT NULL");
+    }
+
+    // Link referrals recorded as "Name (mobile)" by the customer form
+    const [referred] = await db.query("SELECT id, referral FROM customers WHERE referral IS NOT NULL AND referral <> ''");
+    for (const c of referred) {
+      const mobile = /\((\d{10})\)\s*$/.exec(c.referral);
+      if (!mobile) continue;
+      const [[referrer]] = await db.query('SELECT id FROM customers WHERE mobile = ? AND id <> ? ORDER BY created_at ASC LIMIT 1', [mobile[1], c.id]);
+      if (referrer) {
+        await db.query('UPDATE customers SET referred_by = ? WHERE id = ?', [referrer.id, c.id]);
+      }
+    }
+  },
+
+  async down(db) {
+    await db.query("DELETE FROM invoice_lines WHERE type IN ('discount', 'referral')");
+    if (db.dialect === 'mysql') {
+      await db.query("ALTER TABLE invoice_lines MODIFY type ENUM('subscription', 'extra', 'advance', 'credit', 'leave') NOT NULL");
+    }
+    await dropColumn(db, 'invoice_lines', 'referral_reward_id');
+    await dropColumn(db, 'invoice_lines', 'discount_id');
+    await db.query('DROP TABLE IF EXISTS referral_rewards');
+    await dropColumn(db, 'customers', 'referred_by');
+    await db.query('DROP TABLE IF EXISTS discounts');
+  }
+};
@@ -0,0 +1,21 @@
+// Shared helpers for migrations.
+// Databases created by the old init-db/update-db scripts may already have
+// some of these columns, so adding and dropping them is idempotent.
+
+async function addColumn(db, table, definition) {
+  try {
+    await db.query(`ALTER TABLE ${table} ADD COLUMN ${definition}`);
+  } catch (error) {
+    if (error.code !== 'ER_DUP_FIELDNAME') throw error;
+  }
+}
+
+async function dropColumn(db, table, column) {
+  try {
+    await db.query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+  } catch (error) {
+    if (error.code !== 'ER_CANT_DROP_FIELD_OR_KEY') throw error;
+  }
+}
+
+module.exports = { addColumn, dropColumn };
@@ -0,0 +1,52 @@
+const db = require('../db');
+const { first, updateById } = require('./helpers');
+
+async function findAll() {
+  const [rows] = await db.query('SELECT id, name, email, role, totp_enabled, created_at FROM admins ORDER BY name ASC');
+  return rows;
+}
+
+async function findById(id) {
+  return first(await db.query('SELECT * FROM admins WHERE id = ?', [id]));
+}
+
+async function findByEmail(email) {
+  return first(await db.query('SELECT * FROM admins WHERE email = ?', [email]));
+}
+
+// Whether another admin already uses this email
+async function emailTaken(email, exceptId = null) {
+  const [rows] = await db.query('SELECT id FROM admins WHERE email = ? AND id != ?', [email, exceptId || '']);
+  return rows.length > 0;
+}
+
+async function findIdsByRole(role) {
+  const [rows] = await db.query('SELECT id FROM admins WHERE role = ?', [role]);
+  return rows.map(r => r.id);
+}
+
+async function create(a) {
+  await db.query(
+    'INSERT INTO admins (id, name, email, password, role) VALUES (?, ?, ?, ?, ?)',
+    [a.id, a.name, a.email, a.password, a.role]
+  );
+}
+
+// changes: { name, email, role, password (already hashed), totpSecret, totpEnabled, totpLastStep }
+async function update(id, changes) {
+  return updateById('admins', id, {
+    name: changes.name,
+    email: changes.email,
+    role: changes.role,
+    password: changes.password,
+    totp_secret: changes.totpSecret,
+    totp_enabled: changes.totpEnabled,
+    totp_last_step: changes.totpLastStep
+  });
+}
+
+async function remove(id) {
+  await db.query('DELETE FROM admins WHERE id = ?', [id]);
+}
+
+module.exports = { findAll, findById, findByEmail, emailTaken, findIdsByRole, create, update, remove };
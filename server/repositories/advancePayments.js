@@ -0,0 +1,60 @@
+const db = require('../db');
+const { first } = require('./helpers');
+const ledger = require('./customerLedger');
+
+// Payments with the customer's name, newest first (filters: customerId, year)
+async function findAll({ customerId, year } = {}) {
+  let query = `
+    SELECT ap.*, c.name as customer_name 
+    FROM advance_payments ap 
+    JOIN customers c ON ap.customer_id = c.id
+  `;
+  const params = [];
+  const conditions = [];
+
+  if (customerId) {
+    conditions.push('ap.customer_id = ?');
+    params.push(customerId);
+  }
+
+  if (year) {
+    conditions.push('ap.year = ?');
+    params.push(year);
+  }
+
+  if (conditions.length > 0) {
+    query += ' WHERE ' + conditions.join(' AND ');
+  }
+
+  query += ' ORDER BY ap.date DESC, ap.created_at DESC';
+
+  const [rows] = await db.query(query, params);
+  return rows;
+}
+
+async function findById(id) {
+  return first(await db.query('SELECT * FROM advance_payments WHERE id = ?', [id]));
+}
+
+// An advance is credited to the customer's account, whichever month it was paid for
+async function create(p) {
+  await db.transaction(async (tx) => {
+    await tx.query(
+      'INSERT INTO advance_payments (id, customer_id, month, year, amount, date, notes) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [p.id, p.customerId, p.month, p.year, p.amount, p.date, p.notes]
+    );
+    await ledger.add(tx, { customerId: p.customerId, date: p.date, type: 'advance', amount: p.amount, description: 'Advance payment', advanceId: p.id });
+  });
+}
+
+async function remove(id) {
+  await db.transaction(async (tx) => {
+    const [[advance]] = await tx.query('SELECT customer_id FROM advance_payments WHERE id = ?', [id]);
+    if (!advance) return;
+
+    await tx.query('DELETE FROM advance_payments WHERE id = ?', [id]);
+    await ledger.refreshBalance(tx, advance.customer_id);
+  });
+}
+
+module.exports = { findAll, findById, create, remove };
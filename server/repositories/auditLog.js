@@ -0,0 +1,39 @@
+const db = require('../db');
+
+const toJSON = (value) => (value === undefined || value === null ? null : JSON.stringify(value));
+
+async function create(entry) {
+  await db.query(
+    'INSERT INTO audit_log (id, admin_id, admin_email, action, entity, entity_id, before_data, after_data, ip_address) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [entry.id, entry.adminId || null, entry.adminEmail || null, entry.action, entry.entity, entry.entityId || null, toJSON(entry.before), toJSON(entry.after), entry.ipAddress || null]
+  );
+}
+
+/**
+ * Entries newest first.
+ * filters: { entity, entityId, action, actor, from, to, adminId, limit, offset }
+ */
+async function findAll({ entity, entityId, action, actor, from, to, adminId, limit = 100, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (entity) { conditions.push('entity = ?'); params.push(entity); }
+  if (entityId) { conditions.push('entity_id = ?'); params.push(entityId); }
+  if (action) { conditions.push('action = ?'); params.push(action); }
+  if (actor) { conditions.push('admin_email LIKE ?'); params.push(`%${actor}%`); }
+  if (from) { conditions.push('created_at >= ?'); params.push(`${from} 00:00:00`); }
+  if (to) { conditions.push('created_at <= ?'); params.push(`${to} 23:59:59`); }
+  if (adminId) { conditions.push('admin_id = ?'); params.push(adminId); }
+
+  let query = 'SELECT * FROM audit_log';
+  if (conditions.length > 0) {
+    query += ' WHERE ' + conditions.join(' AND ');
+  }
+  query += ' ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?';
+  params.push(limit, offset);
+
+  const [rows] = await db.query(query, params);
+  return rows;
+}
+
+module.exports = { create, findAll };
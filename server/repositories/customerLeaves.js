@@ -0,0 +1,38 @@
+const db = require('../db');
+const { first } = require('./helpers');
+
+// A customer's leaves, latest first
+async function findForCustomer(customerId) {
+  const [rows] = await db.query(
+    'SELECT * FROM customer_leaves WHERE customer_id = ? ORDER BY start_date DESC, created_at DESC',
+    [customerId]
+  );
+  return rows;
+}
+
+// Leaves that overlap the days from..to ('YYYY-MM-DD', inclusive), oldest first
+async function findBetween(customerId, from, to) {
+  const [rows] = await db.query(
+    'SELECT * FROM customer_leaves WHERE customer_id = ? AND start_date <= ? AND end_date >= ? ORDER BY start_date ASC, created_at ASC',
+    [customerId, to, from]
+  );
+  return rows;
+}
+
+async function findById(id) {
+  return first(await db.query('SELECT * FROM customer_leaves WHERE id = ?', [id]));
+}
+
+// l: { id, customerId, startDate, endDate, meals (null for the whole day), reason }
+async function create(l) {
+  await db.query(
+    'INSERT INTO customer_leaves (id, customer_id, start_date, end_date, meals, reason) VALUES (?, ?, ?, ?, ?, ?)',
+    [l.id, l.customerId, l.startDate, l.endDate, l.meals ? JSON.stringify(l.meals) : null, l.reason || '']
+  );
+}
+
+async function remove(id) {
+  await db.query('DELETE FROM customer_leaves WHERE id = ?', [id]);
+}
+
+module.exports = { findForCustomer, findBetween, findById, create, remove };
@@ -0,0 +1,54 @@
+const db = require('../db');
+const { createId } = require('../utils/ids');
+
+// Each customer's running account. Amounts are signed from the customer's
+// side: payments and advances are credits (+), invoices are debits (-) for
+// everything they charged. The balance is the sum of the entries and is
+// cached in customers.advance_amount. Entries are written by the repositories
+// that create their source rows, inside the same transaction, and go away with
+// them through ON DELETE CASCADE.
+
+const REFRESH_BALANCE = `
+  UPDATE customers SET advance_amount = (SELECT COALESCE(SUM(amount), 0) FROM customer_ledger WHERE customer_id = ?)
+  WHERE id = ?
+`;
+
+async function refreshBalance(tx, customerId) {
+  await tx.query(REFRESH_BALANCE, [customerId, customerId]);
+}
+
+/**
+ * Add an entry inside the caller's transaction and refresh the cached balance.
+ * @param {Object} tx - transaction from db.transaction()
+ * @param {Object} e - { customerId, date, type: payment | advance | invoice, amount (signed), description, paymentId?, advanceId?, invoiceId? }
+ */
+async function add(tx, e) {
+  await tx.query(
+    'INSERT INTO customer_ledger (id, customer_id, date, type, amount, description, payment_id, advance_id, invoice_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    [createId('led'), e.customerId, e.date, e.type, e.amount, e.description, e.paymentId || null, e.advanceId || null, e.invoiceId || null]
+  );
+  await refreshBalance(tx, e.customerId);
+}
+
+// A customer's entries, oldest first
+async function findForCustomer(customerId) {
+  const [rows] = await db.query(
+    'SELECT * FROM customer_ledger WHERE customer_id = ? ORDER BY date ASC, created_at ASC, id ASC',
+    [customerId]
+  );
+  return rows;
+}
+
+// Credit a customer has that no invoice has used yet: the account balance
+// plus what is still due on their invoices (already counted as debits)
+async function availableCredit(customerId) {
+  const [[row]] = await db.query(`
+    SELECT
+      (SELECT COALESCE(SUM(amount), 0) FROM customer_ledger WHERE customer_id = ?) +
+      (SELECT COALESCE(SUM(amount - amount_paid), 0) FROM invoices WHERE customer_id = ? AND status IN ('pending', 'partially_paid'))
+      AS credit
+  `, [customerId, customerId]);
+  return Number(row.credit);
+}
+
+module.exports = { add, refreshBalance, findForCustomer, availableCredit };
@@ -0,0 +1,76 @@
+const db = require('../db');
+const { createId } = require('../utils/ids');
+
+// Each customer's plan history: the terms they were billed on from each date.
+// An entry lasts until the next one starts; the earliest also covers any days
+// before it. Entries copy the customer row, so they are written right after
+// the row changes, inside the same transaction.
+
+// The terms an entry copies from the customer row
+const TERMS = ['plan_id', 'subscription_type', 'meal_times', 'pricing', 'daily_amount', 'breakfast_price', 'lunch_price', 'dinner_price'];
+
+async function currentTerms(tx, customerId) {
+  const [[c]] = await tx.query(
+    'SELECT c.*, p.name AS plan_name FROM customers c LEFT JOIN plans p ON p.id = c.plan_id WHERE c.id = ?',
+    [customerId]
+  );
+  return {
+    plan_id: c.plan_id,
+    plan_name: c.plan_name,
+    subscription_type: c.subscription_type || 'daily',
+    meal_times: typeof c.meal_times === 'string' ? c.meal_times : JSON.stringify(c.meal_times || []),
+    pricing: c.pricing,
+    daily_amount: c.daily_amount || 0,
+    breakfast_price: c.breakfast_price,
+    lunch_price: c.lunch_price,
+    dinner_price: c.dinner_price
+  };
+}
+
+/**
+ * Start a new entry with the customer's current terms. It replaces whatever
+ * was scheduled from that date on.
+ * @param {Object} tx - transaction from db.transaction()
+ * @param {string} effectiveFrom - 'YYYY-MM-DD'
+ */
+async function record(tx, customerId, effectiveFrom) {
+  const terms = await currentTerms(tx, customerId);
+  const columns = ['plan_name', ...TERMS];
+
+  await tx.query('DELETE FROM customer_plans WHERE customer_id = ? AND effective_from >= ?', [customerId, effectiveFrom]);
+  await tx.query(
+    `INSERT INTO customer_plans (id, customer_id, effective_from, ${columns.join(', ')}) VALUES (?, ?, ?, ${columns.map(() => '?').join(', ')})`,
+    [createId('cplan'), customerId, effectiveFrom, ...columns.map(column => terms[column])]
+  );
+}
+
+/**
+ * Overwrite the latest entry with the customer's current terms: a correction
+ * rather than a change, so it applies to every day that entry covers.
+ * A customer without any entry gets one from fallbackFrom.
+ */
+async function amendLatest(tx, customerId, fallbackFrom) {
+  const [[latest]] = await tx.query(
+    'SELECT id FROM customer_plans WHERE customer_id = ? ORDER BY effective_from DESC, created_at DESC LIMIT 1',
+    [customerId]
+  );
+  if (!latest) return record(tx, customerId, fallbackFrom);
+
+  const terms = await currentTerms(tx, customerId);
+  const columns = ['plan_name', ...TERMS];
+  await tx.query(
+    `UPDATE customer_plans SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+    [...columns.map(column => terms[column]), latest.id]
+  );
+}
+
+// A customer's entries, oldest first
+async function findForCustomer(customerId) {
+  const [rows] = await db.query(
+    'SELECT * FROM customer_plans WHERE customer_id = ? ORDER BY effective_from ASC, created_at ASC',
+    [customerId]
+  );
+  return rows;
+}
+
+module.exports = { record, amendLatest, findForCustomer };
@@ -0,0 +1,31 @@
+const db = require('../db');
+const { createId } = require('../utils/ids');
+
+// When each customer was paused and resumed. A customer is active until their
+// first entry; each entry lasts until the next one starts.
+
+/**
+ * Record a status from effectiveFrom inside the caller's transaction. It
+ * replaces whatever was recorded from that date on.
+ * @param {Object} tx - transaction from db.transaction()
+ * @param {string} status - active | paused
+ * @param {string} effectiveFrom - 'YYYY-MM-DD'
+ */
+async function record(tx, customerId, status, effectiveFrom) {
+  await tx.query('DELETE FROM customer_status_changes WHERE customer_id = ? AND effective_from >= ?', [customerId, effectiveFrom]);
+  await tx.query(
+    'INSERT INTO customer_status_changes (id, customer_id, status, effective_from) VALUES (?, ?, ?, ?)',
+    [createId('cstat'), customerId, status, effectiveFrom]
+  );
+}
+
+// A customer's entries, oldest first
+async function findForCustomer(customerId) {
+  const [rows] = await db.query(
+    'SELECT * FROM customer_status_changes WHERE customer_id = ? ORDER BY effective_from ASC, created_at ASC',
+    [customerId]
+  );
+  return rows;
+}
+
+module.exports = { record, findForCustomer };
@@ -0,0 +1,98 @@
+const db = require('../db');
+const customerPlans = require('./customerPlans');
+const customerStatusChanges = require('./customerStatusChanges');
+const { first, updateById } = require('./helpers');
+const { toDateKey } = require('../utils/time');
+
+async function findAll() {
+  const [rows] = await db.query('SELECT * FROM customers ORDER BY name ASC');
+  return rows;
+}
+
+async function findById(id) {
+  return first(await db.query('SELECT * FROM customers WHERE id = ?', [id]));
+}
+
+// Customers currently on a plan
+async function findByPlan(planId) {
+  const [rows] = await db.query('SELECT * FROM customers WHERE plan_id = ? ORDER BY name ASC', [planId]);
+  return rows;
+}
+
+// Creating a customer opens their plan history from their start date (or
+// today), and their status history when they start out paused
+async function create(c) {
+  const startDate = c.startDate || toDateKey(new Date());
+  await db.transaction(async (tx) => {
+    await tx.query(
+      `INSERT INTO customers (id, name, mobile, address, subscription_type, daily_amount, plan_id, pricing, breakfast_price, lunch_price, dinner_price, meal_times, referral, referred_by, start_date, end_date, status, gstin, state_code)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        c.id, c.name, c.mobile, c.address, c.subscriptionType, c.dailyAmount, c.planId || null,
+        c.pricing || 'combination', c.breakfastPrice, c.lunchPrice, c.dinnerPrice,
+        JSON.stringify(c.mealTimes || []), c.referral, c.referredBy || null, c.startDate, c.endDate, c.status || 'active',
+        c.gstin || null, c.stateCode || null
+      ]
+    );
+    await customerPlans.record(tx, c.id, startDate);
+    if (c.status === 'paused') {
+      await customerStatusChanges.record(tx, c.id, 'paused', startDate);
+    }
+  });
+}
+
+// Changes that make up a customer's plan terms (see customerPlans)
+const TERM_CHANGES = ['planId', 'subscriptionType', 'dailyAmount', 'pricing', 'breakfastPrice', 'lunchPrice', 'dinnerPrice', 'mealTimes'];
+
+/**
+ * changes: { name, mobile, address, subscriptionType, dailyAmount, planId (null: no plan), pricing,
+ *            breakfastPrice, lunchPrice, dinnerPrice, mealTimes, referral, referredBy (null clears it), startDate, endDate (null clears it), status,
+ *            gstin, stateCode (null clears them) }
+ * When the terms change they start a new plan history entry from effectiveFrom,
+ * or without one correct the current entry. A new status is recorded from
+ * effectiveFrom, or today.
+ * @param {Object} [options] - { effectiveFrom: 'YYYY-MM-DD' }
+ */
+async function update(id, changes, { effectiveFrom } = {}) {
+  return db.transaction(async (tx) => {
+    const [[before]] = await tx.query('SELECT status FROM customers WHERE id = ?', [id]);
+    const affected = await updateById('customers', id, {
+      name: changes.name,
+      mobile: changes.mobile,
+      address: changes.address,
+      subscription_type: changes.subscriptionType,
+      daily_amount: changes.dailyAmount,
+      plan_id: changes.planId,
+      pricing: changes.pricing,
+      breakfast_price: changes.breakfastPrice,
+      lunch_price: changes.lunchPrice,
+      dinner_price: changes.dinnerPrice,
+      meal_times: changes.mealTimes && JSON.stringify(changes.mealTimes),
+      referral: changes.referral,
+      referred_by: changes.referredBy,
+      start_date: changes.startDate,
+      end_date: changes.endDate,
+      status: changes.status,
+      gstin: changes.gstin,
+      state_code: changes.stateCode
+    }, tx);
+
+    if (TERM_CHANGES.some(field => changes[field] !== undefined)) {
+      if (effectiveFrom) {
+        await customerPlans.record(tx, id, effectiveFrom);
+      } else {
+        await customerPlans.amendLatest(tx, id, toDateKey(new Date()));
+      }
+    }
+    if (before && changes.status && changes.status !== before.status) {
+      await customerStatusChanges.record(tx, id, changes.status, effectiveFrom || toDateKey(new Date()));
+    }
+    return affected;
+  });
+}
+
+async function remove(id) {
+  await db.query('DELETE FROM customers WHERE id = ?', [id]);
+}
+
+module.exports = { findAll, findById, findByPlan, create, update, remove };
@@ -0,0 +1,116 @@
+const db = require('../db');
+const { first, updateById } = require('./helpers');
+const { toDbDateTime } = require('../utils/time');
+
+// Discounts with the customer or plan they are for and how many invoices used them
+const SELECT_DISCOUNTS = `
+  SELECT d.*, c.name AS customer_name, p.name AS plan_name,
+    (SELECT COUNT(DISTINCT l.invoice_id) FROM invoice_lines l WHERE l.discount_id = d.id) AS uses
+  FROM discounts d
+  LEFT JOIN customers c ON d.customer_id = c.id
+  LEFT JOIN plans p ON d.plan_id = p.id
+`;
+
+// Valid on some day of from..to ('YYYY-MM-DD')
+const VALID_BETWEEN = '(d.valid_from IS NULL OR d.valid_from <= ?) AND (d.valid_to IS NULL OR d.valid_to >= ?)';
+
+// filters: { customerId, planId, coupons: true for coupons only, false for automatic discounts only }
+async function findAll({ customerId, planId, coupons } = {}) {
+  const where = [];
+  const params = [];
+  if (customerId) {
+    where.push('d.customer_id = ?');
+    params.push(customerId);
+  }
+  if (planId) {
+    where.push('d.plan_id = ?');
+    params.push(planId);
+  }
+  if (coupons !== undefined) where.push(coupons ? 'd.code IS NOT NULL' : 'd.code IS NULL');
+
+  const [rows] = await db.query(
+    `${SELECT_DISCOUNTS}${where.length > 0 ? ` WHERE ${where.join(' AND ')}` : ''} ORDER BY d.created_at ASC, d.id ASC`,
+    params
+  );
+  return rows;
+}
+
+async function findById(id) {
+  return first(await db.query(`${SELECT_DISCOUNTS} WHERE d.id = ?`, [id]));
+}
+
+// The coupon with a code (codes are saved in capitals)
+async function findByCode(code) {
+  return first(await db.query(`${SELECT_DISCOUNTS} WHERE d.code = ?`, [code.toUpperCase()]));
+}
+
+/**
+ * Discounts that apply by themselves to a customer over from..to: their own,
+ * and those of any of the plans given, valid on some day of it. Oldest first.
+ */
+async function findAutomatic(customerId, planIds, from, to) {
+  const plans = planIds.length > 0 ? ` OR d.plan_id IN (${planIds.map(() => '?').join(', ')})` : '';
+  const [rows] = await db.query(
+    `${SELECT_DISCOUNTS} WHERE d.code IS NULL AND (d.customer_id = ?${plans}) AND ${VALID_BETWEEN} ORDER BY d.created_at ASC, d.id ASC`,
+    [customerId, ...planIds, to, from]
+  );
+  return rows;
+}
+
+// Which of the discounts have come off one of the customer's invoices
+async function findUsedBy(customerId, discountIds) {
+  const [rows] = await db.query(
+    `SELECT DISTINCT l.discount_id FROM invoice_lines l JOIN invoices i ON l.invoice_id = i.id
+     WHERE i.customer_id = ? AND l.discount_id IN (${discountIds.map(() => '?').join(', ')})`,
+    [customerId, ...discountIds]
+  );
+  return rows.map(r => r.discount_id);
+}
+
+/**
+ * Inside the caller's transaction, how often each of the discounts has been used:
+ * { id, name, code, kind, max_uses, uses (invoices), customer_uses (this customer's invoices) }
+ * @param {Object} tx - transaction from db.transaction()
+ */
+async function findUsage(tx, customerId, discountIds) {
+  const [rows] = await tx.query(
+    `SELECT d.id, d.name, d.code, d.kind, d.max_uses,
+       (SELECT COUNT(DISTINCT l.invoice_id) FROM invoice_lines l WHERE l.discount_id = d.id) AS uses,
+       (SELECT COUNT(DISTINCT l.invoice_id) FROM invoice_lines l JOIN invoices i ON l.invoice_id = i.id
+        WHERE l.discount_id = d.id AND i.customer_id = ?) AS customer_uses
+     FROM discounts d WHERE d.id IN (${discountIds.map(() => '?').join(', ')})`,
+    [customerId, ...discountIds]
+  );
+  return rows;
+}
+
+// d: { id, name, kind, value, customerId, planId, code, maxUses, validFrom, validTo }
+async function create(d) {
+  await db.query(
+    `INSERT INTO discounts (id, name, kind, value, customer_id, plan_id, code, max_uses, valid_from, valid_to)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [d.id, d.name, d.kind, d.value, d.customerId || null, d.planId || null, d.code || null, d.maxUses || null, d.validFrom || null, d.validTo || null]
+  );
+}
+
+// changes: { name, kind, value, customerId, planId, code, maxUses, validFrom, validTo } (null clears any but name, kind and value)
+async function update(id, changes) {
+  return updateById('discounts', id, {
+    name: changes.name,
+    kind: changes.kind,
+    value: changes.value,
+    customer_id: changes.customerId,
+    plan_id: changes.planId,
+    code: changes.code,
+    max_uses: changes.maxUses,
+    valid_from: changes.validFrom,
+    valid_to: changes.validTo,
+    updated_at: toDbDateTime()
+  });
+}
+
+async function remove(id) {
+  await db.query('DELETE FROM discounts WHERE id = ?', [id]);
+}
+
+module.exports = { findAll, findById, findByCode, findAutomatic, findUsedBy, findUsage, create, update, remove };
@@ -0,0 +1,64 @@
+const db = require('../db');
+const { first } = require('./helpers');
+
+// WHERE clause for one customer's extras on a date, optionally for one meal
+function detailsFilter({ customerId, date, mealType }) {
+  let where = 'customer_id = ? AND date = ?';
+  const params = [customerId, date];
+
+  if (mealType) {
+    where += ' AND meal_type = ?';
+    params.push(mealType);
+  }
+  return { where, params };
+}
+
+async function findAll() {
+  const [rows] = await db.query('SELECT * FROM daily_extras ORDER BY date DESC, created_at DESC');
+  return rows;
+}
+
+async function findByDate(date) {
+  const [rows] = await db.query('SELECT * FROM daily_extras WHERE date = ?', [date]);
+  return rows;
+}
+
+// One customer's extras between two dates (inclusive) with the menu item name, oldest first
+async function findForCustomerBetween(customerId, from, to) {
+  const [rows] = await db.query(`
+    SELECT e.*, m.name AS menu_item_name
+    FROM daily_extras e
+    LEFT JOIN menu_items m ON e.menu_item_id = m.id
+    WHERE e.customer_id = ? AND e.date BETWEEN ? AND ?
+    ORDER BY e.date ASC, e.created_at ASC
+  `, [customerId, from, to]);
+  return rows;
+}
+
+async function findById(id) {
+  return first(await db.query('SELECT * FROM daily_extras WHERE id = ?', [id]));
+}
+
+async function findByDetails(details) {
+  const { where, params } = detailsFilter(details);
+  const [rows] = await db.query(`SELECT * FROM daily_extras WHERE ${where}`, params);
+  return rows;
+}
+
+async function create(e) {
+  await db.query(
+    'INSERT INTO daily_extras (id, customer_id, menu_item_id, meal_type, price, notes, date) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [e.id, e.customerId, e.menuItemId, e.mealType, e.price, e.notes || '', e.date]
+  );
+}
+
+async function remove(id) {
+  await db.query('DELETE FROM daily_extras WHERE id = ?', [id]);
+}
+
+async function removeByDetails(details) {
+  const { where, params } = detailsFilter(details);
+  await db.query(`DELETE FROM daily_extras WHERE ${where}`, params);
+}
+
+module.exports = { findAll, findByDate, findForCustomerBetween, findById, findByDetails, create, remove, removeByDetails };
@@ -0,0 +1,25 @@
+const db = require('../db');
+
+// Shared helpers for repositories
+
+// First row or null
+const first = ([rows]) => rows[0] || null;
+
+/**
+ * UPDATE a row from a { column: value } map, skipping undefined values.
+ * Columns always come from repository code, never from request input.
+ * @param {Object} [conn] - a transaction to run in; defaults to the pool
+ * @returns {Promise<number>} affected rows
+ */
+async function updateById(table, id, changes, conn = db) {
+  const columns = Object.keys(changes).filter(column => changes[column] !== undefined);
+  if (columns.length === 0) return 0;
+
+  const [result] = await conn.query(
+    `UPDATE ${table} SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+    [...columns.map(column => changes[column]), id]
+  );
+  return result.affectedRows;
+}
+
+module.exports = { first, updateById };
@@ -0,0 +1,153 @@
+const db = require('../db');
+const { first } = require('./helpers');
+const ledger = require('./customerLedger');
+const discounts = require('./discounts');
+const { ConflictError } = require('../utils/errors');
+
+// Invoices with the customer's name and mobile and the balance still due, newest first.
+// status: pending | partially_paid | paid | outstanding (pending or partially paid) | all
+async function findAll({ status } = {}) {
+  let query = `
+    SELECT i.*, i.amount - i.amount_paid AS balance, c.name as customer_name, c.mobile as customer_mobile
+    FROM invoices i 
+    JOIN customers c ON i.customer_id = c.id
+  `;
+  const params = [];
+
+  if (status === 'outstanding') {
+    query += " WHERE i.status IN ('pending', 'partially_paid')";
+  } else if (status && status !== 'all') {
+    query += ' WHERE i.status = ?';
+    params.push(status);
+  }
+
+  query += ' ORDER BY i.created_at DESC';
+
+  const [rows] = await db.query(query, params);
+  return rows;
+}
+
+// A customer's unpaid invoices, oldest billing month first
+async function findOutstandingForCustomer(customerId) {
+  const [rows] = await db.query(`
+    SELECT *, amount - amount_paid AS balance
+    FROM invoices
+    WHERE customer_id = ? AND status IN ('pending', 'partially_paid')
+    ORDER BY year ASC, month ASC, created_at ASC
+  `, [customerId]);
+  return rows;
+}
+
+async function findById(id) {
+  return first(await db.query('SELECT * FROM invoices WHERE id = ?', [id]));
+}
+
+// The first invoice issued to a customer
+async function findFirstForCustomer(customerId) {
+  return first(await db.query('SELECT * FROM invoices WHERE customer_id = ? ORDER BY created_at ASC, invoice_number ASC LIMIT 1', [customerId]));
+}
+
+// Next number in a financial year's sequence. The UPDATE locks the row until the
+// transaction ends, so concurrent invoices get consecutive numbers and a rolled
+// back invoice gives its number back.
+async function nextSequence(tx, financialYear) {
+  const [updated] = await tx.query('UPDATE invoice_sequences SET last_number = last_number + 1 WHERE financial_year = ?', [financialYear]);
+
+  if (updated.affectedRows === 0) {
+    try {
+      await tx.query('INSERT INTO invoice_sequences (financial_year, last_number) VALUES (?, 1)', [financialYear]);
+      return 1;
+    } catch (error) {
+      // Another invoice started the year first
+      if (error.code !== 'ER_DUP_ENTRY') throw error;
+      return nextSequence(tx, financialYear);
+    }
+  }
+
+  const [[row]] = await tx.query('SELECT last_number FROM invoice_sequences WHERE financial_year = ?', [financialYear]);
+  return row.last_number;
+}
+
+/**
+ * Insert an invoice and its line items in one transaction, numbering it in
+ * the same transaction and debiting its charges to the customer's account.
+ * An invoice that credit from the account fully covers is issued as paid.
+ * A customer gets one invoice per month: a second one is a ConflictError
+ * (INVOICE_EXISTS), checked in the numbering transaction so two requests cannot both issue it.
+ * So are discounts on the lines that have been used up since the bill was worked
+ * out (DISCOUNT_USED_UP): a coupon past its maximum uses, a flat discount the customer already had.
+ * @param {Object} inv - { id, customerId, month, year, amount, charges (before credit), tax (the supply it is
+ *                        taxed for, null without GST), taxTotal, date, paidAt }
+ * @param {Object} numbering - { financialYear, format(financialYear, sequence) }
+ * @returns {Promise<string>} the invoice number
+ */
+async function create(inv, lines, { financialYear, format }) {
+  return db.transaction(async (tx) => {
+    const invoiceNumber = format(financialYear, await nextSequence(tx, financialYear));
+
+    // Checked once the sequence row is locked, so a concurrent invoice has committed by now
+    const [[existing]] = await tx.query(
+      'SELECT invoice_number FROM invoices WHERE customer_id = ? AND month = ? AND year = ? LIMIT 1',
+      [inv.customerId, inv.month, inv.year]
+    );
+    if (existing) {
+      throw new ConflictError(`This customer already has invoice ${existing.invoice_number} for this month`, { code: 'INVOICE_EXISTS' });
+    }
+
+    // Likewise a coupon's uses and a flat discount the customer may only have once
+    const discountIds = [...new Set(lines.map(l => l.discountId).filter(Boolean))];
+    for (const d of discountIds.length > 0 ? await discounts.findUsage(tx, inv.customerId, discountIds) : []) {
+      const name = d.code ? `Coupon ${d.code}` : d.name;
+      if (d.max_uses !== null && Number(d.uses) >= Number(d.max_uses)) {
+        throw new ConflictError(`${name} has already been used ${d.uses} time${Number(d.uses) === 1 ? '' : 's'}`, { code: 'DISCOUNT_USED_UP' });
+      }
+      if (d.kind === 'flat' && Number(d.customer_uses) > 0) {
+        throw new ConflictError(`${name} was already used on one of this customer's invoices`, { code: 'DISCOUNT_USED_UP' });
+      }
+    }
+    const settled = inv.amount <= 0;
+    const tax = inv.tax || {};
+
+    await tx.query(
+      `INSERT INTO invoices (id, invoice_number, customer_id, month, year, amount, status, paid_at,
+                             seller_gstin, seller_name, buyer_gstin, place_of_supply, interstate, prices_include_tax, tax_total)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        inv.id, invoiceNumber, inv.customerId, inv.month, inv.year, inv.amount, settled ? 'paid' : 'pending', settled ? inv.paidAt : null,
+        tax.sellerGstin || null, tax.sellerName || null, tax.buyerGstin || null, tax.placeOfSupply || null,
+        !!tax.interstate, !!tax.pricesIncludeTax, inv.taxTotal || 0
+      ]
+    );
+
+    for (const [position, l] of lines.entries()) {
+      await tx.query(
+        `INSERT INTO invoice_lines (id, invoice_id, position, type, date, meal_type, menu_item_id, description, notes, quantity, unit_price, amount,
+                                    hsn_code, tax_rate, taxable_value, tax_amount, discount_id, referral_reward_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          l.id, inv.id, position, l.type, l.date, l.mealType, l.menuItemId, l.description, l.notes, l.quantity, l.unitPrice, l.amount,
+          l.hsnCode, l.taxRate, l.taxableValue, l.taxAmount || 0, l.discountId || null, l.referralRewardId || null
+        ]
+      );
+    }
+
+    await ledger.add(tx, { customerId: inv.customerId, date: inv.date, type: 'invoice', amount: -inv.charges, description: `Invoice ${invoiceNumber}`, invoiceId: inv.id });
+    return invoiceNumber;
+  });
+}
+
+// Line items in the order they were issued
+async function findLines(invoiceId) {
+  const [rows] = await db.query('SELECT * FROM invoice_lines WHERE invoice_id = ? ORDER BY position ASC', [invoiceId]);
+  return rows;
+}
+
+// Paid at paidAt unless a payment already settled it; notes only replace the invoice's when given
+async function markPaid(id, { paidAt, notes }) {
+  await db.query(
+    'UPDATE invoices SET status = ?, paid_at = COALESCE(paid_at, ?), payment_notes = COALESCE(?, payment_notes) WHERE id = ?',
+    ['paid', paidAt, notes || null, id]
+  );
+}
+
+module.exports = { findAll, findOutstandingForCustomer, findById, findFirstForCustomer, findLines, create, markPaid };
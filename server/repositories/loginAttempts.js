@@ -0,0 +1,24 @@
+const db = require('../db');
+
+async function create(a) {
+  await db.query(
+    'INSERT INTO login_attempts (id, email, ip_address, success, attempted_at) VALUES (?, ?, ?, ?, ?)',
+    [a.id, a.email, a.ipAddress, a.success, a.attemptedAt]
+  );
+}
+
+// Attempts for an email or IP since a time, newest first
+async function findSince(by, value, since) {
+  const column = by === 'ip' ? 'ip_address' : 'email';
+  const [rows] = await db.query(
+    `SELECT success, attempted_at FROM login_attempts WHERE ${column} = ? AND attempted_at >= ? ORDER BY attempted_at DESC`,
+    [value, since]
+  );
+  return rows;
+}
+
+async function deleteBefore(time) {
+  await db.query('DELETE FROM login_attempts WHERE attempted_at < ?', [time]);
+}
+
+module.exports = { create, findSince, deleteBefore };
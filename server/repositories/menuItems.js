@@ -0,0 +1,37 @@
+const db = require('../db');
+const { first, updateById } = require('./helpers');
+
+async function findAll() {
+  const [rows] = await db.query('SELECT * FROM menu_items ORDER BY category, name ASC');
+  return rows;
+}
+
+async function findById(id) {
+  return first(await db.query('SELECT * FROM menu_items WHERE id = ?', [id]));
+}
+
+async function create(m) {
+  await db.query(
+    'INSERT INTO menu_items (id, name, category, price, description, available, tax_rate, hsn_code) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+    [m.id, m.name, m.category, m.price, m.description || '', m.available !== false, m.taxRate === undefined ? null : m.taxRate, m.hsnCode || null]
+  );
+}
+
+// changes: { name, category, price, description, available, taxRate, hsnCode } (null: the business's defaults)
+async function update(id, changes) {
+  return updateById('menu_items', id, {
+    name: changes.name,
+    category: changes.category,
+    price: changes.price,
+    description: changes.description,
+    available: changes.available,
+    tax_rate: changes.taxRate,
+    hsn_code: changes.hsnCode
+  });
+}
+
+async function remove(id) {
+  await db.query('DELETE FROM menu_items WHERE id = ?', [id]);
+}
+
+module.exports = { findAll, findById, create, update, remove };
@@ -0,0 +1,40 @@
+const db = require('../db');
+const { first } = require('./helpers');
+
+async function create(r) {
+  await db.query(
+    'INSERT INTO password_resets (id, admin_id, code_hash, expires_at, created_at) VALUES (?, ?, ?, ?, ?)',
+    [r.id, r.adminId, r.codeHash, r.expiresAt, r.createdAt]
+  );
+}
+
+// Whether an unused code was issued to the admin since a time
+async function existsSince(adminId, since) {
+  const [rows] = await db.query(
+    'SELECT id FROM password_resets WHERE admin_id = ? AND used_at IS NULL AND created_at >= ?',
+    [adminId, since]
+  );
+  return rows.length > 0;
+}
+
+// Newest unused code that has not expired at `now`
+async function findLatestValid(adminId, now) {
+  return first(await db.query(
+    'SELECT * FROM password_resets WHERE admin_id = ? AND used_at IS NULL AND expires_at > ? ORDER BY created_at DESC LIMIT 1',
+    [adminId, now]
+  ));
+}
+
+async function incrementAttempts(id) {
+  await db.query('UPDATE password_resets SET attempts = attempts + 1 WHERE id = ?', [id]);
+}
+
+async function markUsed(id, usedAt) {
+  await db.query('UPDATE password_resets SET used_at = ? WHERE id = ?', [usedAt, id]);
+}
+
+async function markAllUsed(adminId, usedAt) {
+  await db.query('UPDATE password_resets SET used_at = ? WHERE admin_id = ? AND used_at IS NULL', [usedAt, adminId]);
+}
+
+module.exports = { create, existsSince, findLatestValid, incrementAttempts, markUsed, markAllUsed };
@@ -0,0 +1,125 @@
+const db = require('../db');
+const { first } = require('./helpers');
+const ledger = require('./customerLedger');
+const { ConflictError } = require('../utils/errors');
+
+// Keep an invoice's status and paid_at in step with its amount_paid
+const REFRESH_INVOICE_STATUS = `
+  UPDATE invoices SET
+    status = CASE WHEN amount_paid >= amount THEN 'paid' WHEN amount_paid > 0 THEN 'partially_paid' ELSE 'pending' END,
+    paid_at = CASE WHEN amount_paid >= amount THEN COALESCE(paid_at, ?) ELSE NULL END
+  WHERE id = ?
+`;
+
+// Payments with the customer's name, newest first (filters: customerId, invoiceId)
+async function findAll({ customerId, invoiceId } = {}) {
+  let query = `
+    SELECT p.*, c.name AS customer_name
+    FROM payments p
+    JOIN customers c ON p.customer_id = c.id
+  `;
+  const params = [];
+  const conditions = [];
+
+  if (customerId) {
+    conditions.push('p.customer_id = ?');
+    params.push(customerId);
+  }
+
+  if (invoiceId) {
+    conditions.push('p.id IN (SELECT payment_id FROM payment_allocations WHERE invoice_id = ?)');
+    params.push(invoiceId);
+  }
+
+  if (conditions.length > 0) {
+    query += ' WHERE ' + conditions.join(' AND ');
+  }
+
+  query += ' ORDER BY p.date DESC, p.created_at DESC';
+
+  const [rows] = await db.query(query, params);
+  return rows;
+}
+
+async function findById(id) {
+  return first(await db.query('SELECT * FROM payments WHERE id = ?', [id]));
+}
+
+// Allocations of the given payments with the invoice they pay, oldest billing month first
+async function findAllocations(paymentIds) {
+  if (paymentIds.length === 0) return [];
+
+  const [rows] = await db.query(`
+    SELECT a.*, i.invoice_number, i.month, i.year
+    FROM payment_allocations a
+    JOIN invoices i ON a.invoice_id = i.id
+    WHERE a.payment_id IN (${paymentIds.map(() => '?').join(', ')})
+    ORDER BY i.year ASC, i.month ASC, a.created_at ASC
+  `, paymentIds);
+  return rows;
+}
+
+// What has been paid against one invoice, oldest first
+async function findAllocationsForInvoice(invoiceId) {
+  const [rows] = await db.query(`
+    SELECT a.id, a.payment_id, a.amount, p.mode, p.reference, p.date, p.notes
+    FROM payment_allocations a
+    JOIN payments p ON a.payment_id = p.id
+    WHERE a.invoice_id = ?
+    ORDER BY p.date ASC, a.created_at ASC
+  `, [invoiceId]);
+  return rows;
+}
+
+/**
+ * Record a payment, credit it to the customer's account and apply its
+ * allocations to the invoices in one transaction. An allocation that would take an invoice past its amount rolls everything back.
+ * @param {Object} p - payment { id, customerId, amount, mode, reference, date, notes, recordedBy }
+ * @param {Object[]} allocations - [{ id, invoiceId, amount }]
+ * @param {Object} options - { paidAt } DATETIME for invoices this payment settles
+ */
+async function create(p, allocations, { paidAt }) {
+  await db.transaction(async (tx) => {
+    await tx.query(
+      'INSERT INTO payments (id, customer_id, amount, mode, reference, date, notes, recorded_by) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [p.id, p.customerId, p.amount, p.mode, p.reference || '', p.date, p.notes || '', p.recordedBy]
+    );
+    await ledger.add(tx, { customerId: p.customerId, date: p.date, type: 'payment', amount: p.amount, description: `Payment (${p.mode})`, paymentId: p.id });
+
+    for (const a of allocations) {
+      const [updated] = await tx.query(
+        'UPDATE invoices SET amount_paid = ROUND(amount_paid + ?, 2) WHERE id = ? AND customer_id = ? AND ROUND(amount_paid + ?, 2) <= amount',
+        [a.amount, a.invoiceId, p.customerId, a.amount]
+      );
+      if (updated.affectedRows === 0) {
+        throw new ConflictError('Payment is more than the balance due on the invoice', { code: 'OVERPAYMENT' });
+      }
+
+      await tx.query(
+        'INSERT INTO payment_allocations (id, payment_id, invoice_id, amount) VALUES (?, ?, ?, ?)',
+        [a.id, p.id, a.invoiceId, a.amount]
+      );
+      await tx.query(REFRESH_INVOICE_STATUS, [paidAt, a.invoiceId]);
+    }
+  });
+}
+
+// Delete a payment, taking its allocations back off the invoices and its credit off the account
+async function remove(id) {
+  await db.transaction(async (tx) => {
+    const [[payment]] = await tx.query('SELECT customer_id FROM payments WHERE id = ?', [id]);
+    if (!payment) return;
+
+    const [allocations] = await tx.query('SELECT invoice_id, amount FROM payment_allocations WHERE payment_id = ?', [id]);
+
+    for (const a of allocations) {
+      await tx.query('UPDATE invoices SET amount_paid = ROUND(amount_paid - ?, 2) WHERE id = ?', [a.amount, a.invoice_id]);
+      await tx.query(REFRESH_INVOICE_STATUS, [null, a.invoice_id]);
+    }
+
+    await tx.query('DELETE FROM payments WHERE id = ?', [id]);
+    await ledger.refreshBalance(tx, payment.customer_id);
+  });
+}
+
+module.exports = { findAll, findById, findAllocations, findAllocationsForInvoice, create, remove };
@@ -0,0 +1,77 @@
+const db = require('../db');
+const customerPlans = require('./customerPlans');
+const { first, updateById } = require('./helpers');
+const { toDbDateTime } = require('../utils/time');
+
+// Plans with the number of customers currently on each
+const SELECT_PLANS = `
+  SELECT p.*, (SELECT COUNT(*) FROM customers c WHERE c.plan_id = p.id) AS subscribers
+  FROM plans p
+`;
+
+async function findAll() {
+  const [rows] = await db.query(`${SELECT_PLANS} ORDER BY p.name ASC`);
+  return rows;
+}
+
+async function findById(id) {
+  return first(await db.query(`${SELECT_PLANS} WHERE p.id = ?`, [id]));
+}
+
+async function findByName(name) {
+  return first(await db.query('SELECT * FROM plans WHERE name = ?', [name]));
+}
+
+// p: { id, name, description, subscriptionType, mealTimes, pricing, dailyAmount, breakfastPrice, lunchPrice, dinnerPrice, validFrom, validTo }
+async function create(p) {
+  await db.query(
+    `INSERT INTO plans (id, name, description, subscription_type, meal_times, pricing, daily_amount, breakfast_price, lunch_price, dinner_price, valid_from, valid_to)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      p.id, p.name, p.description || '', p.subscriptionType || 'daily', JSON.stringify(p.mealTimes || []),
+      p.pricing || 'combination', p.dailyAmount, p.breakfastPrice, p.lunchPrice, p.dinnerPrice, p.validFrom, p.validTo
+    ]
+  );
+}
+
+// changes: { name, description, validFrom, validTo (null clears either) }
+async function update(id, changes) {
+  return updateById('plans', id, {
+    name: changes.name,
+    description: changes.description,
+    valid_from: changes.validFrom,
+    valid_to: changes.validTo,
+    updated_at: toDbDateTime()
+  });
+}
+
+/**
+ * Change a plan's prices and move everyone on it to them from effectiveFrom.
+ * Each subscriber gets a new plan history entry from that date.
+ * @param {Object} prices - { dailyAmount, breakfastPrice, lunchPrice, dinnerPrice }
+ * @returns {Promise<number>} the number of customers moved
+ */
+async function changePrice(id, prices, effectiveFrom) {
+  return db.transaction(async (tx) => {
+    const columns = {
+      daily_amount: prices.dailyAmount,
+      breakfast_price: prices.breakfastPrice,
+      lunch_price: prices.lunchPrice,
+      dinner_price: prices.dinnerPrice
+    };
+    await updateById('plans', id, { ...columns, updated_at: toDbDateTime() }, tx);
+
+    const [subscribers] = await tx.query('SELECT id FROM customers WHERE plan_id = ?', [id]);
+    for (const { id: customerId } of subscribers) {
+      await updateById('customers', customerId, columns, tx);
+      await customerPlans.record(tx, customerId, effectiveFrom);
+    }
+    return subscribers.length;
+  });
+}
+
+async function remove(id) {
+  await db.query('DELETE FROM plans WHERE id = ?', [id]);
+}
+
+module.exports = { findAll, findById, findByName, create, update, changePrice, remove };
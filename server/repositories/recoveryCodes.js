@@ -0,0 +1,28 @@
+const db = require('../db');
+
+async function create(c) {
+  await db.query(
+    'INSERT INTO recovery_codes (id, admin_id, code_hash, created_at) VALUES (?, ?, ?, ?)',
+    [c.id, c.adminId, c.codeHash, c.createdAt]
+  );
+}
+
+// Mark an unused code as used; true if exactly one code matched
+async function markUsed(adminId, codeHash, usedAt) {
+  const [result] = await db.query(
+    'UPDATE recovery_codes SET used_at = ? WHERE admin_id = ? AND code_hash = ? AND used_at IS NULL',
+    [usedAt, adminId, codeHash]
+  );
+  return result.affectedRows === 1;
+}
+
+async function countUnused(adminId) {
+  const [rows] = await db.query('SELECT COUNT(*) as count FROM recovery_codes WHERE admin_id = ? AND used_at IS NULL', [adminId]);
+  return Number(rows[0].count);
+}
+
+async function removeAllForAdmin(adminId) {
+  await db.query('DELETE FROM recovery_codes WHERE admin_id = ?', [adminId]);
+}
+
+module.exports = { create, markUsed, countUnused, removeAllForAdmin };
@@ -0,0 +1,47 @@
+const db = require('../db');
+const { first } = require('./helpers');
+
+// Referral rewards with the referred customer's name and what is left of each:
+// the amount less the referral lines of the referrer's invoices that used it
+const SELECT_REWARDS = `
+  SELECT r.*, c.name AS referred_name,
+    r.amount + COALESCE((SELECT SUM(l.amount) FROM invoice_lines l WHERE l.referral_reward_id = r.id), 0) AS remaining
+  FROM referral_rewards r
+  JOIN customers c ON r.referred_id = c.id
+`;
+
+// Rewards a customer earned by referring others, oldest first
+async function findForReferrer(referrerId) {
+  const [rows] = await db.query(`${SELECT_REWARDS} WHERE r.referrer_id = ? ORDER BY r.earned_on ASC, r.created_at ASC, r.id ASC`, [referrerId]);
+  return rows;
+}
+
+// Rewards with credit still to use, oldest first
+async function findAvailable(referrerId) {
+  return (await findForReferrer(referrerId)).filter(r => Number(r.remaining) > 0);
+}
+
+// The reward for referring a customer (each referred customer earns one)
+async function findByReferred(referredId) {
+  return first(await db.query(`${SELECT_REWARDS} WHERE r.referred_id = ?`, [referredId]));
+}
+
+/**
+ * Record a reward. A second reward for the same referred customer is ignored.
+ * @param {Object} r - { id, referrerId, referredId, amount, earnedOn, invoiceId }
+ * @returns {Promise<boolean>} whether it was recorded
+ */
+async function create(r) {
+  try {
+    await db.query(
+      'INSERT INTO referral_rewards (id, referrer_id, referred_id, amount, earned_on, invoice_id) VALUES (?, ?, ?, ?, ?, ?)',
+      [r.id, r.referrerId, r.referredId, r.amount, r.earnedOn, r.invoiceId]
+    );
+    return true;
+  } catch (error) {
+    if (error.code !== 'ER_DUP_ENTRY') throw error;
+    return false;
+  }
+}
+
+module.exports = { findForReferrer, findAvailable, findByReferred, create };
@@ -0,0 +1,50 @@
+const db = require('../db');
+const { first } = require('./helpers');
+
+async function create(s) {
+  await db.query(
+    'INSERT INTO sessions (id, admin_id, user_agent, ip_address, created_at, last_seen_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [s.id, s.adminId, s.userAgent, s.ipAddress, s.createdAt, s.lastSeenAt, s.expiresAt]
+  );
+}
+
+async function findById(id) {
+  return first(await db.query('SELECT * FROM sessions WHERE id = ?', [id]));
+}
+
+// Session joined with its admin's current email and role
+async function findWithAdmin(id) {
+  return first(await db.query(
+    'SELECT s.*, a.email, a.role FROM sessions s JOIN admins a ON a.id = s.admin_id WHERE s.id = ?',
+    [id]
+  ));
+}
+
+// Unrevoked sessions expiring after `now` and seen after `seenAfter`, newest activity first
+async function findActive({ now, seenAfter, adminId = null }) {
+  const params = [now, seenAfter];
+  let query = `SELECT s.*, a.name, a.email FROM sessions s JOIN admins a ON a.id = s.admin_id
+    WHERE s.revoked_at IS NULL AND s.expires_at > ? AND s.last_seen_at > ?`;
+
+  if (adminId) {
+    query += ' AND s.admin_id = ?';
+    params.push(adminId);
+  }
+
+  const [rows] = await db.query(query + ' ORDER BY s.last_seen_at DESC', params);
+  return rows;
+}
+
+async function touch(id, lastSeenAt) {
+  await db.query('UPDATE sessions SET last_seen_at = ? WHERE id = ?', [lastSeenAt, id]);
+}
+
+async function revoke(id, revokedAt) {
+  await db.query('UPDATE sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL', [revokedAt, id]);
+}
+
+async function revokeAllForAdmin(adminId, revokedAt) {
+  await db.query('UPDATE sessions SET revoked_at = ? WHERE admin_id = ? AND revoked_at IS NULL', [revokedAt, adminId]);
+}
+
+module.exports = { create, findById, findWithAdmin, findActive, touch, revoke, revokeAllForAdmin };
@@ -0,0 +1,22 @@
+const db = require('../db');
+const { first } = require('./helpers');
+const { toDbDateTime } = require('../utils/time');
+
+// Business settings, one JSON value per name
+
+// The saved value, or null when it was never set
+async function get(name) {
+  const row = first(await db.query('SELECT value FROM settings WHERE name = ?', [name]));
+  if (!row) return null;
+  return typeof row.value === 'string' ? JSON.parse(row.value) : row.value;
+}
+
+async function set(name, value) {
+  const json = JSON.stringify(value);
+  const [updated] = await db.query('UPDATE settings SET value = ?, updated_at = ? WHERE name = ?', [json, toDbDateTime(), name]);
+  if (updated.affectedRows === 0) {
+    await db.query('INSERT INTO settings (name, value) VALUES (?, ?)', [name, json]);
+  }
+}
+
+module.exports = { get, set };
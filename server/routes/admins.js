@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const admins = require('../repositories/admins');
+const { ROLES, authorize } = require('../middleware/auth');
+const { hashPassword } = require('../utils/password');
+const { recordAudit } = require('../utils/audit');
+const { createId } = require('../utils/ids');
+const { revokeAllSessions } = require('../utils/sessions');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas');
+const { BadRequestError, ConflictError, NotFoundError } = require('../utils/errors');
+
+// Admin management is owner-only
+router.use(authorize(ROLES.OWNER));
+
+const toAdmin = (a) => ({
+  id: a.id,
+  name: a.name,
+  email: a.email,
+  role: a.role,
+  twoFactorEnabled: !!a.totp_enabled,
+  createdAt: a.created_at
+});
+
+// Make sure at least one owner always remains
+async function isLastOwner(id) {
+  const ownerIds = await admins.findIdsByRole(ROLES.OWNER);
+  return ownerIds.length === 1 && ownerIds[0] === id;
+}
+
+// @route   GET /api/admins
+// @desc    Get all admin users
+// @access  Owner
+router.get('/', async (req, res) => {
+  const rows = await admins.findAll();
+  res.json(rows.map(toAdmin));
+});
+
+// @route   POST /api/admins
+// @desc    Add an admin user
+// @access  Owner
+router.post('/', validate(schemas.admin), async (req, res) => {
+  const { name, email, password, role } = req.body;
+  const id = createId('adm');
+
+  if (await admins.emailTaken(email)) {
+    throw new ConflictError('Email already in use', { code: 'EMAIL_IN_USE' });
+  }
+
+  await admins.create({ id, name, email, password: await hashPassword(password), role });
+  await recordAudit(req, { action: 'create', entity: 'admin', entityId: id, after: { name, email, role } });
+  res.status(201).json({ id, name, email, role });
+});
+
+// @route   PUT /api/admins/:id
+// @desc    Update an admin user (name, email, role or password)
+// @access  Owner
+router.put('/:id', validate(schemas.admin, { partial: true }), async (req, res) => {
+  const id = req.params.id;
+  const { name, email, password, role } = req.body;
+
+  const before = await admins.findById(id);
+  if (!before) {
+    throw new NotFoundError('Admin not found');
+  }
+
+  const changes = {};
+
+  if (name) changes.name = name;
+  if (email) {
+    if (await admins.emailTaken(email, id)) {
+      throw new ConflictError('Email already in use', { code: 'EMAIL_IN_USE' });
+    }
+    changes.email = email;
+  }
+  if (role && role !== before.role) {
+    if (id === req.admin.id) {
+      throw new BadRequestError('You cannot change your own role', { code: 'CANNOT_CHANGE_OWN_ROLE' });
+    }
+    if (before.role === ROLES.OWNER && await isLastOwner(id)) {
+      throw new ConflictError('At least one owner is required', { code: 'LAST_OWNER' });
+    }
+    changes.role = role;
+  }
+  if (password) {
+    changes.password = await hashPassword(password);
+  }
+
+  if (Object.keys(changes).length === 0) return res.json({ message: 'No updates provided' });
+
+  await admins.update(id, changes);
+
+  // A new password logs the admin out of every device
+  if (password) await revokeAllSessions(id);
+
+  // Never store password hashes in the audit log
+  const updated = await admins.findById(id);
+  await recordAudit(req, {
+    action: 'update',
+    entity: 'admin',
+    entityId: id,
+    before: { name: before.name, email: before.email, role: before.role },
+    after: { name: updated.name, email: updated.email, role: updated.role, ...(password && { password: 'changed' }) }
+  });
+  res.json({ id, name, email, role });
+});
+
+// @route   DELETE /api/admins/:id
+// @desc    Delete an admin user
+// @access  Owner
+router.delete('/:id', async (req, res) => {
+  const id = req.params.id;
+
+  if (id === req.admin.id) {
+    throw new BadRequestError('You cannot delete your own account', { code: 'CANNOT_DELETE_SELF' });
+  }
+
+  const before = await admins.findById(id);
+  if (!before) {
+    throw new NotFoundError('Admin not found');
+  }
+  if (await isLastOwner(id)) {
+    throw new ConflictError('At least one owner is required', { code: 'LAST_OWNER' });
+  }
+
+  await admins.remove(id);
+  await recordAudit(req, { action: 'delete', entity: 'admin', entityId: id, before: { name: before.name, email: before.email, role: before.role } });
+  res.json({ message: 'Admin deleted' });
+});
+
+module.exports = router;
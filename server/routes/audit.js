@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const auditLog = require('../repositories/auditLog');
+const { ROLES } = require('../middleware/auth');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas');
+
+const parseJSON = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// @route   GET /api/audit
+// @desc    Get audit log entries (filter by entity, entityId, action, actor, from, to)
+// @access  Private (data-entry staff only see their own actions)
+router.get('/', validate(schemas.auditQuery, { source: 'query' }), async (req, res) => {
+  const { entity, entityId, action, actor, from, to } = req.query;
+
+  const rows = await auditLog.findAll({
+    entity, entityId, action, actor, from, to,
+    adminId: req.admin.role === ROLES.DATA_ENTRY ? req.admin.id : null,
+    limit: req.query.limit || 100,
+    offset: req.query.offset || 0
+  });
+  res.json(rows.map(a => ({
+    id: a.id,
+    adminId: a.admin_id,
+    adminEmail: a.admin_email,
+    action: a.action,
+    entity: a.entity,
+    entityId: a.entity_id,
+    before: parseJSON(a.before_data),
+    after: parseJSON(a.after_data),
+    ipAddress: a.ip_address,
+    createdAt: a.created_at
+  })));
+});
+
+module.exports = router;
@@ -1,102 +1,285 @@
+const crypto = require('crypto');
 const express = require('express');
 const router = express.Router();
-const db = require('../config/db');
+const admins = require('../repositories/admins');
+const passwordResets = require('../repositories/passwordResets');
+const { protect, generateToken, generateChallengeToken, verifyChallengeToken } = require('../middleware/auth');
+const { isHashed, hashPassword, verifyPassword } = require('../utils/password');
+const { recordAudit } = require('../utils/audit');
+const { getLoginStatus, recordLoginAttempt } = require('../utils/loginThrottle');
+const { createId } = require('../utils/ids');
+const { toDbDateTime } = require('../utils/time');
+const { sendMail } = require('../mailer');
+const { createSession, revokeSession, revokeAllSessions } = require('../utils/sessions');
+const { verifyCode } = require('../utils/totp');
+const { useRecoveryCode } = require('../utils/recoveryCodes');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas');
+const { BadRequestError, ConflictError, NotFoundError, TooManyRequestsError } = require('../utils/errors');
+
+const RESET_CODE_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 15;
+const RESET_CODE_MAX_ATTEMPTS = 5;
+const RESET_CODE_RESEND_MS = 60 * 1000;
+
+// Same reply whether or not the email exists, so it can't be used to probe accounts
+const FORGOT_RESPONSE = { success: true, message: 'If that email belongs to an admin, a reset code has been sent.' };
+const INVALID_RESET_CODE = 'Invalid or expired reset code';
+
+const generateResetCode = () => crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+const hashResetCode = (code) => crypto.createHash('sha256').update(String(code).trim()).digest('hex');
+
+// 429 while an email or IP is locked out (the error handler adds Retry-After)
+function lockedError(status) {
+  const minutes = Math.ceil(status.retryAfter / 60);
+  return new TooManyRequestsError(
+    `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+    { code: 'LOGIN_LOCKED', details: { lockedUntil: status.lockedUntil.toISOString(), retryAfter: status.retryAfter } }
+  );
+}
+
+// Record the successful login and issue a session token
+async function completeLogin(req, res, admin) {
+  await recordLoginAttempt(admin.email, req.ip, true);
+
+  res.json({
+    success: true,
+    message: 'Welcome back!',
+    token: generateToken(admin, await createSession(admin.id, req)),
+    admin: {
+      id: admin.id,
+      name: admin.name,
+      email: admin.email,
+      role: admin.role
+    }
+  });
+}
 
 // @route   POST /api/auth/login
 // @desc    Login admin
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/login', validate(schemas.login), async (req, res) => {
   const { email, password } = req.body;
 
-  // Simple validation
-  if (!email || !password) {
-    return res.status(400).json({ message: 'Please enter all fields' });
+  // Refuse before checking the password while locked out
+  const status = await getLoginStatus(email, req.ip);
+  if (status.locked) {
+    throw lockedError(status);
   }
 
-  try {
-    // Check for existing user
-    const [rows] = await db.query('SELECT * FROM admins WHERE email = ?', [email]);
-    
-    if (rows.length === 0) {
-      return res.status(400).json({ message: 'Invalid credentials' });
-    }
+  // Check for existing user
+  const admin = await admins.findByEmail(email);
 
-    const admin = rows[0];
+  if (!admin || !await verifyPassword(password, admin.password)) {
+    await recordLoginAttempt(email, req.ip, false);
 
-    // Validate password (plain text as per user request/current setup)
-    // Ideally this should use bcrypt.compare(password, admin.password)
-    // But user stated "PASSWORD AS admin@2026" implying direct storage match for now.
-    // We will do a direct comparison.
-    if (password !== admin.password) {
-      return res.status(400).json({ message: 'Invalid credentials' });
+    const after = await getLoginStatus(email, req.ip);
+    if (after.locked) {
+      throw lockedError(after);
     }
+    throw new BadRequestError('Invalid credentials', { code: 'INVALID_CREDENTIALS', details: { attemptsRemaining: after.attemptsRemaining } });
+  }
+
+  // Upgrade legacy plain-text passwords to a bcrypt hash
+  if (!isHashed(admin.password)) {
+    await admins.update(admin.id, { password: await hashPassword(password) });
+  }
 
-    // Return success (can add JWT later if needed, keeping it simple for now as per minimal changes)
-    res.json({
+  // With 2FA on, the session is only issued after the second step
+  if (admin.totp_enabled) {
+    return res.json({
       success: true,
-      message: 'Welcome back!',
-      admin: {
-        id: admin.id,
-        name: admin.name,
-        email: admin.email,
-        role: admin.role
-      }
+      twoFactorRequired: true,
+      challengeToken: generateChallengeToken(admin),
+      message: 'Enter the code from your authenticator app'
     });
+  }
+
+  await completeLogin(req, res, admin);
+
+});
 
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Server error: ' + err.message });
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step: authenticator code or recovery code
+// @access  Public (requires the challenge token from /login)
+router.post('/login/2fa', validate(schemas.loginTwoFactor), async (req, res) => {
+  const { challengeToken, code } = req.body;
+
+  const adminId = verifyChallengeToken(challengeToken);
+  if (!adminId) {
+    throw new BadRequestError('Verification timed out. Please login again.', { code: 'CHALLENGE_EXPIRED' });
+  }
+
+  const admin = await admins.findById(adminId);
+  if (!admin || !admin.totp_enabled) {
+    throw new BadRequestError('Verification timed out. Please login again.', { code: 'CHALLENGE_EXPIRED' });
+  }
+
+  const status = await getLoginStatus(admin.email, req.ip);
+  if (status.locked) {
+    throw lockedError(status);
+  }
+
+  // A TOTP code may only be used once; otherwise try it as a recovery code
+  const step = verifyCode(admin.totp_secret, code);
+  let verified = false;
+  if (step !== null && step > Number(admin.totp_last_step || 0)) {
+    await admins.update(admin.id, { totpLastStep: step });
+    verified = true;
+  } else if (step === null) {
+    verified = await useRecoveryCode(admin.id, code);
+  }
+
+  if (!verified) {
+    await recordLoginAttempt(admin.email, req.ip, false);
+
+    const after = await getLoginStatus(admin.email, req.ip);
+    if (after.locked) {
+      throw lockedError(after);
+    }
+    throw new BadRequestError('Invalid verification code', { code: 'INVALID_CODE', details: { attemptsRemaining: after.attemptsRemaining } });
   }
+
+  await completeLogin(req, res, admin);
 });
 
-// @route   PUT /api/auth/profile
-// @desc    Update admin profile (email or password)
-router.put('/profile', async (req, res) => {
-  const { currentPassword, newEmail, newPassword, id } = req.body;
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+  await revokeSession(req.admin.sessionId);
+  res.json({ success: true, message: 'Logged out' });
+});
+
+// @route   POST /api/auth/forgot
+// @desc    Email a single-use password reset code
+// @access  Public
+router.post('/forgot', validate(schemas.forgotPassword), async (req, res) => {
+  const { email } = req.body;
+
+  const admin = await admins.findByEmail(email);
+  if (!admin) {
+    return res.json(FORGOT_RESPONSE);
+  }
+
+  const now = new Date();
 
-  if (!currentPassword) {
-    return res.status(400).json({ message: 'Current password is required' });
+  // At most one code per minute per admin
+  if (await passwordResets.existsSince(admin.id, toDbDateTime(new Date(now.getTime() - RESET_CODE_RESEND_MS)))) {
+    return res.json(FORGOT_RESPONSE);
   }
 
+  // Only the newest code is valid
+  await passwordResets.markAllUsed(admin.id, toDbDateTime(now));
+
+  const code = generateResetCode();
+  await passwordResets.create({
+    id: createId('rst'),
+    adminId: admin.id,
+    codeHash: hashResetCode(code),
+    expiresAt: toDbDateTime(new Date(now.getTime() + RESET_CODE_TTL_MINUTES * 60 * 1000)),
+    createdAt: toDbDateTime(now)
+  });
+
   try {
-    // Get admin
-    const [rows] = await db.query('SELECT * FROM admins WHERE id = ?', [id]);
-    
-    if (rows.length === 0) {
-      return res.status(404).json({ message: 'Admin not found' });
-    }
+    await sendMail({
+      to: admin.email,
+      subject: 'Inas Cafe password reset code',
+      text: `Hi ${admin.name},\n\nYour password reset code is ${code}.\nIt expires in ${RESET_CODE_TTL_MINUTES} minutes and can only be used once.\n\nIf you did not ask to reset your password, you can ignore this email.`
+    });
+  } catch (mailError) {
+    // Keep the generic reply; the failure is only visible in the server log
+    console.error('Password reset mail failed:', mailError.message);
+  }
 
-    const admin = rows[0];
+  res.json(FORGOT_RESPONSE);
+});
 
-    // Verify current password (plain text for now)
-    if (currentPassword !== admin.password) {
-      return res.status(400).json({ message: 'Current password is incorrect' });
-    }
+// @route   POST /api/auth/reset
+// @desc    Set a new password using an emailed reset code
+// @access  Public
+router.post('/reset', validate(schemas.resetPassword), async (req, res) => {
+  const { email, code, newPassword } = req.body;
 
-    // Update Email
-    if (newEmail) {
-      // Check if email already exists
-      const [existing] = await db.query('SELECT * FROM admins WHERE email = ? AND id != ?', [newEmail, id]);
-      if (existing.length > 0) {
-        return res.status(400).json({ message: 'Email already in use' });
-      }
+  // Wrong codes count as failed logins, so asking for fresh codes can't be used to keep guessing
+  const status = await getLoginStatus(email, req.ip);
+  if (status.locked) {
+    throw lockedError(status);
+  }
+
+  const admin = await admins.findByEmail(email);
+  const reset = admin ? await passwordResets.findLatestValid(admin.id, toDbDateTime()) : null;
+  const matches = !!reset && reset.attempts < RESET_CODE_MAX_ATTEMPTS &&
+    crypto.timingSafeEqual(Buffer.from(hashResetCode(code)), Buffer.from(reset.code_hash));
 
-      await db.query('UPDATE admins SET email = ? WHERE id = ?', [newEmail, id]);
-      return res.json({ success: true, message: 'Email updated successfully' });
+  if (!matches) {
+    if (reset) await passwordResets.incrementAttempts(reset.id);
+    await recordLoginAttempt(email, req.ip, false);
+
+    const after = await getLoginStatus(email, req.ip);
+    if (after.locked) {
+      throw lockedError(after);
     }
+    throw new BadRequestError(INVALID_RESET_CODE, { code: 'INVALID_RESET_CODE' });
+  }
 
-    // Update Password
-    if (newPassword) {
-      await db.query('UPDATE admins SET password = ? WHERE id = ?', [newPassword, id]);
-      return res.json({ success: true, message: 'Password updated successfully' });
+  await passwordResets.markUsed(reset.id, toDbDateTime());
+  await admins.update(admin.id, { password: await hashPassword(newPassword) });
+  await revokeAllSessions(admin.id);
+
+  // A completed reset also lifts any login lockout on the account
+  await recordLoginAttempt(admin.email, req.ip, true);
+  await recordAudit({ admin, ip: req.ip }, { action: 'update', entity: 'admin', entityId: admin.id, after: { password: 'reset' } });
+
+  res.json({ success: true, message: 'Password has been reset. You can now login.' });
+});
+
+// @route   PUT /api/auth/profile
+// @desc    Update admin profile (email or password)
+// @access  Private
+router.put('/profile', protect, validate(schemas.profile), async (req, res) => {
+  const { currentPassword, newEmail, newPassword } = req.body;
+  const id = req.admin.id;
+
+  // Get admin
+  const admin = await admins.findById(id);
+
+  if (!admin) {
+    throw new NotFoundError('Admin not found');
+  }
+
+  // Verify current password
+  if (!await verifyPassword(currentPassword, admin.password)) {
+    throw new BadRequestError('Current password is incorrect', { code: 'WRONG_PASSWORD' });
+  }
+
+  // Update Email
+  if (newEmail) {
+    // Check if email already exists
+    if (await admins.emailTaken(newEmail, id)) {
+      throw new ConflictError('Email already in use', { code: 'EMAIL_IN_USE' });
     }
 
-    res.status(400).json({ message: 'No changes provided' });
+    await admins.update(id, { email: newEmail });
+    await recordAudit(req, { action: 'update', entity: 'admin', entityId: id, before: { email: admin.email }, after: { email: newEmail } });
+    return res.json({ success: true, message: 'Email updated successfully' });
+  }
 
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Server error' });
+  // Update Password
+  if (newPassword) {
+    const hashed = await hashPassword(newPassword);
+    await admins.update(id, { password: hashed });
+    // Every device, including this one, has to login again
+    await revokeAllSessions(id);
+    // Never store password hashes in the audit log
+    await recordAudit(req, { action: 'update', entity: 'admin', entityId: id, after: { password: 'changed' } });
+    return res.json({ success: true, message: 'Password updated successfully' });
   }
+
+  throw new BadRequestError('No changes provided', { code: 'NO_CHANGES' });
+
 });
 
+// Two-factor enrolment for the logged-in admin
+router.use('/2fa', protect, require('./twoFactor'));
+
 module.exports = router;
@@ -1,114 +1,367 @@
 const express = require('express');
 const router = express.Router();
-const db = require('../config/db');
+const customers = require('../repositories/customers');
+const ledger = require('../repositories/customerLedger');
+const customerLeaves = require('../repositories/customerLeaves');
+const customerPlans = require('../repositories/customerPlans');
+const customerStatusChanges = require('../repositories/customerStatusChanges');
+const plans = require('../repositories/plans');
+const referralRewards = require('../repositories/referralRewards');
+const referrals = require('../services/referrals');
+const { ROLES, authorize } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { createId } = require('../utils/ids');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas');
+const { NotFoundError, ValidationError } = require('../utils/errors');
+const { toDateKey } = require('../utils/time');
+const { money } = require('../utils/money');
+const { MEAL_TYPES, priceField, checkMealPrices } = require('../utils/pricing');
+
+const toPrice = (value) => (value === null || value === undefined ? null : parseFloat(value));
+const parseJSON = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// Fields that make up a customer's plan terms
+const TERM_FIELDS = ['subscriptionType', 'dailyAmount', 'pricing', ...MEAL_TYPES.map(priceField), 'mealTimes'];
+
+// DB customer row -> API shape (the snake_case columns stay for older clients)
+const toCustomer = (c) => ({
+  ...c,
+  mealTimes: parseJSON(c.meal_times),
+  planId: c.plan_id || null,
+  subscriptionType: c.subscription_type,
+  dailyAmount: parseFloat(c.daily_amount),
+  pricing: c.pricing,
+  breakfastPrice: toPrice(c.breakfast_price),
+  lunchPrice: toPrice(c.lunch_price),
+  dinnerPrice: toPrice(c.dinner_price),
+  advanceAmount: parseFloat(c.advance_amount),
+  balance: parseFloat(c.advance_amount),
+  startDate: c.start_date,
+  endDate: c.end_date,
+  gstin: c.gstin || null,
+  stateCode: c.state_code || null,
+  referredBy: c.referred_by || null
+});
+
+/**
+ * Check a customer's plan as it will be saved. Per-meal plans need a price for
+ * every meal they include and their dailyAmount becomes the sum of those prices.
+ * @param {Object} c - customer fields after the change (API names)
+ * @returns {Object} extra changes to save
+ */
+function planChanges(c) {
+  const { fields, changes } = checkMealPrices(c);
+  if (c.endDate && c.startDate && toDateKey(c.endDate) < toDateKey(c.startDate)) {
+    fields.endDate = 'Plan end date must be on or after the start date';
+  }
+
+  if (Object.keys(fields).length > 0) {
+    throw new ValidationError(Object.values(fields)[0], fields);
+  }
+  return changes;
+}
+
+/**
+ * A catalogue plan to put a customer on from date ('YYYY-MM-DD'; null skips
+ * the validity check), as the changes that copy its terms onto the customer.
+ */
+async function planTerms(planId, date) {
+  const plan = await plans.findById(planId);
+  if (!plan) {
+    throw new ValidationError('Plan not found', { planId: 'Plan not found' });
+  }
+
+  const validFrom = plan.valid_from ? toDateKey(plan.valid_from) : null;
+  const validTo = plan.valid_to ? toDateKey(plan.valid_to) : null;
+  if ((validFrom && date < validFrom) || (validTo && date > validTo)) {
+    const message = `${plan.name} is not available on ${date}`;
+    throw new ValidationError(message, { planId: message });
+  }
+
+  return {
+    planId: plan.id,
+    subscriptionType: plan.subscription_type,
+    mealTimes: parseJSON(plan.meal_times) || [],
+    pricing: plan.pricing,
+    dailyAmount: parseFloat(plan.daily_amount),
+    breakfastPrice: toPrice(plan.breakfast_price),
+    lunchPrice: toPrice(plan.lunch_price),
+    dinnerPrice: toPrice(plan.dinner_price)
+  };
+}
+
+/**
+ * The customer who referred a customer, as the changes that link them. The
+ * free-text referral is filled in as "Name (mobile)" unless one is given.
+ * @param {string} referredBy - the referrer's id
+ * @param {string} id - the referred customer's id
+ * @param {string} [referral] - the free-text referral sent with it
+ */
+async function referrerChanges(referredBy, id, referral) {
+  const referrer = await customers.findById(referredBy);
+  if (!referrer) {
+    throw new ValidationError('Referring customer not found', { referredBy: 'Referring customer not found' });
+  }
+  if (referrer.id === id) {
+    throw new ValidationError('A customer cannot refer themselves', { referredBy: 'A customer cannot refer themselves' });
+  }
+  return { referredBy: referrer.id, referral: referral || `${referrer.name} (${referrer.mobile})` };
+}
 
 // @route   GET /api/customers
 // @desc    Get all customers
 router.get('/', async (req, res) => {
-  try {
-    const [rows] = await db.query('SELECT * FROM customers ORDER BY name ASC');
-    // Parch JSON fields
-    const customers = rows.map(c => ({
-      ...c,
-      mealTimes: typeof c.meal_times === 'string' ? JSON.parse(c.meal_times) : c.meal_times,
-      subscriptionType: c.subscription_type,
-      dailyAmount: parseFloat(c.daily_amount),
-      advanceAmount: parseFloat(c.advance_amount),
-      startDate: c.start_date
-    }));
-    res.json(customers);
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
+  const rows = await customers.findAll();
+  res.json(rows.map(toCustomer));
 });
+
 // @route   GET /api/customers/:id
 // @desc    Get single customer
 router.get('/:id', async (req, res) => {
-  try {
-    const [rows] = await db.query('SELECT * FROM customers WHERE id = ?', [req.params.id]);
-    
-    if (rows.length === 0) {
-      return res.status(404).json({ message: 'Customer not found' });
-    }
-    
-    const c = rows[0];
-    const customer = {
-      ...c,
-      mealTimes: typeof c.meal_times === 'string' ? JSON.parse(c.meal_times) : c.meal_times,
-      subscriptionType: c.subscription_type,
-      dailyAmount: parseFloat(c.daily_amount),
-      advanceAmount: parseFloat(c.advance_amount),
-      startDate: c.start_date
+  const c = await customers.findById(req.params.id);
+
+  if (!c) {
+    throw new NotFoundError('Customer not found');
+  }
+
+  res.json(toCustomer(c));
+});
+
+// @route   GET /api/customers/:id/ledger
+// @desc    Get a customer's account: credits (payments, advances) and debits (invoices)
+//          oldest first with the running balance (positive = credit, negative = due)
+router.get('/:id/ledger', async (req, res) => {
+  if (!await customers.findById(req.params.id)) {
+    throw new NotFoundError('Customer not found');
+  }
+
+  let balance = 0;
+  const entries = (await ledger.findForCustomer(req.params.id)).map(e => {
+    balance = money(balance + Number(e.amount));
+    return {
+      id: e.id,
+      date: toDateKey(e.date),
+      type: e.type,
+      description: e.description,
+      amount: money(e.amount),
+      balance,
+      paymentId: e.payment_id,
+      advanceId: e.advance_id,
+      invoiceId: e.invoice_id
     };
-    
-    res.json(customer);
-  } catch (error) {
-    res.status(500).json({ message: error.message });
+  });
+
+  res.json({ balance, entries });
+});
+
+// The last day of a history entry: the day before the next one starts (null: still current)
+function effectiveTo(next) {
+  if (!next) return null;
+  const date = new Date(`${toDateKey(next.effective_from)}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return date.toISOString().slice(0, 10);
+}
+
+// @route   GET /api/customers/:id/plans
+// @desc    Get a customer's plan history, latest first. Each entry lasts until
+//          the next one starts (effectiveTo null: still current)
+router.get('/:id/plans', async (req, res) => {
+  if (!await customers.findById(req.params.id)) {
+    throw new NotFoundError('Customer not found');
+  }
+
+  const rows = await customerPlans.findForCustomer(req.params.id);
+  const history = rows.map((p, i) => ({
+    id: p.id,
+    effectiveFrom: toDateKey(p.effective_from),
+    effectiveTo: effectiveTo(rows[i + 1]),
+    planId: p.plan_id,
+    planName: p.plan_name,
+    subscriptionType: p.subscription_type,
+    mealTimes: parseJSON(p.meal_times) || [],
+    pricing: p.pricing,
+    dailyAmount: money(p.daily_amount),
+    breakfastPrice: toPrice(p.breakfast_price),
+    lunchPrice: toPrice(p.lunch_price),
+    dinnerPrice: toPrice(p.dinner_price)
+  }));
+
+  res.json(history.reverse());
+});
+
+// @route   GET /api/customers/:id/status-history
+// @desc    Get when a customer was paused and resumed, latest first. They are
+//          active before the first entry
+router.get('/:id/status-history', async (req, res) => {
+  if (!await customers.findById(req.params.id)) {
+    throw new NotFoundError('Customer not found');
   }
+
+  const rows = await customerStatusChanges.findForCustomer(req.params.id);
+  const history = rows.map((c, i) => ({
+    id: c.id,
+    status: c.status,
+    effectiveFrom: toDateKey(c.effective_from),
+    effectiveTo: effectiveTo(rows[i + 1])
+  }));
+
+  res.json(history.reverse());
+});
+
+// DB leave row -> API shape
+const toLeave = (l) => ({
+  id: l.id,
+  customerId: l.customer_id,
+  startDate: toDateKey(l.start_date),
+  endDate: toDateKey(l.end_date),
+  meals: parseJSON(l.meals),
+  reason: l.reason
+});
+
+// @route   GET /api/customers/:id/referrals
+// @desc    Get the referral rewards a customer earned, oldest first, with what is left of each
+router.get('/:id/referrals', async (req, res) => {
+  if (!await customers.findById(req.params.id)) {
+    throw new NotFoundError('Customer not found');
+  }
+
+  res.json((await referralRewards.findForReferrer(req.params.id)).map(referrals.toReward));
+});
+
+// @route   GET /api/customers/:id/leaves
+// @desc    Get a customer's leaves, latest first
+router.get('/:id/leaves', async (req, res) => {
+  if (!await customers.findById(req.params.id)) {
+    throw new NotFoundError('Customer not found');
+  }
+
+  res.json((await customerLeaves.findForCustomer(req.params.id)).map(toLeave));
+});
+
+// @route   POST /api/customers/:id/leaves
+// @desc    Record days (or meals) a customer is away; monthly bills take them off the subscription
+// @access  Owner, Manager
+router.post('/:id/leaves', authorize(ROLES.OWNER, ROLES.MANAGER), validate(schemas.customerLeave), async (req, res) => {
+  const { startDate, endDate, meals, reason } = req.body;
+  if (!await customers.findById(req.params.id)) {
+    throw new NotFoundError('Customer not found');
+  }
+  if (endDate < startDate) {
+    throw new ValidationError('Leave cannot end before it starts', { endDate: 'End date must be on or after the start date' });
+  }
+
+  const id = createId('leave');
+  await customerLeaves.create({ id, customerId: req.params.id, startDate, endDate, meals, reason });
+
+  const leave = toLeave(await customerLeaves.findById(id));
+  await recordAudit(req, { action: 'create', entity: 'customer_leave', entityId: id, after: leave });
+  res.status(201).json(leave);
+});
+
+// @route   DELETE /api/customers/:id/leaves/:leaveId
+// @desc    Delete a leave
+// @access  Owner, Manager
+router.delete('/:id/leaves/:leaveId', authorize(ROLES.OWNER, ROLES.MANAGER), async (req, res) => {
+  const before = await customerLeaves.findById(req.params.leaveId);
+  if (!before || before.customer_id !== req.params.id) {
+    throw new NotFoundError('Leave not found');
+  }
+
+  await customerLeaves.remove(before.id);
+  await recordAudit(req, { action: 'delete', entity: 'customer_leave', entityId: before.id, before: toLeave(before) });
+  res.json({ message: 'Leave deleted' });
 });
 
 // @route   POST /api/customers
-// @desc    Add a new customer
-router.post('/', async (req, res) => {
-  const c = req.body;
-  const id = c.id || `cust_${Date.now()}`;
-  
-  try {
-    const mealTimes = JSON.stringify(c.mealTimes || []);
-    await db.query(
-      'INSERT INTO customers (id, name, mobile, address, subscription_type, daily_amount, meal_times, referral, start_date, status) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-      [id, c.name, c.mobile, c.address, c.subscriptionType, c.dailyAmount, mealTimes, c.referral, c.startDate, c.status || 'active']
-    );
-    res.status(201).json({ id, ...c });
-  } catch (error) {
-    res.status(400).json({ message: error.message });
+// @desc    Add a new customer. With a planId the plan's terms replace any sent;
+//          referredBy links the customer who referred them for the referral reward
+// @access  Owner, Manager
+router.post('/', authorize(ROLES.OWNER, ROLES.MANAGER), validate(schemas.customer), async (req, res) => {
+  let c = req.body;
+  if (c.planId) {
+    c = { ...c, ...await planTerms(c.planId, c.startDate || toDateKey(new Date())) };
   }
+  c = { ...c, ...planChanges(c) };
+  delete c.effectiveDate;
+  const id = c.id || createId('cust');
+  if (c.referredBy) {
+    c = { ...c, ...await referrerChanges(c.referredBy, id, c.referral) };
+  }
+
+  await customers.create({ ...c, id });
+  await recordAudit(req, { action: 'create', entity: 'customer', entityId: id, after: await customers.findById(id) });
+  res.status(201).json({ id, ...c });
 });
 
 // @route   PUT /api/customers/:id
-// @desc    Update a customer
-router.put('/:id', async (req, res) => {
+// @desc    Update a customer. Changed plan terms apply from effectiveDate as a
+//          new plan history entry; without one they correct the current entry.
+//          A pause or resume applies from effectiveDate, or today.
+//          A new planId copies that plan's terms, null leaves the plan and
+//          terms set by hand no longer follow it. referredBy links the customer
+//          who referred them, null unlinks them
+// @access  Owner, Manager
+router.put('/:id', authorize(ROLES.OWNER, ROLES.MANAGER), validate(schemas.customer, { partial: true }), async (req, res) => {
   const id = req.params.id;
   const updates = req.body;
-  
-  try {
-    // Dynamically build update query
-    let query = 'UPDATE customers SET ';
-    const params = [];
-    const fields = [];
-    
-    if (updates.name) { fields.push('name = ?'); params.push(updates.name); }
-    if (updates.mobile) { fields.push('mobile = ?'); params.push(updates.mobile); }
-    if (updates.address) { fields.push('address = ?'); params.push(updates.address); }
-    if (updates.subscriptionType) { fields.push('subscription_type = ?'); params.push(updates.subscriptionType); }
-    if (updates.dailyAmount !== undefined) { fields.push('daily_amount = ?'); params.push(updates.dailyAmount); }
-    if (updates.mealTimes) { fields.push('meal_times = ?'); params.push(JSON.stringify(updates.mealTimes)); }
-    if (updates.mealTimes) { fields.push('meal_times = ?'); params.push(JSON.stringify(updates.mealTimes)); }
-    if (updates.referral !== undefined) { fields.push('referral = ?'); params.push(updates.referral); }
-    if (updates.startDate) { fields.push('start_date = ?'); params.push(updates.startDate); }
-    if (updates.status) { fields.push('status = ?'); params.push(updates.status); }
-    
-    if (fields.length === 0) return res.json({ message: 'No updates provided' });
-    
-    query += fields.join(', ') + ' WHERE id = ?';
-    params.push(id);
-    
-    await db.query(query, params);
-    res.json({ id, ...updates });
-  } catch (error) {
-    res.status(400).json({ message: error.message });
+
+  const before = await customers.findById(id);
+  if (!before) {
+    throw new NotFoundError('Customer not found');
+  }
+
+  const changes = {};
+  if (updates.name) changes.name = updates.name;
+  if (updates.mobile) changes.mobile = updates.mobile;
+  if (updates.address) changes.address = updates.address;
+  if (updates.subscriptionType) changes.subscriptionType = updates.subscriptionType;
+  if (updates.dailyAmount !== undefined) changes.dailyAmount = updates.dailyAmount;
+  if (updates.pricing) changes.pricing = updates.pricing;
+  MEAL_TYPES.map(priceField).forEach(field => {
+    if (updates[field] !== undefined) changes[field] = updates[field];
+  });
+  if (updates.mealTimes) changes.mealTimes = updates.mealTimes;
+  if (updates.referral !== undefined) changes.referral = updates.referral;
+  if (updates.startDate) changes.startDate = updates.startDate;
+  if (updates.endDate !== undefined) changes.endDate = updates.endDate;
+  if (updates.status) changes.status = updates.status;
+  if (updates.gstin !== undefined) changes.gstin = updates.gstin;
+  if (updates.stateCode !== undefined) changes.stateCode = updates.stateCode;
+  if (updates.referredBy) {
+    Object.assign(changes, await referrerChanges(updates.referredBy, id, updates.referral));
+  } else if (updates.referredBy === null) {
+    changes.referredBy = null;
+  }
+
+  if (updates.planId) {
+    // Only moving to another plan checks that it is on offer
+    const date = updates.planId === before.plan_id ? null : updates.effectiveDate || toDateKey(new Date());
+    Object.assign(changes, await planTerms(updates.planId, date));
+  } else if (before.plan_id && (updates.planId === null || TERM_FIELDS.some(field => changes[field] !== undefined))) {
+    changes.planId = null;
   }
+
+  if (Object.keys(changes).length === 0) return res.json({ message: 'No updates provided' });
+  Object.assign(changes, planChanges({ ...toCustomer(before), ...changes }));
+
+  await customers.update(id, changes, { effectiveFrom: updates.effectiveDate });
+  await recordAudit(req, { action: 'update', entity: 'customer', entityId: id, before, after: await customers.findById(id) });
+  res.json({ id, ...updates });
 });
 
 // @route   DELETE /api/customers/:id
 // @desc    Delete a customer
-router.delete('/:id', async (req, res) => {
-  try {
-    await db.query('DELETE FROM customers WHERE id = ?', [req.params.id]);
-    res.json({ message: 'Customer deleted' });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
+// @access  Owner, Manager
+router.delete('/:id', authorize(ROLES.OWNER, ROLES.MANAGER), async (req, res) => {
+  const before = await customers.findById(req.params.id);
+  if (!before) {
+    throw new NotFoundError('Customer not found');
   }
+
+  await customers.remove(req.params.id);
+  await recordAudit(req, { action: 'delete', entity: 'customer', entityId: req.params.id, before });
+  res.json({ message: 'Customer deleted' });
 });
 
 module.exports = router;
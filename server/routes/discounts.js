@@ -0,0 +1,121 @@
+const express = require('express');
+const router = express.Router();
+const discounts = require('../repositories/discounts');
+const customers = require('../repositories/customers');
+const plans = require('../repositories/plans');
+const { toDiscount } = require('../services/discounts');
+const { ROLES, authorize } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { createId } = require('../utils/ids');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+
+const FIELDS = ['name', 'kind', 'value', 'customerId', 'planId', 'code', 'maxUses', 'validFrom', 'validTo'];
+
+/**
+ * Check a discount as it will be saved.
+ * @param {Object} d - discount fields (API names)
+ */
+async function checkDiscount(d) {
+  const fields = {};
+  if (d.kind === 'percent' && d.value > 100) {
+    fields.value = 'A percentage discount can be at most 100%';
+  }
+  if (!d.code && !d.customerId && !d.planId) {
+    fields.customerId = 'Choose the customer or plan the discount is for, or give it a coupon code';
+  }
+  if (d.validFrom && d.validTo && d.validTo < d.validFrom) {
+    fields.validTo = 'Valid to must be on or after valid from';
+  }
+  if (d.customerId && !fields.customerId && !await customers.findById(d.customerId)) {
+    fields.customerId = 'Customer not found';
+  }
+  if (d.planId && !await plans.findById(d.planId)) {
+    fields.planId = 'Plan not found';
+  }
+
+  if (Object.keys(fields).length > 0) {
+    throw new ValidationError(Object.values(fields)[0], fields);
+  }
+}
+
+async function findDiscount(id) {
+  const discount = await discounts.findById(id);
+  if (!discount) {
+    throw new NotFoundError('Discount not found');
+  }
+  return discount;
+}
+
+async function checkCodeFree(code, id = null) {
+  const existing = await discounts.findByCode(code);
+  if (existing && existing.id !== id) {
+    throw new ConflictError(`Coupon code ${code} is already in use`, { code: 'DISCOUNT_CODE_IN_USE' });
+  }
+}
+
+// @route   GET /api/discounts?customerId&planId&coupons
+// @desc    Get discounts and coupons with how many invoices used each
+router.get('/', validate(schemas.discountQuery, { source: 'query' }), async (req, res) => {
+  const rows = await discounts.findAll(req.query);
+  res.json(rows.map(toDiscount));
+});
+
+// @route   GET /api/discounts/:id
+// @desc    Get single discount
+router.get('/:id', async (req, res) => {
+  res.json(toDiscount(await findDiscount(req.params.id)));
+});
+
+// @route   POST /api/discounts
+// @desc    Add a discount, or a coupon when it has a code
+// @access  Owner, Manager
+router.post('/', authorize(ROLES.OWNER, ROLES.MANAGER), validate(schemas.discount), async (req, res) => {
+  const d = { ...req.body, code: req.body.code ? req.body.code.toUpperCase() : null };
+  await checkDiscount(d);
+  if (d.code) await checkCodeFree(d.code);
+
+  const id = createId('disc');
+  await discounts.create({ ...d, id });
+
+  const discount = toDiscount(await discounts.findById(id));
+  await recordAudit(req, { action: 'create', entity: 'discount', entityId: id, after: discount });
+  res.status(201).json(discount);
+});
+
+// @route   PUT /api/discounts/:id
+// @desc    Update a discount. Invoices already issued keep what it took off
+// @access  Owner, Manager
+router.put('/:id', authorize(ROLES.OWNER, ROLES.MANAGER), validate(schemas.discount, { partial: true }), async (req, res) => {
+  const before = toDiscount(await findDiscount(req.params.id));
+
+  const changes = {};
+  FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) changes[field] = req.body[field];
+  });
+  if (changes.code) changes.code = changes.code.toUpperCase();
+
+  if (Object.keys(changes).length === 0) return res.json({ message: 'No updates provided' });
+  await checkDiscount({ ...before, ...changes });
+  if (changes.code) await checkCodeFree(changes.code, before.id);
+
+  await discounts.update(before.id, changes);
+
+  const discount = toDiscount(await discounts.findById(before.id));
+  await recordAudit(req, { action: 'update', entity: 'discount', entityId: before.id, before, after: discount });
+  res.json(discount);
+});
+
+// @route   DELETE /api/discounts/:id
+// @desc    Delete a discount. Invoices already issued keep their discount lines
+// @access  Owner, Manager
+router.delete('/:id', authorize(ROLES.OWNER, ROLES.MANAGER), async (req, res) => {
+  const before = toDiscount(await findDiscount(req.params.id));
+  await discounts.remove(before.id);
+
+  await recordAudit(req, { action: 'delete', entity: 'discount', entityId: before.id, before });
+  res.json({ message: 'Discount deleted' });
+});
+
+module.exports = router;
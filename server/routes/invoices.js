@@ -1,71 +1,88 @@
 const express = require('express');
 const router = express.Router();
-const db = require('../config/db');
+const invoices = require('../repositories/invoices');
+const billing = require('../services/billing');
+const paymentService = require('../services/payments');
+const referrals = require('../services/referrals');
+const { toDbDateTime, todayInIndia } = require('../utils/time');
+const { money } = require('../utils/money');
+const { ROLES, authorize } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas');
+const { ConflictError, NotFoundError } = require('../utils/errors');
 
 // @route   GET /api/invoices
 // @desc    Get all pending invoices (or filtered)
-router.get('/', async (req, res) => {
-  try {
-    const { status } = req.query;
-    let query = `
-      SELECT i.*, c.name as customer_name, c.mobile as customer_mobile
-      FROM invoices i 
-      JOIN customers c ON i.customer_id = c.id
-    `;
-    const params = [];
-    
-    if (status && status !== 'all') {
-      query += ' WHERE i.status = ?';
-      params.push(status);
-    }
-    
-    query += ' ORDER BY i.created_at DESC';
+router.get('/', validate(schemas.invoiceQuery, { source: 'query' }), async (req, res) => {
+  const { status } = req.query;
+  res.json(await invoices.findAll({ status }));
+});
 
-    const [rows] = await db.query(query, params);
-    res.json(rows);
-  } catch (error) {
-    console.error('Error fetching invoices:', error);
-    res.status(500).json({ message: error.message });
-  }
+// @route   GET /api/invoices/preview?customerId&year&month&couponCode
+// @desc    Compute a customer's monthly bill (month is 1-12) without saving it
+router.get('/preview', validate(schemas.invoicePreview, { source: 'query' }), async (req, res) => {
+  const { customerId, year, month, couponCode } = req.query;
+  res.json(await billing.monthlyInvoice({ customerId, year, month, couponCode }));
+});
+
+// @route   GET /api/invoices/preview/daily?customerId&date
+// @desc    Compute a customer's bill for a single day without saving it
+router.get('/preview/daily', validate(schemas.invoiceDailyPreview, { source: 'query' }), async (req, res) => {
+  const { customerId, date } = req.query;
+  res.json(await billing.dailyInvoice({ customerId, date }));
+});
+
+// @route   GET /api/invoices/:id
+// @desc    Get a saved invoice with the line items it was issued with
+router.get('/:id', async (req, res) => {
+  res.json(await billing.savedInvoice(req.params.id));
 });
 
 // @route   POST /api/invoices
-// @desc    Create a new invoice (Save as Pending)
-router.post('/', async (req, res) => {
-  const { customerId, month, year, amount } = req.body;
-  const id = `inv_${Date.now()}`;
-  
-  if (!customerId || !month || !year || amount === undefined) {
-    return res.status(400).json({ message: 'Please fill in all required fields' });
-  }
+// @desc    Bill a customer for a month, with the coupon if a code is given, and save it as
+//          pending, freezing its line items and giving it the next invoice number of the financial year
+// @access  Owner, Manager
+router.post('/', authorize(ROLES.OWNER, ROLES.MANAGER), validate(schemas.invoice), async (req, res) => {
+  const { customerId, month, year, couponCode } = req.body;
+  const { id, invoiceNumber, summary } = await billing.issueMonthlyInvoice({ customerId, year, month, couponCode });
 
-  try {
-    await db.query(
-      'INSERT INTO invoices (id, customer_id, month, year, amount, status) VALUES (?, ?, ?, ?, ?, ?)',
-      [id, customerId, month, year, amount, 'pending']
-    );
-    res.status(201).json({ id, message: 'Invoice saved as pending' });
-  } catch (error) {
-    console.error('Error creating invoice:', error);
-    res.status(500).json({ message: error.message });
-  }
+  await recordAudit(req, { action: 'create', entity: 'invoice', entityId: id, after: await invoices.findById(id) });
+  res.status(201).json({ id, invoiceNumber, amount: summary.grandTotal, message: `Invoice ${invoiceNumber} saved as pending` });
 });
 
 // @route   PUT /api/invoices/:id/pay
-// @desc    Mark invoice as paid
-router.put('/:id/pay', async (req, res) => {
-  try {
-    const { notes } = req.body;
-    const paidAt = new Date().toISOString().slice(0, 19).replace('T', ' ');
-    await db.query(
-      'UPDATE invoices SET status = ?, paid_at = ?, payment_notes = ? WHERE id = ?',
-      ['paid', paidAt, notes || '', req.params.id]
-    );
-    res.json({ message: 'Invoice marked as paid' });
-  } catch (error) {
-    console.error('Error updating invoice:', error);
-    res.status(500).json({ message: error.message });
+// @desc    Mark invoice as paid, recording a payment for the balance still due
+// @access  Owner, Manager
+router.put('/:id/pay', authorize(ROLES.OWNER, ROLES.MANAGER), validate(schemas.invoicePayment), async (req, res) => {
+  const { mode = 'cash', reference, notes } = req.body;
+  const before = await invoices.findById(req.params.id);
+  if (!before) {
+    throw new NotFoundError('Invoice not found');
+  }
+  if (before.status === 'paid') {
+    throw new ConflictError('Invoice is already paid', { code: 'ALREADY_PAID' });
   }
+
+  const balance = money(before.amount - before.amount_paid);
+  if (balance > 0) {
+    await paymentService.recordPayment({
+      customerId: before.customer_id,
+      amount: balance,
+      mode,
+      reference,
+      date: todayInIndia(),
+      notes,
+      allocations: [{ invoiceId: before.id, amount: balance }],
+      recordedBy: req.admin.id
+    });
+  }
+
+  // Settled by the payment when there was a balance; this keeps its paid date and adds the notes
+  await invoices.markPaid(req.params.id, { paidAt: toDbDateTime(), notes });
+  await referrals.rewardReferrer(before.customer_id);
+  await recordAudit(req, { action: 'update', entity: 'invoice', entityId: req.params.id, before, after: await invoices.findById(req.params.id) });
+  res.json({ message: 'Invoice marked as paid' });
 });
 
 module.exports = router;
@@ -1,78 +1,78 @@
 const express = require('express');
 const router = express.Router();
-const db = require('../config/db');
+const menuItems = require('../repositories/menuItems');
+const { ROLES, authorize } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { createId } = require('../utils/ids');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas');
+const { NotFoundError } = require('../utils/errors');
 
 // @route   GET /api/menu
 // @desc    Get all menu items
 router.get('/', async (req, res) => {
-  try {
-    const [rows] = await db.query('SELECT * FROM menu_items ORDER BY category, name ASC');
-    const menuItems = rows.map(m => ({
-      ...m,
-      price: parseFloat(m.price),
-      available: !!m.available
-    }));
-    res.json(menuItems);
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
+  const rows = await menuItems.findAll();
+  res.json(rows.map(m => ({
+    ...m,
+    price: parseFloat(m.price),
+    available: !!m.available,
+    taxRate: m.tax_rate === null || m.tax_rate === undefined ? null : parseFloat(m.tax_rate),
+    hsnCode: m.hsn_code || null
+  })));
 });
 
 // @route   POST /api/menu
 // @desc    Add a menu item
-router.post('/', async (req, res) => {
+// @access  Owner, Manager
+router.post('/', authorize(ROLES.OWNER, ROLES.MANAGER), validate(schemas.menuItem), async (req, res) => {
   const m = req.body;
-  const id = m.id || `menu_${Date.now()}`;
+  const id = m.id || createId('menu');
   
-  try {
-    await db.query(
-      'INSERT INTO menu_items (id, name, category, price, description, available) VALUES (?, ?, ?, ?, ?, ?)',
-      [id, m.name, m.category, m.price, m.description || '', m.available !== false]
-    );
-    res.status(201).json({ id, ...m });
-  } catch (error) {
-    res.status(400).json({ message: error.message });
-  }
+  await menuItems.create({ ...m, id });
+  await recordAudit(req, { action: 'create', entity: 'menu_item', entityId: id, after: await menuItems.findById(id) });
+  res.status(201).json({ id, ...m });
 });
 
 // @route   PUT /api/menu/:id
 // @desc    Update a menu item
-router.put('/:id', async (req, res) => {
+// @access  Owner, Manager
+router.put('/:id', authorize(ROLES.OWNER, ROLES.MANAGER), validate(schemas.menuItem, { partial: true }), async (req, res) => {
   const id = req.params.id;
   const updates = req.body;
-  
-  try {
-    let query = 'UPDATE menu_items SET ';
-    const params = [];
-    const fields = [];
-    
-    if (updates.name) { fields.push('name = ?'); params.push(updates.name); }
-    if (updates.category) { fields.push('category = ?'); params.push(updates.category); }
-    if (updates.price !== undefined) { fields.push('price = ?'); params.push(updates.price); }
-    if (updates.description !== undefined) { fields.push('description = ?'); params.push(updates.description); }
-    if (updates.available !== undefined) { fields.push('available = ?'); params.push(updates.available); }
-    
-    if (fields.length === 0) return res.json({ message: 'No updates provided' });
-    
-    query += fields.join(', ') + ' WHERE id = ?';
-    params.push(id);
-    
-    await db.query(query, params);
-    res.json({ id, ...updates });
-  } catch (error) {
-    res.status(400).json({ message: error.message });
+
+  const before = await menuItems.findById(id);
+  if (!before) {
+    throw new NotFoundError('Menu item not found');
   }
+
+  const changes = {};
+  if (updates.name) changes.name = updates.name;
+  if (updates.category) changes.category = updates.category;
+  if (updates.price !== undefined) changes.price = updates.price;
+  if (updates.description !== undefined) changes.description = updates.description;
+  if (updates.available !== undefined) changes.available = updates.available;
+  if (updates.taxRate !== undefined) changes.taxRate = updates.taxRate;
+  if (updates.hsnCode !== undefined) changes.hsnCode = updates.hsnCode;
+
+  if (Object.keys(changes).length === 0) return res.json({ message: 'No updates provided' });
+
+  await menuItems.update(id, changes);
+  await recordAudit(req, { action: 'update', entity: 'menu_item', entityId: id, before, after: await menuItems.findById(id) });
+  res.json({ id, ...updates });
 });
 
 // @route   DELETE /api/menu/:id
 // @desc    Delete a menu item
-router.delete('/:id', async (req, res) => {
-  try {
-    await db.query('DELETE FROM menu_items WHERE id = ?', [req.params.id]);
-    res.json({ message: 'Menu item deleted' });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
+// @access  Owner, Manager
+router.delete('/:id', authorize(ROLES.OWNER, ROLES.MANAGER), async (req, res) => {
+  const before = await menuItems.findById(req.params.id);
+  if (!before) {
+    throw new NotFoundError('Menu item not found');
   }
+
+  await menuItems.remove(req.params.id);
+  await recordAudit(req, { action: 'delete', entity: 'menu_item', entityId: req.params.id, before });
+  res.json({ message: 'Menu item deleted' });
 });
 
 module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const payments = require('../repositories/payments');
+const paymentService = require('../services/payments');
+const { ROLES, authorize } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas');
+
+// @route   GET /api/payments
+// @desc    Get payments with their invoice allocations (optionally filtered by customer or invoice)
+router.get('/', validate(schemas.paymentQuery, { source: 'query' }), async (req, res) => {
+  const { customerId, invoiceId } = req.query;
+  res.json(await paymentService.listPayments({ customerId, invoiceId }));
+});
+
+// @route   GET /api/payments/:id
+// @desc    Get a single payment
+router.get('/:id', async (req, res) => {
+  res.json(await paymentService.findPayment(req.params.id));
+});
+
+// @route   POST /api/payments
+// @desc    Record a payment and allocate it to invoices (oldest unpaid first unless allocations are given)
+// @access  Owner, Manager
+router.post('/', authorize(ROLES.OWNER, ROLES.MANAGER), validate(schemas.payment), async (req, res) => {
+  const payment = await paymentService.recordPayment({ ...req.body, recordedBy: req.admin.id });
+
+  await recordAudit(req, { action: 'create', entity: 'payment', entityId: payment.id, after: payment });
+  res.status(201).json(payment);
+});
+
+// @route   DELETE /api/payments/:id
+// @desc    Delete a payment, reopening the invoices it paid
+// @access  Owner, Manager
+router.delete('/:id', authorize(ROLES.OWNER, ROLES.MANAGER), async (req, res) => {
+  const before = await paymentService.findPayment(req.params.id);
+
+  await payments.remove(req.params.id);
+  await recordAudit(req, { action: 'delete', entity: 'payment', entityId: req.params.id, before });
+  res.json({ message: 'Payment deleted' });
+});
+
+module.exports = router;
@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router();
+const plans = require('../repositories/plans');
+const { ROLES, authorize } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { createId } = require('../utils/ids');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const { toDateKey } = require('../utils/time');
+const { money } = require('../utils/money');
+const { checkMealPrices } = require('../utils/pricing');
+
+const toPrice = (value) => (value === null || value === undefined ? null : money(value));
+
+// DB plan row -> API shape
+const toPlan = (p) => ({
+  id: p.id,
+  name: p.name,
+  description: p.description || '',
+  subscriptionType: p.subscription_type,
+  mealTimes: (typeof p.meal_times === 'string' ? JSON.parse(p.meal_times) : p.meal_times) || [],
+  pricing: p.pricing,
+  dailyAmount: money(p.daily_amount),
+  breakfastPrice: toPrice(p.breakfast_price),
+  lunchPrice: toPrice(p.lunch_price),
+  dinnerPrice: toPrice(p.dinner_price),
+  validFrom: p.valid_from ? toDateKey(p.valid_from) : null,
+  validTo: p.valid_to ? toDateKey(p.valid_to) : null,
+  subscribers: Number(p.subscribers || 0)
+});
+
+/**
+ * Check a plan's prices and validity as they will be saved.
+ * @param {Object} p - plan fields (API names)
+ * @returns {Object} extra changes to save
+ */
+function checkPlan(p) {
+  const { fields, changes } = checkMealPrices(p);
+  if (p.pricing !== 'per_meal' && (p.dailyAmount === null || p.dailyAmount === undefined)) {
+    fields.dailyAmount = 'Price is required';
+  }
+  if (p.validFrom && p.validTo && p.validTo < p.validFrom) {
+    fields.validTo = 'Valid to must be on or after valid from';
+  }
+
+  if (Object.keys(fields).length > 0) {
+    throw new ValidationError(Object.values(fields)[0], fields);
+  }
+  return changes;
+}
+
+async function findPlan(id) {
+  const plan = await plans.findById(id);
+  if (!plan) {
+    throw new NotFoundError('Plan not found');
+  }
+  return plan;
+}
+
+async function checkNameFree(name, id = null) {
+  const existing = await plans.findByName(name);
+  if (existing && existing.id !== id) {
+    throw new ConflictError('A plan with this name already exists', { code: 'PLAN_NAME_IN_USE' });
+  }
+}
+
+// @route   GET /api/plans
+// @desc    Get all plans with how many customers are on each
+router.get('/', async (req, res) => {
+  const rows = await plans.findAll();
+  res.json(rows.map(toPlan));
+});
+
+// @route   GET /api/plans/:id
+// @desc    Get single plan
+router.get('/:id', async (req, res) => {
+  res.json(toPlan(await findPlan(req.params.id)));
+});
+
+// @route   POST /api/plans
+// @desc    Add a plan
+// @access  Owner, Manager
+router.post('/', authorize(ROLES.OWNER, ROLES.MANAGER), validate(schemas.plan), async (req, res) => {
+  const p = { ...req.body, ...checkPlan(req.body) };
+  await checkNameFree(p.name);
+
+  const id = createId('plan');
+  await plans.create({ ...p, id });
+
+  const plan = toPlan(await plans.findById(id));
+  await recordAudit(req, { action: 'create', entity: 'plan', entityId: id, after: plan });
+  res.status(201).json(plan);
+});
+
+// @route   PUT /api/plans/:id
+// @desc    Rename a plan or change when it is on offer. Prices change through
+//          POST /api/plans/:id/price-changes so customers' history is kept
+// @access  Owner, Manager
+router.put('/:id', authorize(ROLES.OWNER, ROLES.MANAGER), validate(schemas.planUpdate), async (req, res) => {
+  const before = toPlan(await findPlan(req.params.id));
+  const updates = req.body;
+
+  const changes = {};
+  if (updates.name) changes.name = updates.name;
+  if (updates.description !== undefined) changes.description = updates.description;
+  if (updates.validFrom !== undefined) changes.validFrom = updates.validFrom;
+  if (updates.validTo !== undefined) changes.validTo = updates.validTo;
+
+  if (Object.keys(changes).length === 0) return res.json({ message: 'No updates provided' });
+  checkPlan({ ...before, ...changes });
+  if (changes.name) await checkNameFree(changes.name, before.id);
+
+  await plans.update(before.id, changes);
+
+  const plan = toPlan(await plans.findById(before.id));
+  await recordAudit(req, { action: 'update', entity: 'plan', entityId: before.id, before, after: plan });
+  res.json(plan);
+});
+
+// @route   POST /api/plans/:id/price-changes
+// @desc    Change a plan's prices and move every customer on it to them from
+//          effectiveDate. Days before it are still billed at the old prices
+// @access  Owner, Manager
+router.post('/:id/price-changes', authorize(ROLES.OWNER, ROLES.MANAGER), validate(schemas.planPriceChange), async (req, res) => {
+  const before = toPlan(await findPlan(req.params.id));
+  const { effectiveDate, ...prices } = req.body;
+  if (Object.keys(prices).length === 0) {
+    throw new ValidationError('Enter the new price', { dailyAmount: 'Enter the new price' });
+  }
+
+  const after = { ...before, ...prices };
+  Object.assign(after, checkPlan(after));
+
+  const customersUpdated = await plans.changePrice(before.id, after, effectiveDate);
+
+  const plan = toPlan(await plans.findById(before.id));
+  await recordAudit(req, { action: 'update', entity: 'plan', entityId: before.id, before, after: { ...plan, effectiveDate } });
+  res.json({ plan, effectiveDate, customersUpdated });
+});
+
+// @route   DELETE /api/plans/:id
+// @desc    Delete a plan nobody is on. Customers' history keeps its name
+// @access  Owner, Manager
+router.delete('/:id', authorize(ROLES.OWNER, ROLES.MANAGER), async (req, res) => {
+  const before = toPlan(await findPlan(req.params.id));
+  if (before.subscribers > 0) {
+    throw new ConflictError('Move the customers on this plan to another plan before deleting it', { code: 'PLAN_IN_USE' });
+  }
+
+  await plans.remove(before.id);
+  await recordAudit(req, { action: 'delete', entity: 'plan', entityId: before.id, before });
+  res.json({ message: 'Plan deleted' });
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const router = express.Router();
+const sessions = require('../repositories/sessions');
+const { ROLES } = require('../middleware/auth');
+const { listActiveSessions, revokeSession, revokeAllSessions } = require('../utils/sessions');
+const { recordAudit } = require('../utils/audit');
+const { ForbiddenError, NotFoundError } = require('../utils/errors');
+
+const toSession = (s, currentId) => ({
+  id: s.id,
+  adminId: s.admin_id,
+  adminName: s.name,
+  adminEmail: s.email,
+  userAgent: s.user_agent,
+  ipAddress: s.ip_address,
+  createdAt: s.created_at,
+  lastSeenAt: s.last_seen_at,
+  expiresAt: s.expires_at,
+  current: s.id === currentId
+});
+
+// @route   GET /api/sessions
+// @desc    Get active sessions (owners see every admin's sessions)
+// @access  Private
+router.get('/', async (req, res) => {
+  const adminId = req.admin.role === ROLES.OWNER ? null : req.admin.id;
+  const rows = await listActiveSessions(adminId);
+  res.json(rows.map(s => toSession(s, req.admin.sessionId)));
+});
+
+// @route   DELETE /api/sessions
+// @desc    Log out all devices (owners may pass ?adminId= to log out another admin)
+// @access  Private
+router.delete('/', async (req, res) => {
+  const adminId = req.query.adminId || req.admin.id;
+
+  if (adminId !== req.admin.id && req.admin.role !== ROLES.OWNER) {
+    throw new ForbiddenError();
+  }
+
+  await revokeAllSessions(adminId);
+  await recordAudit(req, { action: 'delete', entity: 'session', entityId: adminId, before: { adminId, sessions: 'all' } });
+  res.json({ message: 'All sessions revoked' });
+});
+
+// @route   DELETE /api/sessions/:id
+// @desc    Revoke one session
+// @access  Private (owners may revoke any admin's session)
+router.delete('/:id', async (req, res) => {
+  const id = req.params.id;
+
+  const session = await sessions.findById(id);
+
+  if (!session || (session.admin_id !== req.admin.id && req.admin.role !== ROLES.OWNER)) {
+    throw new NotFoundError('Session not found');
+  }
+
+  await revokeSession(id);
+  await recordAudit(req, {
+    action: 'delete',
+    entity: 'session',
+    entityId: id,
+    before: { adminId: session.admin_id, userAgent: session.user_agent, ipAddress: session.ip_address }
+  });
+  res.json({ message: 'Session revoked' });
+});
+
+module.exports = router;
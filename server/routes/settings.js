@@ -0,0 +1,49 @@
+const express = require('express');
+const router = express.Router();
+const tax = require('../services/tax');
+const referrals = require('../services/referrals');
+const { ROLES, authorize } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas');
+
+// @route   GET /api/settings/tax
+// @desc    Get the business's GST settings
+router.get('/tax', async (req, res) => {
+  res.json(await tax.loadSettings());
+});
+
+// @route   PUT /api/settings/tax
+// @desc    Change the GST settings. They apply to bills computed from now on;
+//          saved invoices keep the tax they were issued with
+// @access  Owner
+router.put('/tax', authorize(ROLES.OWNER), validate(schemas.taxSettings, { partial: true }), async (req, res) => {
+  const before = await tax.loadSettings();
+  if (Object.keys(req.body).length === 0) return res.json({ message: 'No updates provided' });
+
+  await tax.saveSettings(req.body);
+
+  const after = await tax.loadSettings();
+  await recordAudit(req, { action: 'update', entity: 'settings', entityId: 'tax', before, after });
+  res.json(after);
+});
+
+// @route   GET /api/settings/referral
+// @desc    Get the referral reward
+router.get('/referral', async (req, res) => {
+  res.json(await referrals.loadSettings());
+});
+
+// @route   PUT /api/settings/referral
+// @desc    Change the referral reward. It applies to rewards earned from now on
+// @access  Owner
+router.put('/referral', authorize(ROLES.OWNER), validate(schemas.referralSettings), async (req, res) => {
+  const before = await referrals.loadSettings();
+  await referrals.saveSettings(req.body);
+
+  const after = await referrals.loadSettings();
+  await recordAudit(req, { action: 'update', entity: 'settings', entityId: 'referral', before, after });
+  res.json(after);
+});
+
+module.exports = router;
@@ -0,0 +1,107 @@
+const express = require('express');
+const router = express.Router();
+const QRCode = require('qrcode');
+const admins = require('../repositories/admins');
+const { verifyPassword } = require('../utils/password');
+const { generateSecret, verifyCode, otpauthUrl } = require('../utils/totp');
+const { replaceRecoveryCodes, countRecoveryCodes, deleteRecoveryCodes } = require('../utils/recoveryCodes');
+const { recordAudit } = require('../utils/audit');
+const { validate } = require('../validation');
+const schemas = require('../validation/schemas');
+const { BadRequestError, ConflictError } = require('../utils/errors');
+
+// @route   GET /api/auth/2fa
+// @desc    Get two-factor status for the logged-in admin
+// @access  Private
+router.get('/', async (req, res) => {
+  const admin = await admins.findById(req.admin.id);
+  res.json({
+    enabled: !!admin.totp_enabled,
+    recoveryCodesRemaining: admin.totp_enabled ? await countRecoveryCodes(admin.id) : 0
+  });
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrolment: new secret plus QR code for the authenticator app
+// @access  Private
+router.post('/setup', async (req, res) => {
+  const admin = await admins.findById(req.admin.id);
+  if (admin.totp_enabled) {
+    throw new ConflictError('Two-factor authentication is already enabled', { code: 'TWO_FACTOR_ENABLED' });
+  }
+
+  // Stays inactive until confirmed with a code from the app
+  const secret = generateSecret();
+  await admins.update(admin.id, { totpSecret: secret, totpLastStep: null });
+
+  const url = otpauthUrl(secret, admin.email);
+  res.json({ secret, otpauthUrl: url, qrCode: await QRCode.toDataURL(url) });
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrolment with a code and issue recovery codes
+// @access  Private
+router.post('/enable', validate(schemas.twoFactorCode), async (req, res) => {
+  const { code } = req.body;
+
+  const admin = await admins.findById(req.admin.id);
+  if (admin.totp_enabled) {
+    throw new ConflictError('Two-factor authentication is already enabled', { code: 'TWO_FACTOR_ENABLED' });
+  }
+  if (!admin.totp_secret) {
+    throw new BadRequestError('Start two-factor setup first', { code: 'TWO_FACTOR_NOT_STARTED' });
+  }
+
+  const step = verifyCode(admin.totp_secret, code);
+  if (step === null) {
+    throw new BadRequestError('Invalid verification code', { code: 'INVALID_CODE' });
+  }
+
+  await admins.update(admin.id, { totpEnabled: true, totpLastStep: step });
+  const recoveryCodes = await replaceRecoveryCodes(admin.id);
+
+  await recordAudit(req, { action: 'update', entity: 'admin', entityId: admin.id, after: { twoFactor: 'enabled' } });
+  res.json({ success: true, message: 'Two-factor authentication enabled', recoveryCodes });
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication (requires the current password)
+// @access  Private
+router.post('/disable', validate(schemas.currentPassword), async (req, res) => {
+  const { currentPassword } = req.body;
+
+  const admin = await admins.findById(req.admin.id);
+  if (!admin.totp_enabled) {
+    throw new BadRequestError('Two-factor authentication is not enabled', { code: 'TWO_FACTOR_DISABLED' });
+  }
+  if (!await verifyPassword(currentPassword, admin.password)) {
+    throw new BadRequestError('Current password is incorrect', { code: 'WRONG_PASSWORD' });
+  }
+
+  await admins.update(admin.id, { totpEnabled: false, totpSecret: null, totpLastStep: null });
+  await deleteRecoveryCodes(admin.id);
+
+  await recordAudit(req, { action: 'update', entity: 'admin', entityId: admin.id, after: { twoFactor: 'disabled' } });
+  res.json({ success: true, message: 'Two-factor authentication disabled' });
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes (requires the current password)
+// @access  Private
+router.post('/recovery-codes', validate(schemas.currentPassword), async (req, res) => {
+  const { currentPassword } = req.body;
+
+  const admin = await admins.findById(req.admin.id);
+  if (!admin.totp_enabled) {
+    throw new BadRequestError('Two-factor authentication is not enabled', { code: 'TWO_FACTOR_DISABLED' });
+  }
+  if (!await verifyPassword(currentPassword, admin.password)) {
+    throw new BadRequestError('Current password is incorrect', { code: 'WRONG_PASSWORD' });
+  }
+
+  const recoveryCodes = await replaceRecoveryCodes(admin.id);
+  await recordAudit(req, { action: 'update', entity: 'admin', entityId: admin.id, after: { recoveryCodes: 'regenerated' } });
+  res.json({ success: true, message: 'New recovery codes generated', recoveryCodes });
+});
+
+module.exports = router;
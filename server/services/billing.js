@@ -0,0 +1,734 @@
+const customers = require('../repositories/customers');
+const extras = require('../repositories/extras');
+const customerLeaves = require('../repositories/customerLeaves');
+const customerPlans = require('../repositories/customerPlans');
+const customerStatusChanges = require('../repositories/customerStatusChanges');
+const ledger = require('../repositories/customerLedger');
+const invoices = require('../repositories/invoices');
+const payments = require('../repositories/payments');
+const tax = require('./tax');
+const discountService = require('./discounts');
+const referrals = require('./referrals');
+const { createId } = require('../utils/ids');
+const { financialYear, formatInvoiceNumber } = require('../utils/invoiceNumbers');
+const { toDateKey, toDbDateTime, todayInIndia } = require('../utils/time');
+const { money, sum } = require('../utils/money');
+const { NotFoundError } = require('../utils/errors');
+
+// Invoice math. Every screen that shows a bill (invoice preview, pending
+// invoice details, the dues scan) reads it from here, so the numbers never
+// depend on which browser or timezone asked for them.
+
+const MEALS = ['breakfast', 'lunch', 'dinner'];
+
+// month is 1-12
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+const dateKey = (year, month, day) => `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+// 'YYYY-MM-DD' -> the next day
+function nextDay(key) {
+  const date = new Date(`${key}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+}
+
+// 'YYYY-MM-DD' -> the day before
+function previousDay(key) {
+  const date = new Date(`${key}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return date.toISOString().slice(0, 10);
+}
+
+const SHORT_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const shortDate = (key) => `${Number(key.slice(8, 10))} ${SHORT_MONTHS[Number(key.slice(5, 7)) - 1]}`;
+const dateRange = (from, to) => (from === to ? shortDate(from) : `${shortDate(from)} – ${shortDate(to)}`);
+
+// Days from..to ('YYYY-MM-DD', inclusive); 0 when to is before from
+const countDays = (from, to) => (to < from ? 0 : Math.round((Date.parse(to) - Date.parse(from)) / 86400000) + 1);
+
+const parseJSON = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+const toPrice = (value) => (value === null || value === undefined ? null : money(value));
+
+// DB customer row -> the fields an invoice shows and the plan it is billed by
+const toCustomer = (c) => ({
+  id: c.id,
+  name: c.name,
+  mobile: c.mobile,
+  address: c.address,
+  gstin: c.gstin || null,
+  stateCode: c.state_code || null,
+  subscriptionType: c.subscription_type,
+  dailyAmount: money(c.daily_amount),
+  planId: c.plan_id || null,
+  pricing: c.pricing || 'combination',
+  mealPrices: { breakfast: toPrice(c.breakfast_price), lunch: toPrice(c.lunch_price), dinner: toPrice(c.dinner_price) },
+  mealTimes: parseJSON(c.meal_times) || [],
+  startDate: c.start_date ? toDateKey(c.start_date) : null,
+  endDate: c.end_date ? toDateKey(c.end_date) : null
+});
+
+// Plan history row -> { from, terms: the customer fields it sets }
+const toTerms = (p) => ({
+  from: toDateKey(p.effective_from),
+  terms: {
+    planId: p.plan_id,
+    planName: p.plan_name,
+    subscriptionType: p.subscription_type,
+    dailyAmount: money(p.daily_amount),
+    pricing: p.pricing,
+    mealPrices: { breakfast: toPrice(p.breakfast_price), lunch: toPrice(p.lunch_price), dinner: toPrice(p.dinner_price) },
+    mealTimes: parseJSON(p.meal_times) || []
+  }
+});
+
+// The meals a customer is billed for (customers saved without any are billed for all)
+const billedMeals = (customer) => (customer.mealTimes.length > 0 ? customer.mealTimes : MEALS);
+
+/**
+ * What each billed meal costs per billing period: a day, or the month for
+ * monthly plans. A combination price is split evenly over the meals.
+ * @returns {Object} { meal: price }
+ */
+function mealPrices(customer) {
+  const meals = billedMeals(customer);
+  const prices = {};
+  meals.forEach(meal => {
+    prices[meal] = customer.pricing === 'per_meal' ? customer.mealPrices[meal] || 0 : customer.dailyAmount / meals.length;
+  });
+  return prices;
+}
+
+// The part of from..to that falls inside the customer's plan dates: { from, to, days }
+function planDays(customer, from, to) {
+  const start = customer.startDate && customer.startDate > from ? customer.startDate : from;
+  const end = customer.endDate && customer.endDate < to ? customer.endDate : to;
+  return { from: start, to: end, days: countDays(start, end) };
+}
+
+/**
+ * The parts of from..to the customer was active for. They are active until
+ * their first status change, and each change lasts until the next one.
+ * @param {Array} statuses - [{ from, status }] oldest first
+ * @param {Object} served - { from, to, days } from planDays()
+ * @returns {Array} [{ from, to, days }]
+ */
+function activeRanges(statuses, served) {
+  if (served.days === 0) return [];
+
+  const changes = [{ from: null, status: 'active' }, ...statuses];
+  const ranges = [];
+  changes.forEach((change, i) => {
+    if (change.status !== 'active') return;
+    const next = changes[i + 1];
+    const from = !change.from || change.from < served.from ? served.from : change.from;
+    const to = next && previousDay(next.from) < served.to ? previousDay(next.from) : served.to;
+    if (countDays(from, to) === 0) return;
+
+    const last = ranges[ranges.length - 1];
+    if (last && nextDay(last.to) === from) {
+      last.to = to;
+      last.days = countDays(last.from, to);
+    } else {
+      ranges.push({ from, to, days: countDays(from, to) });
+    }
+  });
+  return ranges;
+}
+
+/**
+ * Split the days a plan runs into the periods of the customer's plan history,
+ * with the customer on each period's terms. The earliest entry also covers the
+ * days before it; without any history the customer's own terms cover them all.
+ * @param {Array} history - toTerms() entries, oldest first
+ * @param {Object} served - { from, to, days } from activeRanges()
+ * @returns {Array} [{ customer, from, to, days }]
+ */
+function termPeriods(customer, history, served) {
+  if (served.days === 0) return [];
+  if (history.length === 0) return [{ customer, ...served }];
+
+  const periods = [];
+  history.forEach((entry, i) => {
+    const next = history[i + 1];
+    const from = i === 0 || entry.from < served.from ? served.from : entry.from;
+    const to = next && previousDay(next.from) < served.to ? previousDay(next.from) : served.to;
+    const days = countDays(from, to);
+    if (days > 0) periods.push({ customer: { ...customer, ...entry.terms }, from, to, days });
+  });
+  return periods;
+}
+
+/**
+ * The days from..to a customer is billed for: inside their plan dates, while
+ * active, split wherever their terms change. Each period is a line of its own.
+ * @param {Object} history - { plans: toTerms() entries, statuses: [{ from, status }] }, both oldest first
+ * @returns {Array} [{ customer (on that period's terms), from, to, days }]
+ */
+function billingPeriods(customer, { plans = [], statuses = [] } = {}, from, to) {
+  return activeRanges(statuses, planDays(customer, from, to))
+    .flatMap(range => termPeriods(customer, plans, range));
+}
+
+// DB extra row -> invoice line
+const toExtraLine = (e) => ({
+  type: 'extra',
+  id: e.id,
+  date: toDateKey(e.date),
+  mealType: e.meal_type,
+  menuItemId: e.menu_item_id,
+  description: e.menu_item_name || 'Item',
+  notes: e.notes || '',
+  amount: money(e.price)
+});
+
+// DB leave row -> { id, startDate, endDate, meals (null for the whole day), reason }
+const toLeave = (l) => ({
+  id: l.id,
+  startDate: toDateKey(l.start_date),
+  endDate: toDateKey(l.end_date),
+  meals: parseJSON(l.meals) || null,
+  reason: l.reason || ''
+});
+
+/**
+ * Leaves -> negative 'leave' lines for the days from..to they cover, taking
+ * off the price of each meal skipped. Meals the customer doesn't take are
+ * ignored and overlapping leaves only take a meal off once. The quantity is in
+ * days: a lunch-only leave of a lunch-and-dinner customer is half a day.
+ * @param {Object} options - { from, to ('YYYY-MM-DD'), rates: { meal: price per day } }
+ */
+function leaveLines(customer, leaves, { from, to, rates }) {
+  const meals = billedMeals(customer);
+  const skipped = new Set();
+  const lines = [];
+
+  for (const leave of leaves) {
+    const start = leave.startDate > from ? leave.startDate : from;
+    const end = leave.endDate < to ? leave.endDate : to;
+    const leaveMeals = meals.filter(m => !leave.meals || leave.meals.includes(m));
+
+    let count = 0;
+    let total = 0;
+    for (let date = start; date <= end; date = nextDay(date)) {
+      for (const meal of leaveMeals) {
+        if (skipped.has(`${date}:${meal}`)) continue;
+        skipped.add(`${date}:${meal}`);
+        count++;
+        total += rates[meal];
+      }
+    }
+    if (count === 0) continue;
+
+    const days = count / meals.length;
+    lines.push({
+      type: 'leave',
+      id: leave.id,
+      date: start,
+      description: `Leave ${dateRange(start, end)}${leave.meals ? ` (${leaveMeals.join(', ')})` : ''}`,
+      notes: leave.reason,
+      quantity: money(days),
+      unitPrice: -money(total / days),
+      amount: -money(total)
+    });
+  }
+  return lines;
+}
+
+// Totals per meal and overall for a list of extra lines
+function extraTotals(lines) {
+  const byMeal = (meal) => sum(lines.filter(l => l.mealType === meal).map(l => l.amount));
+  return {
+    breakfastTotal: byMeal('breakfast'),
+    lunchTotal: byMeal('lunch'),
+    dinnerTotal: byMeal('dinner'),
+    extrasTotal: sum(lines.map(l => l.amount))
+  };
+}
+
+/**
+ * Subscription lines for a period of a bill. Daily plans pay for the billed
+ * meals on each of its days, monthly plans their share of the fee (the whole
+ * fee for a whole month).
+ * A combination price is one line, per-meal prices one line per meal. Lines
+ * are named after the customer's plan and dated from the first day they cover.
+ * @param {Object} served - { from, to, days } from billingPeriods()
+ * @param {Object} [options] - { share: part of the monthly fee, range: true to name the dates }
+ */
+function subscriptionLines(customer, served, { share = 1, range = false } = {}) {
+  if (served.days === 0) return [];
+
+  const monthly = customer.subscriptionType === 'monthly';
+  const name = customer.planName || `${monthly ? 'Monthly' : 'Daily'} subscription`;
+  const dates = range ? ` ${dateRange(served.from, served.to)}` : '';
+  const units = monthly ? share : served.days;
+
+  const line = (unitPrice, meal) => ({
+    type: 'subscription',
+    date: served.from,
+    ...(meal && { mealType: meal }),
+    description: `${name}${dates}${meal ? ` (${meal})` : ''}`,
+    quantity: money(units),
+    unitPrice,
+    amount: money(units * unitPrice)
+  });
+
+  return customer.pricing === 'per_meal'
+    ? billedMeals(customer).map(meal => line(customer.mealPrices[meal] || 0, meal))
+    : [line(customer.dailyAmount)];
+}
+
+// Charges less leave and discounts, plus the tax on them unless the prices already include it
+function chargeTotals({ subscriptionLines, leaveLines, extraLines, discountLines = [], supply }) {
+  const totals = extraTotals(extraLines);
+  const subscriptionTotal = sum(subscriptionLines.map(l => l.amount));
+  const leaveTotal = sum(leaveLines.map(l => -l.amount));
+  const discountTotal = sum(discountLines.map(l => -l.amount));
+  const taxSummary = tax.taxSummary([...subscriptionLines, ...leaveLines, ...extraLines, ...discountLines], supply);
+  const taxCharged = supply && !supply.pricesIncludeTax ? taxSummary.taxTotal : 0;
+
+  return {
+    subscriptionTotal,
+    leaveDays: sum(leaveLines.map(l => l.quantity)),
+    leaveTotal,
+    ...totals,
+    discountTotal,
+    ...taxSummary,
+    totalCharges: money(subscriptionTotal - leaveTotal + totals.extrasTotal - discountTotal + taxCharged)
+  };
+}
+
+// What a bill's discounts are taken from: the subscription less leave, plus extras
+const discountBase = (subscription, leave, extraLines) => sum([...subscription, ...leave, ...extraLines].map(l => l.amount));
+
+// The part of from..to a discount is valid on, or null when it is valid on none of it
+function validDays(d, from, to) {
+  const start = d.validFrom && d.validFrom > from ? d.validFrom : from;
+  const end = d.validTo && d.validTo < to ? d.validTo : to;
+  return start <= end ? { from: start, to: end } : null;
+}
+
+/**
+ * Lay out a month's bill: one row per day with that day's extras, and the totals.
+ * Leave and discount lines come off the charges. Taxed lines add up to the tax
+ * summary. Referral credits, then credit from the customer's account, pay for
+ * as much of the charges (with tax) as they cover; each referral credit is a
+ * negative 'referral' line and the account credit a negative 'credit' line.
+ * @param {Object} input - { subscriptionLines, leaveLines, extraLines, discountLines, referralCredits (referrals.availableCredits()),
+ *                          credit, supply (tax.supplyFor(), null for no GST), year, month (1-12) }
+ * @returns {Object} { lines, days: [{ date, day, breakfast: [], lunch: [], dinner: [] }], tax: supply, summary }
+ */
+function monthlyBill({ subscriptionLines, leaveLines = [], extraLines, discountLines = [], referralCredits = [], credit = 0, supply = null, year, month }) {
+  const days = daysInMonth(year, month);
+
+  const dayRows = [];
+  for (let day = 1; day <= days; day++) {
+    const date = dateKey(year, month, day);
+    const row = { date, day };
+    MEALS.forEach(meal => {
+      row[meal] = extraLines.filter(l => l.date === date && l.mealType === meal);
+    });
+    dayRows.push(row);
+  }
+
+  // Per date the subscription lines start on: the longest line's quantity
+  const daysFrom = {};
+  subscriptionLines.forEach(l => {
+    daysFrom[l.date || ''] = Math.max(daysFrom[l.date || ''] || 0, l.quantity);
+  });
+  const latest = Object.keys(daysFrom).sort().pop();
+
+  const { totalCharges: charged, ...totals } = chargeTotals({ subscriptionLines, leaveLines, extraLines, discountLines, supply });
+  const referral = referrals.referralLines(referralCredits, charged);
+  const referralTotal = sum(referral.map(l => -l.amount));
+  const totalCharges = money(charged - referralTotal);
+  const creditApplied = money(Math.min(Math.max(credit, 0), totalCharges));
+
+  const lines = [...subscriptionLines, ...leaveLines, ...extraLines, ...discountLines, ...referral];
+  if (creditApplied > 0) {
+    lines.push({ type: 'credit', description: 'Credit from account balance', quantity: 1, unitPrice: -creditApplied, amount: -creditApplied });
+  }
+
+  return {
+    lines,
+    days: dayRows,
+    tax: supply,
+    summary: {
+      daysInMonth: days,
+      // Latest price per day (per month for monthly plans) and the days charged
+      dailyAmount: sum(subscriptionLines.filter(l => (l.date || '') === latest).map(l => l.unitPrice)),
+      subscriptionDays: sum(Object.values(daysFrom)),
+      ...totals,
+      referralTotal,
+      totalCharges,
+      creditApplied,
+      grandTotal: money(totalCharges - creditApplied)
+    }
+  };
+}
+
+// Subscription and leave lines for billing periods of a month of `days` days
+function monthLines(periods, leaves, days) {
+  const subscription = [];
+  const leave = [];
+  periods.forEach(period => {
+    const rates = mealPrices(period.customer);
+    if (period.customer.subscriptionType === 'monthly') {
+      Object.keys(rates).forEach(meal => { rates[meal] /= days; });
+    }
+    subscription.push(...subscriptionLines(period.customer, period, { share: period.days / days, range: period.days < days }));
+    leave.push(...leaveLines(period.customer, leaves, { from: period.from, to: period.to, rates }));
+  });
+  return { subscription, leave };
+}
+
+/**
+ * Monthly bill from already loaded data. Only the days inside the plan dates
+ * that the customer was active are charged, each on the terms their plan
+ * history had for it; monthly plans pay the fee prorated by those days. A part
+ * of the month billed on its own is named by its dates.
+ * Leave is priced per meal at the daily price, or for monthly plans the fee
+ * spread over the days of the month.
+ * Discounts (discounts.forBill()) for the customer or a plan they were billed
+ * on come off before tax: a percentage of the charges for the days it is
+ * valid on, a flat amount once. With GST settings (tax.loadTax()) the lines are taxed
+ * for the customer's place of supply, each discount at the rates of the lines it
+ * was taken from.
+ * @param {Object} input - { customer, history: { plans, statuses }, leaves, extraLines, discounts, referralCredits, credit,
+ *                          taxSettings, year, month (1-12) }
+ */
+function calculateMonth({ customer, history, leaves = [], extraLines, discounts = [], referralCredits, credit, taxSettings, year, month }) {
+  const days = daysInMonth(year, month);
+  const from = dateKey(year, month, 1);
+  const to = dateKey(year, month, days);
+  const periods = billingPeriods(customer, history, from, to);
+  const { subscription, leave } = monthLines(periods, leaves, days);
+
+  // A percentage comes off the charges for the days the discount is valid on
+  // (for a plan's discount, the days billed on the plan), a flat amount off all of them
+  const discounted = (d) => {
+    if (d.kind !== 'percent') return [...subscription, ...leave, ...extraLines];
+    const valid = validDays(d, from, to);
+    if (!valid) return [];
+    const inside = billingPeriods(customer, history, valid.from, valid.to).filter(p => !d.planId || p.customer.planId === d.planId);
+    const lines = monthLines(inside, leaves, days);
+    const extras = extraLines.filter(l => (d.planId
+      ? inside.some(p => l.date >= p.from && l.date <= p.to)
+      : l.date >= valid.from && l.date <= valid.to));
+    return [...lines.subscription, ...lines.leave, ...extras];
+  };
+
+  const planIds = periods.map(p => p.customer.planId).filter(Boolean);
+  const rules = discounts.filter(d => discountService.appliesTo(d, customer.id, planIds));
+  const discount = discountService.discountLines(rules, discountBase(subscription, leave, extraLines), d => sum(discounted(d).map(l => l.amount)));
+
+  const supply = tax.supplyFor(taxSettings, customer);
+  const taxed = (lines) => (supply ? tax.taxLines(lines, taxSettings) : lines);
+  const taxedDiscounts = supply
+    ? discount.flatMap(l => tax.taxDiscount(l, discounted(rules.find(d => d.id === l.discountId)), taxSettings))
+    : discount;
+
+  return monthlyBill({
+    subscriptionLines: taxed(subscription),
+    leaveLines: taxed(leave),
+    extraLines: taxed(extraLines),
+    discountLines: taxedDiscounts,
+    referralCredits,
+    credit,
+    supply,
+    year,
+    month
+  });
+}
+
+/**
+ * Bill for a single day from already loaded data. Only percentage discounts
+ * come off it: daily bills are not issued, so a flat discount is left for the
+ * monthly invoice that uses it up.
+ * @param {Object} input - { customer, history: { plans, statuses }, date, leaves, extraLines, discounts, taxSettings }
+ *                         where leaves and extraLines are that day's
+ * @returns {Object} { lines, meals: { breakfast: [], lunch: [], dinner: [] }, tax, summary }
+ */
+function calculateDay({ customer, history, date, leaves = [], extraLines, discounts = [], taxSettings }) {
+  const supply = tax.supplyFor(taxSettings, customer);
+  const taxed = (lines) => (supply ? tax.taxLines(lines, taxSettings) : lines);
+  extraLines = taxed(extraLines);
+
+  const meals = {};
+  MEALS.forEach(meal => {
+    meals[meal] = extraLines.filter(l => l.mealType === meal);
+  });
+
+  // Monthly plans are billed once a month, not per day
+  const [period] = billingPeriods(customer, history, date, date);
+  const terms = period ? period.customer : customer;
+  let subscription = [];
+  let leave = [];
+  if (period && terms.subscriptionType !== 'monthly') {
+    subscription = subscriptionLines(terms, period);
+    leave = leaveLines(terms, leaves, { from: date, to: date, rates: mealPrices(terms) });
+  }
+  const rules = discounts.filter(d => d.kind === 'percent' && discountService.appliesTo(d, customer.id, period && terms.planId ? [terms.planId] : []));
+  const discount = discountService.discountLines(rules, discountBase(subscription, leave, extraLines))
+    .flatMap(l => (supply ? tax.taxDiscount(l, [...subscription, ...leave, ...extraLines], taxSettings) : [l]));
+  subscription = taxed(subscription);
+  leave = taxed(leave);
+
+  const lines = [...subscription, ...leave, ...extraLines, ...discount];
+  const { totalCharges, ...totals } = chargeTotals({ subscriptionLines: subscription, leaveLines: leave, extraLines, discountLines: discount, supply });
+
+  return {
+    lines,
+    meals,
+    tax: supply,
+    summary: {
+      daysInMonth: 1,
+      dailyAmount: terms.dailyAmount,
+      ...totals,
+      totalCharges,
+      grandTotal: totalCharges
+    }
+  };
+}
+
+async function loadCustomer(customerId) {
+  const row = await customers.findById(customerId);
+  if (!row) {
+    throw new NotFoundError('Customer not found');
+  }
+  return toCustomer(row);
+}
+
+// A customer's plan and status history, oldest first
+async function loadHistory(customerId) {
+  return {
+    plans: (await customerPlans.findForCustomer(customerId)).map(toTerms),
+    statuses: (await customerStatusChanges.findForCustomer(customerId)).map(c => ({ from: toDateKey(c.effective_from), status: c.status }))
+  };
+}
+
+const monthPeriod = (year, month) => ({ type: 'monthly', year, month, from: dateKey(year, month, 1), to: dateKey(year, month, daysInMonth(year, month)) });
+
+// The customer, their plan history and their leaves and extras for a month
+async function loadMonth(customerId, year, month) {
+  const customer = await loadCustomer(customerId);
+  const history = await loadHistory(customerId);
+  const period = monthPeriod(year, month);
+  const leaves = (await customerLeaves.findBetween(customerId, period.from, period.to)).map(toLeave);
+  const extraLines = (await extras.findForCustomerBetween(customerId, period.from, period.to)).map(toExtraLine);
+  return { customer, history, period, leaves, extraLines };
+}
+
+// Every plan a customer is or was on
+const historyPlanIds = (customer, history) => [...new Set([customer.planId, ...history.plans.map(p => p.terms.planId)].filter(Boolean))];
+
+/**
+ * Invoice for one customer and month, less their discounts, the coupon if a
+ * code is given, their referral credit and the credit on their account.
+ * @param {Object} input - { customerId, year, month (1-12), couponCode }
+ * @throws {ValidationError} for a coupon that cannot be used on this bill
+ */
+async function monthlyInvoice({ customerId, year, month, couponCode }) {
+  const { customer, history, period, leaves, extraLines } = await loadMonth(customerId, year, month);
+  const discounts = await discountService.forBill({
+    customerId,
+    planIds: historyPlanIds(customer, history),
+    from: period.from,
+    to: period.to,
+    couponCode
+  });
+  const referralCredits = await referrals.availableCredits(customerId);
+  const credit = await ledger.availableCredit(customerId);
+  const taxSettings = await tax.loadTax();
+
+  return {
+    customer,
+    period,
+    ...calculateMonth({ customer, history, leaves, extraLines, discounts, referralCredits, credit, taxSettings, year, month })
+  };
+}
+
+/**
+ * Invoice for one customer and day.
+ * @param {Object} input - { customerId, date ('YYYY-MM-DD') }
+ */
+async function dailyInvoice({ customerId, date }) {
+  const customer = await loadCustomer(customerId);
+  const history = await loadHistory(customerId);
+  const leaves = (await customerLeaves.findBetween(customerId, date, date)).map(toLeave);
+  const extraLines = (await extras.findForCustomerBetween(customerId, date, date)).map(toExtraLine);
+  const discounts = await discountService.forBill({ customerId, planIds: historyPlanIds(customer, history), from: date, to: date });
+  const taxSettings = await tax.loadTax();
+
+  return {
+    customer,
+    period: { type: 'daily', date, from: date, to: date },
+    ...calculateDay({ customer, history, date, leaves, extraLines, discounts, taxSettings })
+  };
+}
+
+// Computed bill -> invoice_lines rows
+function toSnapshot({ lines }) {
+  return lines.map(l => ({
+    type: l.type,
+    date: l.date || null,
+    mealType: l.mealType || null,
+    menuItemId: l.menuItemId || null,
+    description: l.description,
+    notes: l.notes || '',
+    quantity: l.quantity || 1,
+    unitPrice: l.unitPrice !== undefined ? l.unitPrice : l.amount,
+    amount: l.amount,
+    hsnCode: l.hsnCode || null,
+    taxRate: l.taxRate !== undefined ? l.taxRate : null,
+    taxableValue: l.taxableValue !== undefined ? l.taxableValue : null,
+    taxAmount: l.taxAmount || 0,
+    discountId: l.discountId || null,
+    referralRewardId: l.referralRewardId || null
+  }));
+}
+
+/**
+ * Compute a customer's monthly bill and save it as a pending invoice with its
+ * lines, numbered in the financial year it is issued in. The invoice is
+ * debited to the customer's account and uses up the credit it applied; its
+ * referral lines use up the referral credit. An invoice the credit settles
+ * may earn whoever referred the customer their reward.
+ * @param {Object} input - { customerId, year, month (1-12), couponCode }
+ * @returns {Object} { id, invoiceNumber, ...the computed invoice }
+ */
+async function issueMonthlyInvoice({ customerId, year, month, couponCode }) {
+  const bill = await monthlyInvoice({ customerId, year, month, couponCode });
+  const id = createId('inv');
+
+  const invoiceNumber = await invoices.create(
+    {
+      id,
+      customerId,
+      month,
+      year,
+      amount: bill.summary.grandTotal,
+      charges: bill.summary.totalCharges,
+      tax: bill.tax,
+      taxTotal: bill.summary.taxTotal,
+      date: todayInIndia(),
+      paidAt: toDbDateTime()
+    },
+    toSnapshot(bill).map(line => ({ ...line, id: createId('invl') })),
+    { financialYear: financialYear(), format: formatInvoiceNumber }
+  );
+  if (bill.summary.grandTotal <= 0) {
+    await referrals.rewardReferrer(customerId);
+  }
+  return { id, invoiceNumber, ...bill };
+}
+
+// invoice_lines row -> the line shape the preview returns
+const fromLineRow = (l) => ({
+  type: l.type,
+  id: l.id,
+  date: l.date ? toDateKey(l.date) : null,
+  mealType: l.meal_type,
+  menuItemId: l.menu_item_id,
+  description: l.description,
+  notes: l.notes || '',
+  quantity: money(l.quantity),
+  unitPrice: money(l.unit_price),
+  amount: money(l.amount),
+  ...(l.tax_rate !== null && l.tax_rate !== undefined && {
+    hsnCode: l.hsn_code,
+    taxRate: money(l.tax_rate),
+    taxableValue: money(l.taxable_value),
+    taxAmount: money(l.tax_amount)
+  }),
+  ...(l.discount_id && { discountId: l.discount_id }),
+  ...(l.referral_reward_id && { referralRewardId: l.referral_reward_id })
+});
+
+// invoices row -> the supply it was taxed for (null when issued without GST)
+const fromSupplyColumns = (i) => (i.seller_gstin
+  ? {
+    sellerGstin: i.seller_gstin,
+    sellerName: i.seller_name || '',
+    buyerGstin: i.buyer_gstin || null,
+    placeOfSupply: i.place_of_supply,
+    interstate: !!i.interstate,
+    pricesIncludeTax: !!i.prices_include_tax
+  }
+  : null);
+
+/**
+ * A saved invoice exactly as issued, in the same shape as the preview.
+ * Invoices saved before line items existed have no snapshot and are
+ * recomputed from current data (snapshot: false), with whatever the saved
+ * amount does not charge shown as credit.
+ */
+async function savedInvoice(id) {
+  const invoice = await invoices.findById(id);
+  if (!invoice) {
+    throw new NotFoundError('Invoice not found');
+  }
+
+  const header = {
+    id: invoice.id,
+    invoiceNumber: invoice.invoice_number,
+    status: invoice.status,
+    amount: money(invoice.amount),
+    amountPaid: money(invoice.amount_paid),
+    balance: money(invoice.amount - invoice.amount_paid),
+    payments: (await payments.findAllocationsForInvoice(id)).map(a => ({
+      paymentId: a.payment_id,
+      amount: money(a.amount),
+      mode: a.mode,
+      reference: a.reference,
+      date: toDateKey(a.date),
+      notes: a.notes
+    })),
+    createdAt: invoice.created_at,
+    paidAt: invoice.paid_at,
+    paymentNotes: invoice.payment_notes
+  };
+  const year = Number(invoice.year);
+  const month = Number(invoice.month);
+  const rows = await invoices.findLines(id);
+
+  // Leaves did not exist yet either, so none are taken off
+  if (rows.length === 0) {
+    const { customer, history, period, extraLines } = await loadMonth(invoice.customer_id, year, month);
+    const { summary } = calculateMonth({ customer, history, extraLines, year, month });
+    const credit = summary.totalCharges - money(invoice.amount);
+    return { ...header, snapshot: false, customer, period, ...calculateMonth({ customer, history, extraLines, credit, year, month }) };
+  }
+
+  const lines = rows.map(fromLineRow);
+  // Invoices issued before the account existed carry their month's advances as 'advance' lines
+  const credit = -sum(lines.filter(l => l.type === 'credit' || l.type === 'advance').map(l => l.amount));
+
+  return {
+    ...header,
+    snapshot: true,
+    customer: await loadCustomer(invoice.customer_id),
+    period: monthPeriod(year, month),
+    ...monthlyBill({
+      subscriptionLines: lines.filter(l => l.type === 'subscription'),
+      leaveLines: lines.filter(l => l.type === 'leave'),
+      extraLines: lines.filter(l => l.type === 'extra'),
+      discountLines: lines.filter(l => l.type === 'discount'),
+      referralCredits: lines.filter(l => l.type === 'referral').map(l => ({ id: l.referralRewardId, description: l.description, amount: -l.amount })),
+      credit,
+      supply: fromSupplyColumns(invoice),
+      year,
+      month
+    })
+  };
+}
+
+module.exports = {
+  MEALS,
+  daysInMonth,
+  calculateMonth,
+  calculateDay,
+  monthlyInvoice,
+  dailyInvoice,
+  issueMonthlyInvoice,
+  savedInvoice
+};
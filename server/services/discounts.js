@@ -0,0 +1,96 @@
+const discounts = require('../repositories/discounts');
+const { toDateKey } = require('../utils/time');
+const { money } = require('../utils/money');
+const { ValidationError } = require('../utils/errors');
+
+// Discounts on bills. They come off the charges (subscription less leave,
+// plus extras) before tax, each as a negative 'discount' line: a percentage
+// of the charges for the days it is valid on, or a flat amount taken once per
+// customer on the first invoice it applies to. Together they never take off
+// more than the charges. A discount for a customer applies to their bills
+// while it is valid, one for a plan to anyone on the plan for part of the
+// bill; a coupon only when its code is entered.
+
+// DB discount row -> API and billing shape
+const toDiscount = (d) => ({
+  id: d.id,
+  name: d.name,
+  kind: d.kind,
+  value: money(d.value),
+  customerId: d.customer_id || null,
+  customerName: d.customer_name || null,
+  planId: d.plan_id || null,
+  planName: d.plan_name || null,
+  code: d.code || null,
+  maxUses: d.max_uses === null || d.max_uses === undefined ? null : Number(d.max_uses),
+  uses: Number(d.uses || 0),
+  validFrom: d.valid_from ? toDateKey(d.valid_from) : null,
+  validTo: d.valid_to ? toDateKey(d.valid_to) : null
+});
+
+// Whether a discount is for this customer and, if it is for a plan, one of the plans they are billed on
+const appliesTo = (d, customerId, planIds) => (!d.customerId || d.customerId === customerId) && (!d.planId || planIds.includes(d.planId));
+
+const describe = (d) => `${d.code ? `Coupon ${d.code}: ` : ''}${d.name}${d.kind === 'percent' ? ` (${d.value}% off)` : ''}`;
+
+/**
+ * Discount lines for a bill, in the order the discounts are given.
+ * @param {Array} rules - toDiscount() shapes that apply to the bill
+ * @param {number} charges - what the bill charges before discounts and tax
+ * @param {Function} [validCharges] - (discount) => the part of the charges a percentage is taken from (default: all of them)
+ */
+function discountLines(rules, charges, validCharges = () => charges) {
+  let left = Math.max(money(charges), 0);
+  const lines = [];
+  for (const d of rules) {
+    const amount = money(Math.min(d.kind === 'percent' ? validCharges(d) * d.value / 100 : d.value, left));
+    if (amount <= 0) continue;
+    left = money(left - amount);
+    lines.push({ type: 'discount', discountId: d.id, description: describe(d), quantity: 1, unitPrice: -amount, amount: -amount });
+  }
+  return lines;
+}
+
+/**
+ * A coupon for a customer's bill over from..to ('YYYY-MM-DD').
+ * @throws {ValidationError} (fields.couponCode) for an unknown code, or a coupon that is
+ *   not valid in the period, is for someone else, was used as often as it may be,
+ *   or takes a flat amount off and the customer already had it
+ */
+async function findCoupon(code, { customerId, planIds, from, to }) {
+  const row = await discounts.findByCode(code);
+  const invalid = (message) => new ValidationError(message, { couponCode: message });
+  if (!row) throw invalid(`Coupon ${code.toUpperCase()} does not exist`);
+
+  const coupon = toDiscount(row);
+  if ((coupon.validFrom && coupon.validFrom > to) || (coupon.validTo && coupon.validTo < from)) {
+    throw invalid(`Coupon ${coupon.code} is not valid for this period`);
+  }
+  if (!appliesTo(coupon, customerId, planIds)) {
+    throw invalid(`Coupon ${coupon.code} is not for this customer`);
+  }
+  if (coupon.maxUses !== null && coupon.uses >= coupon.maxUses) {
+    throw invalid(`Coupon ${coupon.code} has already been used ${coupon.uses} time${coupon.uses === 1 ? '' : 's'}`);
+  }
+  if (coupon.kind === 'flat' && (await discounts.findUsedBy(customerId, [coupon.id])).length > 0) {
+    throw invalid(`Coupon ${coupon.code} was already used on one of this customer's invoices`);
+  }
+  return coupon;
+}
+
+/**
+ * The discounts valid for a customer over from..to: their own and their
+ * plans', less flat ones already taken off one of their invoices, then the
+ * coupon if a code is given.
+ * @param {Array} planIds - the plans the customer is, or was, on
+ */
+async function forBill({ customerId, planIds, from, to, couponCode }) {
+  const valid = (await discounts.findAutomatic(customerId, planIds, from, to)).map(toDiscount);
+  const flat = valid.filter(d => d.kind === 'flat').map(d => d.id);
+  const used = flat.length > 0 ? await discounts.findUsedBy(customerId, flat) : [];
+  const rules = valid.filter(d => !used.includes(d.id));
+  if (couponCode) rules.push(await findCoupon(couponCode, { customerId, planIds, from, to }));
+  return rules;
+}
+
+module.exports = { toDiscount, appliesTo, discountLines, findCoupon, forBill };
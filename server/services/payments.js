@@ -0,0 +1,100 @@
+const payments = require('../repositories/payments');
+const invoices = require('../repositories/invoices');
+const customers = require('../repositories/customers');
+const referrals = require('./referrals');
+const { createId } = require('../utils/ids');
+const { toDbDateTime } = require('../utils/time');
+const { money, sum } = require('../utils/money');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+
+// Recording payments against invoices. A payment can settle part of one
+// invoice or several invoices at once; whatever is not allocated stays on
+// the payment as credit.
+
+/**
+ * Split a payment over the invoices it pays.
+ * Explicit allocations are checked against each invoice's balance; without
+ * them the payment settles the customer's oldest invoices first.
+ * @returns {Object[]} [{ invoiceId, amount }]
+ */
+async function allocate({ customerId, amount, allocations }) {
+  const outstanding = await invoices.findOutstandingForCustomer(customerId);
+
+  if (!allocations) {
+    const result = [];
+    let left = amount;
+    for (const invoice of outstanding) {
+      if (left <= 0) break;
+      const share = Math.min(left, money(invoice.balance));
+      if (share <= 0) continue;
+      result.push({ invoiceId: invoice.id, amount: share });
+      left = money(left - share);
+    }
+    return result;
+  }
+
+  if (sum(allocations.map(a => a.amount)) > amount) {
+    throw new ValidationError('Allocations add up to more than the payment', { allocations: 'Allocations add up to more than the payment' });
+  }
+
+  const byId = new Map(outstanding.map(i => [i.id, i]));
+  for (const a of allocations) {
+    const invoice = byId.get(a.invoiceId);
+    if (!invoice) {
+      throw new ValidationError('Payments can only be allocated to this customer\'s unpaid invoices', {
+        allocations: `Invoice ${a.invoiceId} is not an unpaid invoice of this customer`
+      });
+    }
+    if (a.amount > money(invoice.balance)) {
+      throw new ConflictError(`Payment is more than the ₹${money(invoice.balance)} due on invoice ${invoice.invoice_number}`, { code: 'OVERPAYMENT' });
+    }
+  }
+  return allocations;
+}
+
+/**
+ * Record a payment from a customer. Paying a referred customer's first
+ * invoice earns whoever referred them their reward.
+ * @param {Object} input - { customerId, amount, mode, reference, date, notes, allocations?: [{ invoiceId, amount }], recordedBy }
+ * @returns {Object} the saved payment with its allocations and unallocated remainder
+ */
+async function recordPayment({ allocations, ...payment }) {
+  if (!await customers.findById(payment.customerId)) {
+    throw new NotFoundError('Customer not found');
+  }
+
+  const amount = money(payment.amount);
+  const split = await allocate({ customerId: payment.customerId, amount, allocations });
+  const id = createId('pay');
+
+  await payments.create(
+    { ...payment, id, amount },
+    split.map(a => ({ id: createId('pal'), invoiceId: a.invoiceId, amount: money(a.amount) })),
+    { paidAt: toDbDateTime() }
+  );
+  await referrals.rewardReferrer(payment.customerId);
+  return findPayment(id);
+}
+
+// Payment row(s) -> API shape with allocations and the unallocated remainder
+async function withAllocations(rows) {
+  const allocations = await payments.findAllocations(rows.map(p => p.id));
+  return rows.map(p => {
+    const own = allocations.filter(a => a.payment_id === p.id);
+    return { ...p, allocations: own, unallocated: money(p.amount - sum(own.map(a => a.amount))) };
+  });
+}
+
+async function findPayment(id) {
+  const payment = await payments.findById(id);
+  if (!payment) {
+    throw new NotFoundError('Payment not found');
+  }
+  return (await withAllocations([payment]))[0];
+}
+
+async function listPayments(filters) {
+  return withAllocations(await payments.findAll(filters));
+}
+
+module.exports = { recordPayment, findPayment, listPayments };
@@ -0,0 +1,93 @@
+const settings = require('../repositories/settings');
+const customers = require('../repositories/customers');
+const invoices = require('../repositories/invoices');
+const referralRewards = require('../repositories/referralRewards');
+const { createId } = require('../utils/ids');
+const { toDateKey } = require('../utils/time');
+const { money } = require('../utils/money');
+
+// Referral credits. A customer who referred someone (customers.referred_by)
+// earns the reward set in the referral settings once that customer's first
+// invoice is paid in full. The reward is credit on the referrer's next
+// invoices, each using what the charges leave room for as a negative
+// 'referral' line, until it is used up. Once earned a reward is kept.
+
+const DEFAULTS = { reward: 0 };
+
+async function loadSettings() {
+  return { ...DEFAULTS, ...await settings.get('referral') };
+}
+
+async function saveSettings(values) {
+  await settings.set('referral', { ...await loadSettings(), ...values });
+}
+
+// DB reward row -> API shape
+const toReward = (r) => ({
+  id: r.id,
+  referredId: r.referred_id,
+  referredName: r.referred_name,
+  amount: money(r.amount),
+  remaining: money(r.remaining),
+  earnedOn: toDateKey(r.earned_on),
+  invoiceId: r.invoice_id
+});
+
+/**
+ * The referral credit a customer can still use, oldest reward first.
+ * @returns {Array} [{ id, description, amount (what is left) }]
+ */
+async function availableCredits(referrerId) {
+  return (await referralRewards.findAvailable(referrerId)).map(r => ({
+    id: r.id,
+    description: `Referral credit: ${r.referred_name}`,
+    amount: money(r.remaining)
+  }));
+}
+
+/**
+ * Referral lines taking credits off a bill, as much of each as the total leaves room for.
+ * @param {Array} credits - from availableCredits()
+ * @param {number} total - what the bill charges before them
+ */
+function referralLines(credits, total) {
+  let left = Math.max(money(total), 0);
+  const lines = [];
+  for (const credit of credits) {
+    const amount = money(Math.min(credit.amount, left));
+    if (amount <= 0) continue;
+    left = money(left - amount);
+    lines.push({ type: 'referral', referralRewardId: credit.id, description: credit.description, quantity: 1, unitPrice: -amount, amount: -amount });
+  }
+  return lines;
+}
+
+/**
+ * Reward whoever referred a customer if the customer's first invoice is now
+ * paid. Safe to call after any payment: a referred customer earns one reward.
+ * @returns {Promise<string|null>} the new reward's id, or null when none was earned
+ */
+async function rewardReferrer(customerId) {
+  const customer = await customers.findById(customerId);
+  if (!customer || !customer.referred_by) return null;
+  if (await referralRewards.findByReferred(customerId)) return null;
+
+  const firstInvoice = await invoices.findFirstForCustomer(customerId);
+  if (!firstInvoice || firstInvoice.status !== 'paid') return null;
+
+  const { reward } = await loadSettings();
+  if (!(reward > 0) || !await customers.findById(customer.referred_by)) return null;
+
+  const id = createId('refr');
+  const created = await referralRewards.create({
+    id,
+    referrerId: customer.referred_by,
+    referredId: customerId,
+    amount: money(reward),
+    earnedOn: toDateKey(new Date()),
+    invoiceId: firstInvoice.id
+  });
+  return created ? id : null;
+}
+
+module.exports = { loadSettings, saveSettings, toReward, availableCredits, referralLines, rewardReferrer };
@@ -0,0 +1,176 @@
+const settings = require('../repositories/settings');
+const menuItems = require('../repositories/menuItems');
+const { money, sum } = require('../utils/money');
+
+// GST on bills. Only a business with a GSTIN charges it. Every charged line
+// is taxed at its own rate: subscriptions and leave at the default rate under
+// the business's SAC code, extras at their menu item's rate and HSN code when
+// it has them, and discounts at the rates of what they were taken from.
+// Supply within the business's state splits the tax evenly into CGST and SGST;
+// supply to another state is IGST.
+
+// Restaurant and outdoor catering services
+const DEFAULT_SAC_CODE = '996331';
+
+const DEFAULTS = {
+  gstin: null,
+  legalName: '',
+  defaultRate: 0,
+  pricesIncludeTax: false,
+  sacCode: DEFAULT_SAC_CODE
+};
+
+// The first two characters of a GSTIN are the GST state code
+const stateOf = (gstin) => (gstin ? gstin.slice(0, 2) : null);
+
+// The business's tax settings, with defaults for any never set
+async function loadSettings() {
+  return { ...DEFAULTS, ...await settings.get('tax') };
+}
+
+async function saveSettings(values) {
+  await settings.set('tax', { ...await loadSettings(), ...values });
+}
+
+/**
+ * Everything a bill needs to be taxed: the settings and each menu item's own rate.
+ * @returns {Object} { ...settings, items: { menuItemId: { rate, hsnCode } } }
+ */
+async function loadTax() {
+  const items = {};
+  (await menuItems.findAll()).forEach(m => {
+    items[m.id] = { rate: m.tax_rate === null || m.tax_rate === undefined ? null : money(m.tax_rate), hsnCode: m.hsn_code || null };
+  });
+  return { ...await loadSettings(), items };
+}
+
+/**
+ * Who supplies whom and where, for the invoice header. The place of supply is
+ * the customer's state, else the state of their GSTIN, else the business's own.
+ * @param {Object} tax - from loadTax()
+ * @param {Object} customer - { gstin, stateCode }
+ * @returns {Object|null} { sellerGstin, sellerName, buyerGstin, placeOfSupply, interstate, pricesIncludeTax }, null when no GST is charged
+ */
+function supplyFor(tax, customer) {
+  if (!tax || !tax.gstin) return null;
+
+  const placeOfSupply = customer.stateCode || stateOf(customer.gstin) || stateOf(tax.gstin);
+  return {
+    sellerGstin: tax.gstin,
+    sellerName: tax.legalName || '',
+    buyerGstin: customer.gstin || null,
+    placeOfSupply,
+    interstate: placeOfSupply !== stateOf(tax.gstin),
+    pricesIncludeTax: !!tax.pricesIncludeTax
+  };
+}
+
+// The rate and HSN/SAC code a line is taxed under
+function rateOf(line, tax) {
+  const item = (line.type === 'extra' && line.menuItemId && tax.items[line.menuItemId]) || {};
+  return {
+    rate: item.rate !== null && item.rate !== undefined ? item.rate : money(tax.defaultRate),
+    hsnCode: item.hsnCode || tax.sacCode || DEFAULT_SAC_CODE
+  };
+}
+
+function taxLine(line, { rate, hsnCode }, tax) {
+  const taxAmount = tax.pricesIncludeTax
+    ? money(line.amount * rate / (100 + rate))
+    : money(line.amount * rate / 100);
+
+  return {
+    ...line,
+    hsnCode,
+    taxRate: rate,
+    taxableValue: tax.pricesIncludeTax ? money(line.amount - taxAmount) : line.amount,
+    taxAmount
+  };
+}
+
+/**
+ * Add each line's tax: { hsnCode, taxRate, taxableValue, taxAmount }. With
+ * prices that include tax the amount is split into the two, otherwise the tax
+ * is on top of it. Credit lines are payments, not supplies, and are left as they are.
+ * @param {Array} lines - bill lines
+ * @param {Object} tax - from loadTax()
+ */
+function taxLines(lines, tax) {
+  return lines.map(line => {
+    if (line.type === 'credit' || line.type === 'advance') return line;
+    return taxLine(line, rateOf(line, tax), tax);
+  });
+}
+
+/**
+ * Tax a discount line. It takes tax off at the rates of the lines it was taken
+ * from, so it is split into one line per HSN/SAC code and rate, in proportion
+ * to what each of them charged.
+ * @param {Object} line - a discount line
+ * @param {Array} charged - the bill lines the discount was taken from
+ * @param {Object} tax - from loadTax()
+ * @returns {Array} taxed discount lines
+ */
+function taxDiscount(line, charged, tax) {
+  const groups = new Map();
+  charged.forEach(l => {
+    const rate = rateOf(l, tax);
+    const key = `${rate.hsnCode}:${rate.rate}`;
+    if (!groups.has(key)) groups.set(key, { ...rate, amount: 0 });
+    groups.get(key).amount = money(groups.get(key).amount + l.amount);
+  });
+
+  const shares = [...groups.values()].filter(g => g.amount > 0);
+  const total = sum(shares.map(g => g.amount));
+  if (shares.length <= 1) return [taxLine(line, shares[0] || rateOf(line, tax), tax)];
+
+  // The last share takes what rounding leaves over
+  let left = line.amount;
+  return shares.map((g, i) => {
+    const amount = i === shares.length - 1 ? left : money(line.amount * g.amount / total);
+    left = money(left - amount);
+    return taxLine({ ...line, description: `${line.description} (${g.hsnCode} @ ${g.rate}%)`, unitPrice: amount, amount }, g, tax);
+  });
+}
+
+/**
+ * Tax summary of taxed lines: one row per HSN/SAC code and rate, and the totals.
+ * Intrastate tax is half CGST, half SGST.
+ * @param {Array} lines - lines from taxLines()
+ * @param {Object|null} supply - from supplyFor()
+ * @returns {Object} { taxes: [{ hsnCode, rate, taxableValue, cgst, sgst, igst, taxAmount }], cgstTotal, sgstTotal, igstTotal, taxTotal }
+ */
+function taxSummary(lines, supply) {
+  const groups = new Map();
+  lines.filter(l => l.taxRate !== null && l.taxRate !== undefined).forEach(l => {
+    const key = `${l.hsnCode}:${l.taxRate}`;
+    if (!groups.has(key)) groups.set(key, { hsnCode: l.hsnCode, rate: l.taxRate, taxableValue: 0, taxAmount: 0 });
+    const group = groups.get(key);
+    group.taxableValue = money(group.taxableValue + l.taxableValue);
+    group.taxAmount = money(group.taxAmount + l.taxAmount);
+  });
+
+  const interstate = !!(supply && supply.interstate);
+  const taxes = [...groups.values()].map(g => {
+    const cgst = interstate ? 0 : money(g.taxAmount / 2);
+    return {
+      hsnCode: g.hsnCode,
+      rate: g.rate,
+      taxableValue: g.taxableValue,
+      cgst,
+      sgst: interstate ? 0 : money(g.taxAmount - cgst),
+      igst: interstate ? g.taxAmount : 0,
+      taxAmount: g.taxAmount
+    };
+  });
+
+  return {
+    taxes,
+    cgstTotal: sum(taxes.map(t => t.cgst)),
+    sgstTotal: sum(taxes.map(t => t.sgst)),
+    igstTotal: sum(taxes.map(t => t.igst)),
+    taxTotal: sum(taxes.map(t => t.taxAmount))
+  };
+}
+
+module.exports = { DEFAULTS, stateOf, loadSettings, saveSettings, loadTax, supplyFor, taxLines, taxDiscount, taxSummary };
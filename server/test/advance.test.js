@@ -0,0 +1,56 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, createAdmin, login, as } = require('./helpers');
+
+let owner;
+let dataEntry;
+let asha;
+let ravi;
+
+before(async () => {
+  await setup();
+  owner = as(await login());
+  await createAdmin({ email: 'entry@test.local', password: 'Entry@1234', role: 'data-entry' });
+  dataEntry = as(await login({ email: 'entry@test.local', password: 'Entry@1234' }));
+
+  asha = (await owner.post('/api/customers').send({ name: 'Asha', mobile: '9000000001' })).body.id;
+  ravi = (await owner.post('/api/customers').send({ name: 'Ravi', mobile: '9000000002' })).body.id;
+});
+
+test('records advance payments and filters by customer and year', async () => {
+  const created = await owner.post('/api/advance').send({ customerId: asha, month: 4, year: 2026, amount: 1500, date: '2026-04-01', notes: 'UPI' });
+  assert.equal(created.status, 201);
+  await owner.post('/api/advance').send({ customerId: asha, month: 12, year: 2025, amount: 1000, date: '2025-12-01' });
+  await owner.post('/api/advance').send({ customerId: ravi, month: 4, year: 2026, amount: 500, date: '2026-04-02' });
+
+  const all = await owner.get('/api/advance');
+  assert.equal(all.body.length, 3);
+
+  const ashas = await owner.get(`/api/advance?customerId=${asha}`);
+  assert.equal(ashas.body.length, 2);
+  assert.ok(ashas.body.every(p => p.customer_name === 'Asha'));
+
+  const ashas2026 = await owner.get(`/api/advance?customerId=${asha}&year=2026`);
+  assert.equal(ashas2026.body.length, 1);
+  assert.equal(Number(ashas2026.body[0].amount), 1500);
+  assert.equal(ashas2026.body[0].notes, 'UPI');
+});
+
+test('deletes an advance payment', async () => {
+  const id = (await owner.post('/api/advance').send({ customerId: ravi, month: 5, year: 2026, amount: 200, date: '2026-05-01' })).body.id;
+
+  assert.equal((await owner.delete(`/api/advance/${id}`)).status, 200);
+  assert.equal((await owner.delete(`/api/advance/${id}`)).status, 404);
+});
+
+test('rejects a zero amount and an invalid month', async () => {
+  const res = await owner.post('/api/advance').send({ customerId: asha, month: 13, year: 2026, amount: 0, date: '2026-04-01' });
+  assert.equal(res.status, 400);
+  assert.ok(res.body.error.fields.month);
+  assert.ok(res.body.error.fields.amount);
+});
+
+test('data-entry staff cannot record payments', async () => {
+  const res = await dataEntry.post('/api/advance').send({ customerId: asha, month: 4, year: 2026, amount: 100, date: '2026-04-01' });
+  assert.equal(res.status, 403);
+});
@@ -0,0 +1,42 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, login } = require('./helpers');
+const { handler } = require('../functions/api');
+
+let token;
+
+before(async () => {
+  await setup();
+  token = await login();
+});
+
+// Invoke the Netlify function the way the /api/* redirect does
+async function invoke(path, { method = 'GET', auth = true } = {}) {
+  const res = await handler({
+    httpMethod: method,
+    path,
+    headers: auth ? { authorization: `Bearer ${token}` } : {},
+    queryStringParameters: null,
+    body: null,
+    isBase64Encoded: false
+  }, {});
+  return { status: res.statusCode, body: JSON.parse(res.body) };
+}
+
+test('the Netlify function mounts every API router', async () => {
+  for (const path of ['customers', 'menu', 'extras', 'advance', 'invoices', 'payments', 'admins', 'audit', 'sessions']) {
+    const res = await invoke(`/api/${path}`);
+    assert.equal(res.status, 200, `/api/${path} answered ${res.status}`);
+  }
+});
+
+test('the Netlify function serves the health check and the error envelope', async () => {
+  const health = await invoke('/api/health', { auth: false });
+  assert.equal(health.status, 200);
+  assert.equal(health.body.database, 'Connected');
+
+  const missing = await invoke('/api/nope');
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error.code, 'ROUTE_NOT_FOUND');
+  assert.ok(missing.body.error.requestId);
+});
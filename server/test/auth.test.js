@@ -0,0 +1,255 @@
+const { spawnSync } = require('child_process');
+const path = require('path');
+const { test, before, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, app, db, setup, createAdmin, login, as, latestMail } = require('./helpers');
+const { createApp } = require('../app');
+const { generateCode } = require('../utils/totp');
+
+// A TOTP code one step ahead, so it is never a replay of the code just used
+const nextCode = (secret) => generateCode(secret, Math.floor(Date.now() / 30000) + 1);
+
+const post = (url, body) => request(app).post(url).send(body);
+
+before(setup);
+
+describe('login', () => {
+  test('returns a token and the admin for valid credentials', async () => {
+    const res = await post('/api/auth/login', { email: 'owner@test.local', password: 'Owner@1234' });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.token);
+    assert.equal(res.body.admin.role, 'owner');
+  });
+
+  test('rejects a wrong password with the attempts left', async () => {
+    await createAdmin({ email: 'wrong@test.local', password: 'Wrong@1234', role: 'manager' });
+
+    const res = await post('/api/auth/login', { email: 'wrong@test.local', password: 'nope' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, 'INVALID_CREDENTIALS');
+    assert.equal(res.body.error.attemptsRemaining, 4);
+  });
+
+  test('validates the payload', async () => {
+    const res = await post('/api/auth/login', { email: 'not-an-email' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, 'VALIDATION_FAILED');
+    assert.ok(res.body.error.fields.email);
+    assert.ok(res.body.error.fields.password);
+  });
+
+  test('locks an email after five failures, even for the right password', async () => {
+    await createAdmin({ email: 'locked@test.local', password: 'Locked@1234', role: 'manager' });
+    for (let i = 0; i < 4; i++) {
+      await post('/api/auth/login', { email: 'locked@test.local', password: 'nope' });
+    }
+
+    const fifth = await post('/api/auth/login', { email: 'locked@test.local', password: 'nope' });
+    assert.equal(fifth.status, 429);
+    assert.equal(fifth.body.error.code, 'LOGIN_LOCKED');
+    assert.ok(Number(fifth.headers['retry-after']) > 0);
+
+    const correct = await post('/api/auth/login', { email: 'locked@test.local', password: 'Locked@1234' });
+    assert.equal(correct.status, 429);
+  });
+
+  test('a good login does not clear the failures from its IP', async () => {
+    // Behind a proxy, so each test can log in from its own address
+    const from = (body) => request(createApp({ trustProxy: true })).post('/api/auth/login').set('X-Forwarded-For', '203.0.113.9').send(body);
+
+    for (let i = 0; i < 19; i++) {
+      assert.equal((await from({ email: `guess${i}@test.local`, password: 'nope' })).status, 400);
+    }
+    assert.equal((await from({ email: 'owner@test.local', password: 'Owner@1234' })).status, 200);
+
+    const twentieth = await from({ email: 'guess19@test.local', password: 'nope' });
+    assert.equal(twentieth.status, 429);
+    assert.equal(twentieth.body.error.code, 'LOGIN_LOCKED');
+
+    // The owner's own failures were cleared, so other addresses are unaffected
+    await login();
+  });
+
+  test('logout revokes the session token', async () => {
+    const token = await login();
+    assert.equal((await as(token).post('/api/auth/logout')).status, 200);
+
+    const res = await as(token).get('/api/customers');
+    assert.equal(res.status, 401);
+    assert.equal(res.body.error.code, 'SESSION_EXPIRED');
+  });
+});
+
+describe('profile', () => {
+  test('changes the email after checking the current password', async () => {
+    await createAdmin({ email: 'profile@test.local', password: 'Profile@1234', role: 'manager' });
+    const admin = as(await login({ email: 'profile@test.local', password: 'Profile@1234' }));
+
+    const wrong = await admin.put('/api/auth/profile').send({ currentPassword: 'nope', newEmail: 'new@test.local' });
+    assert.equal(wrong.status, 400);
+    assert.equal(wrong.body.error.code, 'WRONG_PASSWORD');
+
+    const taken = await admin.put('/api/auth/profile').send({ currentPassword: 'Profile@1234', newEmail: 'owner@test.local' });
+    assert.equal(taken.status, 409);
+    assert.equal(taken.body.error.code, 'EMAIL_IN_USE');
+
+    const ok = await admin.put('/api/auth/profile').send({ currentPassword: 'Profile@1234', newEmail: 'new@test.local' });
+    assert.equal(ok.status, 200);
+    await login({ email: 'new@test.local', password: 'Profile@1234' });
+  });
+
+  test('changing the password logs out every session', async () => {
+    await createAdmin({ email: 'pw@test.local', password: 'Password@1', role: 'manager' });
+    const first = await login({ email: 'pw@test.local', password: 'Password@1' });
+    const second = await login({ email: 'pw@test.local', password: 'Password@1' });
+
+    const res = await as(first).put('/api/auth/profile').send({ currentPassword: 'Password@1', newPassword: 'Password@2' });
+    assert.equal(res.status, 200);
+
+    assert.equal((await as(first).get('/api/customers')).status, 401);
+    assert.equal((await as(second).get('/api/customers')).status, 401);
+    await login({ email: 'pw@test.local', password: 'Password@2' });
+  });
+});
+
+describe('password reset', () => {
+  test('resets the password with the emailed code', async () => {
+    await createAdmin({ email: 'reset@test.local', password: 'Reset@1234', role: 'manager' });
+
+    const forgot = await post('/api/auth/forgot', { email: 'reset@test.local' });
+    assert.equal(forgot.status, 200);
+    const code = latestMail('reset@test.local').match(/code is (\d{6})/)[1];
+
+    const wrong = await post('/api/auth/reset', { email: 'reset@test.local', code: code === '000000' ? '111111' : '000000', newPassword: 'Changed@1234' });
+    assert.equal(wrong.status, 400);
+    assert.equal(wrong.body.error.code, 'INVALID_RESET_CODE');
+
+    const ok = await post('/api/auth/reset', { email: 'reset@test.local', code, newPassword: 'Changed@1234' });
+    assert.equal(ok.status, 200);
+    await login({ email: 'reset@test.local', password: 'Changed@1234' });
+
+    const reused = await post('/api/auth/reset', { email: 'reset@test.local', code, newPassword: 'Again@12345' });
+    assert.equal(reused.status, 400);
+  });
+
+  test('locks the account after repeated wrong codes, even across fresh codes', async () => {
+    await createAdmin({ email: 'guess@test.local', password: 'Guess@1234', role: 'manager' });
+
+    let code;
+    const statuses = [];
+    for (let round = 0; round < 3; round++) {
+      // Each round asks for a new code, as someone guessing would once a code runs out
+      await db.query("UPDATE password_resets SET created_at = '2000-01-01 00:00:00'");
+      await post('/api/auth/forgot', { email: 'guess@test.local' });
+      code = latestMail('guess@test.local').match(/code is (\d{6})/)[1];
+
+      for (let i = 0; i < 2; i++) {
+        const wrong = await post('/api/auth/reset', { email: 'guess@test.local', code: code === '000000' ? '111111' : '000000', newPassword: 'Guessed@1234' });
+        statuses.push(wrong.status);
+      }
+    }
+    assert.deepEqual(statuses, [400, 400, 400, 400, 429, 429]);
+
+    // Locked out: the right code and the right password are refused too
+    const right = await post('/api/auth/reset', { email: 'guess@test.local', code, newPassword: 'Guessed@1234' });
+    assert.equal(right.status, 429);
+    assert.equal(right.body.error.code, 'LOGIN_LOCKED');
+    const res = await post('/api/auth/login', { email: 'guess@test.local', password: 'Guess@1234' });
+    assert.equal(res.status, 429);
+  });
+
+  test('a deployed instance will not start without SMTP', () => {
+    const start = (env) => spawnSync(process.execPath, ['-e', "require('./mailer')"], {
+      cwd: path.join(__dirname, '..'),
+      env: { PATH: process.env.PATH, NODE_ENV: 'production', ...env },
+      encoding: 'utf8'
+    });
+
+    assert.match(start({}).stderr, /set SMTP_HOST/);
+    assert.match(start({ MAIL_DRIVER: 'console' }).stderr, /set SMTP_HOST/);
+    assert.match(start({ MAIL_DRIVER: 'file', SMTP_HOST: 'smtp.test.local' }).stderr, /set SMTP_HOST/);
+    assert.equal(start({ SMTP_HOST: 'smtp.test.local' }).status, 0);
+  });
+
+  test('gives the same answer for unknown emails', async () => {
+    const res = await post('/api/auth/forgot', { email: 'nobody@test.local' });
+    assert.equal(res.status, 200);
+    assert.equal(latestMail('nobody@test.local'), null);
+  });
+});
+
+describe('two-factor authentication', () => {
+  let admin;
+  let secret;
+  let recoveryCodes;
+
+  before(async () => {
+    await createAdmin({ email: 'tfa@test.local', password: 'TwoFactor@1', role: 'manager' });
+    admin = as(await login({ email: 'tfa@test.local', password: 'TwoFactor@1' }));
+  });
+
+  test('enrols with a code from the authenticator app', async () => {
+    assert.deepEqual((await admin.get('/api/auth/2fa')).body, { enabled: false, recoveryCodesRemaining: 0 });
+
+    const setupRes = await admin.post('/api/auth/2fa/setup');
+    assert.equal(setupRes.status, 200);
+    secret = setupRes.body.secret;
+    assert.match(setupRes.body.qrCode, /^data:image\/png;base64,/);
+
+    const bad = await admin.post('/api/auth/2fa/enable').send({ code: generateCode(secret) === '000000' ? '111111' : '000000' });
+    assert.equal(bad.status, 400);
+
+    const enabled = await admin.post('/api/auth/2fa/enable').send({ code: generateCode(secret) });
+    assert.equal(enabled.status, 200);
+    recoveryCodes = enabled.body.recoveryCodes;
+    assert.equal(recoveryCodes.length, 10);
+    assert.deepEqual((await admin.get('/api/auth/2fa')).body, { enabled: true, recoveryCodesRemaining: 10 });
+  });
+
+  test('login needs the second step', async () => {
+    const first = await post('/api/auth/login', { email: 'tfa@test.local', password: 'TwoFactor@1' });
+    assert.equal(first.body.twoFactorRequired, true);
+    assert.equal(first.body.token, undefined);
+
+    const ok = await post('/api/auth/login/2fa', { challengeToken: first.body.challengeToken, code: nextCode(secret) });
+    assert.equal(ok.status, 200);
+    assert.ok(ok.body.token);
+
+    // The same code cannot be used twice
+    const again = await post('/api/auth/login', { email: 'tfa@test.local', password: 'TwoFactor@1' });
+    const replay = await post('/api/auth/login/2fa', { challengeToken: again.body.challengeToken, code: nextCode(secret) });
+    assert.equal(replay.status, 400);
+    assert.equal(replay.body.error.code, 'INVALID_CODE');
+  });
+
+  test('a recovery code works once', async () => {
+    const first = await post('/api/auth/login', { email: 'tfa@test.local', password: 'TwoFactor@1' });
+    const ok = await post('/api/auth/login/2fa', { challengeToken: first.body.challengeToken, code: recoveryCodes[0] });
+    assert.equal(ok.status, 200);
+
+    const second = await post('/api/auth/login', { email: 'tfa@test.local', password: 'TwoFactor@1' });
+    const reused = await post('/api/auth/login/2fa', { challengeToken: second.body.challengeToken, code: recoveryCodes[0] });
+    assert.equal(reused.status, 400);
+  });
+
+  test('rejects an invalid challenge token', async () => {
+    const res = await post('/api/auth/login/2fa', { challengeToken: 'garbage', code: '123456' });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error.code, 'CHALLENGE_EXPIRED');
+  });
+
+  test('regenerates recovery codes and disables with the password', async () => {
+    const regenerated = await admin.post('/api/auth/2fa/recovery-codes').send({ currentPassword: 'TwoFactor@1' });
+    assert.equal(regenerated.status, 200);
+    assert.equal(regenerated.body.recoveryCodes.length, 10);
+
+    const wrong = await admin.post('/api/auth/2fa/disable').send({ currentPassword: 'nope' });
+    assert.equal(wrong.status, 400);
+
+    const disabled = await admin.post('/api/auth/2fa/disable').send({ currentPassword: 'TwoFactor@1' });
+    assert.equal(disabled.status, 200);
+
+    const res = await post('/api/auth/login', { email: 'tfa@test.local', password: 'TwoFactor@1' });
+    assert.ok(res.body.token);
+  });
+});
@@ -0,0 +1,208 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, login, as } = require('./helpers');
+
+let owner;
+
+async function monthlyBill(customerId, year, month) {
+  const res = await owner.get(`/api/invoices/preview?customerId=${customerId}&year=${year}&month=${month}`);
+  assert.equal(res.status, 200);
+  return res.body;
+}
+
+async function dailyBill(customerId, date) {
+  const res = await owner.get(`/api/invoices/preview/daily?customerId=${customerId}&date=${date}`);
+  assert.equal(res.status, 200);
+  return res.body;
+}
+
+async function addCustomer(fields) {
+  return (await owner.post('/api/customers').send({ mobile: '9000000001', ...fields })).body.id;
+}
+
+async function addExtra(customerId, date, mealType, price, extra = {}) {
+  await owner.post('/api/extras').send({ customerId, date, mealType, price, ...extra });
+}
+
+before(async () => {
+  await setup();
+  owner = as(await login());
+});
+
+test('daily plan: days in month x daily amount, plus extras, less account credit', async () => {
+  const id = await addCustomer({ name: 'Daily', subscriptionType: 'daily', dailyAmount: 100 });
+  const menuItemId = (await owner.post('/api/menu').send({ name: 'Masala Dosa', category: 'breakfast', price: 30 })).body.id;
+
+  await addExtra(id, '2026-02-01', 'breakfast', 30, { menuItemId, notes: 'extra chutney' });
+  await addExtra(id, '2026-02-01', 'breakfast', 15.5);
+  await addExtra(id, '2026-02-14', 'lunch', 80);
+  await addExtra(id, '2026-02-28', 'dinner', 45);
+  await addExtra(id, '2026-03-01', 'dinner', 999); // next month, not billed
+
+  await owner.post('/api/advance').send({ customerId: id, month: 2, year: 2026, amount: 1000, date: '2026-02-01' });
+  await owner.post('/api/advance').send({ customerId: id, month: 3, year: 2026, amount: 500, date: '2026-03-01' });
+
+  const bill = await monthlyBill(id, 2026, 2);
+
+  assert.deepEqual(bill.period, { type: 'monthly', year: 2026, month: 2, from: '2026-02-01', to: '2026-02-28' });
+  assert.equal(bill.customer.name, 'Daily');
+
+  assert.equal(bill.days.length, 28);
+  assert.equal(bill.days[0].date, '2026-02-01');
+  assert.equal(bill.days[0].breakfast.length, 2);
+  assert.equal(bill.days[13].lunch.length, 1);
+
+  assert.deepEqual(bill.lines[0], { type: 'subscription', date: '2026-02-01', description: 'Daily subscription', quantity: 28, unitPrice: 100, amount: 2800 });
+  assert.equal(bill.lines.length, 6);
+  assert.equal(bill.lines[1].description, 'Masala Dosa');
+  assert.equal(bill.lines[1].notes, 'extra chutney');
+  assert.equal(bill.lines[2].description, 'Item');
+  assert.deepEqual(bill.lines[5], { type: 'credit', description: 'Credit from account balance', quantity: 1, unitPrice: -1500, amount: -1500 });
+
+  assert.deepEqual(bill.summary, {
+    daysInMonth: 28,
+    dailyAmount: 100,
+    subscriptionDays: 28,
+    subscriptionTotal: 2800,
+    leaveDays: 0,
+    leaveTotal: 0,
+    breakfastTotal: 45.5,
+    lunchTotal: 80,
+    dinnerTotal: 45,
+    extrasTotal: 170.5,
+    discountTotal: 0,
+    // No GSTIN set, so no tax
+    taxes: [],
+    cgstTotal: 0,
+    sgstTotal: 0,
+    igstTotal: 0,
+    taxTotal: 0,
+    referralTotal: 0,
+    totalCharges: 2970.5,
+    creditApplied: 1500, // advances count whichever month they were paid for
+    grandTotal: 1470.5
+  });
+});
+
+test('monthly plan: the amount is a flat monthly fee', async () => {
+  const id = await addCustomer({ name: 'Monthly', subscriptionType: 'monthly', dailyAmount: 3000 });
+  await addExtra(id, '2026-01-31', 'lunch', 60);
+
+  const { days, lines, summary } = await monthlyBill(id, 2026, 1);
+
+  assert.equal(days.length, 31);
+  assert.equal(lines[0].description, 'Monthly subscription');
+  assert.equal(summary.subscriptionTotal, 3000);
+  assert.equal(summary.extrasTotal, 60);
+  assert.equal(summary.creditApplied, 0);
+  assert.equal(summary.grandTotal, 3060);
+});
+
+test('credit larger than the bill covers all of it', async () => {
+  const id = await addCustomer({ name: 'Prepaid', subscriptionType: 'monthly', dailyAmount: 2000 });
+  await owner.post('/api/advance').send({ customerId: id, month: 4, year: 2026, amount: 2500, date: '2026-04-01' });
+
+  const { summary } = await monthlyBill(id, 2026, 4);
+  assert.equal(summary.creditApplied, 2000);
+  assert.equal(summary.grandTotal, 0);
+});
+
+test('leap years bill 29 days in February', async () => {
+  const id = await addCustomer({ name: 'Leap', subscriptionType: 'daily', dailyAmount: 50 });
+
+  const { summary } = await monthlyBill(id, 2028, 2);
+  assert.equal(summary.daysInMonth, 29);
+  assert.equal(summary.subscriptionTotal, 1450);
+});
+
+test('amounts are rounded to paise', async () => {
+  const id = await addCustomer({ name: 'Paise', subscriptionType: 'monthly', dailyAmount: 0 });
+  await addExtra(id, '2026-07-01', 'lunch', 0.1);
+  await addExtra(id, '2026-07-02', 'lunch', 0.2);
+
+  const { summary } = await monthlyBill(id, 2026, 7);
+  assert.equal(summary.extrasTotal, 0.3);
+  assert.equal(summary.grandTotal, 0.3);
+});
+
+test('per-meal pricing bills each subscribed meal on its own line', async () => {
+  const id = await addCustomer({
+    name: 'Per Meal', subscriptionType: 'daily', pricing: 'per_meal', mealTimes: ['breakfast', 'lunch'],
+    breakfastPrice: 40, lunchPrice: 70, dinnerPrice: 90
+  });
+  assert.equal((await owner.get(`/api/customers/${id}`)).body.dailyAmount, 110);
+
+  const { lines, summary } = await monthlyBill(id, 2026, 4);
+  assert.deepEqual(lines.map(l => [l.description, l.mealType, l.quantity, l.unitPrice, l.amount]), [
+    ['Daily subscription (breakfast)', 'breakfast', 30, 40, 1200],
+    ['Daily subscription (lunch)', 'lunch', 30, 70, 2100]
+  ]);
+  assert.equal(summary.dailyAmount, 110);
+  assert.equal(summary.subscriptionTotal, 3300);
+  // Extras are still totalled from extra lines only
+  assert.equal(summary.breakfastTotal, 0);
+});
+
+test('per-meal pricing needs a price for every subscribed meal', async () => {
+  const res = await owner.post('/api/customers').send({
+    name: 'No Price', mobile: '9000000001', pricing: 'per_meal', mealTimes: ['breakfast', 'dinner'], breakfastPrice: 40
+  });
+  assert.equal(res.status, 400);
+  assert.deepEqual(Object.keys(res.body.error.fields), ['dinnerPrice']);
+});
+
+test('only the days inside the plan dates are billed', async () => {
+  const id = await addCustomer({ name: 'Dated', subscriptionType: 'daily', dailyAmount: 100, startDate: '2026-03-20', endDate: '2026-04-10' });
+
+  assert.equal((await monthlyBill(id, 2026, 2)).summary.subscriptionTotal, 0);
+  assert.equal((await monthlyBill(id, 2026, 3)).summary.subscriptionDays, 12);
+  assert.equal((await monthlyBill(id, 2026, 4)).summary.subscriptionTotal, 1000);
+  assert.equal((await dailyBill(id, '2026-04-11')).summary.subscriptionTotal, 0);
+
+  const ended = await owner.put(`/api/customers/${id}`).send({ endDate: '2026-03-01' });
+  assert.equal(ended.status, 400);
+  assert.ok(ended.body.error.fields.endDate);
+
+  // Clearing the end date keeps the plan running
+  await owner.put(`/api/customers/${id}`).send({ endDate: null });
+  assert.equal((await monthlyBill(id, 2026, 5)).summary.subscriptionDays, 31);
+});
+
+test('daily bill: one day of subscription plus that day\'s extras', async () => {
+  const daily = await addCustomer({ name: 'Day', subscriptionType: 'daily', dailyAmount: 120 });
+  const monthly = await addCustomer({ name: 'Month', subscriptionType: 'monthly', dailyAmount: 3000 });
+  await addExtra(daily, '2026-05-05', 'breakfast', 20);
+  await addExtra(daily, '2026-05-05', 'dinner', 35);
+  await addExtra(daily, '2026-05-06', 'dinner', 99); // another day
+  await addExtra(monthly, '2026-05-05', 'lunch', 40);
+
+  const dailyPlan = await dailyBill(daily, '2026-05-05');
+  assert.deepEqual(dailyPlan.period, { type: 'daily', date: '2026-05-05', from: '2026-05-05', to: '2026-05-05' });
+  assert.equal(dailyPlan.meals.breakfast.length, 1);
+  assert.equal(dailyPlan.lines.length, 3);
+  assert.equal(dailyPlan.summary.subscriptionTotal, 120);
+  assert.equal(dailyPlan.summary.extrasTotal, 55);
+  assert.equal(dailyPlan.summary.grandTotal, 175);
+
+  // Monthly plans are not charged per day
+  const monthlyPlan = await dailyBill(monthly, '2026-05-05');
+  assert.equal(monthlyPlan.lines.some(l => l.type === 'subscription'), false);
+  assert.equal(monthlyPlan.summary.subscriptionTotal, 0);
+  assert.equal(monthlyPlan.summary.grandTotal, 40);
+});
+
+test('preview rejects bad periods and unknown customers', async () => {
+  const id = await addCustomer({ name: 'Checks', subscriptionType: 'daily', dailyAmount: 10 });
+
+  const badMonth = await owner.get(`/api/invoices/preview?customerId=${id}&year=2026&month=13`);
+  assert.equal(badMonth.status, 400);
+  assert.equal(badMonth.body.error.code, 'VALIDATION_FAILED');
+  assert.ok(badMonth.body.error.fields.month);
+
+  const badDate = await owner.get(`/api/invoices/preview/daily?customerId=${id}&date=2026-02-30`);
+  assert.equal(badDate.status, 400);
+
+  const missing = await owner.get('/api/invoices/preview?customerId=nobody&year=2026&month=1');
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error.code, 'NOT_FOUND');
+});
@@ -0,0 +1,80 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, app, setup, createAdmin, login, as } = require('./helpers');
+
+let owner;
+let dataEntry;
+
+const asha = {
+  name: 'Asha Rao',
+  mobile: '9876543210',
+  address: '12 MG Road',
+  subscriptionType: 'daily',
+  dailyAmount: 120,
+  mealTimes: ['breakfast', 'lunch'],
+  startDate: '2026-01-01'
+};
+
+before(async () => {
+  await setup();
+  owner = as(await login());
+  await createAdmin({ email: 'entry@test.local', password: 'Entry@1234', role: 'data-entry' });
+  dataEntry = as(await login({ email: 'entry@test.local', password: 'Entry@1234' }));
+});
+
+test('rejects requests without a token', async () => {
+  const res = await request(app).get('/api/customers');
+  assert.equal(res.status, 401);
+  assert.equal(res.body.error.code, 'NO_TOKEN');
+});
+
+test('creates, reads, updates and deletes a customer', async () => {
+  const created = await owner.post('/api/customers').send(asha);
+  assert.equal(created.status, 201);
+  const id = created.body.id;
+  assert.match(id, /^cust_/);
+
+  const list = await owner.get('/api/customers');
+  assert.equal(list.status, 200);
+  const listed = list.body.find(c => c.id === id);
+  assert.equal(listed.name, 'Asha Rao');
+  assert.deepEqual(listed.mealTimes, ['breakfast', 'lunch']);
+  assert.equal(listed.dailyAmount, 120);
+  assert.equal(listed.subscriptionType, 'daily');
+
+  const updated = await owner.put(`/api/customers/${id}`).send({ status: 'paused', dailyAmount: 150 });
+  assert.equal(updated.status, 200);
+
+  const one = await owner.get(`/api/customers/${id}`);
+  assert.equal(one.body.status, 'paused');
+  assert.equal(one.body.dailyAmount, 150);
+  assert.equal(one.body.address, '12 MG Road');
+
+  const deleted = await owner.delete(`/api/customers/${id}`);
+  assert.equal(deleted.status, 200);
+
+  const gone = await owner.get(`/api/customers/${id}`);
+  assert.equal(gone.status, 404);
+  assert.equal(gone.body.error.code, 'NOT_FOUND');
+});
+
+test('returns field errors for an invalid customer', async () => {
+  const res = await owner.post('/api/customers').send({ name: '', mobile: '123' });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error.code, 'VALIDATION_FAILED');
+  assert.ok(res.body.error.fields.name);
+  assert.ok(res.body.error.fields.mobile);
+});
+
+test('returns 404 when updating or deleting an unknown customer', async () => {
+  assert.equal((await owner.put('/api/customers/cust_missing').send({ name: 'X' })).status, 404);
+  assert.equal((await owner.delete('/api/customers/cust_missing')).status, 404);
+});
+
+test('data-entry staff can read but not change customers', async () => {
+  assert.equal((await dataEntry.get('/api/customers')).status, 200);
+
+  const res = await dataEntry.post('/api/customers').send(asha);
+  assert.equal(res.status, 403);
+  assert.equal(res.body.error.code, 'FORBIDDEN');
+});
@@ -0,0 +1,268 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, createAdmin, login, as } = require('./helpers');
+const invoices = require('../repositories/invoices');
+const { createId } = require('../utils/ids');
+const { financialYear, formatInvoiceNumber } = require('../utils/invoiceNumbers');
+
+let owner;
+let manager;
+let clerk;
+
+const addCustomer = async (fields) =>
+  (await owner.post('/api/customers').send({ mobile: '9000000001', subscriptionType: 'daily', dailyAmount: 100, mealTimes: ['lunch'], startDate: '2026-01-01', ...fields })).body.id;
+
+const addDiscount = (fields) => owner.post('/api/discounts').send(fields);
+
+const preview = async (customerId, year, month, couponCode) =>
+  owner.get(`/api/invoices/preview?customerId=${customerId}&year=${year}&month=${month}${couponCode ? `&couponCode=${couponCode}` : ''}`);
+
+const issue = async (customerId, year, month, couponCode) =>
+  (await owner.post('/api/invoices').send({ customerId, year, month, couponCode })).body;
+
+before(async () => {
+  await setup();
+  owner = as(await login());
+  await createAdmin({ email: 'manager@test.local', password: 'Manager@1234', role: 'manager' });
+  manager = as(await login({ email: 'manager@test.local', password: 'Manager@1234' }));
+  await createAdmin({ email: 'clerk@test.local', password: 'Clerk@12345', role: 'data-entry' });
+  clerk = as(await login({ email: 'clerk@test.local', password: 'Clerk@12345' }));
+});
+
+test('discounts are checked, coupon codes saved in capitals and kept unique', async () => {
+  const id = await addCustomer({ name: 'Ravi' });
+
+  const tooMuch = await addDiscount({ name: 'Half and more', kind: 'percent', value: 120, customerId: id });
+  assert.equal(tooMuch.status, 400);
+  assert.ok(tooMuch.body.error.fields.value);
+
+  const forNobody = await addDiscount({ name: 'Loose', kind: 'flat', value: 50 });
+  assert.equal(forNobody.status, 400);
+  assert.ok(forNobody.body.error.fields.customerId);
+
+  const backwards = await addDiscount({ name: 'Backwards', kind: 'flat', value: 50, customerId: id, validFrom: '2026-03-01', validTo: '2026-02-01' });
+  assert.ok(backwards.body.error.fields.validTo);
+
+  assert.equal((await addDiscount({ name: 'Ghost', kind: 'flat', value: 50, customerId: 'cust_missing' })).body.error.fields.customerId, 'Customer not found');
+  assert.equal((await addDiscount({ name: 'Bad code', kind: 'flat', value: 50, code: 'no spaces' })).status, 400);
+  assert.equal((await clerk.post('/api/discounts').send({ name: 'Clerk', kind: 'flat', value: 50, customerId: id })).status, 403);
+
+  const coupon = await manager.post('/api/discounts').send({ name: 'Welcome', kind: 'percent', value: 10, code: 'welcome10', maxUses: 5 });
+  assert.equal(coupon.status, 201);
+  assert.equal(coupon.body.code, 'WELCOME10');
+  assert.equal(coupon.body.uses, 0);
+
+  const taken = await addDiscount({ name: 'Again', kind: 'flat', value: 20, code: 'Welcome10' });
+  assert.equal(taken.status, 409);
+  assert.equal(taken.body.error.code, 'DISCOUNT_CODE_IN_USE');
+
+  const updated = await owner.put(`/api/discounts/${coupon.body.id}`).send({ value: 15, maxUses: '' });
+  assert.equal(updated.body.value, 15);
+  assert.equal(updated.body.maxUses, null);
+  assert.equal((await owner.put(`/api/discounts/${coupon.body.id}`).send({ value: 150 })).status, 400);
+
+  const own = (await addDiscount({ name: 'Loyal', kind: 'flat', value: 25, customerId: id })).body;
+  assert.equal(own.customerName, 'Ravi');
+  assert.deepEqual((await clerk.get('/api/discounts?coupons=true')).body.map(d => d.code), ['WELCOME10']);
+  assert.deepEqual((await owner.get(`/api/discounts?customerId=${id}`)).body.map(d => d.name), ['Loyal']);
+
+  assert.equal((await owner.delete(`/api/discounts/${own.id}`)).status, 200);
+  assert.equal((await owner.get(`/api/discounts/${own.id}`)).status, 404);
+});
+
+test('a customer discount comes off their bill while it is valid', async () => {
+  const id = await addCustomer({ name: 'Meena' });
+  await owner.post('/api/extras').send({ customerId: id, date: '2026-02-10', mealType: 'lunch', price: 200 });
+  await addDiscount({ name: 'Regular', kind: 'percent', value: 10, customerId: id, validFrom: '2026-02-01' });
+  await addDiscount({ name: 'Expired', kind: 'flat', value: 75, customerId: id, validTo: '2026-01-31' });
+
+  const bill = (await preview(id, 2026, 2)).body;
+  const discount = bill.lines.find(l => l.type === 'discount');
+  assert.equal(discount.description, 'Regular (10% off)');
+  assert.equal(discount.amount, -300);
+  assert.equal(bill.summary.discountTotal, 300);
+  assert.equal(bill.summary.totalCharges, 2700);
+
+  // Before it was valid, while the other one still was
+  assert.deepEqual((await preview(id, 2026, 1)).body.lines.filter(l => l.type === 'discount').map(l => l.description), ['Expired']);
+
+  const { id: invoiceId, amount } = await issue(id, 2026, 2);
+  assert.equal(amount, 2700);
+  const saved = (await owner.get(`/api/invoices/${invoiceId}`)).body;
+  assert.equal(saved.summary.discountTotal, 300);
+  assert.ok(saved.lines.find(l => l.type === 'discount').discountId);
+});
+
+test('a plan discount applies to everyone on the plan and never exceeds the charges', async () => {
+  const planId = (await owner.post('/api/plans').send({ name: 'Lunch Saver', mealTimes: ['lunch'], dailyAmount: 100 })).body.id;
+  const onPlan = await addCustomer({ name: 'On plan', planId });
+  const offPlan = await addCustomer({ name: 'Off plan' });
+  await addDiscount({ name: 'Plan launch', kind: 'flat', value: 150, planId });
+
+  const bill = (await preview(onPlan, 2026, 2)).body;
+  assert.deepEqual(bill.lines.find(l => l.type === 'discount'), {
+    type: 'discount', discountId: bill.lines.find(l => l.type === 'discount').discountId, description: 'Plan launch', quantity: 1, unitPrice: -150, amount: -150
+  });
+  assert.equal(bill.summary.totalCharges, 2650);
+  assert.equal((await preview(offPlan, 2026, 2)).body.summary.discountTotal, 0);
+
+  await addDiscount({ name: 'Everything', kind: 'percent', value: 100, planId });
+  const free = (await preview(onPlan, 2026, 2)).body;
+  assert.equal(free.summary.discountTotal, 2800);
+  assert.equal(free.summary.totalCharges, 0);
+
+  // Daily bills take it off the day too
+  const day = (await owner.get(`/api/invoices/preview/daily?customerId=${onPlan}&date=2026-02-03`)).body;
+  assert.equal(day.summary.discountTotal, 100);
+});
+
+test('coupons apply only when entered, to the customers they are for, as often as allowed', async () => {
+  const first = await addCustomer({ name: 'First' });
+  const second = await addCustomer({ name: 'Second' });
+  const other = await addCustomer({ name: 'Other' });
+  await addDiscount({ name: 'Festive', kind: 'flat', value: 50, code: 'DIWALI50', maxUses: 1, validFrom: '2026-02-01', validTo: '2026-02-28' });
+  await addDiscount({ name: 'Just for First', kind: 'flat', value: 20, code: 'FIRST20', customerId: first });
+
+  assert.equal((await preview(first, 2026, 2)).body.summary.discountTotal, 0);
+  const bill = (await preview(first, 2026, 2, 'diwali50')).body;
+  assert.equal(bill.lines.find(l => l.type === 'discount').description, 'Coupon DIWALI50: Festive');
+  assert.equal(bill.summary.totalCharges, 2750);
+
+  const unknown = await preview(first, 2026, 2, 'NOPE');
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.error.fields.couponCode, 'Coupon NOPE does not exist');
+  assert.match((await preview(first, 2026, 3, 'DIWALI50')).body.error.fields.couponCode, /not valid for this period/);
+  assert.match((await preview(other, 2026, 2, 'FIRST20')).body.error.fields.couponCode, /not for this customer/);
+
+  assert.equal((await issue(first, 2026, 2, 'DIWALI50')).amount, 2750);
+  const usedUp = await owner.post('/api/invoices').send({ customerId: second, year: 2026, month: 2, couponCode: 'DIWALI50' });
+  assert.equal(usedUp.status, 400);
+  assert.match(usedUp.body.error.fields.couponCode, /already been used 1 time$/);
+});
+
+test('a percentage comes off only the days it is valid on', async () => {
+  const id = await addCustomer({ name: 'Window' });
+  await owner.post('/api/extras').send({ customerId: id, date: '2026-03-10', mealType: 'lunch', price: 200 });
+  await owner.post('/api/extras').send({ customerId: id, date: '2026-04-05', mealType: 'lunch', price: 200 });
+  await addDiscount({ name: 'Last day', kind: 'percent', value: 50, customerId: id, validFrom: '2026-03-31', validTo: '2026-03-31' });
+  await addDiscount({ name: 'Spring', kind: 'percent', value: 10, customerId: id, validFrom: '2026-03-20', validTo: '2026-04-10' });
+
+  // March: half of the 31st's 100, and a tenth of the 12 days from the 20th (not the extra on the 10th)
+  const march = (await preview(id, 2026, 3)).body;
+  assert.deepEqual(march.lines.filter(l => l.type === 'discount').map(l => [l.description, l.amount]), [
+    ['Last day (50% off)', -50],
+    ['Spring (10% off)', -120]
+  ]);
+  assert.equal(march.summary.totalCharges, 3300 - 170);
+
+  // April: a tenth of the 10 days to the 10th and the extra on the 5th
+  const april = (await preview(id, 2026, 4)).body;
+  assert.deepEqual(april.lines.filter(l => l.type === 'discount').map(l => [l.description, l.amount]), [['Spring (10% off)', -120]]);
+
+  // Daily bills take a percentage off the days it is valid on only
+  assert.equal((await owner.get(`/api/invoices/preview/daily?customerId=${id}&date=2026-03-31`)).body.summary.discountTotal, 60);
+  assert.equal((await owner.get(`/api/invoices/preview/daily?customerId=${id}&date=2026-03-15`)).body.summary.discountTotal, 0);
+});
+
+test('a flat discount comes off once, on the first invoice of its validity', async () => {
+  const id = await addCustomer({ name: 'Once' });
+  await addDiscount({ name: 'Month end', kind: 'flat', value: 500, customerId: id, validFrom: '2026-03-31', validTo: '2026-04-01' });
+
+  // Not on daily bills, which are never issued
+  assert.equal((await owner.get(`/api/invoices/preview/daily?customerId=${id}&date=2026-03-31`)).body.summary.discountTotal, 0);
+
+  assert.equal((await preview(id, 2026, 4)).body.summary.discountTotal, 500);
+  assert.equal((await issue(id, 2026, 3)).amount, 3100 - 500);
+  assert.equal((await preview(id, 2026, 4)).body.summary.discountTotal, 0);
+
+  // Nor can a flat coupon be used again by the same customer
+  await addDiscount({ name: 'Welcome back', kind: 'flat', value: 40, code: 'BACK40' });
+  assert.equal((await issue(id, 2026, 4, 'BACK40')).amount, 3000 - 40);
+  assert.match((await preview(id, 2026, 5, 'BACK40')).body.error.fields.couponCode, /already used on one of this customer's invoices/);
+});
+
+test('a bill worked out before its coupon was used up is refused when issued', async () => {
+  // What a second request saw before the first one issued its invoice
+  const issueStale = (customerId, month, discount) => invoices.create(
+    { id: createId('inv'), customerId, month, year: 2026, amount: 2000, charges: 2000, date: '2026-05-01', paidAt: null },
+    [{ id: createId('invl'), type: 'discount', description: discount.name, quantity: 1, unitPrice: -100, amount: -100, discountId: discount.id }],
+    { financialYear: financialYear(), format: formatInvoiceNumber }
+  );
+
+  const once = (await addDiscount({ name: 'Only once', kind: 'percent', value: 10, code: 'ONCE10', maxUses: 1 })).body;
+  assert.equal((await issue(await addCustomer({ name: 'Anil' }), 2026, 3, 'ONCE10')).amount, 2790);
+  await assert.rejects(issueStale(await addCustomer({ name: 'Bina' }), 3, once), { code: 'DISCOUNT_USED_UP', message: /ONCE10 has already been used 1 time$/ });
+
+  const id = await addCustomer({ name: 'Chitra' });
+  const flat = (await addDiscount({ name: 'Welcome', kind: 'flat', value: 100, code: 'HELLO100', customerId: id })).body;
+  await issue(id, 2026, 3, 'HELLO100');
+  await assert.rejects(issueStale(id, 4, flat), { code: 'DISCOUNT_USED_UP' });
+
+  // Nothing of the refused invoices was saved
+  assert.equal((await owner.get('/api/discounts')).body.find(d => d.code === 'ONCE10').uses, 1);
+  assert.equal((await owner.get(`/api/customers/${id}/ledger`)).body.entries.length, 1);
+});
+
+test('discounts come off before tax', async () => {
+  await owner.put('/api/settings/tax').send({ gstin: '27ABCDE1234F1Z5', defaultRate: 5, pricesIncludeTax: false });
+  const id = await addCustomer({ name: 'Taxed' });
+  await addDiscount({ name: 'Hundred off', kind: 'flat', value: 100, customerId: id });
+
+  const bill = (await preview(id, 2026, 2)).body;
+  assert.equal(bill.lines.find(l => l.type === 'discount').taxAmount, -5);
+  assert.equal(bill.summary.taxes[0].taxableValue, 2700);
+  assert.equal(bill.summary.taxTotal, 135);
+  assert.equal(bill.summary.totalCharges, 2835);
+
+  await owner.put('/api/settings/tax').send({ gstin: '' });
+});
+
+test('referrers earn the reward when the customer they referred pays their first invoice', async () => {
+  assert.deepEqual((await owner.get('/api/settings/referral')).body, { reward: 0 });
+  assert.equal((await manager.put('/api/settings/referral').send({ reward: 3000 })).status, 403);
+  assert.equal((await owner.put('/api/settings/referral').send({ reward: 3000 })).body.reward, 3000);
+
+  const referrer = await addCustomer({ name: 'Anita', mobile: '9800000001' });
+  const referred = await addCustomer({ name: 'Bala', referredBy: referrer });
+  const customer = (await owner.get(`/api/customers/${referred}`)).body;
+  assert.equal(customer.referredBy, referrer);
+  assert.equal(customer.referral, 'Anita (9800000001)');
+
+  assert.equal((await owner.put(`/api/customers/${referrer}`).send({ referredBy: referrer })).body.error.fields.referredBy, 'A customer cannot refer themselves');
+  assert.equal((await owner.post('/api/customers').send({ name: 'Nobody', mobile: '9000000002', referredBy: 'cust_missing' })).status, 400);
+
+  const invoice = await issue(referred, 2026, 2);
+  assert.deepEqual((await owner.get(`/api/customers/${referrer}/referrals`)).body, []);
+
+  await owner.put(`/api/invoices/${invoice.id}/pay`).send({ mode: 'upi' });
+  const [reward] = (await owner.get(`/api/customers/${referrer}/referrals`)).body;
+  assert.equal(reward.referredId, referred);
+  assert.equal(reward.referredName, 'Bala');
+  assert.equal(reward.amount, 3000);
+  assert.equal(reward.remaining, 3000);
+  assert.equal(reward.invoiceId, invoice.id);
+
+  // One reward per referred customer
+  await owner.post('/api/payments').send({ customerId: referred, amount: 100, mode: 'cash', date: '2026-03-01' });
+  assert.equal((await owner.get(`/api/customers/${referrer}/referrals`)).body.length, 1);
+
+  // The credit covers the whole of February ...
+  const february = await issue(referrer, 2026, 2);
+  assert.equal(february.amount, 0);
+  const saved = (await owner.get(`/api/invoices/${february.id}`)).body;
+  assert.equal(saved.status, 'paid');
+  assert.deepEqual(saved.lines.find(l => l.type === 'referral'), {
+    type: 'referral', referralRewardId: reward.id, description: 'Referral credit: Bala', quantity: 1, unitPrice: -2800, amount: -2800
+  });
+  assert.equal(saved.summary.referralTotal, 2800);
+
+  // ... and what is left comes off March
+  assert.equal((await owner.get(`/api/customers/${referrer}/referrals`)).body[0].remaining, 200);
+  const march = (await preview(referrer, 2026, 3)).body;
+  assert.equal(march.summary.referralTotal, 200);
+  assert.equal(march.summary.grandTotal, 2900);
+
+  await issue(referrer, 2026, 3);
+  assert.equal((await owner.get(`/api/customers/${referrer}/referrals`)).body[0].remaining, 0);
+  assert.equal((await preview(referrer, 2026, 4)).body.summary.referralTotal, 0);
+});
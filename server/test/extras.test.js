@@ -0,0 +1,77 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, createAdmin, login, as } = require('./helpers');
+
+let owner;
+let dataEntry;
+let customerId;
+let menuItemId;
+
+before(async () => {
+  await setup();
+  owner = as(await login());
+  await createAdmin({ email: 'entry@test.local', password: 'Entry@1234', role: 'data-entry' });
+  dataEntry = as(await login({ email: 'entry@test.local', password: 'Entry@1234' }));
+
+  customerId = (await owner.post('/api/customers').send({ name: 'Ravi', mobile: '9000000001' })).body.id;
+  menuItemId = (await owner.post('/api/menu').send({ name: 'Omelette', category: 'breakfast', price: 35 })).body.id;
+});
+
+test('data-entry staff record extras for a day', async () => {
+  const res = await dataEntry.post('/api/extras').send({
+    customerId, menuItemId, mealType: 'breakfast', price: 35, notes: 'extra egg', date: '2026-03-05'
+  });
+  assert.equal(res.status, 201);
+
+  const day = await owner.get('/api/extras/date/2026-03-05');
+  assert.equal(day.status, 200);
+  assert.equal(day.body.length, 1);
+  assert.deepEqual(
+    { customerId: day.body[0].customerId, menuItemId: day.body[0].menuItemId, price: day.body[0].price, notes: day.body[0].notes },
+    { customerId, menuItemId, price: 35, notes: 'extra egg' }
+  );
+});
+
+test('lists all extras newest date first', async () => {
+  await owner.post('/api/extras').send({ customerId, mealType: 'lunch', price: 20, date: '2026-03-01' });
+  await owner.post('/api/extras').send({ customerId, mealType: 'dinner', price: 25, date: '2026-03-09' });
+
+  const res = await owner.get('/api/extras');
+  const dates = res.body.map(e => String(e.date).slice(0, 10));
+  assert.deepEqual(dates, [...dates].sort().reverse());
+});
+
+test('deletes one extra', async () => {
+  const id = (await owner.post('/api/extras').send({ customerId, mealType: 'lunch', price: 30, date: '2026-03-10' })).body.id;
+
+  assert.equal((await owner.delete(`/api/extras/${id}`)).status, 200);
+  assert.equal((await owner.delete(`/api/extras/${id}`)).status, 404);
+});
+
+test('deletes extras by customer, date and meal', async () => {
+  await owner.post('/api/extras').send({ customerId, mealType: 'breakfast', price: 10, date: '2026-03-20' });
+  await owner.post('/api/extras').send({ customerId, mealType: 'lunch', price: 15, date: '2026-03-20' });
+
+  let res = await owner.post('/api/extras/delete-by-details').send({ customerId, date: '2026-03-20', mealType: 'breakfast' });
+  assert.equal(res.status, 200);
+  let day = await owner.get('/api/extras/date/2026-03-20');
+  assert.deepEqual(day.body.map(e => e.mealType), ['lunch']);
+
+  res = await owner.post('/api/extras/delete-by-details').send({ customerId, date: '2026-03-20' });
+  assert.equal(res.status, 200);
+  day = await owner.get('/api/extras/date/2026-03-20');
+  assert.equal(day.body.length, 0);
+});
+
+test('rejects an extra for an unknown customer', async () => {
+  const res = await owner.post('/api/extras').send({ customerId: 'cust_missing', mealType: 'lunch', price: 10, date: '2026-03-05' });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error.code, 'INVALID_REFERENCE');
+});
+
+test('validates meal type and date', async () => {
+  const res = await owner.post('/api/extras').send({ customerId, mealType: 'brunch', price: 10, date: '05-03-2026' });
+  assert.equal(res.status, 400);
+  assert.ok(res.body.error.fields.mealType);
+  assert.ok(res.body.error.fields.date);
+});
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Every test file runs in its own process against a fresh in-memory SQLite
+// database, so the suite never touches a real MySQL server or mailbox.
+process.env.NODE_ENV = 'test';
+process.env.DB_DRIVER = 'sqlite';
+process.env.SQLITE_FILE = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+process.env.MAIL_DRIVER = 'file';
+process.env.MAIL_FILE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'inas-cafe-mail-'));
+process.env.DOTENV_CONFIG_QUIET = 'true';
+
+const request = require('supertest');
+const db = require('../db');
+const app = require('../index');
+const admins = require('../repositories/admins');
+const { migrateUp } = require('../migrate');
+const { hashPassword } = require('../utils/password');
+const { createId } = require('../utils/ids');
+
+const OWNER = { email: 'owner@test.local', password: 'Owner@1234' };
+
+// Migrate the empty database and add the first owner
+async function setup() {
+  await migrateUp(db);
+  await createAdmin({ ...OWNER, role: 'owner' });
+}
+
+async function createAdmin({ email, password, role, name = 'Test Admin' }) {
+  const id = createId('adm');
+  await admins.create({ id, name, email, password: await hashPassword(password), role });
+  return id;
+}
+
+async function login({ email, password } = OWNER) {
+  const res = await request(app).post('/api/auth/login').send({ email, password });
+  if (!res.body.token) {
+    throw new Error(`Login failed for ${email}: ${JSON.stringify(res.body)}`);
+  }
+  return res.body.token;
+}
+
+// supertest agent that sends the bearer token with every request
+function as(token) {
+  const withAuth = (method) => (url) => request(app)[method](url).set('Authorization', `Bearer ${token}`);
+  return {
+    get: withAuth('get'),
+    post: withAuth('post'),
+    put: withAuth('put'),
+    delete: withAuth('delete')
+  };
+}
+
+// Text of the newest message written by the file mailer for an address
+function latestMail(to) {
+  const files = fs.readdirSync(process.env.MAIL_FILE_DIR)
+    .filter(file => file.endsWith(`-${to}.txt`))
+    .sort();
+  if (files.length === 0) return null;
+  return fs.readFileSync(path.join(process.env.MAIL_FILE_DIR, files[files.length - 1]), 'utf8');
+}
+
+module.exports = { app, db, request, OWNER, setup, createAdmin, login, as, latestMail };
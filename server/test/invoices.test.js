@@ -0,0 +1,195 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, login, as, db } = require('./helpers');
+const { migrateUp, migrateDown, migrationStatus } = require('../migrate');
+const { financialYear } = require('../utils/invoiceNumbers');
+const { todayInIndia } = require('../utils/time');
+
+let owner;
+let customerId;
+
+before(async () => {
+  await setup();
+  owner = as(await login());
+  customerId = (await owner.post('/api/customers').send({ name: 'Asha', mobile: '9000000001', subscriptionType: 'monthly', dailyAmount: 3600 })).body.id;
+});
+
+test('saves an invoice as pending and marks it paid', async () => {
+  const created = await owner.post('/api/invoices').send({ customerId, month: 6, year: 2026 });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.amount, 3600);
+  const id = created.body.id;
+
+  let pending = await owner.get('/api/invoices?status=pending');
+  const invoice = pending.body.find(i => i.id === id);
+  assert.equal(invoice.customer_name, 'Asha');
+  assert.equal(invoice.customer_mobile, '9000000001');
+  assert.equal(Number(invoice.amount), 3600);
+
+  const paid = await owner.put(`/api/invoices/${id}/pay`).send({ notes: 'Paid in cash' });
+  assert.equal(paid.status, 200);
+
+  pending = await owner.get('/api/invoices?status=pending');
+  assert.equal(pending.body.some(i => i.id === id), false);
+
+  const paidList = await owner.get('/api/invoices?status=paid');
+  const paidInvoice = paidList.body.find(i => i.id === id);
+  assert.equal(paidInvoice.status, 'paid');
+  assert.equal(paidInvoice.payment_notes, 'Paid in cash');
+  assert.ok(paidInvoice.paid_at);
+});
+
+test('refuses to pay an invoice twice', async () => {
+  const id = (await owner.post('/api/invoices').send({ customerId, month: 7, year: 2026 })).body.id;
+  await owner.put(`/api/invoices/${id}/pay`).send({});
+
+  const res = await owner.put(`/api/invoices/${id}/pay`).send({});
+  assert.equal(res.status, 409);
+  assert.equal(res.body.error.code, 'ALREADY_PAID');
+});
+
+test('refuses a second invoice for the same customer and month', async () => {
+  const before = (await owner.get(`/api/customers/${customerId}/ledger`)).body.balance;
+  const results = await Promise.all([1, 2].map(() => owner.post('/api/invoices').send({ customerId, month: 5, year: 2027 })));
+
+  assert.deepEqual(results.map(r => r.status).sort(), [201, 409]);
+  const conflict = results.find(r => r.status === 409);
+  assert.equal(conflict.body.error.code, 'INVOICE_EXISTS');
+  assert.match(conflict.body.error.message, new RegExp(results.find(r => r.status === 201).body.invoiceNumber));
+
+  // The account is debited once
+  assert.equal((await owner.get(`/api/customers/${customerId}/ledger`)).body.balance, before - 3600);
+});
+
+test('lists every invoice with status=all', async () => {
+  const res = await owner.get('/api/invoices?status=all');
+  assert.equal(res.status, 200);
+  assert.ok(res.body.length >= 2);
+  assert.ok(res.body.some(i => i.status === 'paid'));
+});
+
+test('returns 404 when paying an unknown invoice', async () => {
+  const res = await owner.put('/api/invoices/inv_missing/pay').send({});
+  assert.equal(res.status, 404);
+});
+
+test('rejects an unknown status filter', async () => {
+  const res = await owner.get('/api/invoices?status=overdue');
+  assert.equal(res.status, 400);
+  assert.ok(res.body.error.fields.status);
+});
+
+test('freezes the line items when an invoice is saved', async () => {
+  const menuItemId = (await owner.post('/api/menu').send({ name: 'Paneer Roll', category: 'dinner', price: 90 })).body.id;
+  const extra = (await owner.post('/api/extras').send({ customerId, menuItemId, date: '2026-08-10', mealType: 'dinner', price: 90, notes: 'spicy' })).body.id;
+  await owner.post('/api/extras').send({ customerId, date: '2026-08-11', mealType: 'lunch', price: 40 });
+  await owner.post('/api/advance').send({ customerId, month: 8, year: 2026, amount: 1000, date: '2026-08-01' });
+
+  const created = await owner.post('/api/invoices').send({ customerId, month: 8, year: 2026 });
+  assert.equal(created.body.amount, 3600 + 90 + 40 - 1000);
+
+  // Edits after billing don't change what was issued
+  await owner.delete(`/api/extras/${extra}`);
+  await owner.put(`/api/customers/${customerId}`).send({ name: 'Asha', mobile: '9000000001', dailyAmount: 4000 });
+  await owner.delete(`/api/menu/${menuItemId}`);
+
+  const res = await owner.get(`/api/invoices/${created.body.id}`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.snapshot, true);
+  assert.equal(res.body.status, 'pending');
+  assert.equal(res.body.amount, 2730);
+  assert.deepEqual(res.body.period, { type: 'monthly', year: 2026, month: 8, from: '2026-08-01', to: '2026-08-31' });
+
+  assert.deepEqual(res.body.lines.map(l => [l.type, l.description, l.amount]), [
+    ['subscription', 'Monthly subscription', 3600],
+    ['extra', 'Paneer Roll', 90],
+    ['extra', 'Item', 40],
+    ['credit', 'Credit from account balance', -1000]
+  ]);
+  assert.equal(res.body.lines[1].notes, 'spicy');
+  assert.equal(res.body.days[9].dinner.length, 1);
+
+  assert.equal(res.body.summary.subscriptionTotal, 3600);
+  assert.equal(res.body.summary.dinnerTotal, 90);
+  assert.equal(res.body.summary.extrasTotal, 130);
+  assert.equal(res.body.summary.creditApplied, 1000);
+  assert.equal(res.body.summary.grandTotal, 2730);
+
+  // ...while a fresh preview reflects the edits, with the advance already used up
+  const preview = await owner.get(`/api/invoices/preview?customerId=${customerId}&year=2026&month=8`);
+  assert.equal(preview.body.summary.grandTotal, 4000 + 40);
+});
+
+test('queries from other requests wait for an open transaction', async () => {
+  const failed = db.transaction(async (tx) => {
+    await tx.query('INSERT INTO settings (name, value) VALUES (?, ?)', ['inside', '1']);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    throw new Error('rolled back');
+  });
+  // Another request writes while the transaction is still open
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const outside = db.query('INSERT INTO settings (name, value) VALUES (?, ?)', ['outside', '1']);
+
+  await assert.rejects(failed, /rolled back/);
+  await outside;
+  const [rows] = await db.query("SELECT name FROM settings WHERE name IN ('inside', 'outside')");
+  assert.deepEqual(rows.map(r => r.name), ['outside']);
+});
+
+test('returns 404 for an unknown invoice', async () => {
+  const res = await owner.get('/api/invoices/inv_missing');
+  assert.equal(res.status, 404);
+  assert.equal(res.body.error.code, 'NOT_FOUND');
+});
+
+test('numbers invoices sequentially within the financial year', async () => {
+  const fy = financialYear();
+  const created = await Promise.all([9, 10, 11].map(month =>
+    owner.post('/api/invoices').send({ customerId, month, year: 2026 })
+  ));
+
+  const numbers = created.map(res => res.body.invoiceNumber).sort();
+  numbers.forEach(n => assert.match(n, new RegExp(`^INAS/${fy}/\\d{5}$`)));
+
+  const sequences = numbers.map(n => Number(n.split('/')[2]));
+  assert.deepEqual(sequences, [sequences[0], sequences[0] + 1, sequences[0] + 2]);
+
+  const saved = await owner.get(`/api/invoices/${created[0].body.id}`);
+  assert.equal(saved.body.invoiceNumber, created[0].body.invoiceNumber);
+
+  const listed = await owner.get('/api/invoices?status=all');
+  assert.ok(listed.body.some(i => i.invoice_number === created[0].body.invoiceNumber));
+});
+
+test('financial years run from April to March in Indian time', () => {
+  assert.equal(financialYear(new Date('2026-04-01T00:00:00+05:30')), '2026-27');
+  assert.equal(financialYear(new Date('2026-03-31T23:59:00+05:30')), '2025-26');
+  assert.equal(financialYear(new Date('2026-03-31T19:00:00Z')), '2026-27'); // already 1 April in India
+  assert.equal(financialYear(new Date('2099-12-31T00:00:00Z')), '2099-00');
+});
+
+test('today is the date in India, whatever the server timezone', () => {
+  assert.equal(todayInIndia(new Date('2026-03-31T18:29:00Z')), '2026-03-31');
+  assert.equal(todayInIndia(new Date('2026-03-31T18:30:00Z')), '2026-04-01');
+});
+
+test('the migration numbers existing invoices in creation order', async () => {
+  // Back to just before invoice numbers existed
+  const later = (await migrationStatus(db)).filter(m => m.applied && m.version >= '010');
+  await migrateDown(db, { steps: later.length });
+  await db.query('INSERT INTO invoices (id, customer_id, month, year, amount, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+    ['inv_old_2', customerId, 2, 2025, 100, '2025-05-02 10:00:00']);
+  await db.query('INSERT INTO invoices (id, customer_id, month, year, amount, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+    ['inv_old_1', customerId, 1, 2025, 100, '2025-03-02 10:00:00']);
+  await migrateUp(db);
+
+  const numberOf = async (id) => (await owner.get(`/api/invoices/${id}`)).body.invoiceNumber;
+  assert.equal(await numberOf('inv_old_1'), 'INAS/2024-25/00001');
+  assert.equal(await numberOf('inv_old_2'), 'INAS/2025-26/00001');
+
+  // New invoices continue after the backfilled ones
+  const next = await owner.post('/api/invoices').send({ customerId, month: 12, year: 2026 });
+  const [, fy, sequence] = next.body.invoiceNumber.split('/');
+  assert.equal(fy, financialYear());
+  assert.ok(Number(sequence) > 1);
+});
@@ -0,0 +1,139 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, createAdmin, login, as } = require('./helpers');
+
+let owner;
+let dataEntry;
+
+const addCustomer = async (fields) =>
+  (await owner.post('/api/customers').send({ mobile: '9000000001', mealTimes: ['breakfast', 'lunch', 'dinner'], ...fields })).body.id;
+
+const addLeave = (customerId, leave) => owner.post(`/api/customers/${customerId}/leaves`).send(leave);
+
+const preview = async (customerId, year, month) =>
+  (await owner.get(`/api/invoices/preview?customerId=${customerId}&year=${year}&month=${month}`)).body;
+
+before(async () => {
+  await setup();
+  owner = as(await login());
+  await createAdmin({ email: 'entry@test.local', password: 'Entry@1234', role: 'data-entry' });
+  dataEntry = as(await login({ email: 'entry@test.local', password: 'Entry@1234' }));
+});
+
+test('records, lists and deletes a customer\'s leaves', async () => {
+  const id = await addCustomer({ name: 'Asha', subscriptionType: 'daily', dailyAmount: 100 });
+
+  const created = await addLeave(id, { startDate: '2026-03-10', endDate: '2026-03-12', reason: 'Out of town' });
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body, {
+    id: created.body.id,
+    customerId: id,
+    startDate: '2026-03-10',
+    endDate: '2026-03-12',
+    meals: null,
+    reason: 'Out of town'
+  });
+  await addLeave(id, { startDate: '2026-04-01', endDate: '2026-04-01', meals: ['dinner'] });
+
+  const list = await owner.get(`/api/customers/${id}/leaves`);
+  assert.deepEqual(list.body.map(l => [l.startDate, l.meals]), [['2026-04-01', ['dinner']], ['2026-03-10', null]]);
+
+  assert.equal((await owner.delete(`/api/customers/cust_other/leaves/${created.body.id}`)).status, 404);
+  assert.equal((await owner.delete(`/api/customers/${id}/leaves/${created.body.id}`)).status, 200);
+  assert.equal((await owner.get(`/api/customers/${id}/leaves`)).body.length, 1);
+});
+
+test('rejects a leave that ends before it starts or has unknown meals', async () => {
+  const id = await addCustomer({ name: 'Ravi', subscriptionType: 'daily', dailyAmount: 100 });
+
+  const backwards = await addLeave(id, { startDate: '2026-03-12', endDate: '2026-03-10' });
+  assert.equal(backwards.status, 400);
+  assert.ok(backwards.body.error.fields.endDate);
+
+  const meals = await addLeave(id, { startDate: '2026-03-10', endDate: '2026-03-10', meals: ['snack'] });
+  assert.equal(meals.status, 400);
+  assert.ok(meals.body.error.fields.meals);
+
+  assert.equal((await addLeave('cust_missing', { startDate: '2026-03-10', endDate: '2026-03-10' })).status, 404);
+});
+
+test('only owners and managers can record leave', async () => {
+  const id = await addCustomer({ name: 'Kiran', subscriptionType: 'daily', dailyAmount: 100 });
+  const res = await dataEntry.post(`/api/customers/${id}/leaves`).send({ startDate: '2026-03-10', endDate: '2026-03-10' });
+  assert.equal(res.status, 403);
+});
+
+test('whole days of leave come off a daily plan, clipped to the month', async () => {
+  const id = await addCustomer({ name: 'Daily', subscriptionType: 'daily', dailyAmount: 100 });
+  await addLeave(id, { startDate: '2026-02-10', endDate: '2026-02-12', reason: 'Wedding' });
+  await addLeave(id, { startDate: '2026-01-30', endDate: '2026-02-02' });
+
+  const bill = await preview(id, 2026, 2);
+  assert.deepEqual(bill.lines.filter(l => l.type === 'leave').map(l => [l.description, l.notes, l.quantity, l.amount]), [
+    ['Leave 1 Feb – 2 Feb', '', 2, -200],
+    ['Leave 10 Feb – 12 Feb', 'Wedding', 3, -300]
+  ]);
+  assert.equal(bill.summary.subscriptionTotal, 2800);
+  assert.equal(bill.summary.leaveDays, 5);
+  assert.equal(bill.summary.leaveTotal, 500);
+  assert.equal(bill.summary.totalCharges, 2300);
+  assert.equal(bill.summary.grandTotal, 2300);
+});
+
+test('a meal leave takes off its share of the day, once, and only for meals the customer takes', async () => {
+  const id = await addCustomer({ name: 'Meals', subscriptionType: 'daily', dailyAmount: 120, mealTimes: ['breakfast', 'lunch'] });
+  await addLeave(id, { startDate: '2026-03-01', endDate: '2026-03-02', meals: ['lunch', 'dinner'] });
+  await addLeave(id, { startDate: '2026-03-02', endDate: '2026-03-03', meals: ['lunch'] }); // 2 Mar already off
+  await addLeave(id, { startDate: '2026-03-05', endDate: '2026-03-05', meals: ['dinner'] }); // not a meal they take
+
+  const { lines, summary } = await preview(id, 2026, 3);
+  assert.deepEqual(lines.filter(l => l.type === 'leave').map(l => [l.description, l.quantity, l.amount]), [
+    ['Leave 1 Mar – 2 Mar (lunch)', 1, -120],
+    ['Leave 2 Mar – 3 Mar (lunch)', 0.5, -60]
+  ]);
+  assert.equal(summary.leaveTotal, 180);
+});
+
+test('with per-meal pricing a leave takes off the price of the meals skipped', async () => {
+  const id = await addCustomer({
+    name: 'Priced', subscriptionType: 'daily', pricing: 'per_meal', mealTimes: ['breakfast', 'lunch'], breakfastPrice: 40, lunchPrice: 70
+  });
+  await addLeave(id, { startDate: '2026-03-01', endDate: '2026-03-02', meals: ['lunch'] });
+  await addLeave(id, { startDate: '2026-03-05', endDate: '2026-03-05' });
+
+  const { lines, summary } = await preview(id, 2026, 3);
+  assert.deepEqual(lines.filter(l => l.type === 'leave').map(l => [l.quantity, l.amount]), [[1, -140], [1, -110]]);
+  assert.equal(summary.grandTotal, 31 * 110 - 250);
+});
+
+test('monthly plans take leave off at the fee spread over the month', async () => {
+  const id = await addCustomer({ name: 'Monthly', subscriptionType: 'monthly', dailyAmount: 3000 });
+  await addLeave(id, { startDate: '2026-06-01', endDate: '2026-06-03' });
+
+  const { summary } = await preview(id, 2026, 6);
+  assert.equal(summary.leaveTotal, 300);
+  assert.equal(summary.grandTotal, 2700);
+});
+
+test('a saved invoice keeps its leave lines', async () => {
+  const id = await addCustomer({ name: 'Saved', subscriptionType: 'daily', dailyAmount: 100 });
+  const leave = (await addLeave(id, { startDate: '2026-04-05', endDate: '2026-04-06' })).body.id;
+
+  const created = await owner.post('/api/invoices').send({ customerId: id, month: 4, year: 2026 });
+  assert.equal(created.body.amount, 2800);
+
+  await owner.delete(`/api/customers/${id}/leaves/${leave}`);
+  const saved = (await owner.get(`/api/invoices/${created.body.id}`)).body;
+  assert.deepEqual(saved.lines.map(l => [l.type, l.amount]), [['subscription', 3000], ['leave', -200]]);
+  assert.equal(saved.summary.leaveTotal, 200);
+  assert.equal(saved.summary.grandTotal, 2800);
+});
+
+test('a day on leave is not charged on the daily invoice', async () => {
+  const id = await addCustomer({ name: 'Day', subscriptionType: 'daily', dailyAmount: 90 });
+  await addLeave(id, { startDate: '2026-05-10', endDate: '2026-05-10', meals: ['breakfast'] });
+
+  const res = await owner.get(`/api/invoices/preview/daily?customerId=${id}&date=2026-05-10`);
+  assert.equal(res.body.summary.leaveTotal, 30);
+  assert.equal(res.body.summary.grandTotal, 60);
+});
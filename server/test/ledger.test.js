@@ -0,0 +1,135 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, setup, login, as } = require('./helpers');
+const { migrateUp, migrateDown, migrationStatus } = require('../migrate');
+const { toDateKey } = require('../utils/time');
+
+let owner;
+
+const addCustomer = async (name, mobile, dailyAmount) =>
+  (await owner.post('/api/customers').send({ name, mobile, subscriptionType: 'monthly', dailyAmount })).body.id;
+
+const invoiceFor = async (customerId, month) =>
+  (await owner.post('/api/invoices').send({ customerId, month, year: 2026 })).body;
+
+const balanceOf = async (customerId) => (await owner.get(`/api/customers/${customerId}`)).body.balance;
+
+before(async () => {
+  await setup();
+  owner = as(await login());
+});
+
+test('an overpayment carries forward to the next invoice', async () => {
+  const id = await addCustomer('Asha', '9000000001', 1000);
+  const january = await invoiceFor(id, 1);
+  assert.equal(await balanceOf(id), -1000);
+
+  // Invoices are entered on the day they are issued; pay on the same day so the statement order is fixed
+  await owner.post('/api/payments').send({ customerId: id, amount: 1500, mode: 'upi', date: toDateKey(new Date()) });
+  assert.equal(await balanceOf(id), 500);
+  assert.equal((await owner.get(`/api/invoices/${january.id}`)).body.status, 'paid');
+
+  const february = await invoiceFor(id, 2);
+  assert.equal(february.amount, 500);
+
+  const saved = (await owner.get(`/api/invoices/${february.id}`)).body;
+  assert.deepEqual(saved.lines.map(l => [l.type, l.amount]), [['subscription', 1000], ['credit', -500]]);
+  assert.equal(saved.summary.totalCharges, 1000);
+  assert.equal(saved.summary.creditApplied, 500);
+  assert.equal(saved.summary.grandTotal, 500);
+
+  // The credit is used up: the account now shows only what February still owes
+  assert.equal(await balanceOf(id), -500);
+  const preview = await owner.get(`/api/invoices/preview?customerId=${id}&year=2026&month=3`);
+  assert.equal(preview.body.summary.creditApplied, 0);
+
+  const ledger = await owner.get(`/api/customers/${id}/ledger`);
+  assert.equal(ledger.status, 200);
+  assert.equal(ledger.body.balance, -500);
+  assert.deepEqual(ledger.body.entries.map(e => [e.type, e.amount, e.balance]), [
+    ['invoice', -1000, -1000],
+    ['payment', 1500, 500],
+    ['invoice', -1000, -500]
+  ]);
+  assert.equal(ledger.body.entries[0].invoiceId, january.id);
+  assert.equal(ledger.body.entries[2].description, `Invoice ${february.invoiceNumber}`);
+});
+
+test('an advance counts for any month and an invoice it fully covers is issued as paid', async () => {
+  const id = await addCustomer('Ravi', '9000000002', 2000);
+  await owner.post('/api/advance').send({ customerId: id, month: 12, year: 2025, amount: 2500, date: '2025-12-01' });
+  assert.equal(await balanceOf(id), 2500);
+
+  const march = await invoiceFor(id, 3);
+  assert.equal(march.amount, 0);
+
+  const saved = (await owner.get(`/api/invoices/${march.id}`)).body;
+  assert.equal(saved.status, 'paid');
+  assert.ok(saved.paidAt);
+  assert.equal(saved.summary.creditApplied, 2000);
+
+  const april = await invoiceFor(id, 4);
+  assert.equal(april.amount, 1500);
+  assert.equal(await balanceOf(id), -1500);
+});
+
+test('deleting a payment or an advance takes its credit back off the account', async () => {
+  const id = await addCustomer('Meena', '9000000003', 1000);
+  const advance = (await owner.post('/api/advance').send({ customerId: id, month: 5, year: 2026, amount: 300, date: '2026-05-01' })).body.id;
+  const payment = (await owner.post('/api/payments').send({ customerId: id, amount: 200, mode: 'cash', date: '2026-05-02' })).body.id;
+  assert.equal(await balanceOf(id), 500);
+
+  await owner.delete(`/api/payments/${payment}`);
+  assert.equal(await balanceOf(id), 300);
+
+  await owner.delete(`/api/advance/${advance}`);
+  assert.equal(await balanceOf(id), 0);
+  assert.deepEqual((await owner.get(`/api/customers/${id}/ledger`)).body, { balance: 0, entries: [] });
+});
+
+test('returns 404 for the ledger of an unknown customer', async () => {
+  const res = await owner.get('/api/customers/cust_missing/ledger');
+  assert.equal(res.status, 404);
+});
+
+test('the migration opens accounts from existing advances, payments and invoices', async () => {
+  const id = await addCustomer('Kiran', '9000000004', 1000);
+
+  // Back to just before the ledger existed, when an advance only reduced its own month's invoice
+  const later = (await migrationStatus(db)).filter(m => m.applied && m.version >= '012');
+  await migrateDown(db, { steps: later.length });
+  await db.query('INSERT INTO advance_payments (id, customer_id, month, year, amount, date) VALUES (?, ?, ?, ?, ?, ?)',
+    ['adv_old', id, 6, 2026, 400, '2026-06-01']);
+  await db.query('INSERT INTO invoices (id, invoice_number, customer_id, month, year, amount, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    ['inv_old', 'INAS/2026-27/99999', id, 6, 2026, 600, '2026-07-01 10:00:00']);
+  await migrateUp(db);
+
+  const ledger = (await owner.get(`/api/customers/${id}/ledger`)).body;
+  assert.deepEqual(ledger.entries.map(e => [e.type, e.amount]), [['advance', 400], ['invoice', -1000]]);
+  assert.equal(ledger.balance, -600);
+  assert.equal(await balanceOf(id), -600);
+
+  // Nothing left over to apply: the advance went into June's invoice
+  const preview = await owner.get(`/api/invoices/preview?customerId=${id}&year=2026&month=7`);
+  assert.equal(preview.body.summary.creditApplied, 0);
+});
+
+test('the migration credits invoices marked paid before payments were recorded', async () => {
+  const id = await addCustomer('Lata', '9000000005', 1000);
+
+  const later = (await migrationStatus(db)).filter(m => m.applied && m.version >= '011');
+  await migrateDown(db, { steps: later.length });
+  await db.query("INSERT INTO invoices (id, invoice_number, customer_id, month, year, amount, status, paid_at, created_at) VALUES (?, ?, ?, ?, ?, ?, 'paid', ?, ?)",
+    ['inv_paid_old', 'INAS/2026-27/99998', id, 5, 2026, 1000, '2026-06-05 10:00:00', '2026-06-01 10:00:00']);
+  await migrateUp(db);
+
+  const ledger = (await owner.get(`/api/customers/${id}/ledger`)).body;
+  assert.deepEqual(ledger.entries.map(e => [e.type, e.amount]), [['invoice', -1000], ['payment', 1000]]);
+  assert.equal(ledger.balance, 0);
+  assert.equal(await balanceOf(id), 0);
+
+  // An advance paid now is credit for the next invoice, not for an old debt
+  await owner.post('/api/advance').send({ customerId: id, month: 7, year: 2026, amount: 500, date: '2026-07-01' });
+  const preview = await owner.get(`/api/invoices/preview?customerId=${id}&year=2026&month=7`);
+  assert.equal(preview.body.summary.creditApplied, 500);
+});
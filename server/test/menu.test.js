@@ -0,0 +1,62 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, createAdmin, login, as } = require('./helpers');
+
+let owner;
+let dataEntry;
+
+before(async () => {
+  await setup();
+  owner = as(await login());
+  await createAdmin({ email: 'entry@test.local', password: 'Entry@1234', role: 'data-entry' });
+  dataEntry = as(await login({ email: 'entry@test.local', password: 'Entry@1234' }));
+});
+
+test('creates, lists, updates and deletes a menu item', async () => {
+  const created = await owner.post('/api/menu').send({ name: 'Masala Dosa', category: 'breakfast', price: 60 });
+  assert.equal(created.status, 201);
+  const id = created.body.id;
+
+  let list = await owner.get('/api/menu');
+  let item = list.body.find(m => m.id === id);
+  assert.equal(item.price, 60);
+  assert.equal(item.available, true);
+
+  const updated = await owner.put(`/api/menu/${id}`).send({ price: 65.5, available: false });
+  assert.equal(updated.status, 200);
+
+  list = await owner.get('/api/menu');
+  item = list.body.find(m => m.id === id);
+  assert.equal(item.price, 65.5);
+  assert.equal(item.available, false);
+
+  assert.equal((await owner.delete(`/api/menu/${id}`)).status, 200);
+  list = await owner.get('/api/menu');
+  assert.equal(list.body.some(m => m.id === id), false);
+});
+
+test('lists items by category then name', async () => {
+  await owner.post('/api/menu').send({ name: 'Veg Thali', category: 'lunch', price: 90 });
+  await owner.post('/api/menu').send({ name: 'Chapati', category: 'dinner', price: 10 });
+  await owner.post('/api/menu').send({ name: 'Idli', category: 'breakfast', price: 40 });
+
+  const res = await owner.get('/api/menu');
+  assert.deepEqual(res.body.map(m => m.category), ['breakfast', 'dinner', 'lunch']);
+});
+
+test('rejects an unknown category and a negative price', async () => {
+  const res = await owner.post('/api/menu').send({ name: 'Tea', category: 'snacks', price: -5 });
+  assert.equal(res.status, 400);
+  assert.ok(res.body.error.fields.category);
+  assert.ok(res.body.error.fields.price);
+});
+
+test('returns 404 for an unknown menu item', async () => {
+  assert.equal((await owner.put('/api/menu/menu_missing').send({ price: 1 })).status, 404);
+  assert.equal((await owner.delete('/api/menu/menu_missing')).status, 404);
+});
+
+test('data-entry staff cannot change prices', async () => {
+  const res = await dataEntry.post('/api/menu').send({ name: 'Tea', category: 'breakfast', price: 15 });
+  assert.equal(res.status, 403);
+});
@@ -0,0 +1,169 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, createAdmin, login, as } = require('./helpers');
+const { todayInIndia } = require('../utils/time');
+
+let owner;
+let dataEntry;
+let asha;
+let ravi;
+
+// A saved invoice for a monthly-plan customer comes to exactly the plan amount
+async function invoiceFor(customerId, month) {
+  return (await owner.post('/api/invoices').send({ customerId, month, year: 2026 })).body;
+}
+
+const getInvoice = async (id) => (await owner.get(`/api/invoices/${id}`)).body;
+
+before(async () => {
+  await setup();
+  owner = as(await login());
+  await createAdmin({ email: 'entry@test.local', password: 'Entry@1234', role: 'data-entry' });
+  dataEntry = as(await login({ email: 'entry@test.local', password: 'Entry@1234' }));
+
+  asha = (await owner.post('/api/customers').send({ name: 'Asha', mobile: '9000000001', subscriptionType: 'monthly', dailyAmount: 3000 })).body.id;
+  ravi = (await owner.post('/api/customers').send({ name: 'Ravi', mobile: '9000000002', subscriptionType: 'monthly', dailyAmount: 2000 })).body.id;
+});
+
+test('a part payment leaves the invoice partially paid until the rest arrives', async () => {
+  const invoice = await invoiceFor(asha, 1);
+
+  const cash = await owner.post('/api/payments').send({
+    customerId: asha, amount: 1000, mode: 'cash', date: '2026-02-03',
+    allocations: [{ invoiceId: invoice.id, amount: 1000 }]
+  });
+  assert.equal(cash.status, 201);
+  assert.equal(cash.body.allocations.length, 1);
+  assert.equal(cash.body.unallocated, 0);
+
+  let saved = await getInvoice(invoice.id);
+  assert.equal(saved.status, 'partially_paid');
+  assert.equal(saved.amountPaid, 1000);
+  assert.equal(saved.balance, 2000);
+  assert.equal(saved.paidAt, null);
+
+  const outstanding = await owner.get('/api/invoices?status=outstanding');
+  assert.equal(Number(outstanding.body.find(i => i.id === invoice.id).balance), 2000);
+
+  await owner.post('/api/payments').send({
+    customerId: asha, amount: 2000, mode: 'upi', reference: 'UPI-88213', date: '2026-02-10',
+    allocations: [{ invoiceId: invoice.id, amount: 2000 }]
+  });
+
+  saved = await getInvoice(invoice.id);
+  assert.equal(saved.status, 'paid');
+  assert.equal(saved.balance, 0);
+  assert.ok(saved.paidAt);
+  assert.deepEqual(saved.payments.map(p => [p.mode, p.amount, p.reference]), [['cash', 1000, ''], ['upi', 2000, 'UPI-88213']]);
+});
+
+test('without allocations a payment settles the oldest invoices first and keeps the rest as credit', async () => {
+  const march = await invoiceFor(ravi, 3);
+  const feb = await invoiceFor(ravi, 2);
+
+  const res = await owner.post('/api/payments').send({ customerId: ravi, amount: 4500, mode: 'bank', date: '2026-04-01' });
+  assert.equal(res.status, 201);
+  assert.deepEqual(res.body.allocations.map(a => [a.invoice_id, Number(a.amount)]), [[feb.id, 2000], [march.id, 2000]]);
+  assert.equal(res.body.unallocated, 500);
+
+  assert.equal((await getInvoice(feb.id)).status, 'paid');
+  assert.equal((await getInvoice(march.id)).status, 'paid');
+
+  const listed = await owner.get(`/api/payments?customerId=${ravi}`);
+  assert.equal(listed.body.length, 1);
+  assert.equal(listed.body[0].customer_name, 'Ravi');
+});
+
+test('one payment can be split across invoices', async () => {
+  const may = await invoiceFor(asha, 5);
+  const june = await invoiceFor(asha, 6);
+
+  const res = await owner.post('/api/payments').send({
+    customerId: asha, amount: 3500, mode: 'card', date: '2026-07-01',
+    allocations: [{ invoiceId: may.id, amount: 3000 }, { invoiceId: june.id, amount: 500 }]
+  });
+  assert.equal(res.status, 201);
+
+  assert.equal((await getInvoice(may.id)).status, 'paid');
+  assert.equal((await getInvoice(june.id)).balance, 2500);
+
+  const forJune = await owner.get(`/api/payments?invoiceId=${june.id}`);
+  assert.deepEqual(forJune.body.map(p => p.id), [res.body.id]);
+});
+
+test('refuses to pay more than an invoice balance or allocate more than the payment', async () => {
+  const invoice = await invoiceFor(asha, 8);
+
+  const over = await owner.post('/api/payments').send({
+    customerId: asha, amount: 5000, mode: 'cash', date: '2026-09-01',
+    allocations: [{ invoiceId: invoice.id, amount: 3000.01 }]
+  });
+  assert.equal(over.status, 409);
+  assert.equal(over.body.error.code, 'OVERPAYMENT');
+
+  const split = await owner.post('/api/payments').send({
+    customerId: asha, amount: 100, mode: 'cash', date: '2026-09-01',
+    allocations: [{ invoiceId: invoice.id, amount: 200 }]
+  });
+  assert.equal(split.status, 400);
+  assert.ok(split.body.error.fields.allocations);
+
+  // Ravi's invoices can't be paid from Asha's payment
+  const other = await invoiceFor(ravi, 8);
+  const wrong = await owner.post('/api/payments').send({
+    customerId: asha, amount: 100, mode: 'cash', date: '2026-09-01',
+    allocations: [{ invoiceId: other.id, amount: 100 }]
+  });
+  assert.equal(wrong.status, 400);
+
+  const badMode = await owner.post('/api/payments').send({ customerId: asha, amount: 100, mode: 'cheque', date: '2026-09-01' });
+  assert.equal(badMode.status, 400);
+  assert.ok(badMode.body.error.fields.mode);
+
+  const badItem = await owner.post('/api/payments').send({
+    customerId: asha, amount: 100, mode: 'cash', date: '2026-09-01', allocations: [{ amount: 100 }]
+  });
+  assert.equal(badItem.status, 400);
+  assert.match(badItem.body.error.fields.allocations, /#1: Invoice is required/);
+
+  assert.equal((await getInvoice(invoice.id)).amountPaid, 0);
+});
+
+test('deleting a payment reopens the invoices it paid', async () => {
+  const invoice = await invoiceFor(asha, 10);
+  const payment = (await owner.post('/api/payments').send({ customerId: asha, amount: 3000, mode: 'upi', date: '2026-11-01', allocations: [{ invoiceId: invoice.id, amount: 3000 }] })).body;
+  assert.equal((await getInvoice(invoice.id)).status, 'paid');
+
+  const res = await owner.delete(`/api/payments/${payment.id}`);
+  assert.equal(res.status, 200);
+
+  const reopened = await getInvoice(invoice.id);
+  assert.equal(reopened.status, 'pending');
+  assert.equal(reopened.amountPaid, 0);
+  assert.equal(reopened.paidAt, null);
+
+  assert.equal((await owner.get(`/api/payments/${payment.id}`)).status, 404);
+});
+
+test('marking an invoice paid records a payment for the balance', async () => {
+  const invoice = await invoiceFor(asha, 11);
+  await owner.post('/api/payments').send({ customerId: asha, amount: 1200, mode: 'cash', date: '2026-12-01', allocations: [{ invoiceId: invoice.id, amount: 1200 }] });
+
+  const res = await owner.put(`/api/invoices/${invoice.id}/pay`).send({ mode: 'upi', notes: 'Rest by UPI' });
+  assert.equal(res.status, 200);
+
+  const saved = await getInvoice(invoice.id);
+  assert.equal(saved.status, 'paid');
+  assert.equal(saved.paymentNotes, 'Rest by UPI');
+  assert.deepEqual(saved.payments.map(p => [p.mode, p.amount]).sort(), [['cash', 1200], ['upi', 1800]]);
+  // Dated by the calendar in India, not the server's
+  assert.equal(saved.payments.find(p => p.mode === 'upi').date, todayInIndia());
+});
+
+test('only owners and managers record or delete payments', async () => {
+  const res = await dataEntry.post('/api/payments').send({ customerId: asha, amount: 100, mode: 'cash', date: '2026-12-01' });
+  assert.equal(res.status, 403);
+
+  const list = await dataEntry.get('/api/payments');
+  assert.equal(list.status, 200);
+});
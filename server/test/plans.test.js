@@ -0,0 +1,184 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, setup, createAdmin, login, as } = require('./helpers');
+const { migrateUp, migrateDown, migrationStatus } = require('../migrate');
+
+let owner;
+let dataEntry;
+
+const addPlan = (plan) => owner.post('/api/plans').send(plan);
+
+const addCustomer = async (fields) =>
+  (await owner.post('/api/customers').send({ mobile: '9000000001', startDate: '2026-01-01', ...fields })).body.id;
+
+const preview = async (customerId, year, month) =>
+  (await owner.get(`/api/invoices/preview?customerId=${customerId}&year=${year}&month=${month}`)).body;
+
+before(async () => {
+  await setup();
+  owner = as(await login());
+  await createAdmin({ email: 'entry@test.local', password: 'Entry@1234', role: 'data-entry' });
+  dataEntry = as(await login({ email: 'entry@test.local', password: 'Entry@1234' }));
+});
+
+test('creates, lists, renames and deletes plans', async () => {
+  const created = await addPlan({
+    name: 'Veg Lunch Monthly', subscriptionType: 'monthly', mealTimes: ['lunch'], dailyAmount: 2400, validFrom: '2026-01-01', validTo: '2026-12-31'
+  });
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body, {
+    id: created.body.id,
+    name: 'Veg Lunch Monthly',
+    description: '',
+    subscriptionType: 'monthly',
+    mealTimes: ['lunch'],
+    pricing: 'combination',
+    dailyAmount: 2400,
+    breakfastPrice: null,
+    lunchPrice: null,
+    dinnerPrice: null,
+    validFrom: '2026-01-01',
+    validTo: '2026-12-31',
+    subscribers: 0
+  });
+
+  const duplicate = await addPlan({ name: 'Veg Lunch Monthly', mealTimes: ['lunch'], dailyAmount: 100 });
+  assert.equal(duplicate.status, 409);
+  assert.equal(duplicate.body.error.code, 'PLAN_NAME_IN_USE');
+
+  const renamed = await owner.put(`/api/plans/${created.body.id}`).send({ name: 'Veg Lunch (Monthly)', validTo: null });
+  assert.equal(renamed.body.name, 'Veg Lunch (Monthly)');
+  assert.equal(renamed.body.validTo, null);
+
+  const backwards = await owner.put(`/api/plans/${created.body.id}`).send({ validTo: '2025-12-31' });
+  assert.equal(backwards.status, 400);
+  assert.ok(backwards.body.error.fields.validTo);
+
+  const list = await owner.get('/api/plans');
+  assert.deepEqual(list.body.map(p => p.name), ['Veg Lunch (Monthly)']);
+
+  assert.equal((await owner.delete(`/api/plans/${created.body.id}`)).status, 200);
+  assert.equal((await owner.get(`/api/plans/${created.body.id}`)).status, 404);
+});
+
+test('validates plan prices and only lets owners and managers manage plans', async () => {
+  const perMeal = await addPlan({ name: 'Thali', pricing: 'per_meal', mealTimes: ['lunch', 'dinner'], lunchPrice: 80 });
+  assert.equal(perMeal.status, 400);
+  assert.ok(perMeal.body.error.fields.dinnerPrice);
+
+  const noPrice = await addPlan({ name: 'Free', mealTimes: ['lunch'] });
+  assert.equal(noPrice.status, 400);
+  assert.ok(noPrice.body.error.fields.dailyAmount);
+
+  const ok = await addPlan({ name: 'Thali', pricing: 'per_meal', mealTimes: ['lunch', 'dinner'], lunchPrice: 80, dinnerPrice: 70 });
+  assert.equal(ok.body.dailyAmount, 150);
+
+  assert.equal((await dataEntry.post('/api/plans').send({ name: 'Other', mealTimes: ['lunch'], dailyAmount: 10 })).status, 403);
+  assert.equal((await dataEntry.get('/api/plans')).status, 200);
+});
+
+test('a customer on a plan takes its terms and the plan cannot be deleted while in use', async () => {
+  const plan = (await addPlan({ name: 'Breakfast Daily', mealTimes: ['breakfast'], dailyAmount: 60, validFrom: '2026-01-01' })).body;
+
+  const id = await addCustomer({ name: 'Asha', planId: plan.id, subscriptionType: 'monthly', dailyAmount: 999 });
+  const customer = (await owner.get(`/api/customers/${id}`)).body;
+  assert.equal(customer.planId, plan.id);
+  assert.equal(customer.subscriptionType, 'daily');
+  assert.equal(customer.dailyAmount, 60);
+  assert.deepEqual(customer.mealTimes, ['breakfast']);
+
+  assert.equal((await owner.get(`/api/plans/${plan.id}`)).body.subscribers, 1);
+  const inUse = await owner.delete(`/api/plans/${plan.id}`);
+  assert.equal(inUse.status, 409);
+  assert.equal(inUse.body.error.code, 'PLAN_IN_USE');
+
+  // Not on offer before it starts
+  const early = await owner.post('/api/customers').send({ name: 'Early', mobile: '9000000002', startDate: '2025-12-01', planId: plan.id });
+  assert.equal(early.status, 400);
+  assert.ok(early.body.error.fields.planId);
+
+  const missing = await owner.post('/api/customers').send({ name: 'Nobody', mobile: '9000000003', planId: 'plan_missing' });
+  assert.equal(missing.status, 400);
+  assert.ok(missing.body.error.fields.planId);
+});
+
+test('a price change moves every subscriber to the new price from its date', async () => {
+  const plan = (await addPlan({ name: 'Full Day', mealTimes: ['breakfast', 'lunch', 'dinner'], dailyAmount: 100 })).body;
+  const id = await addCustomer({ name: 'Ravi', planId: plan.id });
+
+  const change = await owner.post(`/api/plans/${plan.id}/price-changes`).send({ effectiveDate: '2026-03-15', dailyAmount: 120 });
+  assert.equal(change.status, 200);
+  assert.equal(change.body.customersUpdated, 1);
+  assert.equal(change.body.plan.dailyAmount, 120);
+  assert.equal((await owner.get(`/api/customers/${id}`)).body.dailyAmount, 120);
+
+  assert.equal((await preview(id, 2026, 2)).summary.grandTotal, 2800);
+
+  const march = await preview(id, 2026, 3);
+  assert.deepEqual(march.lines.filter(l => l.type === 'subscription').map(l => [l.description, l.quantity, l.unitPrice, l.amount]), [
+    ['Full Day 1 Mar – 14 Mar', 14, 100, 1400],
+    ['Full Day 15 Mar – 31 Mar', 17, 120, 2040]
+  ]);
+  assert.equal(march.summary.subscriptionDays, 31);
+  assert.equal(march.summary.dailyAmount, 120);
+  assert.equal(march.summary.grandTotal, 3440);
+
+  assert.equal((await owner.get(`/api/invoices/preview/daily?customerId=${id}&date=2026-03-14`)).body.summary.grandTotal, 100);
+  assert.equal((await owner.get(`/api/invoices/preview/daily?customerId=${id}&date=2026-03-15`)).body.summary.grandTotal, 120);
+
+  const history = (await owner.get(`/api/customers/${id}/plans`)).body;
+  assert.deepEqual(history.map(h => [h.planName, h.effectiveFrom, h.effectiveTo, h.dailyAmount]), [
+    ['Full Day', '2026-03-15', null, 120],
+    ['Full Day', '2026-01-01', '2026-03-14', 100]
+  ]);
+
+  const empty = await owner.post(`/api/plans/${plan.id}/price-changes`).send({ effectiveDate: '2026-04-01' });
+  assert.equal(empty.status, 400);
+});
+
+test('a monthly plan that changes price mid-month charges each price for its share of the month', async () => {
+  const plan = (await addPlan({ name: 'Monthly Thali', subscriptionType: 'monthly', mealTimes: ['lunch'], dailyAmount: 3100 })).body;
+  const id = await addCustomer({ name: 'Meena', planId: plan.id });
+  await owner.post(`/api/plans/${plan.id}/price-changes`).send({ effectiveDate: '2026-05-17', dailyAmount: 6200 });
+
+  const { lines, summary } = await preview(id, 2026, 5);
+  assert.deepEqual(lines.filter(l => l.type === 'subscription').map(l => [l.quantity, l.amount]), [[0.52, 1600], [0.48, 3000]]);
+  assert.equal(summary.grandTotal, 4600);
+  assert.equal((await preview(id, 2026, 6)).summary.grandTotal, 6200);
+});
+
+test('terms set by hand leave the plan and can start from a date or correct the current ones', async () => {
+  const plan = (await addPlan({ name: 'Lunch Only', mealTimes: ['lunch'], dailyAmount: 80 })).body;
+  const id = await addCustomer({ name: 'Kiran', planId: plan.id });
+
+  // A correction applies to every day of the current entry
+  await owner.put(`/api/customers/${id}`).send({ dailyAmount: 90 });
+  assert.equal((await owner.get(`/api/customers/${id}`)).body.planId, null);
+  assert.equal((await preview(id, 2026, 1)).summary.grandTotal, 31 * 90);
+
+  // A dated change starts a new entry
+  await owner.put(`/api/customers/${id}`).send({ dailyAmount: 100, effectiveDate: '2026-02-01' });
+  assert.equal((await preview(id, 2026, 1)).summary.grandTotal, 31 * 90);
+  assert.equal((await preview(id, 2026, 2)).summary.grandTotal, 28 * 100);
+
+  // Back on the plan from March
+  await owner.put(`/api/customers/${id}`).send({ planId: plan.id, effectiveDate: '2026-03-01' });
+  assert.equal((await preview(id, 2026, 3)).summary.grandTotal, 31 * 80);
+  assert.deepEqual((await owner.get(`/api/customers/${id}/plans`)).body.map(h => [h.effectiveFrom, h.planName, h.dailyAmount]), [
+    ['2026-03-01', 'Lunch Only', 80],
+    ['2026-02-01', null, 100],
+    ['2026-01-01', null, 90]
+  ]);
+});
+
+test('the migration opens a plan history for existing customers', async () => {
+  const later = (await migrationStatus(db)).filter(m => m.applied && m.version >= '015');
+  await migrateDown(db, { steps: later.length });
+  await db.query('INSERT INTO customers (id, name, mobile, subscription_type, daily_amount, meal_times, start_date) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    ['cust_old', 'Old', '9000000009', 'daily', 75, '["lunch"]', '2025-06-01']);
+  await migrateUp(db);
+
+  const history = (await owner.get('/api/customers/cust_old/plans')).body;
+  assert.deepEqual(history.map(h => [h.effectiveFrom, h.subscriptionType, h.dailyAmount, h.mealTimes]), [['2025-06-01', 'daily', 75, ['lunch']]]);
+  assert.equal((await preview('cust_old', 2026, 2)).summary.grandTotal, 28 * 75);
+});
@@ -0,0 +1,99 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { db, setup, login, as } = require('./helpers');
+const { migrateUp, migrateDown, migrationStatus } = require('../migrate');
+
+let owner;
+
+const addCustomer = async (fields) =>
+  (await owner.post('/api/customers').send({ mobile: '9000000001', mealTimes: ['lunch'], ...fields })).body.id;
+
+const preview = async (customerId, year, month) =>
+  (await owner.get(`/api/invoices/preview?customerId=${customerId}&year=${year}&month=${month}`)).body;
+
+const subscription = (bill) => bill.lines.filter(l => l.type === 'subscription').map(l => [l.description, l.quantity, l.amount]);
+
+before(async () => {
+  await setup();
+  owner = as(await login());
+});
+
+test('a monthly plan that starts mid-month pays for the days from its start', async () => {
+  const id = await addCustomer({ name: 'Asha', subscriptionType: 'monthly', dailyAmount: 3100, startDate: '2026-03-20' });
+
+  const march = await preview(id, 2026, 3);
+  assert.deepEqual(subscription(march), [['Monthly subscription 20 Mar – 31 Mar', 0.39, 1200]]);
+  assert.equal(march.summary.grandTotal, 1200);
+
+  assert.deepEqual(subscription(await preview(id, 2026, 4)), [['Monthly subscription', 1, 3100]]);
+});
+
+test('days a customer is paused are not charged', async () => {
+  const id = await addCustomer({ name: 'Ravi', subscriptionType: 'daily', dailyAmount: 100, startDate: '2026-01-01' });
+  await owner.put(`/api/customers/${id}`).send({ status: 'paused', effectiveDate: '2026-02-10' });
+  await owner.put(`/api/customers/${id}`).send({ status: 'active', effectiveDate: '2026-02-20' });
+
+  const february = await preview(id, 2026, 2);
+  assert.deepEqual(subscription(february), [
+    ['Daily subscription 1 Feb – 9 Feb', 9, 900],
+    ['Daily subscription 20 Feb – 28 Feb', 9, 900]
+  ]);
+  assert.equal(february.summary.grandTotal, 1800);
+
+  const paused = await owner.get(`/api/invoices/preview/daily?customerId=${id}&date=2026-02-15`);
+  assert.equal(paused.body.summary.subscriptionTotal, 0);
+
+  const history = (await owner.get(`/api/customers/${id}/status-history`)).body;
+  assert.deepEqual(history.map(h => [h.status, h.effectiveFrom, h.effectiveTo]), [
+    ['active', '2026-02-20', null],
+    ['paused', '2026-02-10', '2026-02-19']
+  ]);
+
+  // Saving the same status again records nothing
+  await owner.put(`/api/customers/${id}`).send({ status: 'active' });
+  assert.equal((await owner.get(`/api/customers/${id}/status-history`)).body.length, 2);
+});
+
+test('a pause without a date starts today and a customer added paused is never charged', async () => {
+  const today = new Date().toISOString().slice(0, 10);
+  const id = await addCustomer({ name: 'Meena', subscriptionType: 'daily', dailyAmount: 100, startDate: '2026-01-01' });
+  await owner.put(`/api/customers/${id}`).send({ status: 'paused' });
+  assert.deepEqual((await owner.get(`/api/customers/${id}/status-history`)).body.map(h => [h.status, h.effectiveFrom]), [['paused', today]]);
+
+  const idle = await addCustomer({ name: 'Idle', subscriptionType: 'monthly', dailyAmount: 3000, startDate: '2026-01-01', status: 'paused' });
+  assert.equal((await preview(idle, 2026, 1)).summary.subscriptionTotal, 0);
+});
+
+test('pauses and plan changes in one month each get their own prorated line', async () => {
+  const id = await addCustomer({ name: 'Kiran', subscriptionType: 'monthly', dailyAmount: 3000, startDate: '2026-06-01' });
+  await owner.put(`/api/customers/${id}`).send({ status: 'paused', effectiveDate: '2026-06-11' });
+  await owner.put(`/api/customers/${id}`).send({ status: 'active', dailyAmount: 6000, effectiveDate: '2026-06-21' });
+  await owner.post(`/api/customers/${id}/leaves`).send({ startDate: '2026-06-12', endDate: '2026-06-22' });
+
+  const june = await preview(id, 2026, 6);
+  assert.deepEqual(subscription(june), [
+    ['Monthly subscription 1 Jun – 10 Jun', 0.33, 1000],
+    ['Monthly subscription 21 Jun – 30 Jun', 0.33, 2000]
+  ]);
+  // Only the leave days the customer was active come off, at that period's rate
+  assert.deepEqual(june.lines.filter(l => l.type === 'leave').map(l => [l.description, l.amount]), [['Leave 21 Jun – 22 Jun', -400]]);
+  assert.equal(june.summary.grandTotal, 2600);
+
+  // Saved invoices keep the lines
+  const created = await owner.post('/api/invoices').send({ customerId: id, month: 6, year: 2026 });
+  const saved = (await owner.get(`/api/invoices/${created.body.id}`)).body;
+  assert.deepEqual(subscription(saved), subscription(june));
+  assert.equal(saved.summary.grandTotal, 2600);
+});
+
+test('the migration records customers already paused as paused from their last update', async () => {
+  const later = (await migrationStatus(db)).filter(m => m.applied && m.version >= '016');
+  await migrateDown(db, { steps: later.length });
+  await db.query('INSERT INTO customers (id, name, mobile, subscription_type, daily_amount, meal_times, start_date, status, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+    ['cust_paused', 'Paused', '9000000009', 'daily', 100, '["lunch"]', '2026-01-01', 'paused', '2026-03-16 09:30:00']);
+  await migrateUp(db);
+
+  const history = (await owner.get('/api/customers/cust_paused/status-history')).body;
+  assert.deepEqual(history.map(h => [h.status, h.effectiveFrom]), [['paused', '2026-03-16']]);
+  assert.equal((await preview('cust_paused', 2026, 3)).summary.subscriptionTotal, 1500);
+});
@@ -0,0 +1,156 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, createAdmin, login, as } = require('./helpers');
+
+let owner;
+let manager;
+
+const GSTIN = '27ABCDE1234F1Z5';
+
+const setTax = (settings) => owner.put('/api/settings/tax').send(settings);
+
+const addCustomer = async (fields) =>
+  (await owner.post('/api/customers').send({ mobile: '9000000001', subscriptionType: 'daily', dailyAmount: 100, mealTimes: ['lunch'], startDate: '2026-01-01', ...fields })).body.id;
+
+const preview = async (customerId, year, month) =>
+  (await owner.get(`/api/invoices/preview?customerId=${customerId}&year=${year}&month=${month}`)).body;
+
+before(async () => {
+  await setup();
+  owner = as(await login());
+  await createAdmin({ email: 'manager@test.local', password: 'Manager@1234', role: 'manager' });
+  manager = as(await login({ email: 'manager@test.local', password: 'Manager@1234' }));
+});
+
+test('tax settings start unregistered and only the owner changes them', async () => {
+  assert.deepEqual((await owner.get('/api/settings/tax')).body, {
+    gstin: null, legalName: '', defaultRate: 0, pricesIncludeTax: false, sacCode: '996331'
+  });
+
+  const invalid = await setTax({ gstin: '27ABCDE1234' });
+  assert.equal(invalid.status, 400);
+  assert.ok(invalid.body.error.fields.gstin);
+  assert.equal((await setTax({ defaultRate: 40 })).status, 400);
+
+  assert.equal((await manager.put('/api/settings/tax').send({ defaultRate: 5 })).status, 403);
+
+  const saved = await setTax({ gstin: GSTIN, legalName: 'Ina’s Cafe', defaultRate: 5 });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body.gstin, GSTIN);
+  assert.equal(saved.body.defaultRate, 5);
+  assert.equal(saved.body.sacCode, '996331');
+  assert.equal((await manager.get('/api/settings/tax')).body.legalName, 'Ina’s Cafe');
+});
+
+test('supply within the state splits each rate into CGST and SGST on top of the prices', async () => {
+  await setTax({ gstin: GSTIN, defaultRate: 5, pricesIncludeTax: false });
+  const juice = (await owner.post('/api/menu').send({ name: 'Juice', category: 'lunch', price: 50, taxRate: 18, hsnCode: '2202' })).body.id;
+  const menu = (await owner.get('/api/menu')).body.find(m => m.id === juice);
+  assert.equal(menu.taxRate, 18);
+  assert.equal(menu.hsnCode, '2202');
+
+  const id = await addCustomer({ name: 'Asha' });
+  await owner.post('/api/extras').send({ customerId: id, date: '2026-02-03', mealType: 'lunch', price: 50, menuItemId: juice });
+  await owner.post('/api/extras').send({ customerId: id, date: '2026-02-04', mealType: 'lunch', price: 30 });
+
+  const bill = await preview(id, 2026, 2);
+  assert.deepEqual(bill.tax, {
+    sellerGstin: GSTIN, sellerName: 'Ina’s Cafe', buyerGstin: null, placeOfSupply: '27', interstate: false, pricesIncludeTax: false
+  });
+  assert.deepEqual(bill.lines.map(l => [l.description, l.hsnCode, l.taxRate, l.taxableValue, l.taxAmount]), [
+    ['Daily subscription', '996331', 5, 2800, 140],
+    ['Juice', '2202', 18, 50, 9],
+    ['Item', '996331', 5, 30, 1.5]
+  ]);
+  assert.deepEqual(bill.summary.taxes, [
+    { hsnCode: '996331', rate: 5, taxableValue: 2830, cgst: 70.75, sgst: 70.75, igst: 0, taxAmount: 141.5 },
+    { hsnCode: '2202', rate: 18, taxableValue: 50, cgst: 4.5, sgst: 4.5, igst: 0, taxAmount: 9 }
+  ]);
+  assert.equal(bill.summary.cgstTotal, 75.25);
+  assert.equal(bill.summary.sgstTotal, 75.25);
+  assert.equal(bill.summary.igstTotal, 0);
+  assert.equal(bill.summary.taxTotal, 150.5);
+  assert.equal(bill.summary.totalCharges, 3030.5);
+  assert.equal(bill.summary.grandTotal, 3030.5);
+
+  const day = (await owner.get(`/api/invoices/preview/daily?customerId=${id}&date=2026-02-03`)).body;
+  assert.equal(day.summary.taxTotal, 14);
+  assert.equal(day.summary.grandTotal, 164);
+});
+
+test('supply to another state is IGST and prices can include the tax', async () => {
+  await setTax({ gstin: GSTIN, defaultRate: 5, pricesIncludeTax: true });
+  const id = await addCustomer({ name: 'Bengaluru Office', gstin: '29AAACB1234C1Z2' });
+  assert.equal((await owner.get(`/api/customers/${id}`)).body.gstin, '29AAACB1234C1Z2');
+
+  const bill = await preview(id, 2026, 2);
+  assert.equal(bill.tax.placeOfSupply, '29');
+  assert.equal(bill.tax.interstate, true);
+  assert.equal(bill.tax.buyerGstin, '29AAACB1234C1Z2');
+  assert.deepEqual(bill.summary.taxes, [
+    { hsnCode: '996331', rate: 5, taxableValue: 2666.67, cgst: 0, sgst: 0, igst: 133.33, taxAmount: 133.33 }
+  ]);
+  assert.equal(bill.summary.totalCharges, 2800);
+
+  // A state set on the customer is the place of supply
+  await owner.put(`/api/customers/${id}`).send({ stateCode: '27' });
+  assert.equal((await preview(id, 2026, 2)).tax.interstate, false);
+});
+
+test('leave takes its tax off too', async () => {
+  await setTax({ gstin: GSTIN, defaultRate: 5, pricesIncludeTax: false });
+  const id = await addCustomer({ name: 'Ravi' });
+  await owner.post(`/api/customers/${id}/leaves`).send({ startDate: '2026-02-10', endDate: '2026-02-14' });
+
+  const { lines, summary } = await preview(id, 2026, 2);
+  assert.deepEqual(lines.filter(l => l.type === 'leave').map(l => [l.amount, l.taxAmount]), [[-500, -25]]);
+  assert.equal(summary.taxTotal, 115);
+  assert.equal(summary.grandTotal, 2415);
+});
+
+test('a discount takes tax off at the rates of what it was taken from', async () => {
+  await setTax({ gstin: GSTIN, defaultRate: 5, pricesIncludeTax: false });
+  const lassi = (await owner.post('/api/menu').send({ name: 'Lassi', category: 'lunch', price: 200, taxRate: 18, hsnCode: '0403' })).body.id;
+  const id = await addCustomer({ name: 'Kiran' });
+  await owner.post('/api/discounts').send({ name: 'Regular', kind: 'percent', value: 10, customerId: id });
+  await owner.post('/api/extras').send({ customerId: id, date: '2026-02-05', mealType: 'lunch', price: 200, menuItemId: lassi });
+
+  const bill = await preview(id, 2026, 2);
+  assert.deepEqual(bill.lines.filter(l => l.type === 'discount').map(l => [l.hsnCode, l.taxRate, l.amount, l.taxAmount]), [
+    ['996331', 5, -280, -14],
+    ['0403', 18, -20, -3.6]
+  ]);
+  assert.deepEqual(bill.summary.taxes, [
+    { hsnCode: '996331', rate: 5, taxableValue: 2520, cgst: 63, sgst: 63, igst: 0, taxAmount: 126 },
+    { hsnCode: '0403', rate: 18, taxableValue: 180, cgst: 16.2, sgst: 16.2, igst: 0, taxAmount: 32.4 }
+  ]);
+  assert.equal(bill.summary.discountTotal, 300);
+  assert.equal(bill.summary.grandTotal, 2858.4);
+
+  // The daily preview splits it the same way
+  const day = (await owner.get(`/api/invoices/preview/daily?customerId=${id}&date=2026-02-05`)).body;
+  assert.deepEqual(day.lines.filter(l => l.type === 'discount').map(l => [l.taxRate, l.amount, l.taxAmount]), [[5, -10, -0.5], [18, -20, -3.6]]);
+  assert.equal(day.summary.taxTotal, 36.9);
+});
+
+test('saved invoices keep the tax they were issued with', async () => {
+  await setTax({ gstin: GSTIN, defaultRate: 5, pricesIncludeTax: false });
+  const id = await addCustomer({ name: 'Meena' });
+  const created = await owner.post('/api/invoices').send({ customerId: id, month: 3, year: 2026 });
+  assert.equal(created.body.amount, 3255);
+
+  await setTax({ defaultRate: 12, gstin: null });
+  assert.equal((await preview(id, 2026, 3)).summary.taxTotal, 0);
+
+  const saved = (await owner.get(`/api/invoices/${created.body.id}`)).body;
+  assert.equal(saved.tax.sellerGstin, GSTIN);
+  assert.equal(saved.tax.interstate, false);
+  assert.deepEqual(saved.lines.map(l => [l.hsnCode, l.taxRate, l.taxableValue, l.taxAmount]), [['996331', 5, 3100, 155]]);
+  assert.equal(saved.summary.cgstTotal, 77.5);
+  assert.equal(saved.summary.sgstTotal, 77.5);
+  assert.equal(saved.summary.grandTotal, 3255);
+
+  // The account is debited with the tax
+  const ledger = (await owner.get(`/api/customers/${id}/ledger`)).body;
+  assert.equal(ledger.balance, -3255);
+});
@@ -0,0 +1,30 @@
+const auditLog = require('../repositories/auditLog');
+const { createId } = require('./ids');
+
+/**
+ * Record a data mutation in the audit log.
+ * @param {object} req - Express request (provides the acting admin and IP)
+ * @param {object} entry - { action: 'create'|'update'|'delete', entity, entityId, before, after }
+ */
+async function recordAudit(req, { action, entity, entityId, before = null, after = null }) {
+  const admin = req.admin || {};
+
+  try {
+    await auditLog.create({
+      id: createId('aud'),
+      adminId: admin.id,
+      adminEmail: admin.email,
+      action,
+      entity,
+      entityId,
+      before,
+      after,
+      ipAddress: req.ip
+    });
+  } catch (error) {
+    // Never fail the user's request because the audit write failed
+    console.error('Audit log write failed:', error.message);
+  }
+}
+
+module.exports = { recordAudit };
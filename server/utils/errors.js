@@ -0,0 +1,75 @@
+/**
+ * Typed API errors. Throw these from routes and middleware; the central
+ * error handler turns them into the response envelope:
+ *   { error: { code, message, requestId, fields?, ...details } }
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - safe to show to the user
+   * @param {object} [options] { status, code, fields, details }
+   */
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', fields = null, details = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.fields = fields;
+    this.details = details;
+  }
+}
+
+// 400 - the request itself is wrong (bad state, wrong password, ...)
+class BadRequestError extends AppError {
+  constructor(message, { code = 'BAD_REQUEST', details } = {}) {
+    super(message, { status: 400, code, details });
+  }
+}
+
+// 400 - payload failed schema validation; fields = { field: message }
+class ValidationError extends AppError {
+  constructor(message, fields = null) {
+    super(message, { status: 400, code: 'VALIDATION_FAILED', fields });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Not authorized', { code = 'UNAUTHORIZED' } = {}) {
+    super(message, { status: 401, code });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'You do not have permission to perform this action', { code = 'FORBIDDEN' } = {}) {
+    super(message, { status: 403, code });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Not found', { code = 'NOT_FOUND' } = {}) {
+    super(message, { status: 404, code });
+  }
+}
+
+// 409 - clashes with existing data (duplicate email, invoice already paid, ...)
+class ConflictError extends AppError {
+  constructor(message, { code = 'CONFLICT' } = {}) {
+    super(message, { status: 409, code });
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  constructor(message, { code = 'TOO_MANY_REQUESTS', details } = {}) {
+    super(message, { status: 429, code, details });
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError
+};
@@ -0,0 +1,7 @@
+const crypto = require('crypto');
+
+// Prefixed ids like `aud_1737712345678_9f3a2b1c`; the random suffix keeps ids
+// unique when several rows are created in the same millisecond
+const createId = (prefix) => `${prefix}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+module.exports = { createId };
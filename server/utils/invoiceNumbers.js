@@ -0,0 +1,19 @@
+// Human-readable invoice numbers such as INAS/2026-27/00042: a prefix, the
+// Indian financial year (1 April - 31 March) and a gapless sequence that
+// restarts every financial year.
+
+const PREFIX = process.env.INVOICE_NUMBER_PREFIX || 'INAS';
+const DIGITS = parseInt(process.env.INVOICE_NUMBER_DIGITS) || 5;
+
+const yearMonthInIndia = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Kolkata', year: 'numeric', month: '2-digit' });
+
+// Financial year a moment falls in, by the calendar date in India: '2026-27'
+function financialYear(date = new Date()) {
+  const parts = Object.fromEntries(yearMonthInIndia.formatToParts(date).map(p => [p.type, p.value]));
+  const start = Number(parts.month) >= 4 ? Number(parts.year) : Number(parts.year) - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+const formatInvoiceNumber = (fy, sequence) => `${PREFIX}/${fy}/${String(sequence).padStart(DIGITS, '0')}`;
+
+module.exports = { financialYear, formatInvoiceNumber };
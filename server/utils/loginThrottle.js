@@ -0,0 +1,75 @@
+const loginAttempts = require('../repositories/loginAttempts');
+const { createId } = require('./ids');
+const { toDbDateTime, fromDbDateTime } = require('./time');
+
+const MAX_ATTEMPTS_PER_EMAIL = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const MAX_ATTEMPTS_PER_IP = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20;
+const LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Failed attempts inside the lockout window, newest first. For an email they
+// stop at its last success; an IP's keep counting, or one good login would
+// clear the way to go on guessing other accounts
+async function recentFailures(by, value) {
+  const since = toDbDateTime(new Date(Date.now() - LOCKOUT_MS));
+  const rows = await loginAttempts.findSince(by, value, since);
+
+  const failures = [];
+  for (const row of rows) {
+    if (row.success) {
+      if (by === 'email') break;
+      continue;
+    }
+    failures.push(fromDbDateTime(row.attempted_at));
+  }
+  return failures;
+}
+
+// A lock lasts LOCKOUT_MS from the failure that reached the limit
+function lockFrom(failures, max) {
+  if (failures.length < max) return null;
+  const lockedUntil = new Date(failures[0].getTime() + LOCKOUT_MS);
+  return lockedUntil > new Date() ? lockedUntil : null;
+}
+
+/**
+ * Check whether logins for this email or from this IP are locked.
+ * @returns {Promise<object>} { locked, lockedUntil, retryAfter (seconds), attemptsRemaining }
+ */
+async function getLoginStatus(email, ip) {
+  const emailFailures = await recentFailures('email', normalizeEmail(email));
+  const ipFailures = ip ? await recentFailures('ip', ip) : [];
+
+  const locks = [lockFrom(emailFailures, MAX_ATTEMPTS_PER_EMAIL), lockFrom(ipFailures, MAX_ATTEMPTS_PER_IP)]
+    .filter(Boolean);
+  const lockedUntil = locks.length > 0 ? new Date(Math.max(...locks)) : null;
+
+  return {
+    locked: !!lockedUntil,
+    lockedUntil,
+    retryAfter: lockedUntil ? Math.ceil((lockedUntil - Date.now()) / 1000) : 0,
+    attemptsRemaining: Math.max(0, Math.min(
+      MAX_ATTEMPTS_PER_EMAIL - emailFailures.length,
+      MAX_ATTEMPTS_PER_IP - ipFailures.length
+    ))
+  };
+}
+
+async function recordLoginAttempt(email, ip, success) {
+  await loginAttempts.create({
+    id: createId('att'),
+    email: normalizeEmail(email),
+    ipAddress: ip || null,
+    success,
+    attemptedAt: toDbDateTime()
+  });
+
+  // Housekeeping: old attempts no longer affect any lockout
+  if (success) {
+    await loginAttempts.deleteBefore(toDbDateTime(new Date(Date.now() - RETENTION_MS)));
+  }
+}
+
+module.exports = { getLoginStatus, recordLoginAttempt };
@@ -0,0 +1,8 @@
+// Amounts are rupees with two decimals (paise). Round after every operation
+// so float noise (0.1 + 0.2) never reaches the database or a comparison.
+
+const money = (value) => Math.round(Number(value) * 100) / 100;
+
+const sum = (values) => money(values.reduce((total, value) => total + Number(value), 0));
+
+module.exports = { money, sum };
@@ -0,0 +1,19 @@
+const bcrypt = require('bcryptjs');
+
+const SALT_ROUNDS = 10;
+
+// bcrypt hashes look like $2a$10$... / $2b$... / $2y$...
+const isHashed = (value) => /^\$2[aby]\$\d{2}\$/.test(value || '');
+
+const hashPassword = (password) => bcrypt.hash(password, SALT_ROUNDS);
+
+// Accepts both bcrypt hashes and legacy plain-text rows
+async function verifyPassword(password, stored) {
+  if (!stored) return false;
+  if (isHashed(stored)) {
+    return bcrypt.compare(password, stored);
+  }
+  return password === stored;
+}
+
+module.exports = { isHashed, hashPassword, verifyPassword };
@@ -0,0 +1,26 @@
+const { money, sum } = require('./money');
+
+// Price rules shared by customers and the plan catalogue
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner'];
+const priceField = (meal) => `${meal}Price`;
+
+/**
+ * Check the prices of a set of plan terms. Per-meal pricing needs a price for
+ * every meal the terms include (all meals when none are listed), and its
+ * dailyAmount is the sum of those prices.
+ * @param {Object} terms - { pricing, mealTimes, breakfastPrice, lunchPrice, dinnerPrice } (API names)
+ * @returns {Object} { fields: { field: message } for missing prices, changes: { dailyAmount } for per-meal pricing }
+ */
+function checkMealPrices(terms) {
+  const fields = {};
+  if (terms.pricing !== 'per_meal') return { fields, changes: {} };
+
+  const meals = terms.mealTimes && terms.mealTimes.length > 0 ? terms.mealTimes : MEAL_TYPES;
+  meals.filter(meal => terms[priceField(meal)] === null || terms[priceField(meal)] === undefined).forEach(meal => {
+    fields[priceField(meal)] = `${meal.charAt(0).toUpperCase()}${meal.slice(1)} price is required for per-meal pricing`;
+  });
+  return { fields, changes: { dailyAmount: money(sum(meals.map(meal => terms[priceField(meal)] || 0))) } };
+}
+
+module.exports = { MEAL_TYPES, priceField, checkMealPrices };
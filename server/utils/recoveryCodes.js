@@ -0,0 +1,45 @@
+const crypto = require('crypto');
+const recoveryCodes = require('../repositories/recoveryCodes');
+const { createId } = require('./ids');
+const { toDbDateTime } = require('./time');
+
+// Single-use backup codes for when the authenticator app is unavailable.
+// Only SHA-256 hashes are stored; the plain codes are shown once.
+const RECOVERY_CODE_COUNT = 10;
+
+const normalize = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const hashCode = (code) => crypto.createHash('sha256').update(normalize(code)).digest('hex');
+
+// Looks like "3f9a1-c07e2"
+const generateCode = () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+};
+
+// Replace any existing codes and return the new plain-text codes
+async function replaceRecoveryCodes(adminId) {
+  await recoveryCodes.removeAllForAdmin(adminId);
+
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateCode);
+  for (const code of codes) {
+    await recoveryCodes.create({ id: createId('rec'), adminId, codeHash: hashCode(code), createdAt: toDbDateTime() });
+  }
+  return codes;
+}
+
+// Mark a code as used; false if it is unknown or already used
+async function useRecoveryCode(adminId, code) {
+  if (normalize(code).length !== 10) return false;
+
+  return recoveryCodes.markUsed(adminId, hashCode(code), toDbDateTime());
+}
+
+async function countRecoveryCodes(adminId) {
+  return recoveryCodes.countUnused(adminId);
+}
+
+async function deleteRecoveryCodes(adminId) {
+  await recoveryCodes.removeAllForAdmin(adminId);
+}
+
+module.exports = { replaceRecoveryCodes, useRecoveryCode, countRecoveryCodes, deleteRecoveryCodes };
@@ -0,0 +1,71 @@
+const sessions = require('../repositories/sessions');
+const { createId } = require('./ids');
+const { toDbDateTime, fromDbDateTime } = require('./time');
+
+// Server-enforced timeouts: idle since the last request, and absolute since login
+const IDLE_TIMEOUT_MS = (parseInt(process.env.SESSION_IDLE_MINUTES) || 15) * 60 * 1000;
+const ABSOLUTE_TIMEOUT_MS = (parseInt(process.env.SESSION_MAX_HOURS) || 12) * 60 * 60 * 1000;
+
+// Only write last_seen_at once a minute, not on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Start a session for a freshly authenticated admin.
+ * @returns {Promise<string>} the session id (carried in the JWT as "sid")
+ */
+async function createSession(adminId, req) {
+  const id = createId('ses');
+  const now = new Date();
+
+  await sessions.create({
+    id,
+    adminId,
+    userAgent: (req.headers['user-agent'] || '').slice(0, 255) || null,
+    ipAddress: req.ip || null,
+    createdAt: toDbDateTime(now),
+    lastSeenAt: toDbDateTime(now),
+    expiresAt: toDbDateTime(new Date(now.getTime() + ABSOLUTE_TIMEOUT_MS))
+  });
+  return id;
+}
+
+/**
+ * Load a session with its admin's current email and role.
+ * Returns null when the session is unknown, revoked, idle or past its absolute timeout.
+ */
+async function getActiveSession(id) {
+  const session = await sessions.findWithAdmin(id);
+  if (!session || session.revoked_at) return null;
+
+  const now = Date.now();
+  const lastSeen = fromDbDateTime(session.last_seen_at).getTime();
+  if (fromDbDateTime(session.expires_at).getTime() <= now || lastSeen + IDLE_TIMEOUT_MS <= now) {
+    return null;
+  }
+
+  if (now - lastSeen >= TOUCH_INTERVAL_MS) {
+    await sessions.touch(id, toDbDateTime(new Date(now)));
+  }
+  return session;
+}
+
+// Sessions that can still be used, newest activity first
+async function listActiveSessions(adminId = null) {
+  const now = new Date();
+  return sessions.findActive({
+    now: toDbDateTime(now),
+    seenAfter: toDbDateTime(new Date(now.getTime() - IDLE_TIMEOUT_MS)),
+    adminId
+  });
+}
+
+async function revokeSession(id) {
+  await sessions.revoke(id, toDbDateTime());
+}
+
+// Log an admin out everywhere (after a password change or reset)
+async function revokeAllSessions(adminId) {
+  await sessions.revokeAllForAdmin(adminId, toDbDateTime());
+}
+
+module.exports = { createSession, getActiveSession, listActiveSessions, revokeSession, revokeAllSessions };
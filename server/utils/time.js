@@ -0,0 +1,34 @@
+// DATETIME values written by the API itself (attempts, expiries, ...) are
+// stored as UTC wall-clock strings so comparisons never depend on the
+// MySQL server or Node process timezone.
+
+// Date -> 'YYYY-MM-DD HH:MM:SS' (UTC)
+const toDbDateTime = (date = new Date()) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+// DB value -> Date. mysql2 parses DATETIME columns as local time, so read the
+// wall-clock components back and treat them as UTC.
+function fromDbDateTime(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return new Date(Date.UTC(
+      value.getFullYear(), value.getMonth(), value.getDate(),
+      value.getHours(), value.getMinutes(), value.getSeconds()
+    ));
+  }
+  return new Date(String(value).replace(' ', 'T') + 'Z');
+}
+
+// DATE column -> 'YYYY-MM-DD'. mysql2 returns DATE as local midnight, SQLite as text.
+function toDateKey(value) {
+  if (value instanceof Date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value).slice(0, 10);
+}
+
+// The calendar date in India, where the cafe is, whatever the server's timezone: 'YYYY-MM-DD'
+const dateInIndia = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Kolkata', year: 'numeric', month: '2-digit', day: '2-digit' });
+const todayInIndia = (date = new Date()) => dateInIndia.format(date);
+
+module.exports = { toDbDateTime, fromDbDateTime, toDateKey, todayInIndia };
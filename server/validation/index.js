@@ -0,0 +1,170 @@
+/**
+ * Schema-based request validation shared by every router.
+ *
+ * A schema maps field names to rules:
+ *   type       'string' | 'email' | 'number' | 'integer' | 'boolean' | 'date' | 'enum' | 'array'
+ *   required   must be present and non-empty (on partial updates: only if sent)
+ *   nullable   an empty value (null or '') clears the field to null instead of being ignored
+ *   min, max   numeric bounds; positive: true for > 0
+ *   minLength, maxLength, pattern   string checks
+ *   values     allowed values for 'enum', or for each item of an 'array'
+ *   items      schema for each object in an 'array'
+ *   label      name used in messages (defaults to the field name in words)
+ *   message    custom message for a format error
+ *
+ * On success the request body (or query) is replaced with the cleaned values:
+ * unknown fields are dropped, strings trimmed and numbers coerced.
+ * On failure it passes a ValidationError (400 VALIDATION_FAILED with
+ * fields: { field: message }) to the error handler.
+ */
+const { ValidationError } = require('../utils/errors');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(T.*)?$/;
+
+// dailyAmount -> "Daily amount"
+const humanize = (field) => {
+  const words = field.replace(/([A-Z])/g, ' $1').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+function isValidDate(text) {
+  const match = DATE_PATTERN.exec(text);
+  if (!match) return false;
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * Check one value against its rule.
+ * @returns {object} { value } when valid, { error } otherwise
+ */
+function checkValue(rule, raw, label) {
+  const formatError = (fallback) => ({ error: rule.message || fallback });
+
+  switch (rule.type) {
+    case 'string':
+    case 'email': {
+      if (typeof raw !== 'string' && typeof raw !== 'number') return { error: `${label} must be text` };
+      const value = String(raw).trim();
+      if (rule.minLength && value.length < rule.minLength) return formatError(`${label} must be at least ${rule.minLength} characters long`);
+      if (rule.maxLength && value.length > rule.maxLength) return { error: `${label} must be at most ${rule.maxLength} characters long` };
+      if (rule.type === 'email' && !EMAIL_PATTERN.test(value)) return formatError(`${label} must be a valid email address`);
+      if (rule.pattern && !rule.pattern.test(value)) return formatError(`${label} is not valid`);
+      return { value };
+    }
+
+    case 'number':
+    case 'integer': {
+      const value = typeof raw === 'string' ? Number(raw.trim()) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: `${label} must be a number` };
+      if (rule.type === 'integer' && !Number.isInteger(value)) return { error: `${label} must be a whole number` };
+      if (rule.positive && value <= 0) return { error: `${label} must be greater than 0` };
+      if (rule.min !== undefined && value < rule.min) return { error: `${label} must be at least ${rule.min}` };
+      if (rule.max !== undefined && value > rule.max) return { error: `${label} must be at most ${rule.max}` };
+      return { value };
+    }
+
+    case 'boolean': {
+      if (raw === true || raw === 'true' || raw === 1 || raw === '1') return { value: true };
+      if (raw === false || raw === 'false' || raw === 0 || raw === '0') return { value: false };
+      return { error: `${label} must be true or false` };
+    }
+
+    case 'date': {
+      if (typeof raw !== 'string' || !isValidDate(raw)) return formatError(`${label} must be a valid date (YYYY-MM-DD)`);
+      return { value: raw.slice(0, 10) };
+    }
+
+    case 'enum': {
+      if (!rule.values.includes(raw)) return formatError(`${label} must be one of: ${rule.values.join(', ')}`);
+      return { value: raw };
+    }
+
+    case 'array': {
+      if (!Array.isArray(raw)) return { error: `${label} must be a list` };
+      if (rule.values) {
+        const invalid = raw.find(item => !rule.values.includes(item));
+        if (invalid !== undefined) return formatError(`${label} can only contain: ${rule.values.join(', ')}`);
+      }
+      if (rule.minLength && raw.length < rule.minLength) return formatError(`${label} must have at least ${rule.minLength} item${rule.minLength === 1 ? '' : 's'}`);
+      if (rule.items) {
+        const value = [];
+        for (const [i, item] of raw.entries()) {
+          const result = check(rule.items, item);
+          if (result.errors) return { error: `${label} #${i + 1}: ${Object.values(result.errors)[0]}` };
+          value.push(result.value);
+        }
+        return { value };
+      }
+      return { value: raw };
+    }
+
+    default:
+      throw new Error(`Unknown validation type "${rule.type}"`);
+  }
+}
+
+/**
+ * Validate an object against a schema.
+ * @param {object} schema
+ * @param {object} input
+ * @param {object} [options] { partial: true } for updates where every field is optional
+ * @returns {object} { value, errors } - errors is null when valid
+ */
+function check(schema, input, { partial = false } = {}) {
+  const source = input && typeof input === 'object' ? input : {};
+  const value = {};
+  const errors = {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = source[field];
+    const label = rule.label || humanize(field);
+
+    if (raw === undefined) {
+      if (rule.required && !partial) errors[field] = `${label} is required`;
+      continue;
+    }
+
+    if (raw === null || (typeof raw === 'string' && raw.trim() === '')) {
+      if (rule.required) {
+        errors[field] = `${label} is required`;
+      } else if (rule.nullable) {
+        value[field] = null;
+      } else if (rule.type === 'string' || rule.type === 'email') {
+        // Optional text can be cleared
+        value[field] = raw === null ? null : '';
+      }
+      continue;
+    }
+
+    const result = checkValue(rule, raw, label);
+    if (result.error) {
+      errors[field] = result.error;
+    } else {
+      value[field] = result.value;
+    }
+  }
+
+  return { value, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+/**
+ * Express middleware validating req.body (or req.query).
+ * @param {object} schema
+ * @param {object} [options] { partial, source: 'body' | 'query' }
+ */
+const validate = (schema, { partial = false, source = 'body' } = {}) => (req, res, next) => {
+  const { value, errors } = check(schema, req[source], { partial });
+
+  if (errors) {
+    throw new ValidationError(Object.values(errors)[0], errors);
+  }
+
+  // req.query is a getter in Express 5, so redefine it instead of assigning
+  Object.defineProperty(req, source, { value, writable: true, configurable: true, enumerable: true });
+  next();
+};
+
+module.exports = { validate, check };
@@ -0,0 +1,315 @@
+const { ROLES } = require('../middleware/auth');
+
+// Request schemas for every API payload (see ./index.js for the rule format)
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner'];
+const ID = { type: 'string', maxLength: 50 };
+const MONTH = { type: 'integer', required: true, min: 1, max: 12 };
+const YEAR = { type: 'integer', required: true, min: 2000, max: 2100 };
+const NOTES = { type: 'string', maxLength: 1000 };
+const PRICE = { type: 'number', min: 0, nullable: true };
+// GST registration numbers and rates (percent)
+const GSTIN = { type: 'string', nullable: true, pattern: /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, label: 'GSTIN', message: 'GSTIN must be 15 characters, like 27ABCDE1234F1Z5' };
+const TAX_RATE = { type: 'number', min: 0, max: 28, label: 'Tax rate' };
+const HSN_CODE = { type: 'string', pattern: /^\d{4,8}$/, message: 'HSN/SAC code must be 4 to 8 digits' };
+const NEW_PASSWORD = { type: 'string', minLength: 8, maxLength: 128, message: 'Password must be at least 8 characters long' };
+
+// Customers
+const customer = {
+  id: ID,
+  name: { type: 'string', required: true, maxLength: 255 },
+  mobile: { type: 'string', required: true, pattern: /^\d{10}$/, label: 'Mobile number', message: 'Mobile number must be exactly 10 digits' },
+  address: { type: 'string', maxLength: 1000 },
+  subscriptionType: { type: 'enum', values: ['daily', 'monthly'] },
+  // combination: dailyAmount is the price of all the meals together; per_meal: each meal has its own price
+  pricing: { type: 'enum', values: ['combination', 'per_meal'] },
+  dailyAmount: { type: 'number', min: 0 },
+  breakfastPrice: PRICE,
+  lunchPrice: PRICE,
+  dinnerPrice: PRICE,
+  mealTimes: { type: 'array', values: MEAL_TYPES },
+  // A catalogue plan to take the terms from (null: terms set by hand)
+  planId: { ...ID, nullable: true, label: 'Plan' },
+  // When changed terms start (default: they correct the current ones)
+  effectiveDate: { type: 'date', label: 'Effective date' },
+  referral: { type: 'string', maxLength: 255 },
+  // The customer who referred them, who earns the referral reward
+  referredBy: { ...ID, nullable: true, label: 'Referred by' },
+  startDate: { type: 'date' },
+  endDate: { type: 'date', nullable: true, label: 'Plan end date' },
+  status: { type: 'enum', values: ['active', 'paused'] },
+  // Business customers registered for GST; stateCode (GST state code) is where they are supplied
+  gstin: GSTIN,
+  stateCode: { type: 'string', nullable: true, pattern: /^\d{2}$/, label: 'State code', message: 'State code must be the 2-digit GST state code' }
+};
+
+// Subscription plans. dailyAmount is the price of the combination (per day,
+// or per month for monthly plans); per_meal plans price each meal instead
+const plan = {
+  name: { type: 'string', required: true, maxLength: 255 },
+  description: { type: 'string', maxLength: 1000 },
+  subscriptionType: { type: 'enum', values: ['daily', 'monthly'], label: 'Billing cycle' },
+  mealTimes: { type: 'array', required: true, values: MEAL_TYPES, minLength: 1, label: 'Meals' },
+  pricing: { type: 'enum', values: ['combination', 'per_meal'] },
+  dailyAmount: { ...PRICE, label: 'Price' },
+  breakfastPrice: PRICE,
+  lunchPrice: PRICE,
+  dinnerPrice: PRICE,
+  validFrom: { type: 'date', nullable: true },
+  validTo: { type: 'date', nullable: true }
+};
+
+// Prices only change through a price change, so the history is kept
+const planUpdate = {
+  name: { type: 'string', maxLength: 255 },
+  description: { type: 'string', maxLength: 1000 },
+  validFrom: { type: 'date', nullable: true },
+  validTo: { type: 'date', nullable: true }
+};
+
+// New prices for a plan and everyone on it from effectiveDate; per-meal prices not sent stay as they are
+const planPriceChange = {
+  effectiveDate: { type: 'date', required: true },
+  dailyAmount: { type: 'number', min: 0, label: 'Price' },
+  breakfastPrice: { type: 'number', min: 0 },
+  lunchPrice: { type: 'number', min: 0 },
+  dinnerPrice: { type: 'number', min: 0 }
+};
+
+// Leave: every meal of the days, or only the listed ones
+const customerLeave = {
+  startDate: { type: 'date', required: true },
+  endDate: { type: 'date', required: true },
+  meals: { type: 'array', values: MEAL_TYPES, minLength: 1 },
+  reason: { type: 'string', maxLength: 255 }
+};
+
+// Menu
+const menuItem = {
+  id: ID,
+  name: { type: 'string', required: true, maxLength: 255 },
+  category: { type: 'enum', required: true, values: MEAL_TYPES },
+  price: { type: 'number', required: true, min: 0 },
+  description: { type: 'string', maxLength: 1000 },
+  available: { type: 'boolean' },
+  // Own GST rate and HSN code (null: the business's default rate and SAC code)
+  taxRate: { ...TAX_RATE, nullable: true },
+  hsnCode: { ...HSN_CODE, nullable: true, label: 'HSN code' }
+};
+
+// Business GST settings. Without a GSTIN no tax is charged
+const taxSettings = {
+  gstin: GSTIN,
+  legalName: { type: 'string', maxLength: 255 },
+  defaultRate: TAX_RATE,
+  pricesIncludeTax: { type: 'boolean' },
+  sacCode: { ...HSN_CODE, label: 'SAC code', message: 'SAC code must be 4 to 8 digits' }
+};
+
+// Discounts: a flat amount or a percentage off a bill before tax. Without a
+// code they apply by themselves to the customer or everyone on the plan; with
+// one they are coupons entered when billing (for anyone unless a customer or
+// plan is set)
+const discount = {
+  name: { type: 'string', required: true, maxLength: 255 },
+  kind: { type: 'enum', required: true, values: ['flat', 'percent'], label: 'Discount type' },
+  value: { type: 'number', required: true, positive: true, label: 'Discount' },
+  customerId: { ...ID, nullable: true, label: 'Customer' },
+  planId: { ...ID, nullable: true, label: 'Plan' },
+  code: { type: 'string', nullable: true, pattern: /^[A-Za-z0-9-]{3,30}$/, label: 'Coupon code', message: 'Coupon code must be 3 to 30 letters, digits or dashes' },
+  maxUses: { type: 'integer', nullable: true, min: 1, label: 'Maximum uses' },
+  validFrom: { type: 'date', nullable: true },
+  validTo: { type: 'date', nullable: true }
+};
+
+// coupons: true for coupons only, false for discounts without a code only
+const discountQuery = {
+  customerId: ID,
+  planId: ID,
+  coupons: { type: 'boolean' }
+};
+
+// What a customer earns when someone they referred pays their first invoice (0: nothing)
+const referralSettings = {
+  reward: { type: 'number', required: true, min: 0, label: 'Referral reward' }
+};
+
+// Daily extras
+const extra = {
+  id: ID,
+  customerId: { ...ID, required: true, label: 'Customer' },
+  menuItemId: { ...ID, label: 'Menu item' },
+  mealType: { type: 'enum', required: true, values: MEAL_TYPES },
+  price: { type: 'number', required: true, min: 0 },
+  notes: NOTES,
+  date: { type: 'date', required: true }
+};
+
+const extraDetails = {
+  customerId: { ...ID, required: true, label: 'Customer' },
+  date: { type: 'date', required: true },
+  mealType: { type: 'enum', values: MEAL_TYPES }
+};
+
+// Advance payments
+const advancePayment = {
+  customerId: { ...ID, required: true, label: 'Customer' },
+  month: MONTH,
+  year: YEAR,
+  amount: { type: 'number', required: true, positive: true },
+  date: { type: 'date', required: true },
+  notes: NOTES
+};
+
+const advanceQuery = {
+  customerId: ID,
+  year: { ...YEAR, required: false }
+};
+
+// Invoices
+// The amount is computed by the server when the invoice is issued
+const COUPON_CODE = { type: 'string', maxLength: 30, label: 'Coupon code' };
+
+const invoice = {
+  customerId: { ...ID, required: true, label: 'Customer' },
+  month: MONTH,
+  year: YEAR,
+  couponCode: COUPON_CODE
+};
+
+const PAYMENT_MODES = ['cash', 'upi', 'card', 'bank'];
+
+// Settles the whole balance of one invoice
+const invoicePayment = {
+  mode: { type: 'enum', values: PAYMENT_MODES },
+  reference: { type: 'string', maxLength: 255 },
+  notes: NOTES
+};
+
+const invoiceQuery = {
+  status: { type: 'enum', values: ['pending', 'partially_paid', 'paid', 'outstanding', 'all'] }
+};
+
+const invoicePreview = {
+  customerId: { ...ID, required: true, label: 'Customer' },
+  month: MONTH,
+  year: YEAR,
+  couponCode: COUPON_CODE
+};
+
+const invoiceDailyPreview = {
+  customerId: { ...ID, required: true, label: 'Customer' },
+  date: { type: 'date', required: true }
+};
+
+// Payments
+const payment = {
+  customerId: { ...ID, required: true, label: 'Customer' },
+  amount: { type: 'number', required: true, positive: true },
+  mode: { type: 'enum', required: true, values: PAYMENT_MODES, label: 'Payment mode' },
+  reference: { type: 'string', maxLength: 255 },
+  date: { type: 'date', required: true },
+  notes: NOTES,
+  // Omit to settle the customer's oldest invoices first
+  allocations: {
+    type: 'array',
+    minLength: 1,
+    items: {
+      invoiceId: { ...ID, required: true, label: 'Invoice' },
+      amount: { type: 'number', required: true, positive: true }
+    }
+  }
+};
+
+const paymentQuery = {
+  customerId: ID,
+  invoiceId: ID
+};
+
+// Admins
+const admin = {
+  name: { type: 'string', required: true, maxLength: 255 },
+  email: { type: 'email', required: true, maxLength: 255 },
+  password: { ...NEW_PASSWORD, required: true },
+  role: { type: 'enum', required: true, values: Object.values(ROLES) }
+};
+
+// Auth
+const login = {
+  email: { type: 'email', required: true, maxLength: 255 },
+  password: { type: 'string', required: true, maxLength: 128 }
+};
+
+const loginTwoFactor = {
+  challengeToken: { type: 'string', required: true },
+  code: { type: 'string', required: true, maxLength: 20, label: 'Verification code' }
+};
+
+const forgotPassword = {
+  email: { type: 'email', required: true, maxLength: 255 }
+};
+
+const resetPassword = {
+  email: { type: 'email', required: true, maxLength: 255 },
+  code: { type: 'string', required: true, pattern: /^\d{6}$/, label: 'Reset code', message: 'Reset code must be 6 digits' },
+  newPassword: { ...NEW_PASSWORD, required: true }
+};
+
+const profile = {
+  currentPassword: { type: 'string', required: true, maxLength: 128 },
+  newEmail: { type: 'email', maxLength: 255 },
+  newPassword: NEW_PASSWORD
+};
+
+const twoFactorCode = {
+  code: { type: 'string', required: true, pattern: /^\d{6}$/, label: 'Verification code', message: 'Verification code must be 6 digits' }
+};
+
+const currentPassword = {
+  currentPassword: { type: 'string', required: true, maxLength: 128 }
+};
+
+// Audit log filters
+const auditQuery = {
+  entity: { type: 'string', maxLength: 50 },
+  entityId: ID,
+  action: { type: 'enum', values: ['create', 'update', 'delete'] },
+  actor: { type: 'string', maxLength: 255 },
+  from: { type: 'date' },
+  to: { type: 'date' },
+  limit: { type: 'integer', min: 1, max: 500 },
+  offset: { type: 'integer', min: 0 }
+};
+
+module.exports = {
+  customer,
+  customerLeave,
+  plan,
+  planUpdate,
+  planPriceChange,
+  menuItem,
+  taxSettings,
+  discount,
+  discountQuery,
+  referralSettings,
+  extra,
+  extraDetails,
+  advancePayment,
+  advanceQuery,
+  invoice,
+  invoicePayment,
+  invoiceQuery,
+  invoicePreview,
+  invoiceDailyPreview,
+  payment,
+  paymentQuery,
+  admin,
+  login,
+  loginTwoFactor,
+  forgotPassword,
+  resetPassword,
+  profile,
+  twoFactorCode,
+  currentPassword,
+  auditQuery
+};